@@ -9,24 +9,23 @@
 const SHADOW_HTML = `
 
 <div id="navigator">
-    <div id="navigator-left" class="navigator-button" role="button" >&lt;</div>
-    <span id="navigator-text"></span>
-    <div id="navigator-right" class="navigator-button" role="button">&gt;</div>
+    <div id="navigator-left" class="navigator-button" role="button" tabindex="0" aria-label="Previous month">&lt;</div>
+    <span id="navigator-text" role="button" tabindex="0" title="Go to today"></span>
+    <div id="navigator-right" class="navigator-button" role="button" tabindex="0" aria-label="Next month">&gt;</div>
 </div>
 
-<div id="weekday-row">
-    <div class="cell weekday">Mo</div>
-    <div class="cell weekday">Tu</div>
-    <div class="cell weekday">We</div>
-    <div class="cell weekday">Th</div>
-    <div class="cell weekday">Fr</div>
-    <div class="cell weekday">Sa</div>
-    <div class="cell weekday">Su</div>
+<div id="calendar-grid" role="grid" aria-labelledby="navigator-text">
+    <div id="weekday-row" role="row">
+        ${'<div class="cell weekday" role="columnheader"></div>'.repeat(7)}
+    </div>
+    <div id="day-grid" role="rowgroup">
+        ${`<div class="row" role="row">${'<div class="cell day" role="gridcell" tabindex="-1">&#8203;</div>'.repeat(7)}</div>`.repeat(6)}
+    </div>
 </div>
 
-<div id="day-grid">
-    ${'<div class="cell day">&#8203;</div>'.repeat(42)}
-</div>
+<div id="announcer" aria-live="polite"></div>
+
+<slot></slot>
 
 `.trim();
 
@@ -58,6 +57,27 @@ const SHADOW_CSS = `
     line-height: 1.5rem;
 }
 
+:host([popup]) {
+    position: fixed;
+    z-index: 1000;
+    box-shadow: 0 4px 16px rgba(0, 0, 0, 0.5);
+}
+
+:host([popup]:not([open])) {
+    display: none;
+}
+
+::slotted(*) {
+    display: block;
+    padding: 4px 16px;
+    text-align: center;
+}
+
+#navigator.disabled, #day-grid.disabled {
+    pointer-events: none;
+    opacity: 0.5;
+}
+
 #navigator {
     height: var(--more);
     padding: 0px 16px;
@@ -112,6 +132,24 @@ const SHADOW_CSS = `
     border-bottom: var(--bordering) solid transparent;
 }
 
+.row {
+    display: contents;
+}
+
+#announcer {
+    position: absolute;
+    width: 1px;
+    height: 1px;
+    overflow: hidden;
+    clip-path: inset(50%);
+    white-space: nowrap;
+}
+
+.day:focus-visible, .navigator-button:focus-visible, #navigator-text:focus-visible {
+    outline: 2px solid var(--accent);
+    outline-offset: -2px;
+}
+
 .cell {
     width: 36px;
     height: 36px;
@@ -141,6 +179,19 @@ const SHADOW_CSS = `
     color: var(--foreground-darker);
 }
 
+.day.disabled, .day.disabled:hover {
+    cursor: default;
+    background: var(--surface-darker);
+    color: var(--foreground-darker);
+    box-shadow: none;
+    opacity: 0.4;
+}
+
+.navigator-button.disabled {
+    cursor: default;
+    opacity: 0.3;
+}
+
 .day:hover {
     background: transparent;
     color: currentColor;
@@ -158,6 +209,50 @@ const SHADOW_CSS = `
     color: var(--surface-darker);
 }
 
+.markers {
+    position: absolute;
+    left: 0;
+    right: 0;
+    bottom: 2px;
+    display: flex;
+    justify-content: center;
+    gap: 2px;
+    line-height: 1;
+    pointer-events: none;
+}
+
+.marker {
+    font-size: 9px;
+    line-height: 1;
+    color: var(--marker-color, var(--accent));
+}
+
+.marker:empty {
+    width: 5px;
+    height: 5px;
+    border-radius: 50%;
+    background: var(--marker-color, var(--accent));
+}
+
+.day.in-range {
+    background: color-mix(in srgb, var(--accent) 30%, var(--surface-darker));
+    color: var(--foreground-lighter);
+}
+
+.day.range-start, .day.range-end {
+    box-shadow: inset 0 0 1px 2px var(--accent);
+}
+
+.day.in-range.preview {
+    background: var(--surface-darker);
+    outline: 1px dashed var(--accent);
+    outline-offset: -3px;
+}
+
+:host([mode="range"]) .day {
+    touch-action: none;
+}
+
 .day.starred:before {
     content: '';
     position: absolute;
@@ -171,6 +266,55 @@ const SHADOW_CSS = `
 
 `.trim()
 
+// < ======================================================
+// < Day Marker Type Definitions
+// < ======================================================
+
+/**
+ * Annotation shown in a day cell, eg. a mood or a completed habit
+ * - A day shows one marker per kind, in the order they were set
+ * 
+ * @typedef {Object} DayMarker
+ * @property {string} [kind] - Kind of marker, replacing any marker of the same kind, defaults to 'default'
+ * @property {string} [color] - CSS colour of the marker, defaults to the accent colour
+ * @property {string} [label] - Description, shown on hover and read by screen readers
+ * @property {string} [icon] - Short text or emoji, shown as a dot if omitted
+ */
+
+// < ======================================================
+// < Attribute Parsing
+// < ======================================================
+
+/**
+ * Format of date attributes, eg. '2025-08-03'
+ * @type {RegExp}
+ */
+const SHORT_DATE = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Locale used when the `locale` attribute is missing or invalid
+ * @type {string}
+ */
+const DEFAULT_LOCALE = 'en-GB';
+
+/**
+ * Parse a date attribute, ignoring values not in the format YYYY-MM-DD
+ * @param {string | null} value - The attribute value
+ * @returns {string | null} The date in the format YYYY-MM-DD, or null
+ */
+function parseDateAttribute(value) {
+    return value && SHORT_DATE.test(value.trim()) ? value.trim() : null;
+}
+
+/**
+ * Parse a list of dates separated by spaces or commas, ignoring invalid dates
+ * @param {string | null} value - The attribute value
+ * @returns {string[]} Dates in the format YYYY-MM-DD
+ */
+function parseDateList(value) {
+    return (value ?? '').split(/[\s,]+/).filter(shortDate => SHORT_DATE.test(shortDate));
+}
+
 // < ======================================================
 // < Internal Tools Object
 // < ======================================================
@@ -181,21 +325,22 @@ const tools = {
      * Generate an array of `Date` objects from a given date
      * - Uses the given date to generate a calendar grid
      * - Creates 42 dates (6 rows of 7 days)
-     * - Starts from Monday (Mo-Su)
+     * - Starts from Monday (Mo-Su) unless another first day is given
      * - Includes dates from the previous / next month
      *
      * @author Ben Scarletti
      * @param {Date} date - The Date object to work with
+     * @param {number} [firstDay] - Day each row starts on, as in `getDay` (0 is Sunday), defaults to Monday
      * @returns {Date[]} Array of 42 `Date` objects
      */
-    getDateArray(date) {
+    getDateArray(date, firstDay = 1) {
 
         const firstDate = tools.cloneDate(date, { day: 1 });
         const firstIndex = firstDate.getDay();
-        const mondayIndex = (firstIndex + 6) % 7;
+        const rowIndex = (firstIndex - firstDay + 7) % 7;
 
         const dates = [];
-        const start = 1 - mondayIndex;
+        const start = 1 - rowIndex;
         const end = start + 42;
         for (let day = start; day < end; day++) {
             const date = tools.cloneDate(firstDate, { day })
@@ -207,15 +352,18 @@ const tools = {
 
     /**
      * Clone a Date object
+     * - Changes are applied together, so eg. `{ month: 1, day: 1 }` from Jan 31st is Feb 1st
      * @param {Date} date - Source date
      * @param {Object} [opts] - Optional changes to output date
      * @returns {Date} The cloned date
      */
     cloneDate(date, { day, month, year } = {}) {
         const output = new Date(date.getTime());
-        if (year != null) output.setFullYear(year);
-        if (month != null) output.setMonth(month);
-        if (day != null) output.setDate(day);
+        output.setFullYear(
+            year ?? output.getFullYear(),
+            month ?? output.getMonth(),
+            day ?? output.getDate()
+        );
         return output;
     },
 
@@ -246,6 +394,17 @@ const tools = {
         return date.toLocaleDateString('en-CA');
     },
 
+    /**
+     * Convert `YYYY-MM-DD` string to Date object
+     * - Uses local midnight, unlike `new Date(string)` which uses UTC
+     * @param {string} shortDate - Shortened date string eg. '2025-08-03'
+     * @returns {Date} The Date object at local midnight
+     */
+    fromShort(shortDate) {
+        const [year, month, day] = shortDate.split('-').map(Number);
+        return new Date(year, month - 1, day);
+    },
+
     /** 
      * Convert Date object to month index
      * @param {Date} date - The Date object to convert
@@ -327,16 +486,64 @@ const tools = {
 /**
  * Calendar Widget Custom HTML Element
  * - Displays a monthly calendar with navigation and date selection
+ * - Renders when connected, and again whenever an observed attribute changes
+ * - Can be configured purely from markup, eg. `<calendar-widget value="2025-08-03" first-day="0">`
+ * 
+ * Observed attributes, each reflected by a property of the same name in camelCase
+ * - `value` - Chosen date in the format YYYY-MM-DD
+ * - `min` / `max` - First and last dates that can be chosen or navigated to
+ * - `first-day` - Day each row starts on, as in `getDay` (0 is Sunday), defaults to Monday
+ * - `locale` - Locale for month and weekday names, defaults to 'en-GB'
+ * - `starred` - Starred dates, separated by spaces or commas, kept in step with `setStarredDates` only while set
+ * - `required` / `disabled` - As for form controls, with `name` giving the name of the submitted value
+ * - `popup` / `open` - Shows the calendar as a popup, only while open
+ * - `anchor` - ID of the element that opens the popup, and which it is placed beside
+ * - `mode` - 'range' to choose a range of days, from `start` to `end`, instead of a single `value`
+ * - `min-length` / `max-length` - Fewest and most days a range can include
+ * 
+ * Form association
+ * - Submits `value` with its form, or `start/end` in range mode, and validates it against `required`, `min` and `max`
+ * - Restores the original `value` when the form is reset, and is disabled by a disabled fieldset
+ * - Choosing a date in popup mode closes the popup, and writes the date to an `<input>` anchor
+ * 
+ * Keyboard and screen readers, following the WAI-ARIA date grid pattern
+ * - One day is in the tab order at a time, moved with the arrow keys, Home / End for the week, and PageUp / PageDown for the month
+ * - Shift with PageUp / PageDown moves by year, Enter or Space chooses the focused day
+ * - Month changes are announced by a live region
+ * 
+ * Range mode
+ * - Click two days, or drag from one to the other, previewing the range under the pointer
+ * - Days that would make the range too short or too long cannot be chosen as the end
+ * - With the keyboard, Enter / Space chooses each end, and Escape forgets the first
+ * 
+ * Events, which bubble out of the shadow root and carry dates in the format YYYY-MM-DD
+ * - `date-select` - A day is chosen, with `detail.date`, cancel to keep the current date
+ * - `range-select` - A range is chosen, or a day shift-clicked outside range mode, with `detail.start` and `detail.end` in order, cancellable
+ * - `month-change` - A different range of days is rendered, with `detail.first` and `detail.last`
  * @extends HTMLElement
  */
 class CalendarWidget extends HTMLElement {
 
+    static get observedAttributes() {
+        return [
+            'value', 'min', 'max', 'first-day', 'locale', 'starred', 'required', 'disabled', 'popup', 'open', 'anchor',
+            'mode', 'start', 'end', 'min-length', 'max-length'
+        ];
+    }
+
+    static get formAssociated() {
+        return true;
+    }
+
     /** @type {Date} Date object from last clicked day */
     dateChosen;
 
     /** @type {Date} Date object from today's date */
     dateToday;
 
+    /** @type {Date} Date object of the day in the tab order */
+    dateFocused;
+
     /** @type {HTMLDivElement} Navigator text element showing month / year */
     navigatorText;
 
@@ -349,54 +556,814 @@ class CalendarWidget extends HTMLElement {
     /** @type {HTMLDivElement} Grid container for day cells */
     dayGrid;
 
-    /** String array of dates that are starred
+    /** Set of dates that are starred
      * - Dates in the format YYYY-MM-DD
-     * @type {string[]}
+     * @type {Set<string>}
      */
     starredDates;
 
-    /**
-     * Callback fired when a day is clicked
-     * @type {(date: Date, element: HTMLDivElement): void | null}
+    /** String array of dates that stars are limited to, or null to show every star
+     * - Dates in the format YYYY-MM-DD
+     * @type {string[] | null}
+     */
+    filteredDates;
+
+    /** Markers for each annotated date
+     * - Keys are dates in the format YYYY-MM-DD
+     * @type {Object.<string, DayMarker[]>}
      */
-    onDayClick = null;
+    dayMarkers;
+
+    /** @type {string | null} First visible date of the last render, in the format YYYY-MM-DD */
+    renderedFirst = null;
+
+    /** @type {ElementInternals | null} Form internals, or null if the browser cannot associate custom elements with forms */
+    internals = null;
+
+    /** @type {string | null} Value restored when the form is reset, taken from the `value` attribute when first connected */
+    defaultValue = null;
+
+    /** @type {[string, string] | null} Range restored when the form is reset, taken from the `start` and `end` attributes when first connected */
+    defaultRange = null;
+
+    /** @type {string | null} First day chosen in range mode, while waiting for the other end */
+    rangeAnchor = null;
+
+    /** @type {string | null} Day under the pointer or focused while waiting for the other end, previewing the range */
+    rangeHover = null;
+
+    /** @type {boolean} Whether the next click was already handled by pressing the pointer in range mode */
+    ignoreClick = false;
+
+    /** @type {boolean} Whether a disabled fieldset or form disables the widget */
+    formDisabled = false;
+
+    /** @type {string} Message describing why the value is invalid, or an empty string */
+    validationError = '';
+
+    /** @type {HTMLElement | null} Element that opens the popup, from the `anchor` attribute */
+    anchorElement = null;
 
     constructor() {
         super();
         this.attachShadow({ mode: 'open' });
         this.shadowRoot.innerHTML = `<style>${SHADOW_CSS}</style>` + SHADOW_HTML;
-        this.starredDates = [];
+        this.starredDates = new Set();
+        this.filteredDates = null;
+        this.dayMarkers = {};
         this.dateToday = new Date();
         this.dateChosen = new Date();
         this.dateDisplayed = new Date();
+        this.dateFocused = new Date();
         this.navigatorText = this.shadowRoot.getElementById('navigator-text');
         this.navigatorLeft = this.shadowRoot.getElementById('navigator-left');
         this.navigatorRight = this.shadowRoot.getElementById('navigator-right');
         this.dayGrid = this.shadowRoot.getElementById('day-grid');
+        this.internals = this.attachInternals?.() ?? null;
         this.setupListeners();
-        this.updateCalendar(this.dateToday);
+    }
+
+    /**
+     * Render the calendar when added to the document
+     * - Today's date is refreshed, as the element may be reconnected on a later day
+     */
+    connectedCallback() {
+        this.dateToday = new Date();
+        this.defaultValue ??= this.value;
+        this.defaultRange ??= [this.start, this.end];
+        this.bindAnchor();
+        this.updateForm();
+        this.renderWeekdays();
+        this.updateCalendar(this.dateDisplayed);
+        this.togglePopupListeners();
+    }
+
+    /**
+     * Forget the rendered range, and stop listening to the anchor and document when removed
+     * - Reconnecting dispatches `month-change` again, for listeners added in the meantime
+     */
+    disconnectedCallback() {
+        this.renderedFirst = null;
+        this.bindAnchor(null);
+        this.togglePopupListeners(false);
+    }
+
+    /**
+     * Apply a changed attribute, re-rendering if connected
+     * - Changes that match the current state are ignored, so properties can reflect to attributes
+     * @param {string} name - Name of the attribute
+     * @param {string | null} oldValue - Previous value, or null if missing
+     * @param {string | null} newValue - New value, or null if removed
+     */
+    attributeChangedCallback(name, oldValue, newValue) {
+        if (oldValue === newValue) return;
+        switch (name) {
+            case 'value': {
+                const shortDate = parseDateAttribute(newValue);
+                this.syncAnchor();
+                if (shortDate && shortDate === tools.toShort(this.dateChosen)) break;
+                this.dateChosen = shortDate ? tools.fromShort(shortDate) : new Date();
+                this.dateDisplayed = tools.cloneDate(this.dateChosen);
+                break;
+            }
+            case 'start':
+            case 'end':
+                this.syncAnchor();
+                break;
+            case 'mode':
+                this.rangeAnchor = null;
+                this.rangeHover = null;
+                this.syncAnchor();
+                break;
+            case 'starred': {
+                const shortDates = parseDateList(newValue);
+                if (shortDates.join(' ') === [...this.starredDates].join(' ')) return;
+                this.starredDates = new Set(shortDates);
+                break;
+            }
+            case 'first-day':
+            case 'locale':
+                this.renderWeekdays();
+                break;
+            case 'popup':
+            case 'open':
+                this.togglePopupListeners();
+                if (this.popup && this.open && this.isConnected) {
+                    this.focusDay();
+                }
+                return;
+            case 'anchor':
+                if (this.isConnected) {
+                    this.bindAnchor();
+                }
+                return;
+        }
+        this.updateForm();
+        if (this.isConnected) {
+            this.updateCalendar(this.dateDisplayed);
+        }
+    }
+
+    /**
+     * Restore the original value when the form is reset
+     */
+    formResetCallback() {
+        this.value = this.defaultValue;
+        [this.start, this.end] = this.defaultRange ?? ['', ''];
+    }
+
+    /**
+     * Disable or enable the widget with its fieldset or form
+     * @param {boolean} disabled - Whether the widget is now disabled
+     */
+    formDisabledCallback(disabled) {
+        this.formDisabled = disabled;
+        this.updateCalendar(this.dateDisplayed);
+    }
+
+    /**
+     * Restore the value after navigating back, or when the browser autofills the form
+     * @param {string | null} state - The value that was submitted
+     */
+    formStateRestoreCallback(state) {
+        this.applyFormValue(state);
+    }
+
+    /**
+     * Get the value submitted with the form
+     * @returns {string} The value, `start/end` in range mode, or an empty string if nothing is chosen
+     */
+    getFormValue() {
+        if (this.mode !== 'range') return this.value;
+        return this.start && this.end ? `${this.start}/${this.end}` : '';
+    }
+
+    /**
+     * Set the value from text in the format of `getFormValue`, ignoring text that is not a date or range
+     * @param {string | null} text - The text to read
+     * @returns {boolean} True if the value was set
+     */
+    applyFormValue(text) {
+        if (this.mode === 'range') {
+            const [start, end] = (text ?? '').split('/').map(parseDateAttribute);
+            if (!start || !end) return false;
+            [this.start, this.end] = [start, end].sort();
+            return true;
+        }
+        const shortDate = parseDateAttribute(text);
+        if (shortDate) {
+            this.value = shortDate;
+        }
+        return Boolean(shortDate);
+    }
+
+    /**
+     * Update the submitted value and its validity
+     * - Out of range or missing required values are invalid, and block form submission
+     */
+    updateForm() {
+        const value = this.getFormValue();
+        const [first, last] = this.mode === 'range' ? [this.start, this.end] : [value, value];
+        let flags = {};
+        if (this.required && !value) {
+            flags = { valueMissing: true };
+            this.validationError = this.mode === 'range' ? 'Choose the first and last days' : 'Choose a date';
+        } else if (first && this.min && first < this.min) {
+            flags = { rangeUnderflow: true };
+            this.validationError = `Choose a date on or after ${this.min}`;
+        } else if (last && this.max && last > this.max) {
+            flags = { rangeOverflow: true };
+            this.validationError = `Choose a date on or before ${this.max}`;
+        } else {
+            this.validationError = '';
+        }
+        this.internals?.setFormValue(value || null);
+        this.internals?.setValidity(flags, this.validationError);
+    }
+
+    /** @type {HTMLFormElement | null} Form the widget belongs to */
+    get form() {
+        return this.internals?.form ?? this.closest('form');
+    }
+
+    /** @type {string} Name of the submitted value, from the `name` attribute */
+    get name() {
+        return this.getAttribute('name') ?? '';
+    }
+
+    /** @type {string} Message describing why the value is invalid, or an empty string */
+    get validationMessage() {
+        return this.internals?.validationMessage ?? this.validationError;
+    }
+
+    /**
+     * Check the value against `required`, `min` and `max`
+     * @returns {boolean} True if the value is valid
+     */
+    checkValidity() {
+        return this.internals?.checkValidity() ?? !this.validationError;
+    }
+
+    /**
+     * Check the value, showing the browser's message if it is invalid
+     * @returns {boolean} True if the value is valid
+     */
+    reportValidity() {
+        return this.internals?.reportValidity() ?? !this.validationError;
+    }
+
+    /**
+     * Check if the widget is disabled, by its own attribute or its fieldset or form
+     * @returns {boolean} True if days cannot be chosen
+     */
+    isDisabled() {
+        return this.disabled || this.formDisabled;
+    }
+
+    /**
+     * Listen to a new anchor element, and stop listening to the previous one
+     * - Clicking the anchor toggles the popup, as does ArrowDown, or Enter / Space unless it is an `<input>`
+     * - Changing an `<input>` anchor to a valid date sets the value
+     * @param {HTMLElement | null} [anchor] - The new anchor, defaults to the element named by the `anchor` attribute
+     */
+    bindAnchor(anchor = this.getAttribute('anchor') ? this.ownerDocument.getElementById(this.getAttribute('anchor')) : null) {
+        this.anchorElement?.removeEventListener('click', this.handleAnchorClick);
+        this.anchorElement?.removeEventListener('change', this.handleAnchorChange);
+        this.anchorElement?.removeEventListener('keydown', this.handleAnchorKey);
+        this.anchorElement = anchor;
+        anchor?.addEventListener('click', this.handleAnchorClick);
+        anchor?.addEventListener('change', this.handleAnchorChange);
+        anchor?.addEventListener('keydown', this.handleAnchorKey);
+        if (anchor) {
+            this.syncAnchor();
+        }
+    }
+
+    /**
+     * Toggle the popup when the anchor is clicked
+     */
+    handleAnchorClick = () => {
+        if (this.popup && !this.isDisabled()) {
+            this.open = !this.open;
+        }
+    };
+
+    /**
+     * Toggle the popup from the keyboard while the anchor is focused
+     * @param {KeyboardEvent} event - The keyboard event
+     */
+    handleAnchorKey = (event) => {
+        const activates = event.key === 'ArrowDown' || (
+            !(this.anchorElement instanceof HTMLInputElement) && (event.key === 'Enter' || event.key === ' ')
+        );
+        if (!activates) return;
+        event.preventDefault();
+        this.handleAnchorClick();
+    };
+
+    /**
+     * Set the value from an `<input>` anchor, ignoring text that is not a date or range
+     */
+    handleAnchorChange = () => {
+        this.applyFormValue(this.anchorElement.value);
+    };
+
+    /**
+     * Close the popup when the document is clicked outside of it and its anchor
+     * @param {PointerEvent} event - The pointer event
+     */
+    handleOutsidePointer = (event) => {
+        const path = event.composedPath();
+        if (!path.includes(this) && !path.includes(this.anchorElement)) {
+            this.open = false;
+        }
+    };
+
+    /**
+     * Close the popup when Escape is pressed, returning focus to the anchor
+     * @param {KeyboardEvent} event - The keyboard event
+     */
+    handleEscape = (event) => {
+        if (event.key !== 'Escape') return;
+        this.open = false;
+        this.anchorElement?.focus();
+    };
+
+    /**
+     * Show the value in an `<input>` anchor, as submitted with the form
+     */
+    syncAnchor() {
+        if (this.anchorElement instanceof HTMLInputElement) {
+            this.anchorElement.value = this.getFormValue();
+        }
+    }
+
+    /**
+     * Place the open popup below its anchor, or above if there is no room below
+     * - Keeps the popup within the viewport horizontally
+     */
+    positionPopup() {
+        if (!this.anchorElement) return;
+        const anchor = this.anchorElement.getBoundingClientRect();
+        const { width, height } = this.getBoundingClientRect();
+        const above = anchor.top - height - 4;
+        const below = anchor.bottom + 4;
+        const top = below + height > window.innerHeight && above >= 0 ? above : below;
+        const left = Math.max(4, Math.min(anchor.left, window.innerWidth - width - 4));
+        this.style.top = `${top}px`;
+        this.style.left = `${left}px`;
+    }
+
+    /**
+     * Listen for outside clicks and Escape while the popup is open, and place it by its anchor
+     * @param {boolean} [listen] - Whether to listen, defaults to whether the popup is open and connected
+     */
+    togglePopupListeners(listen = this.popup && this.open && this.isConnected) {
+        if (listen) {
+            this.ownerDocument.addEventListener('pointerdown', this.handleOutsidePointer);
+            this.ownerDocument.addEventListener('keydown', this.handleEscape);
+            this.positionPopup();
+        } else {
+            this.ownerDocument.removeEventListener('pointerdown', this.handleOutsidePointer);
+            this.ownerDocument.removeEventListener('keydown', this.handleEscape);
+        }
+    }
+
+    /**
+     * Set an attribute, or remove it for an empty value
+     * @param {string} name - Name of the attribute
+     * @param {string | null | undefined} value - The new value
+     */
+    reflectAttribute(name, value) {
+        if (value === null || value === undefined || value === '') {
+            this.removeAttribute(name);
+        } else {
+            this.setAttribute(name, value);
+        }
+    }
+
+    /** @type {string} Chosen date in the format YYYY-MM-DD, or an empty string */
+    get value() {
+        return parseDateAttribute(this.getAttribute('value')) ?? '';
+    }
+
+    set value(shortDate) {
+        this.reflectAttribute('value', shortDate);
+    }
+
+    /** @type {string} First date that can be chosen, in the format YYYY-MM-DD, or an empty string */
+    get min() {
+        return parseDateAttribute(this.getAttribute('min')) ?? '';
+    }
+
+    set min(shortDate) {
+        this.reflectAttribute('min', shortDate);
+    }
+
+    /** @type {string} Last date that can be chosen, in the format YYYY-MM-DD, or an empty string */
+    get max() {
+        return parseDateAttribute(this.getAttribute('max')) ?? '';
+    }
+
+    set max(shortDate) {
+        this.reflectAttribute('max', shortDate);
+    }
+
+    /** @type {number} Day each row starts on, as in `getDay` (0 is Sunday) */
+    get firstDay() {
+        const day = Number(this.getAttribute('first-day') ?? NaN);
+        return Number.isInteger(day) && day >= 0 && day <= 6 ? day : 1;
+    }
+
+    set firstDay(day) {
+        this.reflectAttribute('first-day', day === null || day === undefined ? null : String(day));
+    }
+
+    /** @type {string} Locale for month and weekday names, or an empty string for the default */
+    get locale() {
+        return this.getAttribute('locale') ?? '';
+    }
+
+    set locale(locale) {
+        this.reflectAttribute('locale', locale);
+    }
+
+    /** @type {boolean} Whether a date must be chosen for the form to submit */
+    get required() {
+        return this.hasAttribute('required');
+    }
+
+    set required(required) {
+        this.toggleAttribute('required', Boolean(required));
+    }
+
+    /** @type {boolean} Whether days cannot be chosen, see `isDisabled` */
+    get disabled() {
+        return this.hasAttribute('disabled');
+    }
+
+    set disabled(disabled) {
+        this.toggleAttribute('disabled', Boolean(disabled));
+    }
+
+    /** @type {boolean} Whether the calendar is shown as a popup */
+    get popup() {
+        return this.hasAttribute('popup');
+    }
+
+    set popup(popup) {
+        this.toggleAttribute('popup', Boolean(popup));
+    }
+
+    /** @type {boolean} Whether the popup is shown */
+    get open() {
+        return this.hasAttribute('open');
+    }
+
+    set open(open) {
+        this.toggleAttribute('open', Boolean(open));
+    }
+
+    /** @type {'single' | 'range'} Whether a single date or a range of days is chosen */
+    get mode() {
+        return this.getAttribute('mode') === 'range' ? 'range' : 'single';
+    }
+
+    set mode(mode) {
+        this.reflectAttribute('mode', mode === 'range' ? 'range' : null);
+    }
+
+    /** @type {string} First day of the chosen range, in the format YYYY-MM-DD, or an empty string */
+    get start() {
+        return parseDateAttribute(this.getAttribute('start')) ?? '';
+    }
+
+    set start(shortDate) {
+        this.reflectAttribute('start', shortDate);
+    }
+
+    /** @type {string} Last day of the chosen range, in the format YYYY-MM-DD, or an empty string */
+    get end() {
+        return parseDateAttribute(this.getAttribute('end')) ?? '';
+    }
+
+    set end(shortDate) {
+        this.reflectAttribute('end', shortDate);
+    }
+
+    /** @type {number} Fewest days a range can include, counting both ends, defaults to 1 */
+    get minLength() {
+        const length = Number(this.getAttribute('min-length') ?? NaN);
+        return Number.isInteger(length) && length > 0 ? length : 1;
+    }
+
+    set minLength(length) {
+        this.reflectAttribute('min-length', Number.isInteger(length) && length > 1 ? String(length) : null);
+    }
+
+    /** @type {number} Most days a range can include, counting both ends, defaults to Infinity */
+    get maxLength() {
+        const length = Number(this.getAttribute('max-length') ?? NaN);
+        return Number.isInteger(length) && length > 0 ? length : Infinity;
+    }
+
+    set maxLength(length) {
+        this.reflectAttribute('max-length', Number.isInteger(length) && length > 0 ? String(length) : null);
+    }
+
+    /** @type {string[]} Starred dates in the format YYYY-MM-DD, see `setStarredDates` */
+    get starred() {
+        return [...this.starredDates];
+    }
+
+    set starred(shortDates) {
+        this.setStarredDates(shortDates ?? []);
+    }
+
+    /**
+     * Get the locale to render names with
+     * - Falls back to the default for a missing, invalid or unsupported locale
+     * @returns {string} The locale
+     */
+    getLocale() {
+        try {
+            return Intl.DateTimeFormat.supportedLocalesOf(this.locale)[0] ?? DEFAULT_LOCALE;
+        } catch {
+            return DEFAULT_LOCALE;
+        }
+    }
+
+    /**
+     * Render the weekday names, starting from the first day
+     * - Without a `locale` attribute names are shortened to two letters, eg. 'Mo'
+     */
+    renderWeekdays() {
+        const locale = this.getLocale();
+        const weekdays = this.shadowRoot.querySelectorAll('.weekday');
+        for (const [index, element] of weekdays.entries()) {
+            // 7th January 2024 was a Sunday
+            const date = new Date(2024, 0, 7 + (this.firstDay + index) % 7);
+            const name = date.toLocaleString(locale, { weekday: 'short' });
+            element.textContent = this.locale ? name : name.slice(0, 2);
+            element.setAttribute('aria-label', date.toLocaleString(locale, { weekday: 'long' }));
+        }
+    }
+
+    /**
+     * Check if a date is before the `min` attribute or after the `max` attribute
+     * @param {Date} date - The date to check
+     * @returns {boolean} True if the date cannot be chosen
+     */
+    isOutOfRange(date) {
+        const shortDate = tools.toShort(date);
+        return Boolean((this.min && shortDate < this.min) || (this.max && shortDate > this.max));
+    }
+
+    /**
+     * Move a date into the months allowed by the `min` and `max` attributes
+     * @param {Date} date - The date to move
+     * @returns {Date} The date, or the `min` / `max` date if its month is out of range
+     */
+    clampToRange(date) {
+        const month = tools.toShort(date).slice(0, 7);
+        if (this.min && month < this.min.slice(0, 7)) return tools.fromShort(this.min);
+        if (this.max && month > this.max.slice(0, 7)) return tools.fromShort(this.max);
+        return date;
     }
 
     /**
      * Navigate to next or previous month
      * - Updates the calendar display
      * - Accepts any positive or negative number eg. +1 or -8
+     * - Stops at the months of the `min` and `max` attributes
      * @param {number} change - Number of months to move (positive or negative)
      */
     navigateMonth(change) {
         const currentMonth = this.dateDisplayed.getMonth();
-        this.dateDisplayed.setMonth(currentMonth + change);
+        const date = tools.cloneDate(this.dateDisplayed, { day: 1, month: currentMonth + change });
+        this.updateCalendar(date);
+    }
+
+    /**
+     * Dispatch an event that bubbles out of the shadow root
+     * @param {string} type - Type of the event eg. 'date-select'
+     * @param {Object} detail - Dates of the event, in the format YYYY-MM-DD
+     * @param {boolean} [cancelable] - Whether listeners can cancel the default action
+     * @returns {boolean} False if a listener cancelled the event
+     */
+    emit(type, detail, cancelable = false) {
+        return this.dispatchEvent(new CustomEvent(type, { detail, bubbles: true, composed: true, cancelable }));
+    }
+
+    /**
+     * Choose a date, showing its month
+     * - Dispatches a cancellable `date-select` event first, and does nothing if it is cancelled
+     * - In popup mode, closes the popup and notifies an `<input>` anchor of its new value
+     * @param {string} shortDate - Date in the format YYYY-MM-DD
+     * @returns {boolean} True if the date was chosen
+     */
+    selectDate(shortDate) {
+        if (!this.emit('date-select', { date: shortDate }, true)) return false;
+        this.dateFocused = tools.fromShort(shortDate);
+        this.dateChosen = tools.fromShort(shortDate);
+        this.dateDisplayed = tools.fromShort(shortDate);
+        if (this.value === shortDate) {
+            this.updateCalendar(this.dateDisplayed);
+        } else {
+            // Re-renders via `attributeChangedCallback`
+            this.value = shortDate;
+        }
+        this.closeAfterChoice();
+        return true;
+    }
+
+    /**
+     * Close the popup after a date or range is chosen, and notify an `<input>` anchor of its new value
+     */
+    closeAfterChoice() {
+        if (!this.popup) return;
+        this.open = false;
+        if (this.anchorElement instanceof HTMLInputElement) {
+            this.anchorElement.dispatchEvent(new Event('input', { bubbles: true }));
+            this.anchorElement.dispatchEvent(new Event('change', { bubbles: true }));
+        }
+    }
+
+    /**
+     * Select the days between two dates, in either order
+     * - Dispatches a cancellable `range-select` event, unless the range is too short or too long
+     * - In range mode, sets `start` and `end` unless the event is cancelled
+     * @param {string} start - Date in the format YYYY-MM-DD
+     * @param {string} end - Date in the format YYYY-MM-DD
+     * @returns {boolean} True if the range was selected
+     */
+    selectRange(start, end) {
+        const [first, last] = [start, end].sort();
+        if (!this.isRangeAllowed(first, last)) return false;
+        if (!this.emit('range-select', { start: first, end: last }, true)) return false;
+        if (this.mode === 'range') {
+            this.rangeAnchor = null;
+            this.rangeHover = null;
+            [this.start, this.end] = [first, last];
+            this.updateCalendar(this.dateDisplayed);
+            this.closeAfterChoice();
+        }
+        return true;
+    }
+
+    /**
+     * Check if a range includes at least `min-length` and at most `max-length` days
+     * @param {string} start - Date in the format YYYY-MM-DD
+     * @param {string} end - Date in the format YYYY-MM-DD
+     * @returns {boolean} True if the range can be selected
+     */
+    isRangeAllowed(start, end) {
+        // Rounded, as days either side of a daylight saving change are not 24 hours long
+        const days = Math.round(Math.abs(tools.fromShort(end) - tools.fromShort(start)) / (24 * 60 * 60 * 1000)) + 1;
+        return days >= this.minLength && days <= this.maxLength;
+    }
+
+    /**
+     * Choose one end of a range in range mode
+     * - The first day chosen waits for the other end, which selects the range
+     * @param {string} shortDate - Date in the format YYYY-MM-DD
+     * @returns {boolean} True if the range was selected
+     */
+    chooseRangeDay(shortDate) {
+        if (this.rangeAnchor) {
+            return this.selectRange(this.rangeAnchor, shortDate);
+        }
+        this.rangeAnchor = shortDate;
+        this.rangeHover = shortDate;
         this.updateCalendar(this.dateDisplayed);
+        return false;
+    }
+
+    /**
+     * Forget the first day of a range that is still waiting for its other end
+     */
+    cancelRange() {
+        this.rangeAnchor = null;
+        this.rangeHover = null;
+        this.updateCalendar(this.dateDisplayed);
+    }
+
+    /**
+     * Preview the range to a day while waiting for the other end
+     * @param {string} shortDate - Date in the format YYYY-MM-DD
+     */
+    previewRange(shortDate) {
+        if (!this.rangeAnchor || shortDate === this.rangeHover) return;
+        this.rangeHover = shortDate;
+        this.updateCalendar(this.dateDisplayed);
+    }
+
+    /**
+     * Get the range to show in the grid, previewing the range while waiting for its other end
+     * @returns {[string, string] | null} First and last days in the format YYYY-MM-DD, or null if there is none
+     */
+    getShownRange() {
+        if (this.mode !== 'range') return null;
+        if (this.rangeAnchor) return /** @type {[string, string]} */ ([this.rangeAnchor, this.rangeHover ?? this.rangeAnchor].sort());
+        return this.start && this.end ? [this.start, this.end] : null;
+    }
+
+    /**
+     * Move the day in the tab order to a date, showing its month
+     * - Dates out of range are moved to the `min` or `max` date
+     * @param {Date} date - The date to move to
+     * @param {boolean} [focus] - Whether to focus the day, as when moving with the keyboard
+     */
+    moveFocus(date, focus = true) {
+        if (this.isOutOfRange(date)) {
+            date = tools.fromShort(this.min && tools.toShort(date) < this.min ? this.min : this.max);
+        }
+        this.dateFocused = tools.cloneDate(date);
+        if (this.rangeAnchor) {
+            this.rangeHover = tools.toShort(date);
+        }
+        this.updateCalendar(date);
+        if (focus) {
+            this.focusDay();
+        }
+    }
+
+    /**
+     * Focus the day in the tab order
+     */
+    focusDay() {
+        this.dayGrid.querySelector('.day[tabindex="0"]')?.focus();
+    }
+
+    /**
+     * Move between days with the keyboard, or choose the focused day
+     * @param {KeyboardEvent} event - Keyboard event from a day
+     */
+    handleDayKey(event) {
+        let date = tools.cloneDate(this.dateFocused);
+        const column = (date.getDay() - this.firstDay + 7) % 7;
+        const months = event.shiftKey ? 12 : 1;
+        switch (event.key) {
+            case 'ArrowLeft': date.setDate(date.getDate() - 1); break;
+            case 'ArrowRight': date.setDate(date.getDate() + 1); break;
+            case 'ArrowUp': date.setDate(date.getDate() - 7); break;
+            case 'ArrowDown': date.setDate(date.getDate() + 7); break;
+            case 'Home': date.setDate(date.getDate() - column); break;
+            case 'End': date.setDate(date.getDate() + 6 - column); break;
+            case 'PageUp': date = this.addMonths(date, -months); break;
+            case 'PageDown': date = this.addMonths(date, months); break;
+            case 'Enter':
+            case ' ': {
+                event.preventDefault();
+                if (this.dayGrid.querySelector('.day[tabindex="0"]')?.classList.contains('disabled')) return;
+                const shortDate = tools.toShort(date);
+                const chosen = this.mode === 'range' ? this.chooseRangeDay(shortDate) : this.selectDate(shortDate);
+                if (chosen && this.popup) {
+                    this.anchorElement?.focus();
+                } else {
+                    this.focusDay();
+                }
+                return;
+            }
+            case 'Escape':
+                if (!this.rangeAnchor) return;
+                // Keep an open popup open, forgetting only the first day
+                event.stopPropagation();
+                this.cancelRange();
+                this.focusDay();
+                return;
+            default:
+                return;
+        }
+        event.preventDefault();
+        this.moveFocus(date);
+    }
+
+    /**
+     * Move a date by whole months, keeping its day where the month is long enough
+     * - Moving from Jan 31st by one month gives Feb 28th or 29th
+     * @param {Date} date - The date to move
+     * @param {number} months - Number of months to move (positive or negative)
+     * @returns {Date} The moved date
+     */
+    addMonths(date, months) {
+        const moved = tools.cloneDate(date, { day: 1, month: date.getMonth() + months });
+        const length = tools.cloneDate(moved, { day: 0, month: moved.getMonth() + 1 }).getDate();
+        moved.setDate(Math.min(date.getDate(), length));
+        return moved;
     }
 
     /**
      * Set up event listeners
      * - Delegates click events within `this.shadowRoot`
+     * - Shift-clicking a day selects the range from the chosen date
+     * - Handles keys for days, and Enter / Space for the navigator buttons
+     * - In range mode, pressing one day and releasing on another selects the range between them
      */
     setupListeners() {
         this.shadowRoot.addEventListener('click', (event) => {
             const target = event.target;
-            if (!target) return;
+            if (!target || this.isDisabled()) return;
             if (this.navigatorText.contains(target)) {
                 this.updateCalendar(this.dateToday);
             } else if (this.navigatorLeft.contains(target)) {
@@ -405,17 +1372,55 @@ class CalendarWidget extends HTMLElement {
                 this.navigateMonth(+1);
             } else if (this.dayGrid.contains(target)) {
                 const element = target.closest('.day');
-                if (!element) return;
-                if (this.onDayClick) {
-                    this.dateChosen = new Date(element.dataset.date);
-                    console.log(this.dateChosen);
-                    this.onDayClick(this.dateChosen, element);
-                    setTimeout(() => {
-                        this.updateCalendar(this.dateChosen);
-                    }, 500);
+                if (!element || element.classList.contains('disabled')) return;
+                if (this.mode === 'range') {
+                    if (!this.ignoreClick) {
+                        this.chooseRangeDay(element.dataset.date);
+                    }
+                    this.ignoreClick = false;
+                } else if (event.shiftKey) {
+                    this.selectRange(tools.toShort(this.dateChosen), element.dataset.date);
+                } else {
+                    this.selectDate(element.dataset.date);
                 }
             }
         });
+        this.dayGrid.addEventListener('pointerdown', (event) => {
+            this.ignoreClick = false;
+            const element = event.target.closest('.day');
+            if (this.mode !== 'range' || this.rangeAnchor || !element || this.isDisabled()) return;
+            if (element.classList.contains('disabled')) return;
+            // Release touch capture, so the days under a dragging finger receive pointer events
+            if (element.hasPointerCapture?.(event.pointerId)) {
+                element.releasePointerCapture(event.pointerId);
+            }
+            this.chooseRangeDay(element.dataset.date);
+            this.ignoreClick = true;
+        });
+        this.dayGrid.addEventListener('pointerover', (event) => {
+            const element = event.target.closest('.day');
+            if (this.mode === 'range' && element && !element.classList.contains('disabled')) {
+                this.previewRange(element.dataset.date);
+            }
+        });
+        this.dayGrid.addEventListener('pointerup', (event) => {
+            // Releasing on another day after pressing the first ends a drag
+            const element = event.target.closest('.day');
+            if (!this.ignoreClick || !this.rangeAnchor || !element || element.dataset.date === this.rangeAnchor) return;
+            if (!element.classList.contains('disabled')) {
+                this.chooseRangeDay(element.dataset.date);
+            }
+        });
+        this.shadowRoot.addEventListener('keydown', (event) => {
+            const target = event.target;
+            if (!target || this.isDisabled()) return;
+            if (target.classList.contains('day')) {
+                this.handleDayKey(event);
+            } else if (target.getAttribute('role') === 'button' && (event.key === 'Enter' || event.key === ' ')) {
+                event.preventDefault();
+                target.click();
+            }
+        });
     }
 
     /**
@@ -423,48 +1428,264 @@ class CalendarWidget extends HTMLElement {
      * @param {HTMLDivElement} day The day element to reset
      */
     resetDayClasses(day) {
-        day.classList.remove('dimmed', 'marked', 'starred', 'today');
+        day.classList.remove('dimmed', 'disabled', 'marked', 'starred', 'today', 'in-range', 'range-start', 'range-end', 'preview');
+        day.removeAttribute('title');
+        day.removeAttribute('aria-current');
+        day.removeAttribute('aria-disabled');
     }
 
     /**
      * Update the current month and render the calendar
      * - Updates days in the grid, and navigator text
+     * - Shows the month of the `min` or `max` attribute instead of a month out of range
+     * - Dispatches `month-change` if the visible range of days changed
      * @param {Date} date - The date to use for date array
      */
     updateCalendar(date) {
 
-        const dateObjects = tools.getDateArray(date);
+        date = this.clampToRange(date);
+        this.dateDisplayed = tools.cloneDate(date);
+        const dateObjects = tools.getDateArray(date, this.firstDay);
         const dayElements = this.dayGrid.querySelectorAll('.day');
-
-        const monthName = tools.toMonthName(date);
-        const year = tools.toYear(date);
-        this.navigatorText.textContent = `${monthName} ${year}`;
+        const first = tools.toShort(dateObjects[0]);
+        const rangeChanged = first !== this.renderedFirst;
+        const announce = rangeChanged && this.renderedFirst !== null;
+        this.renderedFirst = first;
+        this.dateFocused = this.findFocusDate(date);
+        const locale = this.getLocale();
+
+        this.navigatorText.textContent = date.toLocaleString(locale, { month: 'long', year: 'numeric' });
+        if (announce) {
+            this.shadowRoot.getElementById('announcer').textContent = this.navigatorText.textContent;
+        }
+        const monthStart = tools.toShort(tools.cloneDate(date, { day: 1 }));
+        const monthEnd = tools.toShort(tools.cloneDate(date, { day: 0, month: date.getMonth() + 1 }));
+        this.navigatorLeft.classList.toggle('disabled', Boolean(this.min && monthStart <= this.min));
+        this.navigatorRight.classList.toggle('disabled', Boolean(this.max && monthEnd >= this.max));
+        this.navigatorLeft.setAttribute('aria-disabled', String(this.navigatorLeft.classList.contains('disabled')));
+        this.navigatorRight.setAttribute('aria-disabled', String(this.navigatorRight.classList.contains('disabled')));
+        this.navigatorText.parentElement.classList.toggle('disabled', this.isDisabled());
+        this.dayGrid.classList.toggle('disabled', this.isDisabled());
+
+        const range = this.getShownRange();
+        const ranging = this.mode === 'range';
 
         for (const [index, dateObject] of dateObjects.entries()) {
             const dayElement = dayElements[index];
+            const shortDate = tools.toShort(dateObject);
             this.resetDayClasses(dayElement);
+            const chosen = ranging ? false : tools.isSameDate(dateObject, this.dateChosen);
             if (dateObject.getMonth() != date.getMonth()) {
                 dayElement.classList.add('dimmed');
             } else if (tools.isToday(dateObject)) {
                 dayElement.classList.add('today');
-            } else if (tools.isSameDate(dateObject, this.dateChosen)) {
+            } else if (chosen) {
                 dayElement.classList.add('marked');
             } else if (this.shouldStar(dateObject)) {
                 dayElement.classList.add('starred');
             }
+            const inRange = Boolean(range && shortDate >= range[0] && shortDate <= range[1]);
+            if (inRange) {
+                dayElement.classList.add('in-range');
+                dayElement.classList.toggle('range-start', shortDate === range[0]);
+                dayElement.classList.toggle('range-end', shortDate === range[1]);
+                dayElement.classList.toggle('preview', Boolean(this.rangeAnchor));
+            }
+            const unreachable = Boolean(this.rangeAnchor) && !this.isRangeAllowed(this.rangeAnchor, shortDate);
+            if (this.isOutOfRange(dateObject) || unreachable) {
+                dayElement.classList.add('disabled');
+                dayElement.setAttribute('aria-disabled', 'true');
+            }
+            if (tools.isToday(dateObject)) {
+                dayElement.setAttribute('aria-current', 'date');
+            }
+            dayElement.setAttribute('aria-selected', String(ranging ? inRange && !this.rangeAnchor : chosen));
+            dayElement.tabIndex = tools.isSameDate(dateObject, this.dateFocused) ? 0 : -1;
             dayElement.textContent = dateObject.getDate();
             dayElement.dataset.date = tools.toShort(dateObject);
+            this.renderDayMarkers(dayElement);
+            const name = dateObject.toLocaleDateString(locale, { weekday: 'long', day: 'numeric', month: 'long', year: 'numeric' });
+            dayElement.setAttribute('aria-label', [name, dayElement.title].filter(Boolean).join(', '));
+        }
+
+        if (rangeChanged) {
+            this.emit('month-change', { first, last: tools.toShort(dateObjects[dateObjects.length - 1]) });
         }
 
     }
 
     /**
-     * Check if a date is in the starred dates array
+     * Find the day to put in the tab order for a month
+     * - Keeps the focused day if it is in the month, otherwise the chosen day, today or the first day in range
+     * @param {Date} date - Any date in the month
+     * @returns {Date} The day to put in the tab order
+     */
+    findFocusDate(date) {
+        const inMonth = (other) => (
+            other.getFullYear() === date.getFullYear() &&
+            other.getMonth() === date.getMonth() &&
+            !this.isOutOfRange(other)
+        );
+        const candidates = [this.dateFocused, this.dateChosen, new Date()];
+        const found = candidates.find(inMonth);
+        if (found) return tools.cloneDate(found);
+        const firstDay = tools.cloneDate(date, { day: 1 });
+        return this.min && tools.toShort(firstDay) < this.min ? tools.fromShort(this.min) : firstDay;
+    }
+
+    /**
+     * Get the first and last dates of the visible 42-day grid
+     * @returns {[Date, Date]} The first and last visible dates
+     */
+    getVisibleRange() {
+        const dateObjects = tools.getDateArray(this.dateDisplayed, this.firstDay);
+        return [dateObjects[0], dateObjects[dateObjects.length - 1]];
+    }
+
+    /**
+     * Check if a date is in the starred dates, and in the filtered dates array if set
      * @param {Date} date - The date to check against starred dates
      */
     shouldStar(date) {
         const shortDate = tools.toShort(date);
-        return this.starredDates.includes(shortDate);
+        if (this.filteredDates && !this.filteredDates.includes(shortDate)) {
+            return false;
+        }
+        return this.starredDates.has(shortDate);
+    }
+
+    /**
+     * Limit stars to the given dates, or show every star again
+     * - Re-renders the currently displayed month
+     * @param {string[] | null} shortDates - Dates in the format YYYY-MM-DD, or null to clear the filter
+     */
+    setFilteredDates(shortDates) {
+        this.filteredDates = shortDates ? [...shortDates] : null;
+        this.updateCalendar(this.dateDisplayed);
+    }
+
+    /**
+     * Keep the `starred` attribute in step with the starred dates, if it was set from markup
+     * - Left unset otherwise, as a year of notes would make a very long attribute
+     */
+    reflectStarred() {
+        if (this.hasAttribute('starred')) {
+            this.setAttribute('starred', [...this.starredDates].join(' '));
+        }
+    }
+
+    /**
+     * Replace the starred dates
+     * - Re-renders the currently displayed month
+     * @param {string[]} shortDates - Dates in the format YYYY-MM-DD
+     */
+    setStarredDates(shortDates) {
+        this.starredDates = new Set(shortDates);
+        this.reflectStarred();
+        this.updateCalendar(this.dateDisplayed);
+    }
+
+    /**
+     * Add or remove a starred date
+     * - Re-renders the currently displayed month
+     * @param {string} shortDate - Date in the format YYYY-MM-DD
+     * @param {boolean} starred - Whether the date should be starred
+     */
+    setStarred(shortDate, starred) {
+        if (starred) {
+            this.starredDates.add(shortDate);
+        } else {
+            this.starredDates.delete(shortDate);
+        }
+        this.reflectStarred();
+        this.updateCalendar(this.dateDisplayed);
+    }
+
+    /**
+     * Render the markers of a day element, after its day number
+     * @param {HTMLDivElement} day - The day element to render markers in
+     */
+    renderDayMarkers(day) {
+        const markers = this.dayMarkers[day.dataset.date];
+        if (!markers?.length) return;
+        const ownerDocument = this.shadowRoot.ownerDocument;
+        const container = ownerDocument.createElement('span');
+        container.className = 'markers';
+        for (const marker of markers) {
+            const element = ownerDocument.createElement('span');
+            element.className = 'marker';
+            element.dataset.kind = marker.kind;
+            element.textContent = marker.icon ?? '';
+            if (marker.color) {
+                element.style.setProperty('--marker-color', marker.color);
+            }
+            container.appendChild(element);
+        }
+        day.appendChild(container);
+        const labels = markers.map(marker => marker.label).filter(Boolean);
+        if (labels.length) {
+            day.title = labels.join(', ');
+        }
+    }
+
+    /**
+     * Set a marker on a date, replacing any marker of the same kind
+     * - Re-renders the currently displayed month
+     * @param {Date | string} date - Date object, or date in the format YYYY-MM-DD
+     * @param {DayMarker} marker - The marker to show
+     */
+    setDayMarker(date, marker) {
+        this.setDayMarkers({ [typeof date === 'string' ? date : tools.toShort(date)]: marker });
+    }
+
+    /**
+     * Set markers on several dates at once, replacing any markers of the same kinds
+     * - Re-renders the currently displayed month once
+     * @param {Object.<string, DayMarker | DayMarker[]>} markers - Markers keyed by date in the format YYYY-MM-DD
+     */
+    setDayMarkers(markers) {
+        for (const [shortDate, value] of Object.entries(markers)) {
+            for (const marker of [value].flat()) {
+                const kind = marker.kind ?? 'default';
+                const existing = (this.dayMarkers[shortDate] ?? []).filter(other => other.kind !== kind);
+                this.dayMarkers[shortDate] = [...existing, { ...marker, kind }];
+            }
+        }
+        this.updateCalendar(this.dateDisplayed);
+    }
+
+    /**
+     * Remove the markers from a date
+     * - Re-renders the currently displayed month
+     * @param {Date | string} date - Date object, or date in the format YYYY-MM-DD
+     * @param {string} [kind] - Kind of marker to remove, omit to remove every kind
+     */
+    clearDayMarker(date, kind) {
+        const shortDate = typeof date === 'string' ? date : tools.toShort(date);
+        const remaining = kind === undefined ? [] : (this.dayMarkers[shortDate] ?? []).filter(marker => marker.kind !== kind);
+        if (remaining.length) {
+            this.dayMarkers[shortDate] = remaining;
+        } else {
+            delete this.dayMarkers[shortDate];
+        }
+        this.updateCalendar(this.dateDisplayed);
+    }
+
+    /**
+     * Remove markers from every date
+     * - Re-renders the currently displayed month
+     * @param {string} [kind] - Kind of marker to remove, omit to remove every kind
+     */
+    clearDayMarkers(kind) {
+        for (const shortDate of Object.keys(this.dayMarkers)) {
+            const remaining = kind === undefined ? [] : this.dayMarkers[shortDate].filter(marker => marker.kind !== kind);
+            if (remaining.length) {
+                this.dayMarkers[shortDate] = remaining;
+            } else {
+                delete this.dayMarkers[shortDate];
+            }
+        }
+        this.updateCalendar(this.dateDisplayed);
     }
 
     /**
@@ -11,6 +11,57 @@ import {
     SimpleDatabase
 } from "./utils/simple-database.js";
 
+import {
+    LocalStorageBackend
+} from "./utils/storage-backends.js";
+
+import {
+    EncryptedStore
+} from "./utils/encrypted-store.js";
+
+import {
+    RevisionHistory,
+    diffLines
+} from "./utils/revision-history.js";
+
+import {
+    NoteSaver
+} from "./utils/note-saver.js";
+
+import {
+    exportNotes,
+    readNotesFile,
+    planImport
+} from "./utils/note-transfer.js";
+
+import {
+    renderMarkdown,
+    toggleTask
+} from "./utils/markdown.js";
+
+import {
+    SearchIndex,
+    parseQuery,
+    findMatches
+} from "./utils/search-index.js";
+
+import {
+    parseTags,
+    normaliseTag,
+    renameTag
+} from "./utils/tags.js";
+
+import {
+    expandEvent,
+    describeRepeat,
+    validateEvent
+} from "./utils/recurrence.js";
+
+import {
+    parseICS,
+    serializeICS
+} from "./utils/icalendar.js";
+
 // < ======================================================
 // < Declarations
 // < ======================================================
@@ -22,6 +73,179 @@ import {
  */
 const APP_NAME = "2025-08-03_CALENDAR_NOTES";
 
+/**
+ * Note stored for a single day
+ * @typedef {Object} Note
+ * @property {string} text - Text content of the note
+ * @property {number} created - Timestamp of first save
+ * @property {number} updated - Timestamp of latest save
+ * @property {0 | 1} pinned - Whether the note is pinned, as a number so it can be indexed
+ * @property {string[]} tags - Tags parsed from the text, empty while notes are encrypted
+ */
+
+/**
+ * Markers stored for a single day, shown in the calendar
+ * @typedef {Object} DayMarkers
+ * @property {string} [mood] - Key of a mood in `MOODS`
+ */
+
+/**
+ * Database schema for the notes app
+ * - Bump `version` and add a migration when changing storage layout
+ * - Notes are stored as `Note` objects keyed by `YYYY-MM-DD` in `notes`
+ * - Notes are indexed by last update, pinned state and tags
+ * - Earlier versions of notes are stored as `Revision` objects in `revisions`
+ * - Words of unencrypted notes are indexed in `search`, for full-text search
+ * - Tags are only kept in `Note.tags` while notes are unencrypted, like the search index
+ * - Day markers such as mood are stored as `DayMarkers` objects keyed by `YYYY-MM-DD` in `markers`
+ * - Events are stored as `CalendarEvent` objects keyed by id in `events`, with titles and descriptions encrypted like notes
+ * - App preferences are stored by name in `settings`
+ * @type {import('./utils/simple-database.js').DatabaseSchema}
+ */
+const SCHEMA = {
+    version: 8,
+    stores: {
+        notes: {
+            structured: true,
+            validate: validateNote,
+            indexes: {
+                updated: { keyPath: 'updated' },
+                pinned: { keyPath: 'pinned' },
+                tags: { keyPath: 'tags', multiEntry: true }
+            }
+        },
+        revisions: {
+            structured: true,
+            validate: validateRevision,
+            indexes: {
+                saved: { keyPath: 'saved' }
+            }
+        },
+        search: {
+            structured: true,
+            indexes: {
+                terms: { keyPath: 'terms', multiEntry: true }
+            }
+        },
+        markers: {
+            structured: true,
+            validate: validateMarkers
+        },
+        events: {
+            structured: true,
+            validate: validateEvent
+        },
+        settings: {}
+    },
+    migrations: {
+        2: (upgrade) => {
+            // Move notes out of the original catch-all store
+            if (!upgrade.hasStore('default')) return;
+            upgrade.each('default', (value, key) => {
+                upgrade.put('notes', key, value);
+            });
+            upgrade.whenIdle(() => upgrade.deleteStore('default'));
+        },
+        3: (upgrade) => {
+            // Convert plain string notes into note objects
+            upgrade.each('notes', (value) => {
+                if (typeof value === 'string') {
+                    return createNote(value);
+                }
+            });
+        },
+        4: (upgrade) => {
+            // Add indexed metadata to existing notes
+            upgrade.each('notes', (value) => {
+                return { pinned: 0, tags: [], ...value };
+            });
+        }
+    }
+};
+
+/**
+ * Milliseconds to wait after the last keystroke before autosaving
+ * @type {number}
+ */
+const AUTOSAVE_DELAY = 1000;
+
+/**
+ * Milliseconds to wait after the last keystroke before searching
+ * @type {number}
+ */
+const SEARCH_DELAY = 200;
+
+/**
+ * Most search results shown at once
+ * @type {number}
+ */
+const SEARCH_LIMIT = 100;
+
+/**
+ * Footer text for each save state
+ * @type {Object.<string, string>}
+ */
+const SAVE_STATUS = {
+    clean: '',
+    dirty: 'Unsaved',
+    saving: 'Saving...',
+    saved: 'Saved',
+    error: 'Save failed'
+};
+
+/**
+ * Moods that can be set for a day, shown as coloured markers in the calendar
+ * @type {Object.<string, { label: string, color: string }>}
+ */
+const MOODS = {
+    great: { label: 'Great', color: 'hsl(140, 70%, 50%)' },
+    good: { label: 'Good', color: 'hsl(90, 60%, 55%)' },
+    okay: { label: 'Okay', color: 'hsl(50, 90%, 55%)' },
+    bad: { label: 'Bad', color: 'hsl(25, 90%, 55%)' },
+    awful: { label: 'Awful', color: 'hsl(0, 80%, 55%)' }
+};
+
+/**
+ * Repeat choices offered for events, as select values and labels
+ * @type {Object.<string, string>}
+ */
+const REPEATS = {
+    none: 'Does not repeat',
+    daily: 'Every day',
+    weekdays: 'Every weekday',
+    weekly: 'Every week',
+    monthly: 'Every month, on this day',
+    monthlyWeekday: 'Every month, on this weekday',
+    yearly: 'Every year'
+};
+
+/**
+ * Reminder choices offered for events, as minutes before the start and labels
+ * @type {[string, string][]}
+ */
+const REMINDERS = [
+    ['', 'No reminder'],
+    ['0', 'At the start'],
+    ['5', '5 minutes before'],
+    ['15', '15 minutes before'],
+    ['60', '1 hour before'],
+    ['1440', '1 day before']
+];
+
+/**
+ * Longest wait between reminder checks, in milliseconds
+ * @type {number}
+ */
+const REMINDER_WINDOW = 60 * 60 * 1000;
+
+/**
+ * Names of errors from opening IndexedDB where the browser has disabled it, eg. in private browsing
+ * - Other errors, such as a `VersionError` from an outdated tab, must not switch to a separate store
+ * - `UnknownError` is left out, as browsers also raise it for temporary disk, quota or corruption failures
+ * @type {string[]}
+ */
+const DISABLED_STORAGE_ERRORS = ['InvalidStateError', 'SecurityError'];
+
 /** Theme code object
  * @type {Object.<string, string>}
  */
@@ -41,14 +265,53 @@ const THEMES = {
 // > Element Queries
 // > ======================================================
 
-const modal = /** @type {HTMLDivElement} */
-    (document.getElementById('modal'));
-
 const footer = /** @type {HTMLDivElement} */
     (document.getElementById('footer'));
 
-const modalContent = /** @type {HTMLDivElement} */
-    (document.getElementById('modal-content'));
+const widget = /** @type {CalendarWidget} */
+    (document.getElementById('calendar'));
+
+const panel = /** @type {HTMLDivElement} */
+    (document.getElementById('panel'));
+
+const panelBody = /** @type {HTMLDivElement} */
+    (document.getElementById('panel-body'));
+
+const pinButton = /** @type {HTMLDivElement} */
+    (document.getElementById('pin-button'));
+
+const moodButton = /** @type {HTMLDivElement} */
+    (document.getElementById('mood-button'));
+
+const listButton = /** @type {HTMLDivElement} */
+    (document.getElementById('list-button'));
+
+const lockButton = /** @type {HTMLDivElement} */
+    (document.getElementById('lock-button'));
+
+const transferButton = /** @type {HTMLDivElement} */
+    (document.getElementById('transfer-button'));
+
+const historyButton = /** @type {HTMLDivElement} */
+    (document.getElementById('history-button'));
+
+const saveStatus = /** @type {HTMLDivElement} */
+    (document.getElementById('save-status'));
+
+const storageNotice = /** @type {HTMLDivElement} */
+    (document.getElementById('storage-notice'));
+
+const tagFilterBar = /** @type {HTMLDivElement} */
+    (document.getElementById('tag-filter'));
+
+const previewButton = /** @type {HTMLDivElement} */
+    (document.getElementById('preview-button'));
+
+const searchButton = /** @type {HTMLDivElement} */
+    (document.getElementById('search-button'));
+
+const eventsButton = /** @type {HTMLDivElement} */
+    (document.getElementById('events-button'));
 
 // < ======================================================
 // < Helper Functions
@@ -71,6 +334,626 @@ function setTheme(name, element) {
     }
 }
 
+/**
+ * Create a note, keeping the metadata of a previous version
+ * 
+ * @param {string} text - Text content of the note
+ * @param {Note} [previous] - Previous version of the note, if any
+ * @param {boolean} [tagged] - Whether to keep tags parsed from the text, defaults to true
+ * @returns {Note} The new note
+ */
+function createNote(text, previous, tagged = true) {
+    const now = Date.now();
+    return {
+        text,
+        created: previous?.created ?? now,
+        updated: now,
+        pinned: previous?.pinned ?? 0,
+        tags: tagged ? parseTags(text) : []
+    };
+}
+
+/**
+ * Validate a value before it is saved to the `notes` store
+ * 
+ * @param {any} value - The value to validate
+ * @returns {true | string} True if valid, otherwise a failure message
+ */
+function validateNote(value) {
+    if (typeof value?.text !== 'string') {
+        return 'Expected note text to be a string';
+    }
+    if (!Number.isFinite(value.created) || !Number.isFinite(value.updated)) {
+        return 'Expected note timestamps to be numbers';
+    }
+    if (value.pinned !== 0 && value.pinned !== 1) {
+        return 'Expected note pinned state to be 0 or 1';
+    }
+    if (!Array.isArray(value.tags) || value.tags.some(tag => typeof tag !== 'string')) {
+        return 'Expected note tags to be an array of strings';
+    }
+    return true;
+}
+
+/**
+ * Validate a value before it is saved to the `revisions` store
+ * 
+ * @param {any} value - The value to validate
+ * @returns {true | string} True if valid, otherwise a failure message
+ */
+function validateRevision(value) {
+    if (typeof value?.key !== 'string' || typeof value.text !== 'string') {
+        return 'Expected revision key and text to be strings';
+    }
+    if (!Number.isFinite(value.saved)) {
+        return 'Expected revision timestamp to be a number';
+    }
+    return true;
+}
+
+/**
+ * Validate a value before it is saved to the `markers` store
+ * - Moods may be encrypted, so are only checked to be strings
+ * 
+ * @param {any} value - The value to validate
+ * @returns {true | string} True if valid, otherwise a failure message
+ */
+function validateMarkers(value) {
+    if (typeof value !== 'object' || value === null || Array.isArray(value)) {
+        return 'Expected day markers to be an object';
+    }
+    if (value.mood !== undefined && typeof value.mood !== 'string') {
+        return 'Expected day mood to be a string';
+    }
+    return true;
+}
+
+/**
+ * Create the calendar marker for a mood
+ * 
+ * @param {string | undefined} mood - Key of a mood in `MOODS`
+ * @returns {import('./components/calendar-widget.js').DayMarker | null} The marker, or null if not a known mood
+ */
+function createMoodMarker(mood) {
+    if (!Object.hasOwn(MOODS, mood ?? '')) {
+        return null;
+    }
+    return {
+        kind: 'mood',
+        color: MOODS[mood].color,
+        label: `Mood: ${MOODS[mood].label}`
+    };
+}
+
+/**
+ * Render the mood button to match the mood of the current day
+ * 
+ * @param {string | undefined} mood - Key of a mood in `MOODS`, if set
+ * @returns {void}
+ */
+function renderMoodButton(mood) {
+    const known = Object.hasOwn(MOODS, mood ?? '');
+    moodButton.innerHTML = known ? '&#9679;' : '&#9675;';
+    moodButton.style.color = known ? MOODS[mood].color : '';
+    moodButton.title = known ? `Mood: ${MOODS[mood].label}` : 'Set mood';
+}
+
+/**
+ * Render the pin button to match the pinned state of a note
+ * 
+ * @param {0 | 1 | undefined} pinned - Pinned state of the current note
+ * @returns {void}
+ */
+function renderPinButton(pinned) {
+    pinButton.innerHTML = pinned ? '&#9670;' : '&#9671;';
+    pinButton.title = pinned ? 'Unpin note' : 'Pin note';
+}
+
+/**
+ * Render the preview button to match the current view
+ * 
+ * @param {boolean} previewing - Whether the Markdown preview is shown
+ * @returns {void}
+ */
+function renderPreviewButton(previewing) {
+    previewButton.innerHTML = previewing ? '&#9998;' : '&#9673;';
+    previewButton.title = previewing ? 'Edit note' : 'Preview Markdown';
+}
+
+/**
+ * Show the save state of the current note in the footer
+ * 
+ * @param {'clean' | 'dirty' | 'saving' | 'saved' | 'error'} state - Save state to show
+ * @param {string} [message] - Failure message, shown on hover for errors
+ * @returns {void}
+ */
+function renderSaveStatus(state, message) {
+    saveStatus.dataset.state = state;
+    saveStatus.textContent = SAVE_STATUS[state];
+    saveStatus.title = message ?? '';
+}
+
+/**
+ * Show the panel, replacing its content with the given elements
+ * 
+ * @param {...HTMLElement} elements - Elements to show in the panel
+ * @returns {void}
+ */
+function showPanel(...elements) {
+    panelBody.replaceChildren(...elements);
+    panel.classList.toggle('shown', true);
+}
+
+/**
+ * Create a row of tabs for the panel
+ * 
+ * @param {Object.<string, string>} labels - Tab labels keyed by tab name
+ * @param {string} active - Name of the active tab
+ * @param {(name: string) => void} onSelect - Called with the name of a clicked tab
+ * @returns {HTMLDivElement} The tab row element
+ */
+function createTabs(labels, active, onSelect) {
+    const row = document.createElement('div');
+    row.className = 'panel-tabs';
+    for (const [name, label] of Object.entries(labels)) {
+        const tab = document.createElement('div');
+        tab.className = 'panel-tab';
+        tab.classList.toggle('active', name === active);
+        tab.textContent = label;
+        tab.addEventListener('click', () => onSelect(name));
+        row.appendChild(tab);
+    }
+    return row;
+}
+
+/**
+ * Create a list of notes, one clickable row per note
+ * 
+ * @param {Object.<string, Note>} entries - Notes keyed by `YYYY-MM-DD`
+ * @param {(shortDate: string) => void} onChoose - Called with the date of a clicked row
+ * @returns {HTMLDivElement} The list element
+ */
+function createNoteList(entries, onChoose) {
+    const list = document.createElement('div');
+    for (const [shortDate, note] of Object.entries(entries)) {
+        const row = document.createElement('div');
+        row.className = 'list-row';
+        const date = document.createElement('span');
+        date.className = 'list-date';
+        date.textContent = shortDate;
+        const preview = document.createElement('span');
+        preview.className = 'list-preview';
+        preview.textContent = note.text.split('\n')[0];
+        row.append(date, preview);
+        row.addEventListener('click', () => onChoose(shortDate));
+        list.appendChild(row);
+    }
+    if (!list.hasChildNodes()) {
+        list.className = 'list-empty';
+        list.textContent = 'No notes';
+    }
+    return list;
+}
+
+/**
+ * Create a list of search results, showing each match in context
+ * - Highlights matches with `mark` elements, around the first match of each note
+ * 
+ * @param {{ key: string, text: string, ranges: [number, number][] }[]} hits - Matching notes, with ranges from `findMatches`
+ * @param {(shortDate: string, range: [number, number]) => void} onChoose - Called with the date and first match of a clicked row
+ * @returns {HTMLDivElement} The list element
+ */
+function createSearchResults(hits, onChoose) {
+    const list = document.createElement('div');
+    for (const { key, text, ranges } of hits) {
+        const row = document.createElement('div');
+        row.className = 'list-row';
+        const date = document.createElement('span');
+        date.className = 'list-date';
+        date.textContent = key;
+        const preview = document.createElement('span');
+        preview.className = 'list-preview';
+
+        // Start a little before the first match, at a word boundary where possible
+        let from = Math.max(0, ranges[0][0] - 30);
+        if (from > 0) {
+            const space = text.indexOf(' ', from);
+            from = space !== -1 && space < ranges[0][0] ? space + 1 : from;
+            preview.append('...');
+        }
+        const to = Math.min(text.length, from + 200);
+        let position = from;
+        for (const [start, end] of ranges) {
+            if (start >= to) break;
+            const mark = document.createElement('mark');
+            mark.textContent = text.slice(start, Math.min(end, to));
+            preview.append(text.slice(position, start), mark);
+            position = Math.min(end, to);
+        }
+        preview.append(text.slice(position, to));
+        row.append(date, preview);
+        row.addEventListener('click', () => onChoose(key, ranges[0]));
+        list.appendChild(row);
+    }
+    if (!list.hasChildNodes()) {
+        list.className = 'list-empty';
+        list.textContent = 'No matching notes';
+    }
+    return list;
+}
+
+/**
+ * Create a cloud of tags, sized by how many notes carry them
+ * 
+ * @param {Object.<string, number>} counts - Number of notes per tag
+ * @param {string | null} active - Tag currently starred on the calendar, if any
+ * @param {(tag: string) => void} onChoose - Called with a clicked tag
+ * @returns {HTMLDivElement} The cloud element
+ */
+function createTagCloud(counts, active, onChoose) {
+    const cloud = document.createElement('div');
+    cloud.className = 'tag-cloud';
+    const most = Math.max(...Object.values(counts));
+    for (const tag of Object.keys(counts).sort()) {
+        const count = counts[tag];
+        const button = document.createElement('span');
+        button.className = tag === active ? 'tag active' : 'tag';
+        button.textContent = `#${tag}`;
+        button.title = `${count} ${count === 1 ? 'note' : 'notes'}`;
+        button.style.fontSize = `${1 + (most > 1 ? Math.log(count) / Math.log(most) : 0) * 0.75}em`;
+        button.addEventListener('click', () => onChoose(tag));
+        cloud.appendChild(button);
+    }
+    if (!cloud.hasChildNodes()) {
+        cloud.className = 'list-empty';
+        cloud.textContent = 'No tags, add one to a note by writing #tag';
+    }
+    return cloud;
+}
+
+/**
+ * Create a panel form of password inputs, with a submit button and status line
+ * - Shows the failure message returned by `onSubmit`, if any
+ * 
+ * @param {string} title - Heading shown above the inputs
+ * @param {Object.<string, string>} labels - Input labels keyed by input name
+ * @param {string} submitLabel - Text of the submit button
+ * @param {(values: Object.<string, string>) => Promise<string | void>} onSubmit - Called with the input values
+ * @returns {HTMLFormElement} The form element
+ */
+function createForm(title, labels, submitLabel, onSubmit) {
+    const form = document.createElement('form');
+    form.className = 'panel-form';
+    const heading = document.createElement('div');
+    heading.className = 'panel-heading';
+    heading.textContent = title;
+    form.appendChild(heading);
+    for (const [name, text] of Object.entries(labels)) {
+        const label = document.createElement('label');
+        label.textContent = text;
+        const input = document.createElement('input');
+        input.type = 'password';
+        input.name = name;
+        input.autocomplete = name === 'current' ? 'current-password' : 'new-password';
+        label.appendChild(input);
+        form.appendChild(label);
+    }
+    const submit = document.createElement('button');
+    submit.type = 'submit';
+    submit.textContent = submitLabel;
+    const status = document.createElement('div');
+    status.className = 'panel-status';
+    form.append(submit, status);
+    form.addEventListener('submit', async (event) => {
+        event.preventDefault();
+        const values = Object.fromEntries(new FormData(form));
+        submit.disabled = true;
+        status.textContent = 'Working...';
+        const message = await onSubmit(values);
+        submit.disabled = false;
+        status.textContent = message ?? '';
+    });
+    return form;
+}
+
+/**
+ * Create a list of revisions, one clickable row per revision
+ * 
+ * @param {import('./utils/revision-history.js').Revision[]} revisions - Revisions, newest first
+ * @param {string} current - Text currently shown, to mark the matching revision
+ * @param {(revision: import('./utils/revision-history.js').Revision) => void} onChoose - Called with a clicked revision
+ * @returns {HTMLDivElement} The list element
+ */
+function createRevisionList(revisions, current, onChoose) {
+    const list = document.createElement('div');
+    for (const revision of revisions) {
+        const row = document.createElement('div');
+        row.className = 'list-row';
+        const time = document.createElement('span');
+        time.className = 'list-date';
+        time.textContent = new Date(revision.saved).toLocaleString();
+        const status = document.createElement('span');
+        status.className = 'list-status';
+        status.textContent = revision.text === current ? 'current' : '';
+        const preview = document.createElement('span');
+        preview.className = 'list-preview';
+        preview.textContent = revision.text.split('\n')[0];
+        row.append(time, status, preview);
+        row.addEventListener('click', () => onChoose(revision));
+        list.appendChild(row);
+    }
+    if (!list.hasChildNodes()) {
+        list.className = 'list-empty';
+        list.textContent = 'No earlier versions';
+    }
+    return list;
+}
+
+/**
+ * Create a line diff, marking added and removed lines
+ * 
+ * @param {import('./utils/revision-history.js').DiffLine[]} lines - Lines from `diffLines`
+ * @returns {HTMLPreElement} The diff element
+ */
+function createDiff(lines) {
+    const diff = document.createElement('pre');
+    diff.className = 'diff';
+    const prefixes = { same: '  ', added: '+ ', removed: '- ' };
+    for (const { type, line } of lines) {
+        const row = document.createElement('div');
+        row.className = `diff-line ${type}`;
+        row.textContent = prefixes[type] + line;
+        diff.appendChild(row);
+    }
+    if (!lines.some(line => line.type !== 'same')) {
+        diff.className = 'diff list-empty';
+        diff.textContent = 'No differences';
+    }
+    return diff;
+}
+
+/**
+ * Download a file produced by `exportNotes`
+ * 
+ * @param {import('./utils/note-transfer.js').ExportFile} file - The file to download
+ * @returns {void}
+ */
+function downloadFile(file) {
+    const url = URL.createObjectURL(new Blob([file.data], { type: file.type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = file.name;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+/**
+ * Create a preview of an import plan, one row per new or changed date
+ * 
+ * @param {import('./utils/note-transfer.js').ImportPlan} plan - The planned import
+ * @returns {HTMLDivElement} The preview element
+ */
+function createImportPreview(plan) {
+    const preview = document.createElement('div');
+    const summary = document.createElement('div');
+    summary.className = 'panel-status';
+    summary.textContent = [
+        `${plan.added.length} new`,
+        `${plan.changed.length} changed`,
+        `${plan.unchanged.length} unchanged`,
+        `${plan.skipped.length} skipped`
+    ].join(', ');
+    preview.appendChild(summary);
+    for (const [label, keys] of [['new', plan.added], ['changed', plan.changed]]) {
+        for (const key of keys) {
+            const row = document.createElement('div');
+            row.className = 'list-row';
+            const date = document.createElement('span');
+            date.className = 'list-date';
+            date.textContent = key;
+            const status = document.createElement('span');
+            status.className = 'list-status';
+            status.textContent = label;
+            const text = document.createElement('span');
+            text.className = 'list-preview';
+            text.textContent = plan.notes[key].text.split('\n')[0];
+            row.append(date, status, text);
+            preview.appendChild(row);
+        }
+    }
+    return preview;
+}
+
+/**
+ * Create a repeat rule from a choice in `REPEATS`
+ * 
+ * @param {string} choice - Key of a choice in `REPEATS`
+ * @param {string} until - Last date in the format YYYY-MM-DD, or '' to repeat forever
+ * @returns {import('./utils/recurrence.js').RepeatRule | undefined} The rule, or undefined to not repeat
+ */
+function createRepeatRule(choice, until) {
+    const rule = {
+        daily: { frequency: 'daily' },
+        weekdays: { frequency: 'weekly', weekdays: [1, 2, 3, 4, 5] },
+        weekly: { frequency: 'weekly' },
+        monthly: { frequency: 'monthly', by: 'day' },
+        monthlyWeekday: { frequency: 'monthly', by: 'weekday' },
+        yearly: { frequency: 'yearly' }
+    }[choice];
+    return rule && until ? { ...rule, until } : rule;
+}
+
+/**
+ * Find the choice in `REPEATS` matching a repeat rule
+ * - Rules made elsewhere, eg. imported, fall back to their frequency
+ * 
+ * @param {import('./utils/recurrence.js').RepeatRule | undefined} rule - The rule, if any
+ * @returns {string} Key of a choice in `REPEATS`
+ */
+function findRepeatChoice(rule) {
+    if (!rule) return 'none';
+    if (rule.frequency === 'weekly' && rule.weekdays?.join() === '1,2,3,4,5') return 'weekdays';
+    if (rule.frequency === 'monthly' && rule.by === 'weekday') return 'monthlyWeekday';
+    return rule.frequency;
+}
+
+/**
+ * Format the times of an event, eg. '09:00-09:30' or 'All day'
+ * 
+ * @param {import('./utils/recurrence.js').CalendarEvent} event - The event
+ * @returns {string} The formatted times
+ */
+function formatEventTimes(event) {
+    if (!event.start) return 'All day';
+    return event.end ? `${event.start}-${event.end}` : event.start;
+}
+
+/**
+ * Describe how long before the start a reminder is sent, eg. '30 minutes before' or '2 days before'
+ * 
+ * @param {number} minutes - Minutes before the start
+ * @returns {string} The description
+ */
+function formatReminder(minutes) {
+    if (minutes === 0) return 'At the start';
+    const [size, unit] = minutes % 1440 === 0 ? [1440, 'day'] : minutes % 60 === 0 ? [60, 'hour'] : [1, 'minute'];
+    const count = minutes / size;
+    return `${count} ${unit}${count === 1 ? '' : 's'} before`;
+}
+
+/**
+ * Create a list of event occurrences, one clickable row per occurrence
+ * 
+ * @param {{ id: string, event: import('./utils/recurrence.js').CalendarEvent }[]} occurrences - Occurrences on one day, in order
+ * @param {(id: string) => void} onChoose - Called with the id of a clicked event
+ * @returns {HTMLDivElement} The list element
+ */
+function createEventList(occurrences, onChoose) {
+    const list = document.createElement('div');
+    for (const { id, event } of occurrences) {
+        const row = document.createElement('div');
+        row.className = 'list-row';
+        const time = document.createElement('span');
+        time.className = 'list-date';
+        time.textContent = formatEventTimes(event);
+        const status = document.createElement('span');
+        status.className = 'list-status';
+        status.textContent = event.repeat ? describeRepeat(event.repeat, event.date) : '';
+        const title = document.createElement('span');
+        title.className = 'list-preview';
+        title.textContent = event.title;
+        row.append(time, status, title);
+        row.addEventListener('click', () => onChoose(id));
+        list.appendChild(row);
+    }
+    if (!list.hasChildNodes()) {
+        list.className = 'list-empty';
+        list.textContent = 'No events';
+    }
+    return list;
+}
+
+/**
+ * Create a form to add or edit an event
+ * - Repeats and reminders are chosen from `REPEATS` and `REMINDERS`
+ * - Reminders missing from `REMINDERS`, eg. imported ones, are offered too so saving keeps them
+ * 
+ * @param {import('./utils/recurrence.js').CalendarEvent} event - The event to edit, or a new event with an empty title
+ * @param {(values: Object.<string, string>) => Promise<string | void>} onSubmit - Called with the input values, returns a failure message
+ * @returns {HTMLFormElement} The form element, with a `.panel-buttons` row to add actions to
+ */
+function createEventForm(event, onSubmit) {
+    const form = document.createElement('form');
+    form.className = 'panel-form';
+    const heading = document.createElement('div');
+    heading.className = 'panel-heading';
+    heading.textContent = event.title ? 'Edit event' : 'New event';
+    form.appendChild(heading);
+
+    /**
+     * Add a labelled input, select or textarea to the form
+     * @param {string} text - Label text
+     * @param {HTMLInputElement | HTMLSelectElement | HTMLTextAreaElement} input - The named input
+     */
+    const addField = (text, input) => {
+        const label = document.createElement('label');
+        label.textContent = text;
+        label.appendChild(input);
+        form.appendChild(label);
+    };
+    /**
+     * Create a named input
+     * @param {string} type - Input type eg. 'time'
+     * @param {string} name - Input name
+     * @param {string} [value] - Initial value
+     * @returns {HTMLInputElement} The input
+     */
+    const createInput = (type, name, value = '') => {
+        const input = document.createElement('input');
+        input.type = type;
+        input.name = name;
+        input.value = value;
+        return input;
+    };
+    /**
+     * Create a named select
+     * @param {string} name - Select name
+     * @param {[string, string][]} options - Option values and labels
+     * @param {string} value - Value of the selected option
+     * @returns {HTMLSelectElement} The select
+     */
+    const createSelect = (name, options, value) => {
+        const select = document.createElement('select');
+        select.name = name;
+        for (const [optionValue, label] of options) {
+            const option = document.createElement('option');
+            option.value = optionValue;
+            option.textContent = label;
+            option.selected = optionValue === value;
+            select.appendChild(option);
+        }
+        return select;
+    };
+
+    const title = createInput('text', 'title', event.title);
+    title.required = true;
+    addField('Title', title);
+    addField('Start time, empty for all day', createInput('time', 'start', event.start));
+    addField('End time', createInput('time', 'end', event.end));
+    addField('Repeat', createSelect('repeat', Object.entries(REPEATS), findRepeatChoice(event.repeat)));
+    addField('Repeat until, empty for forever', createInput('date', 'until', event.repeat?.until));
+    const remind = String(event.remind ?? '');
+    const reminders = REMINDERS.some(([value]) => value === remind)
+        ? REMINDERS
+        : [...REMINDERS, [remind, formatReminder(event.remind)]];
+    addField('Reminder', createSelect('remind', reminders, remind));
+    const description = document.createElement('textarea');
+    description.name = 'description';
+    description.rows = 3;
+    description.value = event.description ?? '';
+    addField('Notes', description);
+
+    const row = document.createElement('div');
+    row.className = 'panel-buttons';
+    const submit = document.createElement('button');
+    submit.type = 'submit';
+    submit.textContent = 'Save';
+    row.appendChild(submit);
+    const status = document.createElement('div');
+    status.className = 'panel-status';
+    form.append(row, status);
+    form.addEventListener('submit', async (submitEvent) => {
+        submitEvent.preventDefault();
+        const values = Object.fromEntries(new FormData(form));
+        submit.disabled = true;
+        status.textContent = 'Working...';
+        const message = await onSubmit(values);
+        submit.disabled = false;
+        status.textContent = message ?? '';
+    });
+    return form;
+}
+
 function flash(element, colour = 'limegreen', ms = 300) {
     element.style.transition = `background ${ms}ms`;
     element.style.background = colour;
@@ -90,6 +973,9 @@ const main = /** @type {HTMLDivElement} */
 const textarea = /** @type {HTMLTextAreaElement} */
     (document.getElementById('textarea'));
 
+const preview = /** @type {HTMLDivElement} */
+    (document.getElementById('preview'));
+
 // ~ ======================================================
 // ~ Entry Point
 // ~ ======================================================
@@ -97,104 +983,1559 @@ const textarea = /** @type {HTMLTextAreaElement} */
 // ? Run callback when all resources have loaded
 window.addEventListener('load', async () => {
 
-    // Create database instance for IndexedDB
-    const db = new SimpleDatabase(APP_NAME);
+    // Create database instance for IndexedDB, or localStorage where the browser has no IndexedDB
+    let fallback = typeof indexedDB === 'undefined';
+    let db = fallback
+        ? new SimpleDatabase(APP_NAME, SCHEMA, { backend: new LocalStorageBackend() })
+        : new SimpleDatabase(APP_NAME, SCHEMA);
     let result;
 
     result = await db.open();
+
+    // Fall back to localStorage only where IndexedDB is disabled, as other errors would leave notes in a separate store
+    if (!fallback && !result.success && DISABLED_STORAGE_ERRORS.includes(result.error?.name)) {
+        console.warn('IndexedDB disabled, falling back to localStorage:', result.message);
+        fallback = true;
+        db = new SimpleDatabase(APP_NAME, SCHEMA, { backend: new LocalStorageBackend() });
+        result = await db.open();
+    }
+    if (fallback) {
+        storageNotice.textContent = 'This browser has IndexedDB disabled, so notes are kept in localStorage, separate from your other notes';
+        storageNotice.classList.toggle('hidden', false);
+    }
+
     if (result.success) {
         console.log('Database opened');
     } else {
         console.error('Database failed to open:', result.message, result.error);
+        storageNotice.textContent = `Notes could not be opened, reload the page to try again (${result.message})`;
+        storageNotice.classList.toggle('hidden', false);
     }
 
-    result = await db.loadAll();
-    console.log(`read`, result);
-    console.log(JSON.stringify(result.data, null, 2));
+    // Get handles for each object store, encrypting note text once a passphrase is set
+    const notes = new EncryptedStore(db, 'notes', { fields: ['text'] });
+    const revisions = notes.link('revisions', { fields: ['text'] });
+    const markers = notes.link('markers', { fields: ['mood'] });
+    const events = notes.link('events', { fields: ['title', 'description'] });
+    const settings = db.store('settings');
+
+    // Keep earlier versions of notes, pruned by count per day and by age
+    const history = new RevisionHistory(revisions);
+
+    // Index the words of notes for search, while they are unencrypted
+    const search = new SearchIndex(db, 'search');
+
+    /**
+     * Note for the date currently shown in the textarea
+     * @type {Note | undefined}
+     */
+    let currentNote;
+
+    /**
+     * Mood of the date currently shown, if set
+     * @type {string | undefined}
+     */
+    let currentMood;
+
+    /**
+     * Whether the rendered Markdown is shown in place of the textarea
+     * @type {boolean}
+     */
+    let previewing = false;
+
+    /**
+     * Whether words and tags of notes are kept in plain text, for search and tag lookups
+     * - Only while notes are unencrypted, so encrypted notes are searched by decrypting them
+     * @returns {Promise<boolean>} True if notes are unencrypted
+     */
+    const isIndexing = async () => {
+        const status = await notes.status();
+        return status.success && status.data === 'disabled';
+    };
+
+    /**
+     * Update the search index for a saved or deleted note, unless notes are encrypted
+     * @param {string} date - Date of the note
+     * @param {string} text - Saved text, empty if the note was deleted
+     */
+    const indexNote = async (date, text) => {
+        if (!(await isIndexing())) return;
+        const result = await search.update(date, text);
+        if (!result.success) {
+            console.warn('Search index failed to update:', result.message, result.error);
+        }
+    };
 
+    // Autosave and queue saves of the note shown in the textarea, deleting it if emptied
+    const saver = new NoteSaver({
+        read: () => textarea.value,
+        saved: () => currentNote?.text,
+        writable: () => !notes.locked,
+        render: renderSaveStatus,
+        delay: AUTOSAVE_DELAY,
+        write: async (text, { restore = false } = {}) => {
+            const date = footerDate.dataset.date;
+            const note = createNote(text, currentNote, await isIndexing());
+            const result = await notes.save(date, note);
+            console.log(`write ${date}`, result);
+            if (!result.success) return result;
+            currentNote = note;
+            widget.setStarred(date, true);
+            await indexNote(date, text);
+
+            // A failed snapshot should not fail the save itself, and a restore keeps the text it replaces
+            const recorded = await history.record(date, text, Date.now(), { coalesce: !restore });
+            if (!recorded.success) {
+                console.warn('Revision failed to record:', recorded.message, recorded.error);
+            }
+            if (tagFilter) await applyTagFilter();
+            return result;
+        },
+        remove: async () => {
+            const date = footerDate.dataset.date;
+            const result = await notes.delete(date);
+            console.log(`delete ${date}`, result);
+            if (!result.success) return result;
+            currentNote = undefined;
+            renderPinButton(0);
+            widget.setStarred(date, false);
+            await indexNote(date, '');
+            if (tagFilter) await applyTagFilter();
+            return result;
+        }
+    });
+
+    /**
+     * Save before leaving the current note, asking whether to discard edits that fail to save
+     * @returns {Promise<boolean>} True if it is safe to show another note
+     */
+    const leaveNote = () => saver.leave((result) => {
+        return confirm(`Changes to ${footerDate.textContent} could not be saved: ${result.message}\n\nDiscard them?`);
+    });
+
+    /**
+     * Show either the textarea or the rendered Markdown of its text
+     * - Renders from the textarea, so the preview includes unsaved edits
+     */
+    const renderPreview = () => {
+        textarea.classList.toggle('hidden', previewing);
+        preview.classList.toggle('hidden', !previewing);
+        renderPreviewButton(previewing);
+        if (!previewing) return;
+        preview.innerHTML = renderMarkdown(textarea.value);
+        preview.dataset.placeholder = textarea.placeholder || 'Nothing to preview';
+    };
+
+    // Autosave shortly after typing stops
+    textarea.addEventListener('input', () => saver.edit());
+
+    // Save immediately when the page is hidden, eg. switching tabs or apps
+    document.addEventListener('visibilitychange', () => {
+        if (document.visibilityState === 'hidden') saver.save();
+    });
+
+    // Warn before closing while edits are unsaved, starting a save in case the user stays
+    window.addEventListener('beforeunload', (event) => {
+        if (!saver.isDirty()) return;
+        saver.save();
+        event.preventDefault();
+        event.returnValue = '';
+    });
 
     document.addEventListener('keydown', async (event) => {
         if (event.ctrlKey && event.key.toLowerCase() === 's') {
             event.preventDefault();
-            const text = textarea.value;
-            const date = footerDate.dataset.date;
-            result = await db.save(date, text);
-            if (result.success) {
-                flash(footer, 'rgba(0,255,0,0.2)');
-                widget.starredDates.push(date);
-            } else {
-                flash(footer, 'rgba(255,0,0,0.2)');
+
+            // Never save or delete over notes that could not be shown
+            if (notes.locked) {
+                await showLockPanel();
+                return;
             }
-            console.log(`write ${date}`, result);
+
+            const result = await saver.save();
+            flash(footer, result.success ? 'rgba(0,255,0,0.2)' : 'rgba(255,0,0,0.2)');
+        } else if (event.ctrlKey && event.shiftKey && event.key.toLowerCase() === 'f') {
+            event.preventDefault();
+            await showSearchPanel(lastQuery);
         }
     });
 
     const footerDate = document.getElementById('footer-date');
 
-    modal.addEventListener('click', (event) => {
-        if (!event.target.closest('#modal-content')) {
-            modal.classList.toggle('shown', false);
+    // Apply the saved theme, falling back to emerald
+    result = await settings.load('theme');
+    let themeName = result.success ? result.data : THEMES.Emerald;
+    setTheme(themeName);
+
+    // Restore the last view, editing by default
+    result = await settings.load('view');
+    previewing = result.success && result.data === 'preview';
+
+    /**
+     * Star the dates with notes in the visible 42-day window
+     * - Ignores results for a window that is no longer visible
+     * @param {Date} first - First visible date
+     * @param {Date} last - Last visible date
+     */
+    const loadStars = async (first, last) => {
+        const from = tools.toShort(first);
+        const to = tools.toShort(last);
+        // Stars only need keys, so read the underlying store, which works while locked
+        const result = await db.store('notes').loadRange(from, to);
+        const [visibleFirst] = widget.getVisibleRange();
+        if (!result.success || tools.toShort(visibleFirst) !== from) return;
+        widget.setStarredDates(Object.keys(result.data));
+    };
+
+    /**
+     * Show the markers of dates in the visible 42-day window, eg. moods
+     * - Ignores results for a window that is no longer visible
+     * - Shows no moods while locked, as they are encrypted with notes
+     * @param {Date} first - First visible date
+     * @param {Date} last - Last visible date
+     */
+    const loadMarkers = async (first, last) => {
+        const from = tools.toShort(first);
+        const result = await markers.loadRange(from, tools.toShort(last));
+        const [visibleFirst] = widget.getVisibleRange();
+        if (tools.toShort(visibleFirst) !== from) return;
+        const moods = {};
+        for (const [date, value] of Object.entries(result.success ? result.data : {})) {
+            const marker = createMoodMarker(value.mood);
+            if (marker) moods[date] = marker;
         }
-    });
+        widget.clearDayMarkers('mood');
+        widget.setDayMarkers(moods);
+    };
+
+    /**
+     * Every event keyed by id, empty while locked as titles and descriptions are encrypted
+     * @type {Object.<string, import('./utils/recurrence.js').CalendarEvent>}
+     */
+    let allEvents = {};
+
+    /**
+     * Find the occurrences of every event between two dates
+     * @param {string} from - First date in the format YYYY-MM-DD
+     * @param {string} to - Last date in the format YYYY-MM-DD
+     * @returns {{ id: string, event: import('./utils/recurrence.js').CalendarEvent, date: string }[]} Occurrences by date, with all-day events before timed events
+     */
+    const findOccurrences = (from, to) => {
+        const occurrences = [];
+        for (const [id, event] of Object.entries(allEvents)) {
+            for (const date of expandEvent(event, from, to)) {
+                occurrences.push({ id, event, date });
+            }
+        }
+        return occurrences.sort((a, b) => a.date.localeCompare(b.date) || (a.event.start ?? '').localeCompare(b.event.start ?? ''));
+    };
 
-    footerDate.addEventListener('click', () => {
-        modal.classList.toggle('shown', true);
-    })
+    /**
+     * Show a marker on each date with events in the visible 42-day window
+     * - One event shows as a dot, and more show as a count
+     * @param {Date} first - First visible date
+     * @param {Date} last - Last visible date
+     */
+    const renderEvents = (first, last) => {
+        const days = {};
+        for (const { event, date } of findOccurrences(tools.toShort(first), tools.toShort(last))) {
+            (days[date] ??= []).push(`${formatEventTimes(event)} ${event.title}`);
+        }
+        const eventMarkers = {};
+        for (const [date, lines] of Object.entries(days)) {
+            eventMarkers[date] = { kind: 'event', icon: lines.length > 1 ? String(lines.length) : '', label: lines.join(', ') };
+        }
+        widget.clearDayMarkers('event');
+        widget.setDayMarkers(eventMarkers);
+    };
+
+    /**
+     * Timer for the next reminder check, if any
+     * @type {ReturnType<typeof setTimeout> | undefined}
+     */
+    let reminderTimer;
+
+    /**
+     * Time up to which reminders have been sent, so each is sent once and none are sent for the past
+     * @type {number}
+     */
+    let remindedUntil = Date.now();
+
+    /**
+     * Send reminders that are due, then wait for the next one
+     * - Only runs while the tab is open and notifications are allowed
+     * - Checks at least every `REMINDER_WINDOW`, in case timers are delayed while asleep
+     */
+    const checkReminders = () => {
+        clearTimeout(reminderTimer);
+        if (!('Notification' in window) || Notification.permission !== 'granted') return;
+        const now = Date.now();
+        let next = now + REMINDER_WINDOW;
+
+        // Look ahead by the longest reminder of any event, eg. a week for imported ones, and a day more for partial days
+        const longest = Math.max(0, ...Object.values(allEvents).map(event => event.remind ?? 0));
+        const from = tools.toShort(new Date(remindedUntil));
+        const to = tools.toShort(new Date(next + (longest + 24 * 60) * 60 * 1000));
+        for (const { id, event, date } of findOccurrences(from, to)) {
+            if (!event.start || event.remind === undefined) continue;
+            const starts = new Date(`${date}T${event.start}`).getTime();
+            const time = starts - event.remind * 60 * 1000;
+            if (time > remindedUntil && time <= now) {
+                new Notification(event.title, {
+                    body: `${tools.toPretty(tools.fromShort(date))}, ${formatEventTimes(event)}`,
+                    tag: `${id}/${date}`
+                });
+            } else if (time > now) {
+                next = Math.min(next, time);
+            }
+        }
+        remindedUntil = now;
+        reminderTimer = setTimeout(checkReminders, next - now);
+    };
 
-    setTheme('emerald');
+    /**
+     * Load every event, then show them on the calendar and schedule reminders
+     * - Shows no events while locked
+     */
+    const loadEvents = async () => {
+        const result = await events.loadAll();
+        allEvents = result.success ? result.data : {};
+        renderEvents(...widget.getVisibleRange());
+        checkReminders();
+    };
+
+    /**
+     * Tag whose notes are starred on the calendar, or null to star every note
+     * @type {string | null}
+     */
+    let tagFilter = null;
+
+    /**
+     * Load every note carrying a tag
+     * - Reads the tags index while unencrypted, and decrypts every note otherwise
+     * @param {string} tag - The tag to look for
+     * @returns {Promise<{ success: boolean, data?: Object.<string, Note>, message?: string, error?: Error }>} Tagged notes, keyed by date
+     */
+    const loadTagged = async (tag) => {
+        if (await isIndexing()) {
+            return notes.query('tags', { only: tag });
+        }
+        const result = await notes.loadAll();
+        if (!result.success) return result;
+        return {
+            success: true,
+            data: Object.fromEntries(Object.entries(result.data).filter(([, note]) => parseTags(note.text).includes(tag)))
+        };
+    };
+
+    /**
+     * Limit calendar stars to notes carrying the filtered tag, and show the filter above the calendar
+     * - Clears the filter if tagged notes cannot be loaded, eg. once locked
+     */
+    const applyTagFilter = async () => {
+        let dates = null;
+        if (tagFilter) {
+            const result = await loadTagged(tagFilter);
+            if (result.success) {
+                dates = Object.keys(result.data);
+            } else {
+                tagFilter = null;
+            }
+        }
+        widget.setFilteredDates(dates);
+        tagFilterBar.textContent = tagFilter ? `Starring #${tagFilter} only \u00d7` : '';
+        tagFilterBar.classList.toggle('hidden', !tagFilter);
+    };
 
-    const widget = new CalendarWidget();
-    modalContent.appendChild(widget);
+    // Clicking the filter shows every star again
+    tagFilterBar.addEventListener('click', async () => {
+        tagFilter = null;
+        await applyTagFilter();
+    });
 
-    result = await db._loadAllKeys();
-    widget.starredDates.push(...result.data);
+    widget.addEventListener('month-change', (event) => {
+        const first = tools.fromShort(event.detail.first);
+        const last = tools.fromShort(event.detail.last);
+        loadStars(first, last);
+        loadMarkers(first, last);
+        renderEvents(first, last);
+    });
     widget.updateCalendar(new Date());
+    await loadStars(...widget.getVisibleRange());
+    await loadMarkers(...widget.getVisibleRange());
+    await loadEvents();
 
     // widget.toggleDayMarked();
 
-    footerDate.textContent = tools.toPretty(widget.dateToday);
-    footerDate.dataset.date = tools.toShort(widget.dateToday);
-
-    widget.onDayClick = async (date, element) => {
+    /**
+     * Show the note for a date in the textarea and footer
+     * @param {Date} date - The date of the note to show
+     */
+    const showNote = async (date) => {
         footerDate.textContent = tools.toPretty(date);
         footerDate.dataset.date = tools.toShort(date);
-        modal.classList.toggle('shown', false);
-        {
-            const date = footerDate.dataset.date;
-            result = await db.load(date);
-            if (result.success) {
-                textarea.value = result.data;
+        result = await notes.load(footerDate.dataset.date);
+        currentNote = result.success ? result.data : undefined;
+        textarea.value = currentNote?.text ?? '';
+        renderPinButton(currentNote?.pinned);
+        renderSaveStatus('clean');
+        renderPreview();
+        console.log(result);
+        const marked = await markers.load(footerDate.dataset.date);
+        currentMood = marked.success ? marked.data.mood : undefined;
+        renderMoodButton(currentMood);
+    };
+
+    /**
+     * Date chosen while a navigation is running, shown once it finishes
+     * @type {string | null}
+     */
+    let pendingDate = null;
+
+    /**
+     * Running navigation, resolving with the date it showed last, or null if the open note could not be left
+     * @type {Promise<string | null> | null}
+     */
+    let navigation = null;
+
+    /**
+     * Show the note for a date once the open note is left, moving the calendar to it
+     * - Runs one navigation at a time, so a date chosen meanwhile replaces any still waiting
+     * @param {string} shortDate - Date of the note, as `YYYY-MM-DD`
+     * @returns {Promise<boolean>} True if the note is shown, false if the open note could not be left or a later date was chosen
+     */
+    const navigateTo = (shortDate) => {
+        pendingDate = shortDate;
+        navigation ??= (async () => {
+            let shown = null;
+            try {
+                while (pendingDate !== null) {
+                    const date = pendingDate;
+                    pendingDate = null;
+                    if (!(await leaveNote())) return null;
+                    widget.value = date;
+                    await showNote(tools.fromShort(date));
+                    shown = date;
+                }
+                return shown;
+            } finally {
+                pendingDate = null;
+                navigation = null;
+            }
+        })();
+        return navigation.then(shown => shown === shortDate);
+    };
+
+    // Keep the calendar on the open note until it is left
+    widget.addEventListener('date-select', (event) => {
+        event.preventDefault();
+        widget.open = false;
+        navigateTo(event.detail.date);
+    });
+
+    await showNote(widget.dateToday);
+
+    // Toggle the pinned state of the current note
+    pinButton.addEventListener('click', async () => {
+        await saver.save();
+        const date = footerDate.dataset.date;
+        if (!currentNote) {
+            flash(footer, 'rgba(255,0,0,0.2)');
+            return;
+        }
+        const note = { ...currentNote, pinned: currentNote.pinned ? 0 : 1 };
+        result = await notes.save(date, note);
+        if (result.success) {
+            currentNote = note;
+            renderPinButton(note.pinned);
+        } else {
+            flash(footer, 'rgba(255,0,0,0.2)');
+        }
+        console.log(`pin ${date}`, result);
+    });
+
+    /**
+     * Set or clear the mood of the current day, and its calendar marker
+     * @param {string | null} mood - Key of a mood in `MOODS`, or null to clear it
+     */
+    const setMood = async (mood) => {
+        const date = footerDate.dataset.date;
+        const result = mood ? await markers.save(date, { mood }) : await markers.delete(date);
+        console.log(`mood ${date}`, result);
+        if (!result.success) {
+            flash(footer, 'rgba(255,0,0,0.2)');
+            return;
+        }
+        currentMood = mood ?? undefined;
+        renderMoodButton(currentMood);
+        if (mood) {
+            widget.setDayMarker(date, createMoodMarker(mood));
+        } else {
+            widget.clearDayMarker(date, 'mood');
+        }
+    };
+
+    /**
+     * Show the moods that can be set for the current day
+     */
+    const showMoodPanel = async () => {
+        if (notes.locked) {
+            await showLockPanel();
+            return;
+        }
+        const heading = document.createElement('div');
+        heading.className = 'panel-heading';
+        heading.textContent = `Mood for ${footerDate.textContent}`;
+        const row = document.createElement('div');
+        row.className = 'panel-buttons';
+        for (const [mood, { label, color }] of [...Object.entries(MOODS), [null, { label: 'Clear' }]]) {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.textContent = label;
+            if (color) {
+                const dot = document.createElement('span');
+                dot.className = 'mood-dot';
+                dot.style.background = color;
+                button.prepend(dot);
+            }
+            button.classList.toggle('active', mood === (currentMood ?? null));
+            button.addEventListener('click', async () => {
+                panel.classList.toggle('shown', false);
+                await setMood(mood);
+            });
+            row.appendChild(button);
+        }
+        const form = document.createElement('div');
+        form.className = 'panel-form';
+        form.append(heading, row);
+        showPanel(form);
+    };
+
+    moodButton.addEventListener('click', () => showMoodPanel());
+
+    /**
+     * Save an event, or delete it if null, then update the calendar and reminders
+     * @param {string} id - Id of the event
+     * @param {import('./utils/recurrence.js').CalendarEvent | null} event - The event to save
+     * @returns {Promise<{ success: boolean, message?: string, error?: Error }>} The result of the save
+     */
+    const writeEvent = async (id, event) => {
+        const result = event ? await events.save(id, event) : await events.delete(id);
+        console.log(`event ${id}`, result);
+        if (!result.success) return result;
+        if (event) {
+            allEvents[id] = event;
+        } else {
+            delete allEvents[id];
+        }
+        renderEvents(...widget.getVisibleRange());
+        checkReminders();
+        return result;
+    };
+
+    /**
+     * Show the events on the current day, with a button to add one
+     */
+    const showEventsPanel = async () => {
+        if (notes.locked) {
+            await showLockPanel();
+            return;
+        }
+        const date = footerDate.dataset.date;
+        const heading = document.createElement('div');
+        heading.className = 'panel-heading';
+        heading.textContent = `Events on ${footerDate.textContent}`;
+        const row = document.createElement('div');
+        row.className = 'panel-buttons';
+        const add = document.createElement('button');
+        add.type = 'button';
+        add.textContent = 'Add event';
+        add.addEventListener('click', () => showEventForm(null, date));
+        row.appendChild(add);
+        const list = createEventList(findOccurrences(date, date), (id) => showEventForm(id, date));
+        const wrapper = document.createElement('div');
+        wrapper.className = 'panel-form';
+        wrapper.append(heading, row, list);
+        showPanel(wrapper);
+    };
+
+    /**
+     * Show the form to add an event on a date, or to edit an event from one of its occurrences
+     * - Repeating events can skip the occurrence, or be deleted with every occurrence
+     * - Asks for notification permission when a reminder is first set
+     * @param {string | null} id - Id of the event to edit, or null to add one
+     * @param {string} date - Date of the occurrence, or of the new event, in the format YYYY-MM-DD
+     */
+    const showEventForm = (id, date) => {
+        const existing = id ? allEvents[id] : undefined;
+        const form = createEventForm(existing ?? { title: '', date }, async (values) => {
+            const choice = values.repeat;
+
+            // Keep details the form cannot show, eg. an interval, unless the repeat choice changed
+            let repeat = createRepeatRule(choice, values.until);
+            if (existing?.repeat && choice === findRepeatChoice(existing.repeat)) {
+                repeat = { ...existing.repeat };
+                delete repeat.until;
+                if (values.until) repeat.until = values.until;
+            }
+            const event = { title: values.title.trim(), date: existing?.date ?? date };
+            if (values.start) event.start = values.start;
+            if (values.start && values.end) event.end = values.end;
+            if (repeat) event.repeat = repeat;
+            if (repeat && existing?.exceptions?.length) event.exceptions = existing.exceptions;
+            if (values.remind !== '') event.remind = Number(values.remind);
+            if (values.description.trim()) event.description = values.description.trim();
+            if (!event.title) return 'Enter a title';
+            if (event.remind !== undefined && !event.start) return 'Reminders need a start time';
+            const valid = validateEvent(event);
+            if (valid !== true) return valid;
+
+            const result = await writeEvent(id ?? crypto.randomUUID(), event);
+            if (!result.success) return result.message;
+            if (event.remind !== undefined && 'Notification' in window && Notification.permission === 'default') {
+                await Notification.requestPermission();
+                checkReminders();
+            }
+            if (event.remind !== undefined && (!('Notification' in window) || Notification.permission !== 'granted')) {
+                return 'Saved, but reminders are blocked by the browser';
+            }
+            await showEventsPanel();
+        });
+
+        const row = form.querySelector('.panel-buttons');
+        const back = document.createElement('button');
+        back.type = 'button';
+        back.textContent = 'Back';
+        back.addEventListener('click', () => showEventsPanel());
+        row.prepend(back);
+        if (id && existing.repeat) {
+            const skip = document.createElement('button');
+            skip.type = 'button';
+            skip.textContent = 'Skip this day';
+            skip.addEventListener('click', async () => {
+                const result = await writeEvent(id, { ...existing, exceptions: [...(existing.exceptions ?? []), date] });
+                if (result.success) await showEventsPanel();
+            });
+            row.appendChild(skip);
+        }
+        if (id) {
+            const remove = document.createElement('button');
+            remove.type = 'button';
+            remove.textContent = existing.repeat ? 'Delete every day' : 'Delete';
+            remove.addEventListener('click', async () => {
+                const result = await writeEvent(id, null);
+                if (result.success) await showEventsPanel();
+            });
+            row.appendChild(remove);
+        }
+        showPanel(form);
+    };
+
+    eventsButton.addEventListener('click', () => showEventsPanel());
+
+    /**
+     * Show a list of notes in the panel, by recent update or pinned state, the tags in use, or a chosen period
+     * @param {'recent' | 'pinned' | 'tags' | 'period'} view - Which list to show
+     */
+    const showNoteList = async (view) => {
+        const tabs = createTabs({ recent: 'Recent', pinned: 'Pinned', tags: 'Tags', period: 'Period' }, view, showNoteList);
+        if (view === 'tags') {
+            await showTagCloud(tabs);
+            return;
+        }
+        if (view === 'period') {
+            showNotePeriod(tabs);
+            return;
+        }
+        const result = view === 'pinned'
+            ? await notes.query('pinned', { only: 1 })
+            : await notes.query('updated', { reverse: true, limit: 50 });
+        if (!result.success) {
+            console.error('Notes failed to list:', result.message, result.error);
+            return;
+        }
+        showPanel(tabs, createNoteList(result.data, chooseNote));
+    };
+
+    /**
+     * Show the notes across a chosen period, with buttons to export only those notes
+     * - The period is chosen on a calendar in range mode, with two clicks or a drag
+     * @param {HTMLDivElement} tabs - Tab row of the notes panel
+     */
+    const showNotePeriod = (tabs) => {
+        const picker = /** @type {CalendarWidget} */ (document.createElement('calendar-widget'));
+        picker.mode = 'range';
+        const status = document.createElement('div');
+        status.className = 'panel-status';
+        status.textContent = 'Choose the first and last days';
+        const row = document.createElement('div');
+        row.className = 'panel-buttons';
+        const list = document.createElement('div');
+
+        /** @type {Object.<string, Note>} */
+        let chosen = {};
+        for (const [format, label] of Object.entries({ json: 'JSON', markdown: 'Markdown', zip: 'Zip of Markdown files' })) {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.textContent = label;
+            button.disabled = true;
+            button.addEventListener('click', () => {
+                downloadFile(exportNotes(chosen, format));
+                status.textContent = `Exported ${Object.keys(chosen).length} notes`;
+            });
+            row.appendChild(button);
+        }
+
+        picker.addEventListener('range-select', async (event) => {
+            const { start, end } = event.detail;
+            await saver.save();
+            const result = await notes.loadRange(start, end);
+            if (!result.success) {
+                status.textContent = result.message;
+                return;
+            }
+            chosen = result.data;
+            const count = Object.keys(chosen).length;
+            status.textContent = `${count} notes from ${start} to ${end}`;
+            list.replaceChildren(createNoteList(chosen, chooseNote));
+            for (const button of row.children) {
+                button.disabled = count === 0;
+            }
+        });
+        showPanel(tabs, picker, status, row, list);
+    };
+
+    /**
+     * Close the panel and show the note for a date, moving the calendar to it
+     * @param {string} shortDate - Date of the note, as `YYYY-MM-DD`
+     * @returns {Promise<boolean>} True if the note is shown, see `navigateTo`
+     */
+    const chooseNote = (shortDate) => {
+        panel.classList.toggle('shown', false);
+        return navigateTo(shortDate);
+    };
+
+    /**
+     * Show every tag in use, sized by how many notes carry it
+     * - Counts tags from the text, so it works whether or not notes are encrypted
+     * @param {HTMLDivElement} tabs - Tab row of the notes panel
+     */
+    const showTagCloud = async (tabs) => {
+        const result = await notes.loadAll();
+        if (!result.success) {
+            console.error('Tags failed to load:', result.message, result.error);
+            return;
+        }
+        const counts = {};
+        for (const note of Object.values(result.data)) {
+            for (const tag of parseTags(note.text)) {
+                counts[tag] = (counts[tag] ?? 0) + 1;
+            }
+        }
+        showPanel(tabs, createTagCloud(counts, tagFilter, showTagPanel));
+    };
+
+    /**
+     * Show the notes carrying a tag, with options to highlight them on the calendar and to rename the tag
+     * - Renaming to a tag that is already in use merges the two
+     * @param {string} tag - The tag to show
+     */
+    const showTagPanel = async (tag) => {
+        const result = await loadTagged(tag);
+        if (!result.success) {
+            console.error('Tagged notes failed to load:', result.message, result.error);
+            return;
+        }
+        const heading = document.createElement('div');
+        heading.className = 'panel-heading';
+        const count = Object.keys(result.data).length;
+        heading.textContent = `#${tag} - ${count} ${count === 1 ? 'note' : 'notes'}`;
+
+        const row = document.createElement('div');
+        row.className = 'panel-buttons';
+        const back = document.createElement('button');
+        back.type = 'button';
+        back.textContent = 'Back';
+        back.addEventListener('click', () => showNoteList('tags'));
+        const highlight = document.createElement('button');
+        highlight.type = 'button';
+        highlight.textContent = tagFilter === tag ? 'Stop highlighting' : 'Highlight on calendar';
+        highlight.addEventListener('click', async () => {
+            tagFilter = tagFilter === tag ? null : tag;
+            await applyTagFilter();
+            panel.classList.toggle('shown', false);
+        });
+        row.append(back, highlight);
+
+        // Newest first, like the other lists
+        const entries = Object.fromEntries(Object.entries(result.data).reverse());
+        const list = createNoteList(entries, chooseNote);
+
+        const form = document.createElement('form');
+        form.className = 'panel-form';
+        const label = document.createElement('label');
+        label.textContent = 'Rename, or merge into another tag';
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.value = tag;
+        label.appendChild(input);
+        const submit = document.createElement('button');
+        submit.type = 'submit';
+        submit.textContent = 'Rename';
+        const status = document.createElement('div');
+        status.className = 'panel-status';
+        form.append(label, submit, status);
+        form.addEventListener('submit', async (event) => {
+            event.preventDefault();
+            const to = normaliseTag(input.value);
+            if (!to) {
+                status.textContent = 'Tags are letters, numbers, _ and -, with at least one letter';
+                return;
+            }
+            if (to === tag) return;
+            submit.disabled = true;
+            const result = await renameTagEverywhere(tag, to);
+            submit.disabled = false;
+            if (!result.success) {
+                status.textContent = result.message;
+                return;
+            }
+            await showTagPanel(to);
+        });
+
+        const wrapper = document.createElement('div');
+        wrapper.className = 'panel-form';
+        wrapper.append(heading, row, list, form);
+        showPanel(wrapper);
+    };
+
+    listButton.addEventListener('click', async () => {
+        if (notes.locked) {
+            await showLockPanel();
+            return;
+        }
+        await showNoteList('recent');
+    });
+
+    /**
+     * Show the export and import panel
+     * - Export downloads every note as JSON, Markdown or a zip of Markdown files
+     * - Import previews new and changed dates before writing them in one transaction
+     * @param {'export' | 'import'} [view] - Which tab to show
+     */
+    const showTransferPanel = async (view = 'export') => {
+        if (notes.locked) {
+            await showLockPanel();
+            return;
+        }
+        await saver.save();
+        const tabs = createTabs({ export: 'Export', import: 'Import' }, view, showTransferPanel);
+        const form = document.createElement('form');
+        form.className = 'panel-form';
+        const status = document.createElement('div');
+        status.className = 'panel-status';
+
+        if (view === 'export') {
+            const row = document.createElement('div');
+            row.className = 'panel-buttons';
+            for (const [format, label] of Object.entries({ json: 'JSON', markdown: 'Markdown', zip: 'Zip of Markdown files', ics: 'iCalendar with events' })) {
+                const button = document.createElement('button');
+                button.type = 'button';
+                button.textContent = label;
+                button.addEventListener('click', async () => {
+                    const result = await notes.loadAll();
+                    if (!result.success) {
+                        status.textContent = result.message;
+                        return;
+                    }
+                    const count = Object.keys(result.data).length;
+                    if (format !== 'ics') {
+                        downloadFile(exportNotes(result.data, format));
+                        status.textContent = `Exported ${count} notes`;
+                        return;
+                    }
+
+                    // Times are written in the browser's zone, so other apps show them at the same local time
+                    const texts = Object.fromEntries(Object.entries(result.data).sort().map(([key, note]) => [key, note.text]));
+                    const timeZone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+                    downloadFile({
+                        name: `calendar-notes-${tools.toShort(new Date())}.ics`,
+                        type: 'text/calendar',
+                        data: serializeICS({ events: allEvents, notes: texts }, { timeZone })
+                    });
+                    status.textContent = `Exported ${count} notes and ${Object.keys(allEvents).length} events`;
+                });
+                row.appendChild(button);
+            }
+            form.append(row, status);
+            showPanel(tabs, form);
+            return;
+        }
+
+        const input = document.createElement('input');
+        input.type = 'file';
+        input.accept = '.json,.md,.markdown,.zip,.ics';
+        const mode = document.createElement('select');
+        mode.innerHTML = '<option value="merge">Merge with existing notes</option><option value="overwrite">Overwrite existing notes</option>';
+        const submit = document.createElement('button');
+        submit.type = 'submit';
+        submit.textContent = 'Import';
+        submit.disabled = true;
+        const preview = document.createElement('div');
+
+        /** @type {import('./utils/note-transfer.js').ImportPlan | undefined} */
+        let plan;
+
+        /**
+         * Events to write from an iCalendar file, keyed by id
+         * @type {Object.<string, import('./utils/recurrence.js').CalendarEvent>}
+         */
+        let eventPlan = {};
+
+        // Rebuild the preview whenever the file or conflict choice changes
+        const refresh = async () => {
+            plan = undefined;
+            eventPlan = {};
+            submit.disabled = true;
+            preview.replaceChildren();
+            const file = input.files?.[0];
+            if (!file) return;
+            status.textContent = 'Reading...';
+            const bytes = new Uint8Array(await file.arrayBuffer());
+            let result;
+            let summary = '';
+            if (/\.ics$/i.test(file.name)) {
+                // Day notes come back as notes, other events are matched to saved events by id
+                let parsed;
+                try {
+                    parsed = parseICS(new TextDecoder().decode(bytes));
+                } catch (error) {
+                    status.textContent = `Error in the reading process: ${error?.message}`;
+                    return;
+                }
+                const skipped = [...parsed.skipped];
+                let added = 0;
+                for (const [id, event] of Object.entries(parsed.events)) {
+                    const valid = validateEvent(event);
+                    if (valid !== true) {
+                        skipped.push(`${event.title}: ${valid}`);
+                    } else if (!(id in allEvents)) {
+                        eventPlan[id] = event;
+                        added++;
+                    } else if (mode.value === 'overwrite' && JSON.stringify(allEvents[id]) !== JSON.stringify(event)) {
+                        eventPlan[id] = event;
+                    }
+                }
+                const changed = Object.keys(eventPlan).length - added;
+                summary = `Events: ${added} new, ${changed} changed, ${skipped.length} skipped${skipped.length ? ` (${skipped.join('; ')})` : ''}`;
+                result = {
+                    success: true,
+                    data: Object.fromEntries(Object.entries(parsed.notes).map(([key, text]) => [key, { text }]))
+                };
             } else {
-                textarea.value = '';
+                result = await readNotesFile(file.name, bytes);
             }
-            console.log(result);
+            if (!result.success) {
+                status.textContent = result.message;
+                return;
+            }
+            const incoming = result.data;
+            result = await notes.loadAll();
+            if (!result.success) {
+                status.textContent = result.message;
+                return;
+            }
+            plan = planImport(result.data, incoming, /** @type {'merge' | 'overwrite'} */ (mode.value));
+            status.textContent = summary;
+            submit.disabled = Object.keys(plan.notes).length === 0 && Object.keys(eventPlan).length === 0;
+            preview.replaceChildren(createImportPreview(plan));
+        };
+
+        input.addEventListener('change', refresh);
+        mode.addEventListener('change', refresh);
+        form.addEventListener('submit', async (event) => {
+            event.preventDefault();
+            if (!plan) return;
+            submit.disabled = true;
+            let result = await importNotes(plan.notes);
+            if (result.success && Object.keys(eventPlan).length) {
+                result = await importEvents(eventPlan);
+            }
+            const eventCount = Object.keys(eventPlan).length;
+            status.textContent = result.success
+                ? `Imported ${Object.keys(plan.notes).length} notes${eventCount ? ` and ${eventCount} events` : ''}`
+                : result.message;
+            if (result.success) {
+                plan = undefined;
+                eventPlan = {};
+                preview.replaceChildren();
+            }
+        });
+        form.append(input, mode, submit, status, preview);
+        showPanel(tabs, form);
+    };
+
+    /**
+     * Write several notes in one transaction, encrypting them if enabled
+     * - Tags and the search index follow the text while unencrypted
+     * @param {Object.<string, Note>} changed - Notes to write, keyed by `YYYY-MM-DD`
+     * @returns {Promise<{ success: boolean, message?: string, error?: Error }>} The result of the write
+     */
+    const putNotes = async (changed) => {
+        const indexing = await isIndexing();
+        const values = {};
+        try {
+            for (const [key, note] of Object.entries(changed)) {
+                values[key] = await notes.encryptValue(key, { ...note, tags: indexing ? parseTags(note.text) : [] });
+            }
+        } catch (error) {
+            return {
+                success: false,
+                message: `Error in the encrypting process: ${error?.name}`,
+                error
+            };
         }
+        // A rewrite starting since encrypting fails this, rather than losing it
+        return notes.transaction((tx) => {
+            const store = tx.store('notes');
+            for (const [key, value] of Object.entries(values)) {
+                store.put(key, value);
+                if (indexing) search.queue(tx, key, changed[key].text);
+            }
+        });
+    };
 
-        // console.log(date);
-    }
+    /**
+     * Write imported notes in one transaction, encrypting them if enabled
+     * - Records a revision of each, keeping the text it replaced in the history
+     * - Refreshes stars, and the open note if it has no unsaved edits
+     * @param {Object.<string, Note>} imported - Notes to write, keyed by `YYYY-MM-DD`
+     * @returns {Promise<{ success: boolean, message?: string, error?: Error }>} The result of the import
+     */
+    const importNotes = async (imported) => {
+        const result = await putNotes(imported);
+        console.log(`import`, result);
+        if (!result.success) return result;
 
+        for (const [key, note] of Object.entries(imported)) {
+            const recorded = await history.record(key, note.text, Date.now(), { coalesce: false });
+            if (!recorded.success) {
+                console.warn('Revision failed to record:', recorded.message, recorded.error);
+            }
+        }
 
-    {
+        await loadStars(...widget.getVisibleRange());
+        await applyTagFilter();
         const date = footerDate.dataset.date;
-        result = await db.load(date);
-        if (result.success) {
-            textarea.value = result.data;
+        if (date in imported && !saver.isDirty()) {
+            await showNote(tools.fromShort(date));
         }
-        console.log(result);
+        return {
+            success: true
+        };
+    };
+
+    /**
+     * Write imported events in one transaction, encrypting them if enabled
+     * - Refreshes the calendar markers and reminders
+     * @param {Object.<string, import('./utils/recurrence.js').CalendarEvent>} imported - Events to write, keyed by id
+     * @returns {Promise<{ success: boolean, message?: string, error?: Error }>} The result of the import
+     */
+    const importEvents = async (imported) => {
+        const values = {};
+        try {
+            for (const [id, event] of Object.entries(imported)) {
+                values[id] = await events.encryptValue(id, event);
+            }
+        } catch (error) {
+            return {
+                success: false,
+                message: `Error in the encrypting process: ${error?.name}`,
+                error
+            };
+        }
+        const result = await events.transaction((tx) => {
+            const store = tx.store('events');
+            for (const [id, value] of Object.entries(values)) {
+                store.put(id, value);
+            }
+        });
+        console.log(`import events`, result);
+        if (!result.success) return result;
+        Object.assign(allEvents, imported);
+        renderEvents(...widget.getVisibleRange());
+        checkReminders();
+        return {
+            success: true
+        };
+    };
+
+    transferButton.addEventListener('click', () => showTransferPanel());
+
+    /**
+     * Rename a tag in every note that carries it, merging it into `to` if that tag is in use
+     * - Records a revision of each changed note, so the rename can be undone note by note
+     * @param {string} from - The tag to rename
+     * @param {string} to - The new tag name
+     * @returns {Promise<{ success: boolean, message?: string, error?: Error }>} The result of the rename
+     */
+    const renameTagEverywhere = async (from, to) => {
+        await saver.save();
+        const result = await loadTagged(from);
+        if (!result.success) return result;
+        const indexing = await isIndexing();
+        const changed = {};
+        for (const [key, note] of Object.entries(result.data)) {
+            changed[key] = createNote(renameTag(note.text, from, to), note, indexing);
+        }
+        const saved = await putNotes(changed);
+        console.log(`rename #${from} to #${to}`, saved);
+        if (!saved.success) return saved;
+
+        for (const [key, note] of Object.entries(changed)) {
+            const recorded = await history.record(key, note.text);
+            if (!recorded.success) {
+                console.warn('Revision failed to record:', recorded.message, recorded.error);
+            }
+        }
+        if (tagFilter === from) tagFilter = to;
+        await applyTagFilter();
+        const date = footerDate.dataset.date;
+        if (date in changed && !saver.isDirty()) {
+            await showNote(tools.fromShort(date));
+        }
+        return {
+            success: true
+        };
+    };
+
+    /**
+     * Find notes matching a search query, newest first
+     * - Uses the search index while unencrypted, and decrypts every note otherwise
+     * @param {string} query - Search query, see `parseQuery`
+     * @returns {Promise<{ success: boolean, data?: { key: string, text: string, ranges: [number, number][] }[], message?: string, error?: Error }>} The matching notes
+     */
+    const searchNotes = async (query) => {
+        const terms = parseQuery(query);
+        if (!terms.length) {
+            return { success: true, data: [] };
+        }
+        const status = await notes.status();
+        if (!status.success) return status;
+
+        let entries = {};
+        if (status.data === 'disabled') {
+            const found = await search.lookup(terms);
+            if (!found.success) return found;
+            const loaded = await Promise.all(found.data.map(key => notes.load(key)));
+            found.data.forEach((key, i) => {
+                if (loaded[i].success) entries[key] = loaded[i].data;
+            });
+        } else {
+            const result = await notes.loadAll();
+            if (!result.success) return result;
+            entries = result.data;
+        }
+
+        // Check phrases and find highlights, as the index only matches single words
+        const hits = [];
+        for (const key of Object.keys(entries).sort().reverse()) {
+            const ranges = findMatches(entries[key].text, terms);
+            if (ranges) hits.push({ key, text: entries[key].text, ranges });
+        }
+        return { success: true, data: hits };
+    };
+
+    /**
+     * Most recent search query, shown again when the search panel reopens
+     * @type {string}
+     */
+    let lastQuery = '';
+
+    /**
+     * Show the search panel, listing matching notes as the query is typed
+     * - Choosing a note shows it, with the first match selected
+     * @param {string} [query] - Query to search for when the panel opens
+     */
+    const showSearchPanel = async (query = '') => {
+        if (notes.locked) {
+            await showLockPanel();
+            return;
+        }
+        await saver.save();
+        const form = document.createElement('form');
+        form.className = 'panel-form';
+        form.addEventListener('submit', (event) => event.preventDefault());
+        const input = document.createElement('input');
+        input.type = 'search';
+        input.placeholder = 'Search notes, or "an exact phrase"';
+        input.value = query;
+        const status = document.createElement('div');
+        status.className = 'list-status';
+        let list = document.createElement('div');
+        form.append(input, status, list);
+
+        // Ignore results of searches overtaken by later typing
+        let searchTimer;
+        let searchCount = 0;
+        const runSearch = async () => {
+            const count = ++searchCount;
+            lastQuery = input.value;
+            const result = await searchNotes(input.value);
+            if (count !== searchCount) return;
+            if (!result.success) {
+                status.textContent = result.message;
+                return;
+            }
+            const hits = result.data;
+            status.textContent = !input.value.trim() ? ''
+                : hits.length > SEARCH_LIMIT ? `Showing ${SEARCH_LIMIT} of ${hits.length} notes`
+                    : `${hits.length} ${hits.length === 1 ? 'note' : 'notes'}`;
+            const results = input.value.trim()
+                ? createSearchResults(hits.slice(0, SEARCH_LIMIT), async (shortDate, [start, end]) => {
+                    if (!(await chooseNote(shortDate))) return;
+                    if (!previewing) {
+                        textarea.focus();
+                        textarea.setSelectionRange(start, end);
+                    }
+                })
+                : document.createElement('div');
+            list.replaceWith(results);
+            list = results;
+        };
+        input.addEventListener('input', () => {
+            clearTimeout(searchTimer);
+            searchTimer = setTimeout(runSearch, SEARCH_DELAY);
+        });
+
+        showPanel(form);
+        input.focus();
+        if (query) await runSearch();
+    };
+
+    searchButton.addEventListener('click', () => showSearchPanel(lastQuery));
+
+    /**
+     * Show earlier versions of the current note, newest first
+     * - Choosing a version shows what changed since, with the option to restore it
+     */
+    const showHistoryPanel = async () => {
+        if (notes.locked) {
+            await showLockPanel();
+            return;
+        }
+        await saver.save();
+        const date = footerDate.dataset.date;
+        const result = await history.list(date);
+        if (!result.success) {
+            console.error('Revisions failed to load:', result.message, result.error);
+            return;
+        }
+        const heading = document.createElement('div');
+        heading.className = 'panel-heading';
+        heading.textContent = `History of ${footerDate.textContent}`;
+        showPanel(heading, createRevisionList(result.data, currentNote?.text, showRevision));
+    };
+
+    /**
+     * Show the changes between a revision and the current note, with the option to restore it
+     * @param {import('./utils/revision-history.js').Revision} revision - The revision to compare
+     */
+    const showRevision = (revision) => {
+        const heading = document.createElement('div');
+        heading.className = 'panel-heading';
+        heading.textContent = `Changes since ${new Date(revision.saved).toLocaleString()}`;
+        const row = document.createElement('div');
+        row.className = 'panel-buttons';
+        const back = document.createElement('button');
+        back.type = 'button';
+        back.textContent = 'Back';
+        back.addEventListener('click', showHistoryPanel);
+        const restore = document.createElement('button');
+        restore.type = 'button';
+        restore.textContent = 'Restore this version';
+        const status = document.createElement('div');
+        status.className = 'panel-status';
+        restore.addEventListener('click', async () => {
+            textarea.value = revision.text;
+            renderPreview();
+            const result = await saver.save({ restore: true });
+            if (!result.success) {
+                status.textContent = result.message;
+                return;
+            }
+            panel.classList.toggle('shown', false);
+        });
+        row.append(back, restore);
+        const form = document.createElement('div');
+        form.className = 'panel-form';
+        form.append(heading, createDiff(diffLines(revision.text, textarea.value)), row, status);
+        showPanel(form);
+    };
+
+    historyButton.addEventListener('click', () => showHistoryPanel());
+
+    // Switch between editing and the rendered preview, remembering the choice
+    previewButton.addEventListener('click', async () => {
+        previewing = !previewing;
+        renderPreview();
+        if (!previewing) textarea.focus();
+        result = await settings.save('view', previewing ? 'preview' : 'edit');
+        console.log(`write view`, result);
+    });
+
+    // Write checkbox changes in the preview back to the note
+    preview.addEventListener('change', async (event) => {
+        const checkbox = event.target.closest('input[type="checkbox"][data-line]');
+        if (!checkbox || notes.locked) return;
+        textarea.value = toggleTask(textarea.value, Number(checkbox.dataset.line), checkbox.checked);
+        const result = await saver.save();
+        if (!result.success) {
+            flash(footer, 'rgba(255,0,0,0.2)');
+        }
+        renderPreview();
+    });
+
+    /**
+     * Match the textarea and lock button to the encryption state
+     * - Clears the textarea while locked, so no decrypted text is left on screen
+     */
+    const renderLock = async () => {
+        const result = await notes.status();
+        const state = result.success ? result.data : 'disabled';
+        textarea.disabled = state === 'locked';
+        textarea.placeholder = state === 'locked' ? 'Notes are locked' : '';
+        if (state === 'locked') {
+            textarea.value = '';
+            currentNote = undefined;
+            currentMood = undefined;
+            renderPinButton(0);
+            renderMoodButton(undefined);
+            widget.clearDayMarkers('mood');
+            allEvents = {};
+            widget.clearDayMarkers('event');
+            clearTimeout(reminderTimer);
+        }
+        renderPreview();
+        lockButton.innerHTML = state === 'locked' ? '&#128274;' : '&#128275;';
+        lockButton.title = {
+            disabled: 'Encrypt notes',
+            locked: 'Unlock notes',
+            unlocked: 'Lock notes'
+        }[state];
+    };
+
+    /**
+     * Build or clear the search index and note tags to match the encryption state
+     * - Indexes words and tags of every note when unencrypted, unless already indexed
+     * - Clears both once notes are encrypted, so no words are left in plain text
+     */
+    const syncIndexes = async () => {
+        const status = await notes.status();
+        if (!status.success) return;
+        const indexed = (await settings.load('indexed')).success;
+        const raw = db.store('notes');
+        let result;
+        if (status.data === 'disabled' && !indexed) {
+            // Index the loaded text, as stored text starting with 'enc:' is escaped
+            const loaded = await notes.loadAll();
+            result = loaded.success ? await raw.loadAll() : loaded;
+            if (result.success) {
+                const all = result.data;
+                const texts = Object.fromEntries(Object.entries(loaded.data).map(([key, note]) => [key, note.text]));
+                result = await search.rebuild(texts);
+                if (result.success) {
+                    result = await db.transaction((tx) => {
+                        for (const [key, note] of Object.entries(all)) {
+                            const tags = parseTags(texts[key] ?? note.text);
+                            if (tags.join() !== note.tags.join()) tx.store('notes').put(key, { ...note, tags });
+                        }
+                    });
+                }
+            }
+            if (result.success) {
+                result = await settings.save('indexed', 'true');
+            }
+        } else if (status.data !== 'disabled' && indexed) {
+            result = await search.clear();
+            if (result.success) {
+                result = await raw.query('tags', { from: '' });
+            }
+            if (result.success) {
+                const tagged = result.data;
+                result = await db.transaction((tx) => {
+                    for (const [key, note] of Object.entries(tagged)) {
+                        tx.store('notes').put(key, { ...note, tags: [] });
+                    }
+                });
+            }
+            if (result.success) {
+                result = await settings.delete('indexed');
+            }
+        }
+        if (result) {
+            console.log(`sync indexes`, result);
+        }
+    };
+
+    /**
+     * Close the panel after a successful encryption change, and show the note again
+     * @param {{ success: boolean, message?: string }} result - Result of the change
+     * @returns {Promise<string | void>} The failure message, if any
+     */
+    const afterLockChange = async (result) => {
+        if (!result.success) return result.message;
+        panel.classList.toggle('shown', false);
+
+        // Edits that could not be saved while notes were re-written are saved before the note reloads
+        await saver.save();
+        await renderLock();
+        await syncIndexes();
+        await applyTagFilter();
+        await loadMarkers(...widget.getVisibleRange());
+        await loadEvents();
+        await showNote(tools.fromShort(footerDate.dataset.date));
+    };
+
+    /**
+     * Show the encryption panel for the current state
+     * - Offers to encrypt when disabled, and to unlock when locked
+     * - Offers to lock, change passphrase or remove encryption when unlocked
+     * @param {'lock' | 'change' | 'remove'} [view] - Which tab to show when unlocked
+     */
+    const showLockPanel = async (view = 'lock') => {
+        // Save edits first, as every change here reloads the note
+        await saver.save();
+        const result = await notes.status();
+        if (!result.success) {
+            console.error('Encryption state failed to load:', result.message, result.error);
+            return;
+        }
+        if (result.data === 'disabled') {
+            showPanel(createForm('Encrypt notes', { passphrase: 'Passphrase', confirm: 'Confirm passphrase' }, 'Encrypt', async (values) => {
+                if (values.passphrase !== values.confirm) return 'Passphrases do not match';
+                return afterLockChange(await notes.enable(values.passphrase));
+            }));
+        } else if (result.data === 'locked') {
+            showPanel(createForm('Unlock notes', { current: 'Passphrase' }, 'Unlock', async (values) => {
+                return afterLockChange(await notes.unlock(values.current));
+            }));
+        } else {
+            const tabs = createTabs({ lock: 'Lock', change: 'Change passphrase', remove: 'Remove encryption' }, view, showLockPanel);
+            const forms = {
+                lock: () => createForm('Lock notes until the passphrase is entered', {}, 'Lock', async () => {
+                    notes.lock();
+                    return afterLockChange({ success: true });
+                }),
+                change: () => createForm('Change passphrase', { current: 'Current passphrase', passphrase: 'New passphrase', confirm: 'Confirm new passphrase' }, 'Change', async (values) => {
+                    if (values.passphrase !== values.confirm) return 'Passphrases do not match';
+                    return afterLockChange(await notes.changePassphrase(values.current, values.passphrase));
+                }),
+                remove: () => createForm('Store notes without encryption', { current: 'Passphrase' }, 'Remove', async (values) => {
+                    return afterLockChange(await notes.disable(values.current));
+                })
+            };
+            showPanel(tabs, forms[view]());
+        }
+        panelBody.querySelector('input')?.focus();
+    };
+
+    lockButton.addEventListener('click', () => showLockPanel());
+
+    await renderLock();
+    await syncIndexes();
+    if (notes.locked) {
+        await showLockPanel();
     }
 
+    panel.addEventListener('click', (event) => {
+        if (!event.target.closest('#panel-content')) {
+            panel.classList.toggle('shown', false);
+        }
+    });
+
+
+    // Ask for a reload once the database stays closed, eg. after another tab deletes or upgrades it
+    db.subscribe((change) => {
+        if (change.type !== 'reopen' || !change.message) return;
+        storageNotice.textContent = `Notes were closed by another tab, reload the page to keep editing (${change.message})`;
+        storageNotice.classList.toggle('hidden', false);
+    });
+
+    // Refresh stars and the open note when notes change in another tab
+    notes.subscribe(async (change) => {
+        if (change.message || (!change.remote && change.type !== 'reopen')) return;
+        const everything = change.type === 'reopen' || change.type === 'clear';
+        if (everything) {
+            await loadStars(...widget.getVisibleRange());
+        } else {
+            for (const key of change.keys) {
+                widget.setStarred(key, change.type === 'put');
+            }
+        }
+
+        if (tagFilter) {
+            await applyTagFilter();
+        }
+
+        // Only replace the textarea if it has no unsaved edits
+        const date = footerDate.dataset.date;
+        if ((everything || change.keys.includes(date)) && !saver.isDirty()) {
+            await showNote(tools.fromShort(date));
+        }
+    });
+
+    // Refresh moods when they change in another tab
+    markers.subscribe(async (change) => {
+        if (change.message || (!change.remote && change.type !== 'reopen')) return;
+        await loadMarkers(...widget.getVisibleRange());
+        const date = footerDate.dataset.date;
+        const everything = change.type === 'reopen' || change.type === 'clear';
+        if (everything || change.keys.includes(date)) {
+            const result = await markers.load(date);
+            currentMood = result.success ? result.data.mood : undefined;
+            renderMoodButton(currentMood);
+        }
+    });
+
+    events.subscribe(async (change) => {
+        if (change.message || (!change.remote && change.type !== 'reopen')) return;
+        await loadEvents();
+    });
 
     document.body.style = '';
 
     // Set up theme switching functionality
-    let themeIndex = 0;
-    document.addEventListener('mousedown', (event) => {
+    let themeIndex = Math.max(0, Object.values(THEMES).indexOf(themeName));
+    document.addEventListener('mousedown', async (event) => {
         // Middle click
         if (event.button === 1) {
             event.preventDefault();
             const themeValues = Object.values(THEMES);
             themeIndex = (themeIndex + 1) % themeValues.length;
-            const themeName = themeValues[themeIndex];
+            themeName = themeValues[themeIndex];
+            setTheme(themeName);
+            result = await settings.save('theme', themeName);
+            console.log(`write theme`, result);
+        }
+    });
+
+    // Lock when another tab changes the passphrase, or the database reopens
+    settings.subscribe(async (change) => {
+        const keyChanged = change.type === 'clear' || change.keys.includes(notes.keyName);
+        if ((change.type === 'reopen' && !change.message) || (change.remote && keyChanged)) {
+            await renderLock();
+            await applyTagFilter();
+        }
+    });
+
+    // Apply theme changes made in another tab
+    settings.subscribe(async (change) => {
+        if (!change.remote || !change.keys.includes('theme')) return;
+        const result = await settings.load('theme');
+        if (result.success) {
+            themeName = result.data;
+            themeIndex = Math.max(0, Object.values(THEMES).indexOf(themeName));
             setTheme(themeName);
         }
     });
@@ -0,0 +1,601 @@
+import './setup.js';
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { CalendarWidget, tools } from '../components/calendar-widget.js';
+
+/** @type {CalendarWidget} */
+let widget;
+
+/**
+ * Get the day cell for a date in the visible grid
+ * 
+ * @param {string} shortDate - Date in the format YYYY-MM-DD
+ * @returns {HTMLDivElement | null} The day cell, if visible
+ */
+function cell(shortDate) {
+    return widget.dayGrid.querySelector(`.day[data-date="${shortDate}"]`);
+}
+
+/**
+ * Get the short dates of every visible day cell with a class
+ * 
+ * @param {string} className - Class to look for eg. 'starred'
+ * @returns {string[]} Dates in the format YYYY-MM-DD
+ */
+function datesWithClass(className) {
+    return [...widget.dayGrid.querySelectorAll(`.day.${className}`)].map(day => day.dataset.date);
+}
+
+beforeEach(() => {
+    widget = /** @type {CalendarWidget} */ (document.createElement('calendar-widget'));
+    document.body.append(widget);
+});
+
+afterEach(() => {
+    widget.remove();
+});
+
+describe('CalendarWidget rendering', () => {
+
+    it('is registered as a custom element', () => {
+        assert.ok(widget instanceof CalendarWidget);
+        assert.equal(customElements.get('calendar-widget'), CalendarWidget);
+    });
+
+    it('renders the current month with today highlighted', () => {
+        const today = new Date();
+        assert.equal(widget.navigatorText.textContent, `${tools.toMonthName(today)} ${today.getFullYear()}`);
+        assert.equal(widget.dayGrid.querySelectorAll('.day').length, 42);
+        assert.deepEqual(datesWithClass('today'), [tools.toShort(today)]);
+    });
+
+    it('renders day numbers and dims days outside the month', () => {
+        widget.updateCalendar(new Date(2025, 7, 3));
+        assert.equal(widget.navigatorText.textContent, 'August 2025');
+        const days = [...widget.dayGrid.querySelectorAll('.day')];
+        assert.equal(days[0].dataset.date, '2025-07-28');
+        assert.equal(days[0].textContent, '28');
+        assert.equal(days[4].textContent, '1');
+        assert.deepEqual(datesWithClass('dimmed'), [
+            '2025-07-28', '2025-07-29', '2025-07-30', '2025-07-31',
+            '2025-09-01', '2025-09-02', '2025-09-03', '2025-09-04', '2025-09-05', '2025-09-06', '2025-09-07'
+        ]);
+    });
+
+    it('renders leap day in February of a leap year', () => {
+        widget.updateCalendar(new Date(2024, 1, 1));
+        assert.equal(cell('2024-02-29').classList.contains('dimmed'), false);
+        assert.equal(cell('2024-03-01').classList.contains('dimmed'), true);
+    });
+
+    it('marks the chosen date, unless it is dimmed', () => {
+        widget.dateChosen = new Date(2025, 7, 20);
+        widget.updateCalendar(new Date(2025, 7, 1));
+        assert.deepEqual(datesWithClass('marked'), ['2025-08-20']);
+        widget.updateCalendar(new Date(2025, 8, 1));
+        assert.deepEqual(datesWithClass('marked'), []);
+    });
+
+    it('stars dates, and unstars them again', () => {
+        widget.updateCalendar(new Date(2025, 7, 1));
+        widget.setStarredDates(['2025-08-05', '2025-08-09', '2025-12-25']);
+        assert.deepEqual(datesWithClass('starred'), ['2025-08-05', '2025-08-09']);
+        widget.setStarred('2025-08-05', false);
+        widget.setStarred('2025-08-12', true);
+        widget.setStarred('2025-08-12', true);
+        assert.deepEqual(datesWithClass('starred'), ['2025-08-09', '2025-08-12']);
+        assert.deepEqual(widget.starred, ['2025-08-09', '2025-12-25', '2025-08-12']);
+    });
+
+    it('copies the starred dates array it is given', () => {
+        const shortDates = ['2025-08-05'];
+        widget.setStarredDates(shortDates);
+        widget.setStarred('2025-08-06', true);
+        assert.deepEqual(shortDates, ['2025-08-05']);
+    });
+
+    it('limits stars to filtered dates, until the filter is cleared', () => {
+        widget.updateCalendar(new Date(2025, 7, 1));
+        widget.setStarredDates(['2025-08-05', '2025-08-09']);
+        widget.setFilteredDates(['2025-08-09', '2025-08-20']);
+        assert.deepEqual(datesWithClass('starred'), ['2025-08-09']);
+        widget.setFilteredDates(null);
+        assert.deepEqual(datesWithClass('starred'), ['2025-08-05', '2025-08-09']);
+    });
+
+    it('renders day markers with their colour, icon and label', () => {
+        widget.updateCalendar(new Date(2025, 7, 1));
+        widget.setDayMarker(new Date(2025, 7, 5), { kind: 'mood', color: 'red', label: 'Mood: Bad' });
+        widget.setDayMarker('2025-08-05', { icon: '!', label: 'Reminder' });
+        const markers = [...cell('2025-08-05').querySelectorAll('.markers .marker')];
+        assert.deepEqual(markers.map(marker => marker.dataset.kind), ['mood', 'default']);
+        assert.equal(markers[0].style.getPropertyValue('--marker-color'), 'red');
+        assert.equal(markers[1].textContent, '!');
+        assert.equal(cell('2025-08-05').title, 'Mood: Bad, Reminder');
+        assert.equal(cell('2025-08-06').querySelector('.markers'), null);
+    });
+
+    it('replaces markers of the same kind, and clears them by kind or date', () => {
+        widget.updateCalendar(new Date(2025, 7, 1));
+        widget.setDayMarkers({
+            '2025-08-05': [{ kind: 'mood', color: 'red' }, { kind: 'event' }],
+            '2025-08-09': { kind: 'mood', color: 'blue' }
+        });
+        widget.setDayMarkers({ '2025-08-05': { kind: 'mood', color: 'green' } });
+        assert.deepEqual(widget.dayMarkers['2025-08-05'], [{ kind: 'event' }, { kind: 'mood', color: 'green' }]);
+        widget.clearDayMarkers('mood');
+        assert.deepEqual(widget.dayMarkers, { '2025-08-05': [{ kind: 'event' }] });
+        assert.equal(cell('2025-08-09').querySelector('.marker'), null);
+        widget.clearDayMarker('2025-08-05');
+        assert.deepEqual(widget.dayMarkers, {});
+        assert.equal(cell('2025-08-05').querySelector('.marker'), null);
+        assert.equal(cell('2025-08-05').hasAttribute('title'), false);
+    });
+
+    it('returns the first and last visible dates', () => {
+        widget.updateCalendar(new Date(2025, 7, 3));
+        const [first, last] = widget.getVisibleRange();
+        assert.equal(tools.toShort(first), '2025-07-28');
+        assert.equal(tools.toShort(last), '2025-09-07');
+    });
+
+});
+
+describe('CalendarWidget navigation', () => {
+
+    it('moves between months with the navigator buttons', () => {
+        widget.updateCalendar(new Date(2025, 7, 3));
+        widget.navigatorRight.click();
+        assert.equal(widget.navigatorText.textContent, 'September 2025');
+        widget.navigatorLeft.click();
+        widget.navigatorLeft.click();
+        assert.equal(widget.navigatorText.textContent, 'July 2025');
+    });
+
+    it('crosses year boundaries', () => {
+        widget.updateCalendar(new Date(2025, 11, 15));
+        widget.navigatorRight.click();
+        assert.equal(widget.navigatorText.textContent, 'January 2026');
+        widget.navigateMonth(-13);
+        assert.equal(widget.navigatorText.textContent, 'December 2024');
+    });
+
+    it('does not skip short months from the end of a long month', () => {
+        widget.updateCalendar(new Date(2025, 0, 31));
+        widget.navigatorRight.click();
+        assert.equal(widget.navigatorText.textContent, 'February 2025');
+        widget.updateCalendar(new Date(2024, 2, 31));
+        widget.navigatorLeft.click();
+        assert.equal(widget.navigatorText.textContent, 'February 2024');
+    });
+
+    it('returns to the current month from the navigator text', () => {
+        widget.updateCalendar(new Date(2020, 0, 1));
+        widget.navigatorText.click();
+        const today = new Date();
+        assert.equal(widget.navigatorText.textContent, `${tools.toMonthName(today)} ${today.getFullYear()}`);
+    });
+
+    it('dispatches month-change with the visible range when the month changes', (t) => {
+        widget.updateCalendar(new Date(2025, 7, 3));
+        const events = [];
+        const listener = (event) => events.push(event);
+        document.body.addEventListener('month-change', listener);
+        t.after(() => document.body.removeEventListener('month-change', listener));
+        widget.updateCalendar(new Date(2025, 7, 20));
+        widget.setStarred('2025-08-05', true);
+        assert.deepEqual(events, []);
+        widget.navigatorRight.click();
+        widget.updateCalendar(new Date(2026, 8, 1));
+        assert.deepEqual(events.map(event => event.detail), [
+            { first: '2025-09-01', last: '2025-10-12' },
+            { first: '2026-08-31', last: '2026-10-11' }
+        ]);
+        assert.equal(events[0].composed, true);
+        assert.equal(events[0].cancelable, false);
+    });
+
+});
+
+describe('CalendarWidget day clicks', () => {
+
+    it('dispatches date-select with the date, then chooses it', (t) => {
+        widget.updateCalendar(new Date(2025, 2, 1));
+        const events = [];
+        const listener = (event) => events.push(event);
+        document.body.addEventListener('date-select', listener);
+        t.after(() => document.body.removeEventListener('date-select', listener));
+        cell('2025-03-30').click();
+        assert.equal(events.length, 1);
+        assert.deepEqual(events[0].detail, { date: '2025-03-30' });
+        assert.equal(events[0].bubbles, true);
+        assert.equal(events[0].composed, true);
+        assert.equal(widget.value, '2025-03-30');
+        assert.equal(tools.toShort(widget.dateChosen), '2025-03-30');
+        assert.equal(widget.dateChosen.getHours(), 0);
+    });
+
+    it('keeps the chosen date when date-select is cancelled', () => {
+        widget.value = '2025-08-03';
+        widget.addEventListener('date-select', (event) => event.preventDefault());
+        cell('2025-08-12').click();
+        assert.equal(widget.value, '2025-08-03');
+        assert.deepEqual(datesWithClass('marked'), ['2025-08-03']);
+    });
+
+    it('shows the month of a clicked dimmed day straight away', () => {
+        widget.updateCalendar(new Date(2025, 7, 3));
+        cell('2025-09-02').click();
+        assert.equal(widget.navigatorText.textContent, 'September 2025');
+        assert.deepEqual(datesWithClass('marked'), ['2025-09-02']);
+    });
+
+    it('renders once per click, including the chosen date again', (t) => {
+        widget.updateCalendar(new Date(2025, 7, 3));
+        const renders = t.mock.method(widget, 'updateCalendar');
+        cell('2025-08-02').click();
+        assert.equal(renders.mock.callCount(), 1);
+        widget.updateCalendar(new Date(2025, 6, 1));
+        cell('2025-08-02').click();
+        assert.equal(renders.mock.callCount(), 3);
+        assert.equal(widget.navigatorText.textContent, 'August 2025');
+        assert.deepEqual(datesWithClass('marked'), ['2025-08-02']);
+    });
+
+    it('dispatches range-select in order when a day is shift-clicked', () => {
+        widget.value = '2025-08-20';
+        const events = [];
+        widget.addEventListener('range-select', (event) => events.push(event));
+        cell('2025-08-05').dispatchEvent(new MouseEvent('click', { bubbles: true, shiftKey: true }));
+        assert.deepEqual(events.map(event => event.detail), [{ start: '2025-08-05', end: '2025-08-20' }]);
+        assert.equal(events[0].cancelable, true);
+        assert.equal(widget.value, '2025-08-20');
+    });
+
+    it('ignores clicks on the grid outside of a day cell', () => {
+        const events = [];
+        widget.addEventListener('date-select', (event) => events.push(event));
+        widget.dayGrid.click();
+        assert.deepEqual(events, []);
+    });
+
+});
+
+describe('CalendarWidget attributes', () => {
+
+    it('renders from markup once connected', () => {
+        const container = document.createElement('div');
+        container.innerHTML = '<calendar-widget value="2025-08-20" first-day="0" locale="fr-FR" starred="2025-08-05, 2025-08-09"></calendar-widget>';
+        widget.remove();
+        widget = /** @type {CalendarWidget} */ (container.firstElementChild);
+        assert.equal(widget.navigatorText.textContent, '');
+        document.body.append(container);
+        assert.equal(widget.navigatorText.textContent, 'août 2025');
+        const weekdays = [...widget.shadowRoot.querySelectorAll('.weekday')].map(day => day.textContent);
+        assert.deepEqual(weekdays.slice(0, 2), ['dim.', 'lun.']);
+        assert.equal(widget.dayGrid.querySelector('.day').dataset.date, '2025-07-27');
+        assert.deepEqual(datesWithClass('marked'), ['2025-08-20']);
+        assert.deepEqual(datesWithClass('starred'), ['2025-08-05', '2025-08-09']);
+        container.remove();
+    });
+
+    it('reflects properties to attributes, and attributes to state', () => {
+        widget.value = '2025-08-03';
+        widget.firstDay = 0;
+        widget.setStarredDates(['2025-08-05', '2025-08-09']);
+        assert.equal(widget.getAttribute('value'), '2025-08-03');
+        assert.equal(widget.getAttribute('first-day'), '0');
+        assert.equal(widget.hasAttribute('starred'), false);
+        assert.equal(widget.navigatorText.textContent, 'August 2025');
+        assert.equal(tools.toShort(widget.dateChosen), '2025-08-03');
+        assert.equal(tools.toShort(widget.getVisibleRange()[0]), '2025-07-27');
+        widget.setAttribute('starred', '2025-08-12');
+        assert.deepEqual(widget.starred, ['2025-08-12']);
+        assert.deepEqual(datesWithClass('starred'), ['2025-08-12']);
+        widget.setStarred('2025-08-14', true);
+        assert.equal(widget.getAttribute('starred'), '2025-08-12 2025-08-14');
+        widget.setAttribute('first-day', 'Sunday');
+        assert.equal(widget.firstDay, 1);
+        assert.deepEqual([...widget.shadowRoot.querySelectorAll('.weekday')].map(day => day.textContent), [
+            'Mo', 'Tu', 'We', 'Th', 'Fr', 'Sa', 'Su'
+        ]);
+    });
+
+    it('disables days and navigation outside of min and max', () => {
+        widget.min = '2025-08-10';
+        widget.max = '2025-09-15';
+        widget.updateCalendar(new Date(2025, 7, 1));
+        assert.deepEqual(datesWithClass('disabled').slice(0, 3), ['2025-07-28', '2025-07-29', '2025-07-30']);
+        assert.equal(cell('2025-08-10').classList.contains('disabled'), false);
+        assert.equal(widget.navigatorLeft.classList.contains('disabled'), true);
+        const events = [];
+        widget.addEventListener('date-select', (event) => events.push(event));
+        cell('2025-08-09').click();
+        assert.deepEqual(events, []);
+        widget.navigateMonth(+3);
+        assert.equal(widget.navigatorText.textContent, 'September 2025');
+        assert.equal(widget.navigatorRight.classList.contains('disabled'), true);
+        widget.navigateMonth(-12);
+        assert.equal(widget.navigatorText.textContent, 'August 2025');
+    });
+
+    it('dispatches month-change again when reconnected', () => {
+        widget.updateCalendar(new Date(2025, 7, 3));
+        widget.remove();
+        const events = [];
+        widget.addEventListener('month-change', (event) => events.push(event.detail));
+        document.body.append(widget);
+        assert.deepEqual(events, [{ first: '2025-07-28', last: '2025-09-07' }]);
+    });
+
+});
+
+describe('CalendarWidget forms', () => {
+
+    it('validates the value against required, min and max', () => {
+        widget.required = true;
+        assert.equal(widget.checkValidity(), false);
+        assert.equal(widget.validationMessage, 'Choose a date');
+        widget.value = '2025-08-03';
+        widget.min = '2025-08-10';
+        assert.equal(widget.validationMessage, 'Choose a date on or after 2025-08-10');
+        widget.max = '2025-08-31';
+        widget.value = '2025-09-01';
+        assert.equal(widget.validationMessage, 'Choose a date on or before 2025-08-31');
+        widget.value = '2025-08-20';
+        assert.equal(widget.checkValidity(), true);
+        assert.equal(widget.validationMessage, '');
+    });
+
+    it('belongs to its form, and restores its original value when reset', () => {
+        const form = document.createElement('form');
+        form.innerHTML = '<calendar-widget name="due" value="2025-08-03"></calendar-widget>';
+        document.body.append(form);
+        widget.remove();
+        widget = /** @type {CalendarWidget} */ (form.firstElementChild);
+        assert.equal(widget.form, form);
+        assert.equal(widget.name, 'due');
+        widget.value = '2025-09-01';
+        widget.formResetCallback();
+        assert.equal(widget.value, '2025-08-03');
+        assert.equal(widget.navigatorText.textContent, 'August 2025');
+        form.remove();
+    });
+
+    it('ignores clicks while disabled by itself or its fieldset', () => {
+        widget.updateCalendar(new Date(2025, 7, 3));
+        const events = [];
+        widget.addEventListener('date-select', (event) => events.push(event));
+        widget.disabled = true;
+        assert.equal(widget.dayGrid.classList.contains('disabled'), true);
+        cell('2025-08-12').click();
+        widget.navigatorRight.click();
+        widget.disabled = false;
+        widget.formDisabledCallback(true);
+        cell('2025-08-12').click();
+        assert.deepEqual(events, []);
+        assert.equal(widget.navigatorText.textContent, 'August 2025');
+        widget.formDisabledCallback(false);
+        cell('2025-08-12').click();
+        assert.equal(events.length, 1);
+    });
+
+});
+
+describe('CalendarWidget popup', () => {
+
+    /** @type {HTMLInputElement} */
+    let input;
+
+    beforeEach(() => {
+        input = document.createElement('input');
+        input.id = 'due-input';
+        document.body.append(input);
+        widget.popup = true;
+        widget.setAttribute('anchor', 'due-input');
+    });
+
+    afterEach(() => {
+        input.remove();
+    });
+
+    it('opens from its anchor, and closes on outside clicks and Escape', () => {
+        assert.equal(widget.open, false);
+        input.click();
+        assert.equal(widget.open, true);
+        widget.dayGrid.dispatchEvent(new Event('pointerdown', { bubbles: true, composed: true }));
+        assert.equal(widget.open, true);
+        document.body.dispatchEvent(new Event('pointerdown', { bubbles: true }));
+        assert.equal(widget.open, false);
+        input.click();
+        document.dispatchEvent(new KeyboardEvent('keydown', { key: 'Escape' }));
+        assert.equal(widget.open, false);
+    });
+
+    it('writes the chosen date to its input anchor, and reads dates typed into it', () => {
+        widget.updateCalendar(new Date(2025, 7, 3));
+        const changes = [];
+        input.addEventListener('change', () => changes.push(input.value));
+        input.click();
+        cell('2025-08-12').click();
+        assert.equal(widget.open, false);
+        assert.equal(input.value, '2025-08-12');
+        assert.deepEqual(changes, ['2025-08-12']);
+        input.value = '2025-09-10';
+        input.dispatchEvent(new Event('change'));
+        assert.equal(widget.value, '2025-09-10');
+        assert.equal(widget.navigatorText.textContent, 'September 2025');
+        input.value = 'next week';
+        input.dispatchEvent(new Event('change'));
+        assert.equal(widget.value, '2025-09-10');
+    });
+
+});
+
+describe('CalendarWidget keyboard and screen readers', () => {
+
+    /**
+     * Press a key on the day in the tab order
+     * 
+     * @param {string} key - Key to press eg. 'ArrowLeft'
+     * @param {boolean} [shiftKey] - Whether Shift is held
+     * @returns {string | undefined} Date of the focused day afterwards
+     */
+    function press(key, shiftKey = false) {
+        const day = widget.dayGrid.querySelector('.day[tabindex="0"]');
+        day.dispatchEvent(new KeyboardEvent('keydown', { key, shiftKey, bubbles: true, composed: true }));
+        return widget.shadowRoot.activeElement?.dataset.date;
+    }
+
+    it('describes the grid, its days and their states', () => {
+        widget.value = '2025-08-20';
+        const grid = widget.shadowRoot.querySelector('[role="grid"]');
+        assert.equal(grid.querySelectorAll('[role="row"]').length, 7);
+        assert.equal(grid.querySelectorAll('[role="gridcell"]').length, 42);
+        assert.equal(grid.querySelector('[role="columnheader"]').getAttribute('aria-label'), 'Monday');
+        assert.deepEqual([...grid.querySelectorAll('[aria-selected="true"]')].map(day => day.dataset.date), ['2025-08-20']);
+        assert.deepEqual([...grid.querySelectorAll('[tabindex="0"]')].map(day => day.dataset.date), ['2025-08-20']);
+        widget.setDayMarker('2025-08-05', { label: 'Mood: Good' });
+        assert.equal(cell('2025-08-05').getAttribute('aria-label'), 'Tuesday, 5 August 2025, Mood: Good');
+        widget.updateCalendar(new Date());
+        assert.deepEqual([...grid.querySelectorAll('[aria-current="date"]')].map(day => day.dataset.date), [tools.toShort(new Date())]);
+    });
+
+    it('moves between days, weeks, months and years with the keyboard', () => {
+        widget.value = '2025-08-20';
+        assert.equal(press('ArrowRight'), '2025-08-21');
+        assert.equal(press('ArrowUp'), '2025-08-14');
+        assert.equal(press('Home'), '2025-08-11');
+        assert.equal(press('End'), '2025-08-17');
+        assert.equal(press('ArrowDown'), '2025-08-24');
+        assert.equal(press('ArrowDown'), '2025-08-31');
+        assert.equal(press('ArrowRight'), '2025-09-01');
+        assert.equal(widget.navigatorText.textContent, 'September 2025');
+        assert.equal(press('PageUp'), '2025-08-01');
+        assert.equal(press('PageDown', true), '2026-08-01');
+        assert.equal(widget.value, '2025-08-20');
+    });
+
+    it('stops at min and max, and chooses the focused day with Enter', () => {
+        widget.min = '2025-08-10';
+        widget.value = '2025-08-12';
+        assert.equal(press('ArrowUp'), '2025-08-10');
+        assert.equal(press('PageUp'), '2025-08-10');
+        const events = [];
+        widget.addEventListener('date-select', (event) => events.push(event.detail.date));
+        press('ArrowRight');
+        press('Enter');
+        assert.deepEqual(events, ['2025-08-11']);
+        assert.equal(widget.value, '2025-08-11');
+    });
+
+    it('announces month changes, but not the first month shown', () => {
+        const announcer = widget.shadowRoot.getElementById('announcer');
+        assert.equal(announcer.textContent, '');
+        widget.updateCalendar(new Date(2025, 7, 3));
+        assert.equal(announcer.textContent, 'August 2025');
+        widget.navigatorRight.dispatchEvent(new KeyboardEvent('keydown', { key: 'Enter', bubbles: true }));
+        assert.equal(announcer.textContent, 'September 2025');
+    });
+
+});
+
+describe('CalendarWidget range mode', () => {
+
+    beforeEach(() => {
+        widget.mode = 'range';
+        widget.updateCalendar(new Date(2025, 7, 1));
+    });
+
+    /**
+     * Dispatch a pointer event on the day cell for a date
+     * 
+     * @param {string} type - Type of the event eg. 'pointerdown'
+     * @param {string} shortDate - Date in the format YYYY-MM-DD
+     */
+    function pointer(type, shortDate) {
+        cell(shortDate).dispatchEvent(new Event(type, { bubbles: true }));
+    }
+
+    it('selects a range with two clicks, in either order', () => {
+        const events = [];
+        widget.addEventListener('range-select', (event) => events.push(event.detail));
+        cell('2025-08-12').click();
+        assert.deepEqual(events, []);
+        assert.deepEqual(datesWithClass('preview'), ['2025-08-12']);
+        cell('2025-08-05').click();
+        assert.deepEqual(events, [{ start: '2025-08-05', end: '2025-08-12' }]);
+        assert.deepEqual([widget.start, widget.end], ['2025-08-05', '2025-08-12']);
+        assert.equal(datesWithClass('in-range').length, 8);
+        assert.deepEqual(datesWithClass('range-start'), ['2025-08-05']);
+        assert.deepEqual(datesWithClass('range-end'), ['2025-08-12']);
+        assert.deepEqual(datesWithClass('preview'), []);
+        assert.equal(cell('2025-08-08').getAttribute('aria-selected'), 'true');
+        assert.deepEqual(datesWithClass('marked'), []);
+    });
+
+    it('previews the range under the pointer, and selects it by dragging', () => {
+        pointer('pointerdown', '2025-08-04');
+        pointer('pointerup', '2025-08-04');
+        cell('2025-08-04').click();
+        pointer('pointerover', '2025-08-06');
+        assert.deepEqual(datesWithClass('preview'), ['2025-08-04', '2025-08-05', '2025-08-06']);
+        assert.equal(widget.start, '');
+        pointer('pointerdown', '2025-08-06');
+        pointer('pointerup', '2025-08-06');
+        cell('2025-08-06').click();
+        assert.deepEqual([widget.start, widget.end], ['2025-08-04', '2025-08-06']);
+        pointer('pointerdown', '2025-08-20');
+        pointer('pointerover', '2025-08-18');
+        pointer('pointerup', '2025-08-18');
+        assert.deepEqual([widget.start, widget.end], ['2025-08-18', '2025-08-20']);
+    });
+
+    it('keeps ends within the minimum and maximum length', () => {
+        widget.minLength = 3;
+        widget.maxLength = 7;
+        cell('2025-08-10').click();
+        const unavailable = datesWithClass('disabled').filter(date => date.startsWith('2025-08'));
+        assert.deepEqual(unavailable.slice(0, 7), [
+            '2025-08-01', '2025-08-02', '2025-08-03', '2025-08-09', '2025-08-10', '2025-08-11', '2025-08-17'
+        ]);
+        cell('2025-08-11').click();
+        cell('2025-08-17').click();
+        assert.equal(widget.start, '');
+        cell('2025-08-16').click();
+        assert.deepEqual([widget.start, widget.end], ['2025-08-10', '2025-08-16']);
+        assert.equal(widget.selectRange('2025-08-01', '2025-08-20'), false);
+        assert.equal(widget.selectRange('2025-08-01', '2025-08-02'), false);
+        assert.deepEqual([widget.start, widget.end], ['2025-08-10', '2025-08-16']);
+    });
+
+    it('chooses both ends with the keyboard, and forgets the first with Escape', () => {
+        widget.moveFocus(new Date(2025, 7, 10));
+        const press = (key) => widget.dayGrid.querySelector('.day[tabindex="0"]')
+            .dispatchEvent(new KeyboardEvent('keydown', { key, bubbles: true, composed: true }));
+        press('Enter');
+        press('ArrowRight');
+        assert.deepEqual(datesWithClass('preview'), ['2025-08-10', '2025-08-11']);
+        press('Escape');
+        assert.deepEqual(datesWithClass('preview'), []);
+        press('Enter');
+        press('ArrowDown');
+        press('Enter');
+        assert.deepEqual([widget.start, widget.end], ['2025-08-11', '2025-08-18']);
+    });
+
+    it('submits and validates the range as start/end, and resets it', () => {
+        widget.required = true;
+        assert.equal(widget.validationMessage, 'Choose the first and last days');
+        widget.min = '2025-08-05';
+        widget.selectRange('2025-08-01', '2025-08-03');
+        assert.equal(widget.getFormValue(), '2025-08-01/2025-08-03');
+        assert.equal(widget.validationMessage, 'Choose a date on or after 2025-08-05');
+        assert.equal(widget.applyFormValue('2025-08-20/2025-08-09'), true);
+        assert.deepEqual([widget.start, widget.end], ['2025-08-09', '2025-08-20']);
+        assert.equal(widget.checkValidity(), true);
+        widget.formResetCallback();
+        assert.equal(widget.getFormValue(), '');
+    });
+
+});
@@ -0,0 +1,628 @@
+import './setup.js';
+import { describe, it, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { SimpleDatabase } from '../utils/simple-database.js';
+import { IndexedDBBackend, MemoryBackend } from '../utils/storage-backends.js';
+import { EncryptedStore } from '../utils/encrypted-store.js';
+
+// Silence upgrade logging
+mock.method(console, 'log', () => { });
+
+/**
+ * Schema with a structured notes store and a string settings store
+ * @type {import('../utils/simple-database.js').DatabaseSchema}
+ */
+const SCHEMA = {
+    version: 1,
+    stores: {
+        notes: {
+            structured: true,
+            validate: (value) => typeof value.text === 'string' || 'Expected note text',
+            indexes: {
+                pinned: { keyPath: 'pinned' }
+            }
+        },
+        journal: {},
+        settings: {}
+    }
+};
+
+/**
+ * Low iteration count, so key derivation stays fast in tests
+ * @type {number}
+ */
+const ITERATIONS = 1000;
+
+/** @type {SimpleDatabase[]} Databases to close after each test */
+let opened = [];
+
+/** @type {number} Counter for unique database names */
+let counter = 0;
+
+afterEach(() => {
+    for (const db of opened) {
+        db._close();
+    }
+    opened = [];
+});
+
+/**
+ * Create and open a database with a unique name
+ * 
+ * @param {Object} [options] - Optional settings
+ * @param {string} [options.name] - Database name, unique if omitted
+ * @param {MemoryBackend} [options.backend] - Backend to share
+ * @returns {Promise<SimpleDatabase>} The open database
+ */
+async function openDatabase({ name = `encrypted-${++counter}`, backend = new MemoryBackend() } = {}) {
+    const db = new SimpleDatabase(name, SCHEMA, { backend });
+    opened.push(db);
+    assert.deepEqual(await db.open(), { success: true });
+    return db;
+}
+
+/**
+ * Create an encrypted notes store, encrypting the text field
+ * 
+ * @param {SimpleDatabase} db - Open database
+ * @returns {EncryptedStore} The encrypted store
+ */
+function encryptedNotes(db) {
+    return new EncryptedStore(db, 'notes', { fields: ['text'], iterations: ITERATIONS });
+}
+
+/**
+ * Wait for pending timers and messages, eg. BroadcastChannel delivery
+ * 
+ * @param {number} [ms] - Milliseconds to wait
+ * @returns {Promise<void>}
+ */
+function wait(ms = 20) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+describe('EncryptedStore constructor', () => {
+
+    it('throws for stores missing from the schema', async () => {
+        const db = await openDatabase();
+        assert.throws(() => new EncryptedStore(db, 'missing'), /not declared/);
+        assert.throws(() => new EncryptedStore(db, 'notes', { keyStore: 'missing' }), /not declared/);
+    });
+
+});
+
+describe('EncryptedStore while disabled', () => {
+
+    it('passes values through unchanged', async () => {
+        const db = await openDatabase();
+        const notes = encryptedNotes(db);
+        assert.deepEqual(await notes.status(), { success: true, data: 'disabled' });
+        assert.equal(notes.locked, false);
+        assert.deepEqual(await notes.save('2025-08-03', { text: 'Hello', pinned: 0 }), { success: true });
+        assert.deepEqual(await db.store('notes').load('2025-08-03'), { success: true, data: { text: 'Hello', pinned: 0 } });
+        assert.deepEqual(await notes.load('2025-08-03'), { success: true, data: { text: 'Hello', pinned: 0 } });
+    });
+
+    it('rejects unlock, change and disable', async () => {
+        const notes = encryptedNotes(await openDatabase());
+        const failure = { success: false, message: 'Encryption is not enabled' };
+        assert.deepEqual(await notes.unlock('secret'), failure);
+        assert.deepEqual(await notes.changePassphrase('secret', 'other'), failure);
+        assert.deepEqual(await notes.disable('secret'), failure);
+    });
+
+    it('validates passphrases', async () => {
+        const notes = encryptedNotes(await openDatabase());
+        const failure = { success: false, message: 'Expected a non-empty string' };
+        assert.deepEqual(await notes.enable(''), failure);
+        assert.deepEqual(await notes.enable('   '), failure);
+        assert.deepEqual(await notes.unlock(undefined), failure);
+        assert.deepEqual(await notes.changePassphrase('secret', ''), failure);
+        assert.deepEqual(await notes.disable(42), failure);
+    });
+
+});
+
+describe('EncryptedStore enable', () => {
+
+    it('encrypts existing and new values at rest, leaving other fields plain', async () => {
+        const db = await openDatabase();
+        const notes = encryptedNotes(db);
+        await notes.save('2025-08-03', { text: 'Existing', pinned: 1 });
+        assert.deepEqual(await notes.enable('secret'), { success: true });
+        assert.deepEqual(await notes.status(), { success: true, data: 'unlocked' });
+        await notes.save('2025-08-04', { text: 'New', pinned: 0 });
+
+        const raw = (await db.store('notes').loadAll()).data;
+        for (const note of Object.values(raw)) {
+            assert.match(note.text, /^enc:v1:/);
+        }
+        assert.equal(raw['2025-08-03'].pinned, 1);
+        assert.deepEqual(await notes.loadAll(), {
+            success: true,
+            data: {
+                '2025-08-03': { text: 'Existing', pinned: 1 },
+                '2025-08-04': { text: 'New', pinned: 0 }
+            }
+        });
+    });
+
+    it('saves a key record without the passphrase or key', async () => {
+        const db = await openDatabase();
+        await encryptedNotes(db).enable('secret');
+        const result = await db.store('settings').load('encryption:notes');
+        const record = JSON.parse(result.data);
+        assert.deepEqual(Object.keys(record).sort(), ['check', 'iterations', 'salt', 'version']);
+        assert.equal(record.iterations, ITERATIONS);
+        assert.ok(!result.data.includes('secret'));
+    });
+
+    it('uses a fresh IV for every save', async () => {
+        const db = await openDatabase();
+        const notes = encryptedNotes(db);
+        await notes.enable('secret');
+        await notes.save('a', { text: 'Same' });
+        await notes.save('b', { text: 'Same' });
+        const raw = (await db.store('notes').loadAll()).data;
+        assert.notEqual(raw.a.text, raw.b.text);
+    });
+
+    it('encrypts whole string values when no fields are given', async () => {
+        const db = await openDatabase();
+        const journal = new EncryptedStore(db, 'journal', { iterations: ITERATIONS });
+        await journal.save('2025-08-03', 'Dear diary');
+        await journal.enable('secret');
+        assert.match((await db.store('journal').load('2025-08-03')).data, /^enc:v1:/);
+        assert.deepEqual(await journal.load('2025-08-03'), { success: true, data: 'Dear diary' });
+    });
+
+    it('never reads plain text starting with the prefix as ciphertext', async () => {
+        const db = await openDatabase();
+        const notes = encryptedNotes(db);
+        const journal = notes.link('journal');
+        const text = 'enc:v1: is the prefix';
+        assert.deepEqual(await notes.save('a', { text }), { success: true });
+        assert.deepEqual(await journal.save('a', text), { success: true });
+        assert.deepEqual(await notes.load('a'), { success: true, data: { text } });
+        assert.deepEqual(await journal.load('a'), { success: true, data: text });
+
+        assert.deepEqual(await notes.enable('secret'), { success: true });
+        assert.deepEqual(await notes.load('a'), { success: true, data: { text } });
+        assert.deepEqual(await journal.load('a'), { success: true, data: text });
+
+        assert.deepEqual(await notes.disable('secret'), { success: true });
+        assert.deepEqual(await notes.load('a'), { success: true, data: { text } });
+        assert.deepEqual(await journal.load('a'), { success: true, data: text });
+    });
+
+    it('refuses to enable twice', async () => {
+        const notes = encryptedNotes(await openDatabase());
+        await notes.enable('secret');
+        assert.deepEqual(await notes.enable('other'), { success: false, message: 'Encryption is already enabled' });
+    });
+
+    it('reports a missing WebCrypto implementation', async () => {
+        const notes = encryptedNotes(await openDatabase());
+        const descriptor = Object.getOwnPropertyDescriptor(globalThis, 'crypto');
+        Object.defineProperty(globalThis, 'crypto', { value: undefined, configurable: true });
+        try {
+            assert.deepEqual(await notes.enable('secret'), { success: false, message: 'Encryption requires a secure context' });
+        } finally {
+            Object.defineProperty(globalThis, 'crypto', descriptor);
+        }
+    });
+
+});
+
+describe('EncryptedStore lock and unlock', () => {
+
+    it('starts locked in a new session, and unlocks with the passphrase', async () => {
+        const backend = new MemoryBackend();
+        const name = `encrypted-${++counter}`;
+        const first = encryptedNotes(await openDatabase({ name, backend }));
+        await first.enable('secret');
+        await first.save('2025-08-03', { text: 'Private', pinned: 0 });
+
+        const notes = encryptedNotes(await openDatabase({ name, backend }));
+        assert.deepEqual(await notes.status(), { success: true, data: 'locked' });
+        assert.equal(notes.locked, true);
+        assert.deepEqual(await notes.unlock('secret'), { success: true });
+        assert.equal(notes.locked, false);
+        assert.deepEqual(await notes.load('2025-08-03'), { success: true, data: { text: 'Private', pinned: 0 } });
+    });
+
+    it('rejects an incorrect passphrase', async () => {
+        const notes = encryptedNotes(await openDatabase());
+        await notes.enable('secret');
+        notes.lock();
+        assert.deepEqual(await notes.unlock('wrong'), { success: false, message: 'Incorrect passphrase' });
+        assert.deepEqual(await notes.status(), { success: true, data: 'locked' });
+    });
+
+    it('fails reads and writes of encrypted values while locked', async () => {
+        const db = await openDatabase();
+        const notes = encryptedNotes(db);
+        await notes.enable('secret');
+        await notes.save('2025-08-03', { text: 'Private', pinned: 1 });
+        notes.lock();
+        const locked = { success: false, message: 'Store is locked' };
+        assert.deepEqual(await notes.save('2025-08-04', { text: 'New', pinned: 0 }), locked);
+        assert.deepEqual(await notes.load('2025-08-03'), locked);
+        assert.deepEqual(await notes.loadAll(), locked);
+        assert.deepEqual(await notes._loadAllValues(), locked);
+        assert.deepEqual(await notes.loadRange('2025-08-01', '2025-08-31'), locked);
+        assert.deepEqual(await notes.loadPrefix('2025-08'), locked);
+        assert.deepEqual(await notes.query('pinned', { only: 1 }), locked);
+        assert.equal((await db.store('notes').count()).data, 1);
+    });
+
+    it('allows keys, counts and deletes while locked', async () => {
+        const notes = encryptedNotes(await openDatabase());
+        await notes.enable('secret');
+        await notes.save('a', { text: 'A' });
+        await notes.save('b', { text: 'B' });
+        await notes.save('c', { text: 'C' });
+        notes.lock();
+        assert.deepEqual(await notes._loadAllKeys(), { success: true, data: ['a', 'b', 'c'] });
+        assert.deepEqual(await notes.count(), { success: true, data: 3 });
+        assert.deepEqual(await notes.delete('a'), { success: true });
+        assert.deepEqual(await notes.deleteMany(['b']), { success: true });
+        assert.deepEqual(await notes.clear(), { success: true });
+        assert.deepEqual(await notes.count(), { success: true, data: 0 });
+    });
+
+    it('passes through load failures of the underlying store', async () => {
+        const notes = encryptedNotes(await openDatabase());
+        await notes.enable('secret');
+        assert.deepEqual(await notes.load('missing'), { success: false, message: 'Data was nullish' });
+    });
+
+    it('decrypts query results by their primary keys', async () => {
+        const notes = encryptedNotes(await openDatabase());
+        await notes.enable('secret');
+        await notes.save('2025-08-03', { text: 'Pinned', pinned: 1 });
+        await notes.save('2025-08-04', { text: 'Unpinned', pinned: 0 });
+        const result = await notes.query('pinned', { only: 1 });
+        assert.deepEqual(result.data, { '2025-08-03': { text: 'Pinned', pinned: 1 } });
+        const range = await notes.loadRange('2025-08-01', '2025-08-31', { limit: 1 });
+        assert.deepEqual(range.data, { '2025-08-03': { text: 'Pinned', pinned: 1 } });
+        assert.equal(range.next, '2025-08-03');
+    });
+
+    it('fails to decrypt ciphertext moved to another key', async () => {
+        const db = await openDatabase();
+        const notes = encryptedNotes(db);
+        await notes.enable('secret');
+        await notes.save('a', { text: 'Moved' });
+        await db.store('notes').save('b', (await db.store('notes').load('a')).data);
+        const result = await notes.load('b');
+        assert.equal(result.success, false);
+        assert.equal(result.message, 'Error in the decrypting process: OperationError');
+    });
+
+    it('locks when another tab changes the key record', async () => {
+        const backend = new MemoryBackend();
+        const name = `encrypted-${++counter}`;
+        const writer = encryptedNotes(await openDatabase({ name, backend }));
+        const reader = encryptedNotes(await openDatabase({ name, backend }));
+        await writer.enable('secret');
+        await wait();
+        assert.deepEqual(await reader.unlock('secret'), { success: true });
+        await writer.changePassphrase('secret', 'changed');
+        await wait();
+        assert.deepEqual(await reader.status(), { success: true, data: 'locked' });
+        assert.deepEqual(await reader.unlock('secret'), { success: false, message: 'Incorrect passphrase' });
+        assert.deepEqual(await reader.unlock('changed'), { success: true });
+    });
+
+});
+
+describe('EncryptedStore linked stores', () => {
+
+    it('shares the key and lock state, and encrypts every linked store', async () => {
+        const db = await openDatabase();
+        const notes = encryptedNotes(db);
+        const journal = notes.link('journal');
+        await notes.save('a', { text: 'Note' });
+        await journal.save('a', 'Entry');
+        assert.deepEqual(await journal.enable('secret'), { success: true });
+        assert.match((await db.store('notes').load('a')).data.text, /^enc:v1:/);
+        assert.match((await db.store('journal').load('a')).data, /^enc:v1:/);
+        assert.deepEqual(await notes.status(), { success: true, data: 'unlocked' });
+
+        notes.lock();
+        assert.equal(journal.locked, true);
+        assert.deepEqual(await journal.load('a'), { success: false, message: 'Store is locked' });
+        assert.deepEqual(await journal.unlock('secret'), { success: true });
+        assert.deepEqual(await notes.load('a'), { success: true, data: { text: 'Note' } });
+        assert.deepEqual(await journal.load('a'), { success: true, data: 'Entry' });
+    });
+
+    it('re-encrypts and decrypts every linked store together', async () => {
+        const db = await openDatabase();
+        const notes = encryptedNotes(db);
+        const journal = notes.link('journal');
+        await notes.enable('secret');
+        await journal.save('a', 'Entry');
+        assert.deepEqual(await notes.changePassphrase('secret', 'changed'), { success: true });
+        assert.deepEqual(await journal.load('a'), { success: true, data: 'Entry' });
+        assert.deepEqual(await notes.disable('changed'), { success: true });
+        assert.deepEqual(await db.store('journal').load('a'), { success: true, data: 'Entry' });
+    });
+
+    it('throws for stores missing from the schema', async () => {
+        const notes = encryptedNotes(await openDatabase());
+        assert.throws(() => notes.link('missing'), /not declared/);
+    });
+
+});
+
+describe('EncryptedStore passphrase changes', () => {
+
+    it('re-encrypts every value with the new passphrase', async () => {
+        const db = await openDatabase();
+        const notes = encryptedNotes(db);
+        await notes.enable('secret');
+        await notes.save('2025-08-03', { text: 'Private' });
+        const before = (await db.store('notes').load('2025-08-03')).data.text;
+        assert.deepEqual(await notes.changePassphrase('secret', 'changed'), { success: true });
+        assert.notEqual((await db.store('notes').load('2025-08-03')).data.text, before);
+        assert.deepEqual(await notes.load('2025-08-03'), { success: true, data: { text: 'Private' } });
+
+        notes.lock();
+        assert.deepEqual(await notes.unlock('secret'), { success: false, message: 'Incorrect passphrase' });
+        assert.deepEqual(await notes.unlock('changed'), { success: true });
+    });
+
+    it('leaves data untouched when the current passphrase is wrong', async () => {
+        const db = await openDatabase();
+        const notes = encryptedNotes(db);
+        await notes.enable('secret');
+        await notes.save('a', { text: 'A' });
+        const before = (await db.store('notes').loadAll()).data;
+        assert.deepEqual(await notes.changePassphrase('wrong', 'changed'), { success: false, message: 'Incorrect passphrase' });
+        assert.deepEqual((await db.store('notes').loadAll()).data, before);
+    });
+
+    it('keeps the old passphrase working when the rewrite fails', async () => {
+        const db = await openDatabase();
+        const notes = encryptedNotes(db);
+        await notes.enable('secret');
+        await notes.save('a', { text: 'A' });
+        await db.store('notes').save('b', { text: 'enc:v1:AAAA:AAAA' });
+        const result = await notes.changePassphrase('secret', 'changed');
+        assert.equal(result.success, false);
+        assert.equal(result.message, 'Error in the encrypting process: OperationError');
+        notes.lock();
+        assert.deepEqual(await notes.unlock('secret'), { success: true });
+        assert.deepEqual(await notes.load('a'), { success: true, data: { text: 'A' } });
+    });
+
+    it('decrypts every value and deletes the record when disabled', async () => {
+        const db = await openDatabase();
+        const notes = encryptedNotes(db);
+        await notes.enable('secret');
+        await notes.save('a', { text: 'A', pinned: 1 });
+        assert.deepEqual(await notes.disable('wrong'), { success: false, message: 'Incorrect passphrase' });
+        assert.deepEqual(await notes.disable('secret'), { success: true });
+        assert.deepEqual(await notes.status(), { success: true, data: 'disabled' });
+        assert.deepEqual(await db.store('notes').load('a'), { success: true, data: { text: 'A', pinned: 1 } });
+        assert.deepEqual(await db.store('settings').count(), { success: true, data: 0 });
+    });
+
+    it('announces rewritten keys to subscribers', async () => {
+        const notes = encryptedNotes(await openDatabase());
+        await notes.save('a', { text: 'A' });
+        const changes = [];
+        notes.subscribe(change => changes.push([change.type, change.storeName, change.keys]));
+        await notes.enable('secret');
+        assert.deepEqual(changes, [['put', 'notes', ['a']]]);
+    });
+
+});
+
+describe('EncryptedStore during rewrites', () => {
+
+    /**
+     * Run a callback as the rewrite commits, after values were loaded and converted
+     * 
+     * @param {SimpleDatabase} db - Open database
+     * @param {() => Promise<void>} [before] - Called before the first transaction
+     * @param {() => Promise<void>} [after] - Called after the first transaction
+     */
+    function aroundCommit(db, before = async () => { }, after = async () => { }) {
+        const transaction = db.transaction.bind(db);
+        let calls = 0;
+        mock.method(db, 'transaction', async (callback) => {
+            if (calls++ > 0) {
+                return transaction(callback);
+            }
+            await before();
+            const result = await transaction(callback);
+            await after();
+            return result;
+        });
+    }
+
+    it('fails writes with Store is busy until the rewrite finishes', async () => {
+        const db = await openDatabase();
+        const notes = encryptedNotes(db);
+        const journal = notes.link('journal');
+        await notes.save('a', { text: 'Old' });
+        const attempts = [];
+        aroundCommit(db, async () => {
+            attempts.push(await notes.save('a', { text: 'New' }));
+            attempts.push(await notes.delete('a'));
+            attempts.push(await journal.save('a', 'Entry'));
+            await assert.rejects(notes.encryptValue('a', { text: 'New' }), /Store is busy/);
+        });
+        assert.deepEqual(await notes.enable('secret'), { success: true });
+        assert.deepEqual(attempts, Array(3).fill({ success: false, message: 'Store is busy' }));
+        assert.deepEqual(await notes.save('a', { text: 'New' }), { success: true });
+        assert.deepEqual(await notes.load('a'), { success: true, data: { text: 'New' } });
+    });
+
+    it('fails batches encrypted before the rewrite began with Store is busy', async () => {
+        const db = await openDatabase();
+        const notes = encryptedNotes(db);
+        await notes.enable('secret');
+        await notes.save('a', { text: 'v1' });
+        const value = await notes.encryptValue('a', { text: 'v2-import' });
+        let batch;
+        aroundCommit(db, async () => {
+            batch = await notes.transaction((tx) => { tx.store('notes').put('a', value); });
+        });
+        assert.deepEqual(await notes.changePassphrase('secret', 'changed'), { success: true });
+        assert.deepEqual(batch, { success: false, message: 'Store is busy' });
+        assert.deepEqual(await notes.load('a'), { success: true, data: { text: 'v1' } });
+    });
+
+    it('waits for a batch already writing before loading values', async () => {
+        const db = await openDatabase();
+        const notes = encryptedNotes(db);
+        await notes.enable('secret');
+        const value = await notes.encryptValue('a', { text: 'Imported' });
+        let release;
+        const held = new Promise(resolve => release = resolve);
+        const batch = notes.transaction(async (tx) => {
+            await held;
+            tx.store('notes').put('a', value);
+        });
+
+        // Release the batch once the rewrite has begun
+        const rewrite = notes._rewrite.bind(notes);
+        mock.method(notes, '_rewrite', (...args) => {
+            const rewriting = rewrite(...args);
+            release();
+            return rewriting;
+        });
+        assert.deepEqual(await notes.changePassphrase('secret', 'changed'), { success: true });
+        assert.deepEqual(await batch, { success: true, data: undefined });
+        notes.lock();
+        assert.deepEqual(await notes.unlock('changed'), { success: true });
+        assert.deepEqual(await notes.load('a'), { success: true, data: { text: 'Imported' } });
+    });
+
+    for (const [name, createBackend] of [
+        ['MemoryBackend', () => new MemoryBackend()],
+        ['IndexedDBBackend', () => new IndexedDBBackend()]
+    ]) {
+
+        it(`never reports a save as successful and then loses it, with ${name}`, async () => {
+            const db = await openDatabase({ backend: createBackend() });
+            const notes = encryptedNotes(db);
+            await notes.enable('secret');
+            await notes.save('a', { text: 'v1' });
+
+            // Start the save just before the rewrite begins, once it is past the first busy check
+            const rewrite = notes._rewrite.bind(notes);
+            let saving;
+            mock.method(notes, '_rewrite', (...args) => {
+                saving = notes.save('a', { text: 'v2-edit' });
+                return rewrite(...args);
+            });
+            assert.deepEqual(await notes.changePassphrase('secret', 'changed'), { success: true });
+            const saved = await saving;
+            const loaded = await notes.load('a');
+            if (saved.success) {
+                assert.deepEqual(loaded, { success: true, data: { text: 'v2-edit' } });
+            } else {
+                assert.deepEqual(saved, { success: false, message: 'Store is busy' });
+                assert.deepEqual(loaded, { success: true, data: { text: 'v1' } });
+            }
+        });
+
+        it(`waits for a save already writing before loading values, with ${name}`, async () => {
+            const db = await openDatabase({ backend: createBackend() });
+            const notes = encryptedNotes(db);
+            await notes.enable('secret');
+            await notes.save('a', { text: 'v1' });
+
+            // Hold the underlying write until the rewrite has started
+            const raw = db.store('notes');
+            const write = raw.save.bind(raw);
+            let release;
+            const held = new Promise(resolve => release = resolve);
+            mock.method(raw, 'save', async (...args) => {
+                await held;
+                return write(...args);
+            });
+            const saving = notes.save('a', { text: 'v2-edit' });
+            while (!notes._shared.writes.size) {
+                await wait(1);
+            }
+            const changing = notes.changePassphrase('secret', 'changed');
+            while (!notes._shared.rewriting) {
+                await wait(1);
+            }
+            release();
+            assert.deepEqual(await saving, { success: true });
+            assert.deepEqual(await changing, { success: true });
+            assert.deepEqual(await notes.load('a'), { success: true, data: { text: 'v2-edit' } });
+        });
+
+    }
+
+    it('refuses a second rewrite while one is running', async () => {
+        const db = await openDatabase();
+        const notes = encryptedNotes(db);
+        await notes.enable('secret');
+        let second;
+        aroundCommit(db, async () => {
+            second = await notes.disable('secret');
+        });
+        assert.deepEqual(await notes.changePassphrase('secret', 'changed'), { success: true });
+        assert.deepEqual(second, { success: false, message: 'Store is busy' });
+    });
+
+    it('allows writes again after a failed rewrite', async () => {
+        const db = await openDatabase();
+        const notes = encryptedNotes(db);
+        await notes.enable('secret');
+        await db.store('notes').save('b', { text: 'enc:v1:AAAA:AAAA' });
+        assert.equal((await notes.changePassphrase('secret', 'changed')).success, false);
+        assert.deepEqual(await notes.save('a', { text: 'A' }), { success: true });
+    });
+
+    it('encrypts plain text saved by another tab while enabling', async () => {
+        const db = await openDatabase();
+        const notes = encryptedNotes(db);
+        const raw = db.store('notes');
+        await notes.save('a', { text: 'A' });
+        aroundCommit(db,
+            async () => { await raw.save('b', { text: 'Before commit' }); },
+            async () => { await raw.save('c', { text: 'After commit', pinned: 1 }); }
+        );
+        assert.deepEqual(await notes.enable('secret'), { success: true });
+        for (const key of ['a', 'b', 'c']) {
+            assert.match((await raw.load(key)).data.text, /^enc:v1:/);
+        }
+        assert.deepEqual(await notes.load('b'), { success: true, data: { text: 'Before commit' } });
+        assert.deepEqual(await notes.load('c'), { success: true, data: { text: 'After commit', pinned: 1 } });
+    });
+
+    it('encrypts plain text saved by another tab while changing passphrase', async () => {
+        const db = await openDatabase();
+        const notes = encryptedNotes(db);
+        const raw = db.store('notes');
+        await notes.enable('secret');
+        aroundCommit(db, undefined, async () => { await raw.save('b', { text: 'Plain' }); });
+        assert.deepEqual(await notes.changePassphrase('secret', 'changed'), { success: true });
+        assert.match((await raw.load('b')).data.text, /^enc:v1:/);
+        notes.lock();
+        assert.deepEqual(await notes.unlock('changed'), { success: true });
+        assert.deepEqual(await notes.load('b'), { success: true, data: { text: 'Plain' } });
+    });
+
+    it('decrypts values encrypted by another tab while disabling', async () => {
+        const db = await openDatabase();
+        const notes = encryptedNotes(db);
+        const raw = db.store('notes');
+        await notes.enable('secret');
+        const encrypted = await notes.encryptValue('b', { text: 'Late' });
+        aroundCommit(db, undefined, async () => { await raw.save('b', encrypted); });
+        assert.deepEqual(await notes.disable('secret'), { success: true });
+        assert.deepEqual(await raw.load('b'), { success: true, data: { text: 'Late' } });
+    });
+
+});
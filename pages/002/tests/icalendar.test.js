@@ -0,0 +1,256 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseICS, serializeICS } from '../utils/icalendar.js';
+
+// Convert times into a zone with daylight saving, whatever the machine's zone
+process.env.TZ = 'Europe/London';
+
+/**
+ * Wrap lines in a calendar, joined with CRLF
+ * 
+ * @param {...string} lines - Lines inside the `VCALENDAR` component
+ * @returns {string} The file text
+ */
+function calendar(...lines) {
+    return ['BEGIN:VCALENDAR', 'VERSION:2.0', ...lines, 'END:VCALENDAR'].join('\r\n');
+}
+
+/**
+ * Time zone for New York, as written by other calendar apps
+ * @type {string[]}
+ */
+const NEW_YORK = [
+    'BEGIN:VTIMEZONE',
+    'TZID:Eastern Standard Time',
+    'BEGIN:STANDARD',
+    'DTSTART:16011104T020000',
+    'RRULE:FREQ=YEARLY;BYDAY=1SU;BYMONTH=11',
+    'TZOFFSETFROM:-0400',
+    'TZOFFSETTO:-0500',
+    'END:STANDARD',
+    'BEGIN:DAYLIGHT',
+    'DTSTART:16010311T020000',
+    'RRULE:FREQ=YEARLY;BYDAY=2SU;BYMONTH=3',
+    'TZOFFSETFROM:-0500',
+    'TZOFFSETTO:-0400',
+    'END:DAYLIGHT',
+    'END:VTIMEZONE'
+];
+
+describe('parseICS', () => {
+
+    it('reads all-day and timed events, unfolding and unescaping text', () => {
+        const { events, notes, skipped } = parseICS(calendar(
+            'BEGIN:VEVENT',
+            'UID:one@example.com',
+            'SUMMARY:Holiday\\, at last',
+            'DTSTART;VALUE=DATE:20250803',
+            'DTEND;VALUE=DATE:20250804',
+            'DESCRIPTION:Pack the\\ncar',
+            'END:VEVENT',
+            'BEGIN:VEVENT',
+            'UID:two@example.com',
+            'SUMMARY:Dentist appoint',
+            ' ment',
+            'DTSTART:20250804T093000',
+            'DURATION:PT45M',
+            'END:VEVENT'
+        ));
+        assert.deepEqual(events, {
+            'one@example.com': { title: 'Holiday, at last', date: '2025-08-03', description: 'Pack the\ncar' },
+            'two@example.com': { title: 'Dentist appointment', date: '2025-08-04', start: '09:30', end: '10:15' }
+        });
+        assert.deepEqual(notes, {});
+        assert.deepEqual(skipped, []);
+    });
+
+    it('converts UTC times, VTIMEZONE times and named zones into local time', () => {
+        const { events } = parseICS(calendar(
+            ...NEW_YORK,
+            'BEGIN:VEVENT',
+            'UID:utc',
+            'DTSTART:20250115T090000Z',
+            'DTEND:20250803T100000Z',
+            'END:VEVENT',
+            'BEGIN:VEVENT',
+            'UID:winter',
+            'DTSTART;TZID=Eastern Standard Time:20250115T090000',
+            'END:VEVENT',
+            'BEGIN:VEVENT',
+            'UID:summer',
+            'DTSTART;TZID="Eastern Standard Time":20250803T090000',
+            'END:VEVENT',
+            'BEGIN:VEVENT',
+            'UID:named',
+            'DTSTART;TZID=Asia/Tokyo:20250803T090000',
+            'END:VEVENT'
+        ));
+        assert.equal(events.utc.start, '09:00');
+        assert.equal(events.utc.end, undefined);
+        assert.equal(events.winter.start, '14:00');
+        assert.equal(events.summer.start, '14:00');
+        assert.deepEqual([events.named.date, events.named.start], ['2025-08-03', '01:00']);
+    });
+
+    it('reads repeat rules, exceptions and reminders', () => {
+        const { events } = parseICS(calendar(
+            'BEGIN:VEVENT',
+            'UID:standup',
+            'SUMMARY:Standup',
+            'DTSTART:20250804T090000',
+            'RRULE:FREQ=WEEKLY;WKST=MO;BYDAY=MO,TU,WE,TH,FR;UNTIL=20251231T235959Z',
+            'EXDATE:20250805T090000,20250806T090000',
+            'EXDATE:20250807T090000',
+            'BEGIN:VALARM',
+            'ACTION:DISPLAY',
+            'TRIGGER:-PT15M',
+            'END:VALARM',
+            'END:VEVENT',
+            'BEGIN:VEVENT',
+            'UID:board',
+            'SUMMARY:Board',
+            'DTSTART;VALUE=DATE:20250829',
+            'RRULE:FREQ=MONTHLY;INTERVAL=2;BYDAY=-1FR;COUNT=6',
+            'END:VEVENT'
+        ));
+        assert.deepEqual(events.standup, {
+            title: 'Standup',
+            date: '2025-08-04',
+            start: '09:00',
+            repeat: { frequency: 'weekly', until: '2025-12-31', weekdays: [1, 2, 3, 4, 5] },
+            exceptions: ['2025-08-05', '2025-08-06', '2025-08-07'],
+            remind: 15
+        });
+        assert.deepEqual(events.board.repeat, { frequency: 'monthly', interval: 2, count: 6, by: 'weekday' });
+    });
+
+    it('skips rules it cannot show, and leaves out cancelled events', () => {
+        const { events, skipped } = parseICS(calendar(
+            'BEGIN:VEVENT',
+            'UID:hourly',
+            'SUMMARY:Stretch',
+            'DTSTART:20250804T090000',
+            'RRULE:FREQ=HOURLY',
+            'END:VEVENT',
+            'BEGIN:VEVENT',
+            'UID:position',
+            'SUMMARY:Review',
+            'DTSTART:20250804T090000',
+            'RRULE:FREQ=MONTHLY;BYDAY=MO,TU;BYSETPOS=-1',
+            'END:VEVENT',
+            'BEGIN:VEVENT',
+            'UID:cancelled',
+            'DTSTART:20250804T090000',
+            'STATUS:CANCELLED',
+            'END:VEVENT',
+            'BEGIN:VEVENT',
+            'SUMMARY:No UID',
+            'DTSTART:20250804T090000',
+            'END:VEVENT'
+        ));
+        assert.deepEqual(events, {});
+        assert.deepEqual(skipped, [
+            'Stretch: unsupported repeat rule FREQ=HOURLY',
+            'Review: unsupported repeat rule FREQ=MONTHLY;BYDAY=MO,TU;BYSETPOS=-1',
+            'No UID: missing UID or start'
+        ]);
+    });
+
+    it('turns changed occurrences into exceptions and single events', () => {
+        const { events } = parseICS(calendar(
+            'BEGIN:VEVENT',
+            'UID:walk',
+            'SUMMARY:Walk',
+            'DTSTART:20250804T080000',
+            'RRULE:FREQ=DAILY',
+            'END:VEVENT',
+            'BEGIN:VEVENT',
+            'UID:walk',
+            'RECURRENCE-ID:20250806T080000',
+            'SUMMARY:Long walk',
+            'DTSTART:20250806T070000',
+            'END:VEVENT',
+            'BEGIN:VEVENT',
+            'UID:walk',
+            'RECURRENCE-ID:20250807T080000',
+            'STATUS:CANCELLED',
+            'DTSTART:20250807T080000',
+            'END:VEVENT'
+        ));
+        assert.deepEqual(events.walk.exceptions, ['2025-08-06', '2025-08-07']);
+        assert.deepEqual(events['walk/2025-08-06'], { title: 'Long walk', date: '2025-08-06', start: '07:00' });
+        assert.equal(Object.keys(events).length, 2);
+    });
+
+    it('rejects text without a calendar', () => {
+        assert.throws(() => parseICS('Not a calendar'), { message: 'Expected a VCALENDAR component' });
+    });
+
+});
+
+describe('serializeICS', () => {
+
+    /** @type {import('../utils/icalendar.js').CalendarData} */
+    const data = {
+        events: {
+            standup: {
+                title: 'Standup; team',
+                date: '2025-08-04',
+                start: '09:00',
+                end: '09:15',
+                repeat: { frequency: 'weekly', weekdays: [1, 2, 3, 4, 5], until: '2025-12-31' },
+                exceptions: ['2025-08-05'],
+                remind: 5,
+                description: 'Bring notes'
+            },
+            birthday: { title: 'Birthday', date: '2024-02-29', repeat: { frequency: 'yearly' } },
+            board: { title: 'Board', date: '2025-08-29', start: '14:00', repeat: { frequency: 'monthly', by: 'weekday', count: 6 } }
+        },
+        notes: {
+            '2025-08-03': '# Walk\nWalked the dog, then read a long book about the history of the calendar and its reforms'
+        }
+    };
+    const now = new Date(Date.UTC(2025, 7, 3, 12));
+
+    it('writes events, alarms and notes, folding long lines', () => {
+        const text = serializeICS(data, { timeZone: 'Europe/London', now });
+        const lines = text.split('\r\n');
+        assert.ok(text.endsWith('END:VCALENDAR\r\n'));
+        assert.ok(lines.every(line => new TextEncoder().encode(line).length <= 75));
+        for (const line of [
+            'DTSTART;TZID=Europe/London:20250804T090000',
+            'RRULE:FREQ=WEEKLY;BYDAY=MO,TU,WE,TH,FR;UNTIL=20251231T235959Z',
+            'EXDATE;TZID=Europe/London:20250805T090000',
+            'TRIGGER:-PT5M',
+            'DTSTART;VALUE=DATE:20240229',
+            'RRULE:FREQ=MONTHLY;BYDAY=-1FR;COUNT=6',
+            'UID:note-2025-08-03@calendar-notes',
+            'SUMMARY:# Walk',
+            'DTSTAMP:20250803T120000Z'
+        ]) {
+            assert.ok(lines.includes(line), line);
+        }
+    });
+
+    it('writes a VTIMEZONE with the transitions of the zone', () => {
+        const text = serializeICS(data, { timeZone: 'Europe/London', now });
+        assert.match(text, /BEGIN:DAYLIGHT\r\nDTSTART:20250330T010000\r\nTZOFFSETFROM:\+0000\r\nTZOFFSETTO:\+0100/);
+        assert.match(text, /BEGIN:STANDARD\r\nDTSTART:20251026T020000\r\nTZOFFSETFROM:\+0100\r\nTZOFFSETTO:\+0000/);
+        assert.doesNotMatch(serializeICS(data, { now }), /VTIMEZONE|TZID/);
+    });
+
+    it('reads back what it writes', () => {
+        for (const timeZone of ['Europe/London', undefined]) {
+            assert.deepEqual(parseICS(serializeICS(data, { timeZone, now })), {
+                events: {
+                    ...data.events,
+                    standup: { ...data.events.standup, repeat: { frequency: 'weekly', until: '2025-12-31', weekdays: [1, 2, 3, 4, 5] } },
+                    board: { ...data.events.board, repeat: { frequency: 'monthly', count: 6, by: 'weekday' } }
+                },
+                notes: data.notes,
+                skipped: []
+            });
+        }
+    });
+
+});
@@ -0,0 +1,116 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { renderMarkdown, toggleTask } from '../utils/markdown.js';
+
+describe('renderMarkdown', () => {
+
+    it('renders headings, paragraphs, rules and hard line breaks', () => {
+        assert.equal(
+            renderMarkdown('# Title #\n\n### Small\nOne\ntwo  \nthree\n\n---'),
+            '<h1>Title</h1><h3>Small</h3><p>One\ntwo<br>\nthree</p><hr>'
+        );
+    });
+
+    it('renders inline code, emphasis and strikethrough', () => {
+        assert.equal(
+            renderMarkdown('**bold *both* end** _em_ snake_case ~~gone~~ `a *b*` \\*literal\\*'),
+            '<p><strong>bold <em>both</em> end</strong> <em>em</em> snake_case <del>gone</del> <code>a *b*</code> *literal*</p>'
+        );
+    });
+
+    it('renders nested and numbered lists', () => {
+        assert.equal(
+            renderMarkdown('- One\n  - Inner\n- Two\n\n3. Three\n4. Four'),
+            '<ul><li>One<ul><li>Inner</li></ul></li><li>Two</li></ul><ol start="3"><li>Three</li><li>Four</li></ol>'
+        );
+    });
+
+    it('renders task checkboxes with their source line', () => {
+        assert.equal(
+            renderMarkdown('Shopping\n\n- [ ] Milk\n- [x] Bread\n  * [X] Nested'),
+            '<p>Shopping</p><ul>'
+            + '<li class="task"><input type="checkbox" data-line="2"> Milk</li>'
+            + '<li class="task"><input type="checkbox" data-line="3" checked> Bread'
+            + '<ul><li class="task"><input type="checkbox" data-line="4" checked> Nested</li></ul></li></ul>'
+        );
+    });
+
+    it('renders block quotes, keeping task lines', () => {
+        assert.equal(
+            renderMarkdown('> Quote\n> - [ ] Task'),
+            '<blockquote><p>Quote</p><ul><li class="task"><input type="checkbox" data-line="1"> Task</li></ul></blockquote>'
+        );
+    });
+
+    it('renders fenced code as escaped text, without other syntax', () => {
+        assert.equal(
+            renderMarkdown('```js\nconst a = "<b>";\n- [ ] Not a task\n```\nAfter'),
+            '<pre><code class="language-js">const a = &quot;&lt;b&gt;&quot;;\n- [ ] Not a task</code></pre><p>After</p>'
+        );
+    });
+
+    it('renders links, autolinks and bare URLs to open in a new tab', () => {
+        const attributes = 'target="_blank" rel="noopener noreferrer"';
+        assert.equal(
+            renderMarkdown('[Site](https://example.com/?a=1&b=2) <mailto:me@example.com> https://example.com/page.'),
+            `<p><a href="https://example.com/?a=1&amp;b=2" ${attributes}>Site</a> `
+            + `<a href="mailto:me@example.com" ${attributes}>me@example.com</a> `
+            + `<a href="https://example.com/page" ${attributes}>https://example.com/page</a>.</p>`
+        );
+    });
+
+    it('never nests links inside link text', () => {
+        const attributes = 'target="_blank" rel="noopener noreferrer"';
+        assert.equal(
+            renderMarkdown('[see http://b.com](http://c.com) [**<mailto:me@example.com>**](http://d.com)'),
+            `<p><a href="http://c.com" ${attributes}>see http://b.com</a> `
+            + `<a href="http://d.com" ${attributes}><strong>&lt;mailto:me@example.com&gt;</strong></a></p>`
+        );
+    });
+
+    it('escapes raw HTML and drops links with unsafe protocols', () => {
+        assert.equal(
+            renderMarkdown('<script>alert("x")</script>\n<img src=x onerror=alert(1)>'),
+            '<p>&lt;script&gt;alert(&quot;x&quot;)&lt;/script&gt;\n&lt;img src=x onerror=alert(1)&gt;</p>'
+        );
+        assert.equal(
+            renderMarkdown('[a](javascript:alert) [b](JavaScript:alert) [c](java\tscript:x) [d](data:text/html,x) [e](/relative)'),
+            '<p>a b [c](java\tscript:x) d <a href="/relative" target="_blank" rel="noopener noreferrer">e</a></p>'
+        );
+        assert.equal(renderMarkdown('[x](" onclick="alert)'), '<p>[x](&quot; onclick=&quot;alert)</p>');
+    });
+
+    it('renders nothing for empty text', () => {
+        assert.equal(renderMarkdown(''), '');
+        assert.equal(renderMarkdown('\n  \n'), '');
+    });
+
+});
+
+describe('toggleTask', () => {
+
+    it('checks and unchecks the task on a line', () => {
+        const text = 'Shopping\n- [ ] Milk\n  1. [X] Bread';
+        assert.equal(toggleTask(text, 1, true), 'Shopping\n- [x] Milk\n  1. [X] Bread');
+        assert.equal(toggleTask(text, 2, false), 'Shopping\n- [ ] Milk\n  1. [ ] Bread');
+    });
+
+    it('toggles tasks inside block quotes, and keeps carriage returns out', () => {
+        assert.equal(toggleTask('> - [ ] Quoted', 0, true), '> - [x] Quoted');
+        assert.equal(toggleTask('a\r\n- [ ] b', 1, true), 'a\n- [x] b');
+    });
+
+    it('leaves text unchanged for lines without a task', () => {
+        const text = 'Plain\n- Item [ ] later';
+        assert.equal(toggleTask(text, 0, true), text);
+        assert.equal(toggleTask(text, 1, true), text);
+        assert.equal(toggleTask(text, 9, true), text);
+    });
+
+    it('round trips with the line numbers of rendered checkboxes', () => {
+        const text = '# Day\n\n- [ ] One\n- [ ] Two';
+        const line = Number(renderMarkdown(text).match(/data-line="(\d+)">\s*Two/)[1]);
+        assert.equal(toggleTask(text, line, true), '# Day\n\n- [ ] One\n- [x] Two');
+    });
+
+});
@@ -0,0 +1,210 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { NoteSaver } from '../utils/note-saver.js';
+
+/**
+ * Create a saver over an in-memory note, recording every write and state
+ * - Writes and deletes wait for `release` when `hold` is set
+ * 
+ * @param {Object} [options] - Optional settings
+ * @param {string} [options.saved] - Text of the saved note, omit for no note
+ * @param {boolean} [options.hold] - Whether writes wait to be released
+ * @param {() => boolean} [options.writable] - Whether saving is allowed
+ * @param {(text: string) => { success: boolean, message?: string }} [options.respond] - Result of each write
+ * @returns {Object} The saver, with its editor text, saved text, calls and states
+ */
+function createSaver({ saved, hold = false, writable, respond = () => ({ success: true }) } = {}) {
+    const state = {
+        text: saved ?? '',
+        saved,
+        calls: [],
+        states: [],
+        releases: [],
+        release() {
+            state.releases.shift()?.();
+        }
+    };
+    const finish = async (call, text) => {
+        state.calls.push(call);
+        if (hold) {
+            await new Promise(resolve => state.releases.push(resolve));
+        }
+        const result = respond(text);
+        if (result.success) {
+            state.saved = call === 'delete' ? undefined : text;
+        }
+        return result;
+    };
+    state.saver = new NoteSaver({
+        read: () => state.text,
+        saved: () => state.saved,
+        write: (text, options) => finish(options ? `write ${text} ${JSON.stringify(options)}` : `write ${text}`, text),
+        remove: () => finish('delete', ''),
+        render: (name, message) => state.states.push(message ? `${name}: ${message}` : name),
+        writable,
+        delay: 50
+    });
+    return state;
+}
+
+/**
+ * Wait for pending timers and promises
+ * 
+ * @param {number} [ms] - Milliseconds to wait
+ * @returns {Promise<void>}
+ */
+function wait(ms = 0) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+describe('NoteSaver dirty state', () => {
+
+    it('compares the text with the saved note', () => {
+        const state = createSaver({ saved: 'Saved' });
+        assert.equal(state.saver.isDirty(), false);
+        state.text = 'Edited';
+        assert.equal(state.saver.isDirty(), true);
+    });
+
+    it('treats whitespace-only text as no note', () => {
+        const state = createSaver();
+        state.text = '  \n';
+        assert.equal(state.saver.isDirty(), false);
+        state.saved = 'Saved';
+        assert.equal(state.saver.isDirty(), true);
+    });
+
+});
+
+describe('NoteSaver saving', () => {
+
+    it('skips saving when there are no edits', async () => {
+        const state = createSaver({ saved: 'Saved' });
+        assert.deepEqual(await state.saver.save(), { success: true });
+        assert.deepEqual(state.calls, []);
+    });
+
+    it('skips saving while not writable', async () => {
+        const state = createSaver({ writable: () => false });
+        state.text = 'Locked';
+        assert.deepEqual(await state.saver.save(), { success: true });
+        assert.deepEqual(state.calls, []);
+        assert.equal(state.saver.isDirty(), true);
+    });
+
+    it('runs queued saves one at a time, in order', async () => {
+        const state = createSaver({ hold: true });
+        state.text = 'One';
+        const first = state.saver.save();
+        await wait();
+        state.text = 'Two';
+        const second = state.saver.save();
+        state.text = 'Three';
+        const third = state.saver.save();
+        await wait();
+        assert.deepEqual(state.calls, ['write One']);
+        state.release();
+        await wait();
+        assert.deepEqual(state.calls, ['write One', 'write Three']);
+        state.release();
+        assert.deepEqual(await Promise.all([first, second, third]), Array(3).fill({ success: true }));
+        assert.deepEqual(state.calls, ['write One', 'write Three']);
+        assert.equal(state.saved, 'Three');
+    });
+
+    it('keeps edits made while a save is running dirty', async () => {
+        const state = createSaver({ hold: true });
+        state.text = 'Before';
+        const saving = state.saver.save();
+        await wait();
+        state.text = 'After';
+        state.release();
+        assert.deepEqual(await saving, { success: true });
+        assert.equal(state.saved, 'Before');
+        assert.equal(state.saver.isDirty(), true);
+        assert.deepEqual(state.states, ['saving', 'dirty']);
+    });
+
+    it('passes save options on to write', async () => {
+        const state = createSaver({ saved: 'Current' });
+        state.text = 'Restored';
+        assert.deepEqual(await state.saver.save({ restore: true }), { success: true });
+        assert.deepEqual(state.calls, ['write Restored {"restore":true}']);
+    });
+
+    it('deletes the note when its text is emptied', async () => {
+        const state = createSaver({ saved: 'Saved' });
+        state.text = ' ';
+        assert.deepEqual(await state.saver.save(), { success: true });
+        assert.deepEqual(state.calls, ['delete']);
+        assert.equal(state.saved, undefined);
+        assert.deepEqual(state.states, ['saving', 'saved']);
+    });
+
+    it('shows failures, leaving the edits dirty', async () => {
+        const state = createSaver({ respond: () => ({ success: false, message: 'Store is locked' }) });
+        state.text = 'Text';
+        assert.deepEqual(await state.saver.save(), { success: false, message: 'Store is locked' });
+        assert.equal(state.saver.isDirty(), true);
+        assert.deepEqual(state.states, ['saving', 'error: Store is locked']);
+    });
+
+    it('passes thrown errors to the result', async () => {
+        const state = createSaver({ respond: () => { throw new TypeError('Broken'); } });
+        state.text = 'Text';
+        const result = await state.saver.save();
+        assert.equal(result.success, false);
+        assert.equal(result.message, 'Error in the saving process: TypeError');
+        assert.equal(state.saver.isDirty(), true);
+    });
+
+});
+
+describe('NoteSaver autosave', () => {
+
+    it('saves once edits stop for the delay', async () => {
+        const state = createSaver();
+        for (const text of ['a', 'ab', 'abc']) {
+            state.text = text;
+            state.saver.edit();
+            await wait(2);
+        }
+        assert.deepEqual(state.calls, []);
+        await wait(100);
+        assert.deepEqual(state.calls, ['write abc']);
+        assert.deepEqual(state.states.slice(0, 3), ['dirty', 'dirty', 'dirty']);
+    });
+
+    it('cancels the pending autosave when saving now', async () => {
+        const state = createSaver();
+        state.text = 'Now';
+        state.saver.edit();
+        await state.saver.save();
+        await wait(100);
+        assert.deepEqual(state.calls, ['write Now']);
+    });
+
+});
+
+describe('NoteSaver leave', () => {
+
+    it('allows leaving once saved, without asking', async () => {
+        const state = createSaver();
+        state.text = 'Text';
+        const asked = [];
+        assert.equal(await state.saver.leave((result) => asked.push(result)), true);
+        assert.deepEqual(asked, []);
+        assert.deepEqual(state.calls, ['write Text']);
+    });
+
+    it('asks whether to discard edits that fail to save', async () => {
+        const state = createSaver({ respond: () => ({ success: false, message: 'Quota exceeded' }) });
+        state.text = 'Text';
+        const asked = [];
+        assert.equal(await state.saver.leave((result) => (asked.push(result.message), false)), false);
+        assert.equal(await state.saver.leave((result) => (asked.push(result.message), true)), true);
+        assert.deepEqual(asked, ['Quota exceeded', 'Quota exceeded']);
+        assert.equal(state.saver.isDirty(), true);
+    });
+
+});
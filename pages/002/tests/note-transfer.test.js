@@ -0,0 +1,227 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { exportNotes, readNotesFile, planImport, toMarkdown, fromMarkdown, fromJSON } from '../utils/note-transfer.js';
+import { createZip } from '../utils/zip.js';
+
+const encoder = new TextEncoder();
+
+/** @type {number} Fixed timestamp for new and updated notes */
+const NOW = 1754222400000;
+
+/**
+ * Create a complete note
+ * 
+ * @param {string} text - Text content of the note
+ * @param {Partial<import('../utils/note-transfer.js').NoteData>} [fields] - Fields to override
+ * @returns {import('../utils/note-transfer.js').NoteData} The note
+ */
+function note(text, fields = {}) {
+    return { text, created: 1000, updated: 2000, pinned: 0, tags: [], ...fields };
+}
+
+/**
+ * Export notes, then read the file back
+ * 
+ * @param {Record<string, import('../utils/note-transfer.js').NoteData>} notes - Notes keyed by date
+ * @param {import('../utils/note-transfer.js').ExportFormat} format - Format to export
+ * @returns {Promise<Record<string, any>>} The values read back
+ */
+async function roundTrip(notes, format) {
+    const file = exportNotes(notes, format, new Date(2025, 7, 3));
+    const bytes = typeof file.data === 'string' ? encoder.encode(file.data) : file.data;
+    const result = await readNotesFile(file.name, bytes);
+    assert.equal(result.success, true, result.message);
+    return result.data;
+}
+
+const NOTES = {
+    '2025-08-04': note('Second\n\nWith a blank line', { pinned: 1, tags: ['work'] }),
+    '2025-08-03': note('First')
+};
+
+describe('exportNotes', () => {
+
+    it('names files by export date and format', () => {
+        const date = new Date(2025, 7, 3);
+        assert.deepEqual(
+            ['json', 'markdown', 'zip'].map(format => {
+                const { name, type } = exportNotes(NOTES, format, date);
+                return [name, type];
+            }),
+            [
+                ['calendar-notes-2025-08-03.json', 'application/json'],
+                ['calendar-notes-2025-08-03.md', 'text/markdown'],
+                ['calendar-notes-2025-08-03.zip', 'application/zip']
+            ]
+        );
+        assert.throws(() => exportNotes(NOTES, 'pdf'), /Unsupported export format/);
+    });
+
+    it('writes Markdown with one heading per date, in date order', () => {
+        const file = exportNotes(NOTES, 'markdown');
+        assert.equal(file.data, '# 2025-08-03\n\nFirst\n\n# 2025-08-04\n\nSecond\n\nWith a blank line\n');
+    });
+
+    it('keeps every field in JSON', async () => {
+        const data = await roundTrip(NOTES, 'json');
+        assert.deepEqual(data, {
+            '2025-08-03': NOTES['2025-08-03'],
+            '2025-08-04': NOTES['2025-08-04']
+        });
+    });
+
+    it('keeps text in Markdown and zip exports', async () => {
+        for (const format of ['markdown', 'zip']) {
+            const data = await roundTrip(NOTES, format);
+            assert.deepEqual(data, {
+                '2025-08-03': { text: 'First' },
+                '2025-08-04': { text: 'Second\n\nWith a blank line' }
+            }, format);
+        }
+    });
+
+});
+
+describe('Markdown format', () => {
+
+    it('escapes note lines that look like date headings', () => {
+        const notes = { '2025-08-03': note('Before\n# 2025-08-05\n\\# 2025-08-06\nAfter') };
+        const markdown = toMarkdown(notes);
+        assert.equal(markdown, '# 2025-08-03\n\nBefore\n\\# 2025-08-05\n\\\\# 2025-08-06\nAfter\n');
+        assert.deepEqual(fromMarkdown(markdown), { '2025-08-03': { text: 'Before\n# 2025-08-05\n\\# 2025-08-06\nAfter' } });
+    });
+
+    it('reads hand-written files, ignoring text before the first heading', () => {
+        const markdown = 'My diary\r\n\r\n# 2025-08-03\r\nNo blank line\r\n## Subheading\r\n\r\n\r\n# 2025-08-04   \n\n\nPadded\n\n';
+        assert.deepEqual(fromMarkdown(markdown), {
+            '2025-08-03': { text: 'No blank line\n## Subheading' },
+            '2025-08-04': { text: 'Padded' }
+        });
+    });
+
+    it('joins repeated headings for the same date', () => {
+        assert.deepEqual(fromMarkdown('# 2025-08-03\n\nOne\n\n# 2025-08-03\n\nTwo\n'), {
+            '2025-08-03': { text: 'One\n\nTwo' }
+        });
+    });
+
+});
+
+describe('readNotesFile', () => {
+
+    it('reads plain JSON objects of notes or strings', async () => {
+        const result = await readNotesFile('backup.json', encoder.encode('{ "2025-08-03": "Plain", "2025-08-04": { "text": "Object" } }'));
+        assert.deepEqual(result, {
+            success: true,
+            data: { '2025-08-03': { text: 'Plain' }, '2025-08-04': { text: 'Object' } }
+        });
+    });
+
+    it('detects JSON by content, and ignores a byte order mark', async () => {
+        const result = await readNotesFile('backup.txt', encoder.encode('\uFEFF{ "2025-08-03": "Plain" }'));
+        assert.deepEqual(result.data, { '2025-08-03': { text: 'Plain' } });
+    });
+
+    it('reads zips of files in folders, ignoring other files', async () => {
+        const bytes = createZip([
+            { name: 'notes/2025-08-03.md', data: encoder.encode('Markdown') },
+            { name: 'notes/2025-08-04.txt', data: encoder.encode('Text') },
+            { name: 'notes/readme.md', data: encoder.encode('Ignored') }
+        ]);
+        const result = await readNotesFile('notes.zip', bytes);
+        assert.deepEqual(result.data, { '2025-08-03': { text: 'Markdown' }, '2025-08-04': { text: 'Text' } });
+    });
+
+    it('fails for invalid JSON, arrays, and files without notes', async () => {
+        let result = await readNotesFile('broken.json', encoder.encode('{ "2025-08-03": '));
+        assert.equal(result.success, false);
+        assert.match(result.message, /^Error in the reading process: /);
+        assert.ok(result.error instanceof SyntaxError);
+        result = await readNotesFile('list.json', encoder.encode('["First"]'));
+        assert.equal(result.message, 'Error in the reading process: Expected an object of notes keyed by date');
+        result = await readNotesFile('empty.md', encoder.encode('Just some text'));
+        assert.deepEqual(result, { success: false, message: 'No notes found in file' });
+        result = await readNotesFile('broken.zip', encoder.encode('PK broken'));
+        assert.equal(result.message, 'Error in the reading process: Not a zip archive');
+    });
+
+    it('reads the export wrapper, and rejects values that are not objects', () => {
+        assert.throws(() => fromJSON('null'), /Expected an object/);
+        assert.deepEqual(fromJSON('{ "format": "calendar-notes", "version": 1, "notes": {} }'), {});
+    });
+
+});
+
+describe('planImport', () => {
+
+    it('adds new dates, completing missing fields', () => {
+        const plan = planImport({}, { '2025-08-03': { text: 'New' }, '2025-08-04': note('Full', { pinned: 1 }) }, 'merge', NOW);
+        assert.deepEqual(plan.added, ['2025-08-03', '2025-08-04']);
+        assert.deepEqual(plan.notes['2025-08-03'], { text: 'New', created: NOW, updated: NOW, pinned: 0, tags: [] });
+        assert.deepEqual(plan.notes['2025-08-04'], note('Full', { pinned: 1 }));
+    });
+
+    it('skips invalid dates, missing text and empty text', () => {
+        const plan = planImport({}, {
+            '2025-02-30': { text: 'Not a date' },
+            'theme': { text: 'Not a date' },
+            '2025-08-03': { text: '   ' },
+            '2025-08-04': { pinned: 1 },
+            '2025-08-05': null
+        }, 'merge', NOW);
+        assert.deepEqual(plan.skipped, ['2025-02-30', '2025-08-03', '2025-08-04', '2025-08-05', 'theme']);
+        assert.deepEqual(plan.notes, {});
+    });
+
+    it('overwrites conflicting text, keeping metadata the import lacks', () => {
+        const existing = { '2025-08-03': note('Old', { pinned: 1, tags: ['work'] }) };
+        const plan = planImport(existing, { '2025-08-03': { text: 'New' } }, 'overwrite', NOW);
+        assert.deepEqual(plan.changed, ['2025-08-03']);
+        assert.deepEqual(plan.notes['2025-08-03'], note('New', { pinned: 1, tags: ['work'], updated: NOW }));
+    });
+
+    it('overwrites with every field of a JSON import', () => {
+        const existing = { '2025-08-03': note('Old', { pinned: 1 }) };
+        const incoming = { '2025-08-03': note('New', { created: 5, updated: 6, pinned: 0, tags: ['home'] }) };
+        const plan = planImport(existing, incoming, 'overwrite', NOW);
+        assert.deepEqual(plan.notes['2025-08-03'], incoming['2025-08-03']);
+    });
+
+    it('merges conflicting text, pins and tags', () => {
+        const existing = { '2025-08-03': note('Mine\n', { tags: ['work'] }) };
+        const incoming = { '2025-08-03': note('Theirs', { created: 500, pinned: 1, tags: ['home', 'work'] }) };
+        const plan = planImport(existing, incoming, 'merge', NOW);
+        assert.deepEqual(plan.notes['2025-08-03'], {
+            text: 'Mine\n\nTheirs',
+            created: 500,
+            updated: NOW,
+            pinned: 1,
+            tags: ['work', 'home']
+        });
+    });
+
+    it('keeps whichever text contains the other when merging', () => {
+        const existing = {
+            '2025-08-03': note('Full text, edited later'),
+            '2025-08-04': note('Short')
+        };
+        const incoming = {
+            '2025-08-03': { text: 'Full text' },
+            '2025-08-04': { text: 'Short, then extended elsewhere' }
+        };
+        const plan = planImport(existing, incoming, 'merge', NOW);
+        assert.deepEqual(plan.unchanged, ['2025-08-03']);
+        assert.deepEqual(plan.changed, ['2025-08-04']);
+        assert.equal(plan.notes['2025-08-04'].text, 'Short, then extended elsewhere');
+    });
+
+    it('reports identical notes as unchanged in both modes', () => {
+        const existing = { '2025-08-03': note('Same', { pinned: 1 }) };
+        for (const mode of ['merge', 'overwrite']) {
+            const plan = planImport(existing, { '2025-08-03': { text: 'Same' } }, mode, NOW);
+            assert.deepEqual(plan.unchanged, ['2025-08-03'], mode);
+            assert.deepEqual(plan.notes, {}, mode);
+        }
+    });
+
+});
@@ -0,0 +1,117 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { expandEvent, describeRepeat, validateEvent } from '../utils/recurrence.js';
+
+/**
+ * Create an event for tests
+ * 
+ * @param {string} date - First date of the event
+ * @param {import('../utils/recurrence.js').RepeatRule} [repeat] - How the event repeats
+ * @param {Partial<import('../utils/recurrence.js').CalendarEvent>} [extra] - Other event properties
+ * @returns {import('../utils/recurrence.js').CalendarEvent} The event
+ */
+function event(date, repeat, extra = {}) {
+    return { title: 'Event', date, repeat, ...extra };
+}
+
+describe('expandEvent', () => {
+
+    it('returns the date of a single event within the range', () => {
+        assert.deepEqual(expandEvent(event('2025-08-03'), '2025-08-01', '2025-08-31'), ['2025-08-03']);
+        assert.deepEqual(expandEvent(event('2025-09-03'), '2025-08-01', '2025-08-31'), []);
+        assert.deepEqual(expandEvent(event('2025-08-03', undefined, { exceptions: ['2025-08-03'] }), '2025-08-01', '2025-08-31'), []);
+    });
+
+    it('repeats daily by interval, from long before the range', () => {
+        assert.deepEqual(expandEvent(event('2025-08-01', { frequency: 'daily', interval: 2 }), '2025-08-04', '2025-08-10'), [
+            '2025-08-05', '2025-08-07', '2025-08-09'
+        ]);
+        assert.deepEqual(expandEvent(event('2000-01-01', { frequency: 'daily', interval: 7 }), '2025-08-01', '2025-08-20'), [
+            '2025-08-02', '2025-08-09', '2025-08-16'
+        ]);
+    });
+
+    it('repeats weekly on the first weekday, or on chosen weekdays', () => {
+        assert.deepEqual(expandEvent(event('2025-08-04', { frequency: 'weekly' }), '2025-08-01', '2025-08-31'), [
+            '2025-08-04', '2025-08-11', '2025-08-18', '2025-08-25'
+        ]);
+        assert.deepEqual(expandEvent(event('2025-08-06', { frequency: 'weekly', weekdays: [1, 2, 3, 4, 5] }), '2025-08-01', '2025-08-12'), [
+            '2025-08-06', '2025-08-07', '2025-08-08', '2025-08-11', '2025-08-12'
+        ]);
+        assert.deepEqual(expandEvent(event('2025-08-04', { frequency: 'weekly', interval: 2, weekdays: [1, 0] }), '2025-08-01', '2025-08-31'), [
+            '2025-08-04', '2025-08-10', '2025-08-18', '2025-08-24'
+        ]);
+    });
+
+    it('repeats monthly by day, skipping months without that day', () => {
+        assert.deepEqual(expandEvent(event('2025-01-31', { frequency: 'monthly' }), '2025-01-01', '2025-06-30'), [
+            '2025-01-31', '2025-03-31', '2025-05-31'
+        ]);
+    });
+
+    it('repeats monthly by nth weekday, with a fifth weekday as the last', () => {
+        assert.deepEqual(expandEvent(event('2025-08-12', { frequency: 'monthly', by: 'weekday' }), '2025-08-01', '2025-11-30'), [
+            '2025-08-12', '2025-09-09', '2025-10-14', '2025-11-11'
+        ]);
+        assert.deepEqual(expandEvent(event('2025-08-29', { frequency: 'monthly', by: 'weekday' }), '2025-08-01', '2025-11-30'), [
+            '2025-08-29', '2025-09-26', '2025-10-31', '2025-11-28'
+        ]);
+    });
+
+    it('repeats yearly, including leap days only in leap years', () => {
+        assert.deepEqual(expandEvent(event('2024-02-29', { frequency: 'yearly' }), '2024-01-01', '2032-12-31'), [
+            '2024-02-29', '2028-02-29', '2032-02-29'
+        ]);
+        assert.deepEqual(expandEvent(event('2025-11-27', { frequency: 'yearly', by: 'weekday' }), '2026-01-01', '2027-12-31'), [
+            '2026-11-26', '2027-11-25'
+        ]);
+    });
+
+    it('stops at the until date or count, counting skipped exceptions', () => {
+        assert.deepEqual(expandEvent(event('2025-08-01', { frequency: 'daily', until: '2025-08-03' }), '2025-08-01', '2025-12-31'), [
+            '2025-08-01', '2025-08-02', '2025-08-03'
+        ]);
+        const counted = event('2025-08-01', { frequency: 'daily', interval: 3, count: 4 }, { exceptions: ['2025-08-04'] });
+        assert.deepEqual(expandEvent(counted, '2025-08-01', '2025-12-31'), ['2025-08-01', '2025-08-07', '2025-08-10']);
+        assert.deepEqual(expandEvent(counted, '2025-08-08', '2025-12-31'), ['2025-08-10']);
+    });
+
+});
+
+describe('describeRepeat', () => {
+
+    it('describes each kind of rule', () => {
+        assert.equal(describeRepeat(undefined, '2025-08-03'), 'Does not repeat');
+        assert.equal(describeRepeat({ frequency: 'daily', interval: 3 }, '2025-08-03'), 'Every 3 days');
+        assert.equal(describeRepeat({ frequency: 'weekly', weekdays: [5, 1, 2, 3, 4] }, '2025-08-04'), 'Every weekday');
+        assert.equal(describeRepeat({ frequency: 'weekly', interval: 2, weekdays: [0, 1] }, '2025-08-04'), 'Every 2 weeks on Mon, Sun');
+        assert.equal(describeRepeat({ frequency: 'monthly' }, '2025-08-12'), 'Every month on day 12');
+        assert.equal(describeRepeat({ frequency: 'monthly', by: 'weekday' }, '2025-08-12'), 'Every month on the 2nd Tuesday');
+        assert.equal(describeRepeat({ frequency: 'yearly', by: 'weekday' }, '2025-08-29'), 'Every year on the last Friday of August');
+        assert.equal(describeRepeat({ frequency: 'yearly', until: '2030-08-03' }, '2025-08-03'), 'Every year on 3 August, until 2030-08-03');
+    });
+
+});
+
+describe('validateEvent', () => {
+
+    it('accepts valid events', () => {
+        assert.equal(validateEvent(event('2025-08-03')), true);
+        assert.equal(validateEvent(event('2025-08-03', { frequency: 'weekly', weekdays: [1, 3], count: 5 }, {
+            start: '09:00',
+            end: '09:30',
+            exceptions: ['2025-08-10'],
+            remind: 15
+        })), true);
+    });
+
+    it('rejects invalid events with a message', () => {
+        assert.equal(validateEvent('Event'), 'Expected event to be an object');
+        assert.equal(validateEvent(event('3 August')), 'Expected event date in the format YYYY-MM-DD');
+        assert.equal(validateEvent(event('2025-08-03', undefined, { start: '9am' })), 'Expected event times in the format HH:MM');
+        assert.equal(validateEvent(event('2025-08-03', undefined, { start: '10:00', end: '09:00' })), 'Expected event to end after it starts');
+        assert.equal(validateEvent(event('2025-08-03', { frequency: 'hourly' })), 'Expected repeat frequency to be daily, weekly, monthly or yearly');
+        assert.equal(validateEvent(event('2025-08-03', { frequency: 'weekly', weekdays: [7] })), 'Expected repeat weekdays to be 0 to 6');
+    });
+
+});
@@ -0,0 +1,185 @@
+import './setup.js';
+import { describe, it, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { SimpleDatabase } from '../utils/simple-database.js';
+import { MemoryBackend } from '../utils/storage-backends.js';
+import { RevisionHistory, diffLines } from '../utils/revision-history.js';
+
+// Silence upgrade logging
+mock.method(console, 'log', () => { });
+
+/**
+ * Schema with a revisions store indexed by save time
+ * @type {import('../utils/simple-database.js').DatabaseSchema}
+ */
+const SCHEMA = {
+    version: 1,
+    stores: {
+        revisions: {
+            structured: true,
+            indexes: {
+                saved: { keyPath: 'saved' }
+            }
+        }
+    }
+};
+
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+
+/** @type {number} Fixed start time for snapshots */
+const T = 1754222400000;
+
+/** @type {SimpleDatabase[]} Databases to close after each test */
+let opened = [];
+
+afterEach(() => {
+    for (const db of opened) {
+        db._close();
+    }
+    opened = [];
+});
+
+/**
+ * Create a revision history in a new in-memory database
+ * 
+ * @param {import('../utils/revision-history.js').RetentionPolicy} [policy] - Retention settings
+ * @returns {Promise<{ db: SimpleDatabase, history: RevisionHistory }>} The database and history
+ */
+async function createHistory(policy) {
+    const db = new SimpleDatabase('history', SCHEMA, { backend: new MemoryBackend() });
+    opened.push(db);
+    assert.deepEqual(await db.open(), { success: true });
+    return { db, history: new RevisionHistory(db.store('revisions'), policy) };
+}
+
+/**
+ * List the texts of a key's revisions, newest first
+ * 
+ * @param {RevisionHistory} history - The history to read
+ * @param {string} key - Key the texts belong to
+ * @returns {Promise<string[]>} The revision texts
+ */
+async function texts(history, key) {
+    const result = await history.list(key);
+    assert.equal(result.success, true, result.message);
+    return result.data.map(revision => revision.text);
+}
+
+describe('RevisionHistory', () => {
+
+    it('records snapshots newest first, keyed by key and padded time', async () => {
+        const { db, history } = await createHistory();
+        assert.deepEqual(await history.record('2025-08-03', 'One', T), { success: true });
+        await history.record('2025-08-03', 'Two', T + 10 * MINUTE);
+        await history.record('2025-08-04', 'Other', T);
+        assert.deepEqual(await texts(history, '2025-08-03'), ['Two', 'One']);
+        assert.deepEqual((await history.list('2025-08-03')).data[0], { key: '2025-08-03', text: 'Two', saved: T + 10 * MINUTE });
+        assert.deepEqual((await db.store('revisions')._loadAllKeys()).data, [
+            `2025-08-03/${T}`,
+            `2025-08-03/${T + 10 * MINUTE}`,
+            `2025-08-04/${T}`
+        ]);
+    });
+
+    it('skips text identical to the latest revision', async () => {
+        const { history } = await createHistory();
+        await history.record('2025-08-03', 'Same', T);
+        await history.record('2025-08-03', 'Same', T + 10 * MINUTE);
+        assert.deepEqual(await texts(history, '2025-08-03'), ['Same']);
+    });
+
+    it('coalesces saves within the interval into the latest revision', async () => {
+        const { history } = await createHistory({ interval: 5 * MINUTE });
+        await history.record('2025-08-03', 'Draft', T);
+        await history.record('2025-08-03', 'Draft two', T + MINUTE);
+        await history.record('2025-08-03', 'Draft three', T + 2 * MINUTE);
+        assert.deepEqual(await texts(history, '2025-08-03'), ['Draft three']);
+        await history.record('2025-08-03', 'Later', T + 10 * MINUTE);
+        assert.deepEqual(await texts(history, '2025-08-03'), ['Later', 'Draft three']);
+    });
+
+    it('keeps the replaced text when coalescing is off, eg. restoring a version', async () => {
+        const { history } = await createHistory({ interval: 5 * MINUTE });
+        await history.record('2025-08-03', 'old version', T);
+        await history.record('2025-08-03', 'current work', T + 10 * MINUTE);
+        await history.record('2025-08-03', 'old version', T + 12 * MINUTE, { coalesce: false });
+        assert.deepEqual(await texts(history, '2025-08-03'), ['old version', 'current work', 'old version']);
+    });
+
+    it('keeps at most limit revisions per key, dropping the oldest', async () => {
+        const { history } = await createHistory({ limit: 3 });
+        for (let i = 1; i <= 5; i++) {
+            await history.record('2025-08-03', `Version ${i}`, T + i * 10 * MINUTE);
+        }
+        await history.record('2025-08-04', 'Other', T);
+        assert.deepEqual(await texts(history, '2025-08-03'), ['Version 5', 'Version 4', 'Version 3']);
+        assert.deepEqual(await texts(history, '2025-08-04'), ['Other']);
+    });
+
+    it('deletes revisions of every key older than maxAge', async () => {
+        const { history } = await createHistory({ maxAge: 30 * DAY });
+        await history.record('2025-08-03', 'Old', T);
+        await history.record('2025-08-04', 'Old elsewhere', T + DAY);
+        await history.record('2025-08-03', 'Recent', T + 29 * DAY);
+        assert.deepEqual(await texts(history, '2025-08-04'), ['Old elsewhere']);
+        await history.record('2025-08-05', 'New', T + 31 * DAY + 1);
+        assert.deepEqual(await texts(history, '2025-08-03'), ['Recent']);
+        assert.deepEqual(await texts(history, '2025-08-04'), []);
+        assert.deepEqual(await history.prune(undefined, T + 100 * DAY), { success: true });
+        assert.deepEqual(await texts(history, '2025-08-03'), []);
+    });
+
+    it('passes store failures to the result', async () => {
+        const { db, history } = await createHistory();
+        db._close();
+        assert.deepEqual(await history.record('2025-08-03', 'Text', T), { success: false, message: 'Database not currently linked' });
+        assert.deepEqual(await history.list('2025-08-03'), { success: false, message: 'Database not currently linked' });
+        assert.deepEqual(await history.prune(), { success: false, message: 'Database not currently linked' });
+    });
+
+});
+
+describe('diffLines', () => {
+
+    it('marks removed and added lines around common lines', () => {
+        assert.deepEqual(diffLines('a\nb\nc', 'a\nc\nd'), [
+            { type: 'same', line: 'a' },
+            { type: 'removed', line: 'b' },
+            { type: 'same', line: 'c' },
+            { type: 'added', line: 'd' }
+        ]);
+    });
+
+    it('lists removals before additions for a changed line', () => {
+        assert.deepEqual(diffLines('a\nold\nz', 'a\nnew\nz'), [
+            { type: 'same', line: 'a' },
+            { type: 'removed', line: 'old' },
+            { type: 'added', line: 'new' },
+            { type: 'same', line: 'z' }
+        ]);
+    });
+
+    it('treats empty text as no lines', () => {
+        assert.deepEqual(diffLines('', ''), []);
+        assert.deepEqual(diffLines('', 'a'), [{ type: 'added', line: 'a' }]);
+        assert.deepEqual(diffLines('a', ''), [{ type: 'removed', line: 'a' }]);
+    });
+
+    it('keeps every line of both texts, in order', () => {
+        const before = 'one\ntwo\nthree\nfour\nfive';
+        const after = 'zero\none\nthree\nfour\nfour and a half\nfive';
+        const diff = diffLines(before, after);
+        assert.equal(diff.filter(line => line.type !== 'added').map(line => line.line).join('\n'), before);
+        assert.equal(diff.filter(line => line.type !== 'removed').map(line => line.line).join('\n'), after);
+        assert.equal(diff.filter(line => line.type === 'same').length, 4);
+    });
+
+    it('falls back to a whole-text diff for very long texts', () => {
+        const long = Array.from({ length: 2001 }, (_, i) => `Line ${i}`).join('\n');
+        const diff = diffLines(long, 'Short');
+        assert.equal(diff.length, 2002);
+        assert.deepEqual(diff.at(-1), { type: 'added', line: 'Short' });
+    });
+
+});
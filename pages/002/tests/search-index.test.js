@@ -0,0 +1,186 @@
+import './setup.js';
+import { describe, it, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { SimpleDatabase } from '../utils/simple-database.js';
+import { MemoryBackend } from '../utils/storage-backends.js';
+import { SearchIndex, parseQuery, findMatches } from '../utils/search-index.js';
+
+// Silence upgrade logging
+mock.method(console, 'log', () => { });
+
+/**
+ * Schema with a search store indexed by term
+ * @type {import('../utils/simple-database.js').DatabaseSchema}
+ */
+const SCHEMA = {
+    version: 1,
+    stores: {
+        search: {
+            structured: true,
+            indexes: {
+                terms: { keyPath: 'terms', multiEntry: true }
+            }
+        }
+    }
+};
+
+/** @type {SimpleDatabase[]} Databases to close after each test */
+let opened = [];
+
+afterEach(() => {
+    for (const db of opened) {
+        db._close();
+    }
+    opened = [];
+});
+
+/**
+ * Create a search index in a new in-memory database
+ * 
+ * @returns {Promise<{ db: SimpleDatabase, index: SearchIndex }>} The database and index
+ */
+async function createIndex() {
+    const db = new SimpleDatabase('search', SCHEMA, { backend: new MemoryBackend() });
+    opened.push(db);
+    assert.deepEqual(await db.open(), { success: true });
+    return { db, index: new SearchIndex(db, 'search') };
+}
+
+/**
+ * Look up the keys matching a query
+ * 
+ * @param {SearchIndex} index - The index to search
+ * @param {string} query - Search query
+ * @returns {Promise<string[]>} Matching keys, newest first
+ */
+async function lookup(index, query) {
+    const result = await index.lookup(parseQuery(query));
+    assert.equal(result.success, true, result.message);
+    return result.data;
+}
+
+describe('parseQuery', () => {
+
+    it('splits words into prefix terms, and quotes into phrases', () => {
+        assert.deepEqual(parseQuery('Walk  "the DOG" park'), [
+            { words: ['walk'], phrase: false },
+            { words: ['the', 'dog'], phrase: true },
+            { words: ['park'], phrase: false }
+        ]);
+    });
+
+    it('normalises case and accents, and ignores punctuation', () => {
+        assert.deepEqual(parseQuery('Café, naïve-ish'), [
+            { words: ['cafe'], phrase: false },
+            { words: ['naive'], phrase: false },
+            { words: ['ish'], phrase: false }
+        ]);
+    });
+
+    it('runs an unclosed quote to the end, and drops empty terms', () => {
+        assert.deepEqual(parseQuery('"red fox'), [{ words: ['red', 'fox'], phrase: true }]);
+        assert.deepEqual(parseQuery(' "" ... '), []);
+    });
+
+});
+
+describe('findMatches', () => {
+
+    it('finds prefixes of words, with offsets into the original text', () => {
+        const text = 'Walked to the Café, then walking home';
+        assert.deepEqual(findMatches(text, parseQuery('walk cafe')), [[0, 6], [14, 18], [25, 32]]);
+    });
+
+    it('matches offsets of decomposed accents', () => {
+        const text = 'Cafe\u0301 au lait';
+        assert.deepEqual(findMatches(text, parseQuery('café')), [[0, 5]]);
+    });
+
+    it('matches phrases as whole consecutive words', () => {
+        const text = 'The dog, the big dog';
+        assert.deepEqual(findMatches(text, parseQuery('"the dog"')), [[0, 7]]);
+        assert.deepEqual(findMatches(text, parseQuery('"big do"')), null);
+        assert.deepEqual(findMatches(text, parseQuery('"dog the"')), [[4, 12]]);
+    });
+
+    it('requires every term, and merges overlapping ranges', () => {
+        assert.equal(findMatches('One two', parseQuery('one three')), null);
+        assert.deepEqual(findMatches('Big dog', parseQuery('"big dog" do')), [[0, 7]]);
+        assert.equal(findMatches('Anything', []), null);
+    });
+
+});
+
+describe('SearchIndex', () => {
+
+    it('stores each distinct word of a text, sorted', async () => {
+        const { db, index } = await createIndex();
+        assert.deepEqual(await index.update('2025-08-03', 'The dog, the Café'), { success: true });
+        assert.deepEqual((await db.store('search').load('2025-08-03')).data, { terms: ['cafe', 'dog', 'the'] });
+    });
+
+    it('looks up keys with every word, matching prefixes, newest first', async () => {
+        const { index } = await createIndex();
+        await index.update('2025-08-03', 'Walked the dog');
+        await index.update('2025-08-05', 'Walking in the park');
+        await index.update('2025-08-04', 'Dog park');
+        assert.deepEqual(await lookup(index, 'walk'), ['2025-08-05', '2025-08-03']);
+        assert.deepEqual(await lookup(index, 'park dog'), ['2025-08-04']);
+        assert.deepEqual(await lookup(index, 'cat'), []);
+        assert.deepEqual(await lookup(index, ''), []);
+    });
+
+    it('matches phrase words whole, leaving order to findMatches', async () => {
+        const { index } = await createIndex();
+        await index.update('2025-08-03', 'Walked the dog');
+        await index.update('2025-08-04', 'The dog walked');
+        assert.deepEqual(await lookup(index, '"walk"'), []);
+        assert.deepEqual(await lookup(index, '"the dog"'), ['2025-08-04', '2025-08-03']);
+    });
+
+    it('replaces entries on update, and removes them for empty text', async () => {
+        const { index } = await createIndex();
+        await index.update('2025-08-03', 'Old words');
+        await index.update('2025-08-03', 'New words');
+        assert.deepEqual(await lookup(index, 'old'), []);
+        assert.deepEqual(await lookup(index, 'new'), ['2025-08-03']);
+        await index.update('2025-08-03', '  ...  ');
+        assert.deepEqual(await lookup(index, 'words'), []);
+        await index.update('2025-08-04', 'Other');
+        assert.deepEqual(await index.remove('2025-08-04'), { success: true });
+        assert.deepEqual(await lookup(index, 'other'), []);
+    });
+
+    it('rebuilds the whole index in one transaction', async () => {
+        const { db, index } = await createIndex();
+        await index.update('2025-08-01', 'Stale');
+        assert.deepEqual(await index.rebuild({ '2025-08-03': 'Fresh', '2025-08-04': '' }), { success: true });
+        assert.deepEqual((await db.store('search')._loadAllKeys()).data, ['2025-08-03']);
+        assert.deepEqual(await index.clear(), { success: true });
+        assert.deepEqual(await lookup(index, 'fresh'), []);
+    });
+
+    it('queues updates in a transaction alongside other writes', async () => {
+        const { db, index } = await createIndex();
+        const result = await db.transaction((tx) => {
+            index.queue(tx, '2025-08-03', 'Queued words');
+            index.queue(tx, '2025-08-04', '');
+        });
+        assert.equal(result.success, true);
+        assert.deepEqual(await lookup(index, 'queued'), ['2025-08-03']);
+    });
+
+    it('passes store failures to the result', async () => {
+        const { db, index } = await createIndex();
+        db._close();
+        assert.deepEqual(await index.update('2025-08-03', 'Text'), { success: false, message: 'Database not currently linked' });
+        assert.deepEqual(await index.lookup(parseQuery('text')), { success: false, message: 'Database not currently linked' });
+        assert.deepEqual(await index.rebuild({}), { success: false, message: 'Database not currently linked' });
+    });
+
+    it('throws for stores missing from the schema', async () => {
+        const { db } = await createIndex();
+        assert.throws(() => new SearchIndex(db, 'missing'));
+    });
+
+});
@@ -0,0 +1,25 @@
+// < ======================================================
+// < Shared Test Setup
+// < ======================================================
+
+/**
+ * Module imported first by tests that need a browser environment
+ * - Fixes the timezone to one with daylight saving, so DST tests are meaningful
+ * - Registers happy-dom globals, eg. `document`, `HTMLElement` and `customElements`
+ * - Registers fake-indexeddb globals, eg. `indexedDB` and `IDBKeyRange`
+ * 
+ * @module setup
+ */
+
+process.env.TZ = 'Europe/London';
+
+import 'fake-indexeddb/auto';
+import { GlobalRegistrator } from '@happy-dom/global-registrator';
+import { after } from 'node:test';
+
+// Keep fake-indexeddb globals, which happy-dom would otherwise replace
+const { indexedDB, IDBKeyRange } = globalThis;
+GlobalRegistrator.register({ url: 'http://localhost/' });
+Object.assign(globalThis, { indexedDB, IDBKeyRange });
+
+after(() => GlobalRegistrator.unregister());
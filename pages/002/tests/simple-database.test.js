@@ -0,0 +1,758 @@
+import './setup.js';
+import { describe, it, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { SimpleDatabase, SimpleStore } from '../utils/simple-database.js';
+import { IndexedDBBackend, MemoryBackend, LocalStorageBackend } from '../utils/storage-backends.js';
+
+// Silence upgrade logging
+mock.method(console, 'log', () => { });
+
+/**
+ * Create a `Storage` stand-in, so each test starts with empty localStorage
+ * 
+ * @returns {Storage} Storage backed by a Map
+ */
+function createStorage() {
+    const items = new Map();
+    return {
+        getItem: (key) => items.has(key) ? items.get(key) : null,
+        setItem: (key, value) => items.set(key, String(value)),
+        removeItem: (key) => items.delete(key)
+    };
+}
+
+/**
+ * Backends to run every test against, keyed by name
+ * @type {Object.<string, () => import('../utils/storage-backends.js').StorageBackend>}
+ */
+const BACKENDS = {
+    IndexedDBBackend: () => new IndexedDBBackend(),
+    MemoryBackend: () => new MemoryBackend(),
+    LocalStorageBackend: () => new LocalStorageBackend(createStorage())
+};
+
+/**
+ * Schema with string, structured and indexed stores
+ * @type {import('../utils/simple-database.js').DatabaseSchema}
+ */
+const SCHEMA = {
+    version: 1,
+    stores: {
+        notes: {
+            structured: true,
+            validate: (value) => typeof value.text === 'string' || 'Expected note text',
+            indexes: {
+                pinned: { keyPath: 'pinned' },
+                tags: { keyPath: 'tags', multiEntry: true }
+            }
+        },
+        settings: {}
+    }
+};
+
+/** @type {SimpleDatabase[]} Databases to close after each test */
+let opened = [];
+
+/** @type {number} Counter for unique database names */
+let counter = 0;
+
+afterEach(() => {
+    for (const db of opened) {
+        db._close();
+    }
+    opened = [];
+});
+
+/**
+ * Wait for pending timers and messages, eg. BroadcastChannel delivery
+ * 
+ * @param {number} [ms] - Milliseconds to wait
+ * @returns {Promise<void>}
+ */
+function wait(ms = 20) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Wait for the first change matching a check, eg. one delivered by BroadcastChannel
+ * 
+ * @param {SimpleDatabase} db - Database to subscribe to
+ * @param {(change: import('../utils/simple-database.js').DatabaseChange) => boolean} check - Returns true for the awaited change
+ * @param {number} [ms] - Milliseconds to wait before rejecting
+ * @returns {Promise<void>}
+ */
+function waitForChange(db, check, ms = 2000) {
+    return new Promise((resolve, reject) => {
+        const timer = setTimeout(() => reject(new Error(`No matching change within ${ms}ms`)), ms);
+        const unsubscribe = db.subscribe((change) => {
+            if (check(change)) {
+                clearTimeout(timer);
+                unsubscribe();
+                resolve();
+            }
+        });
+    });
+}
+
+describe('SimpleDatabase constructor', () => {
+
+    it('rejects invalid names, versions, stores and migrations', () => {
+        assert.throws(() => new SimpleDatabase(''), /dbName/);
+        assert.throws(() => new SimpleDatabase('x', { version: 0 }), /version/);
+        assert.throws(() => new SimpleDatabase('x', { version: 1.5 }), /version/);
+        assert.throws(() => new SimpleDatabase('x', { stores: {} }), /at least one store/);
+        assert.throws(() => new SimpleDatabase('x', { version: 1, migrations: { 2: () => { } } }), /migration version 2/);
+    });
+
+    it('throws for stores missing from the schema, and caches handles', () => {
+        const db = new SimpleDatabase('x', SCHEMA);
+        assert.throws(() => db.store('missing'), /not declared/);
+        assert.ok(db.store('notes') instanceof SimpleStore);
+        assert.equal(db.store('notes'), db.store('notes'));
+    });
+
+});
+
+for (const [backendName, createBackend] of Object.entries(BACKENDS)) {
+
+    describe(`SimpleDatabase with ${backendName}`, () => {
+
+        /**
+         * Create and open a database with a unique name
+         * 
+         * @param {import('../utils/simple-database.js').DatabaseSchema} [schema] - Database schema
+         * @param {Object} [options] - Optional settings
+         * @param {string} [options.name] - Database name, unique if omitted
+         * @param {import('../utils/storage-backends.js').StorageBackend} [options.backend] - Backend to share
+         * @returns {Promise<SimpleDatabase>} The open database
+         */
+        async function openDatabase(schema = SCHEMA, { name = `test-${++counter}`, backend = createBackend() } = {}) {
+            const db = new SimpleDatabase(name, schema, { backend });
+            opened.push(db);
+            const result = await db.open();
+            assert.deepEqual(result, { success: true });
+            return db;
+        }
+
+        describe('result contract when not linked', () => {
+
+            const calls = {
+                save: (db) => db.save('key', 'value'),
+                load: (db) => db.load('key'),
+                _loadAllKeys: (db) => db._loadAllKeys(),
+                _loadAllValues: (db) => db._loadAllValues(),
+                loadAll: (db) => db.loadAll(),
+                loadRange: (db) => db.loadRange('a', 'b'),
+                loadPrefix: (db) => db.loadPrefix('a'),
+                query: (db) => db.store('notes').query('pinned', { only: 1 }),
+                delete: (db) => db.delete('key'),
+                deleteMany: (db) => db.deleteMany(['key']),
+                clear: (db) => db.clear(),
+                count: (db) => db.count(),
+                transaction: (db) => db.transaction(() => { }),
+                _destroy: (db) => db._destroy()
+            };
+
+            for (const [method, call] of Object.entries(calls)) {
+                it(`${method} resolves with a failure result`, async () => {
+                    const db = new SimpleDatabase(`test-${++counter}`, SCHEMA, { backend: createBackend() });
+                    assert.deepEqual(await call(db), {
+                        success: false,
+                        message: 'Database not currently linked'
+                    });
+                });
+            }
+
+            it('fails after the database is closed', async () => {
+                const db = await openDatabase();
+                db._close();
+                const result = await db.store('settings').load('theme');
+                assert.equal(result.message, 'Database not currently linked');
+            });
+
+        });
+
+        describe('open', () => {
+
+            it('succeeds again when already open', async () => {
+                const db = await openDatabase();
+                assert.deepEqual(await db.open(), { success: true });
+            });
+
+            it('uses a single default store without a schema', async () => {
+                const db = new SimpleDatabase(`test-${++counter}`, undefined, { backend: createBackend() });
+                opened.push(db);
+                await db.open();
+                assert.deepEqual(await db.save('key', 'value'), { success: true });
+                assert.deepEqual(await db.store('default').load('key'), { success: true, data: 'value' });
+            });
+
+            it('runs migrations in order, only once', async () => {
+                const backend = createBackend();
+                const name = `test-${++counter}`;
+                const order = [];
+                const v1 = { version: 1, stores: { default: {} } };
+                const v1db = await openDatabase(v1, { name, backend });
+                await v1db.save('2025-08-03', 'hello');
+                v1db._close();
+
+                const v3 = {
+                    version: 3,
+                    stores: { notes: { structured: true } },
+                    migrations: {
+                        3: (upgrade) => {
+                            order.push(3);
+                            upgrade.each('notes', (value) => ({ ...value, migrated: true }));
+                            upgrade.whenIdle(() => upgrade.deleteStore('default'));
+                        },
+                        2: (upgrade) => {
+                            order.push(2);
+                            upgrade.each('default', (value, key) => {
+                                upgrade.put('notes', key, { text: value });
+                            });
+                        }
+                    }
+                };
+                const db = await openDatabase(v3, { name, backend });
+                assert.deepEqual(order, [2, 3]);
+                assert.deepEqual(await db.store('notes').loadAll(), {
+                    success: true,
+                    data: { '2025-08-03': { text: 'hello', migrated: true } }
+                });
+                db._close();
+                await openDatabase(v3, { name, backend });
+                assert.deepEqual(order, [2, 3]);
+            });
+
+            it('reports a failed migration and keeps the previous version', async () => {
+                const backend = createBackend();
+                const name = `test-${++counter}`;
+                const v1 = { version: 1, stores: { default: {} } };
+                const v1db = await openDatabase(v1, { name, backend });
+                await v1db.save('key', 'value');
+                v1db._close();
+
+                const broken = {
+                    version: 2,
+                    stores: { default: {}, other: {} },
+                    migrations: {
+                        2: (upgrade) => {
+                            upgrade.put('default', 'key', 'changed');
+                            upgrade.each('default', () => {
+                                throw new TypeError('Broken migration');
+                            });
+                        }
+                    }
+                };
+                const db = new SimpleDatabase(name, broken, { backend });
+                opened.push(db);
+                const result = await db.open();
+                assert.equal(result.success, false);
+                assert.equal(result.message, 'Error in the migration process: TypeError');
+                assert.equal(result.error.message, 'Broken migration');
+
+                const restored = await openDatabase(v1, { name, backend });
+                assert.deepEqual(await restored.load('key'), { success: true, data: 'value' });
+            });
+
+            it('reports opening at a lower version than stored', async () => {
+                const backend = createBackend();
+                const name = `test-${++counter}`;
+                const db = await openDatabase({ version: 2, stores: { default: {} } }, { name, backend });
+                db._close();
+                const older = new SimpleDatabase(name, { version: 1, stores: { default: {} } }, { backend });
+                opened.push(older);
+                const result = await older.open();
+                assert.equal(result.success, false);
+                assert.equal(result.message, 'Error in the opening process: VersionError');
+            });
+
+        });
+
+        describe('save and load', () => {
+
+            it('round trips strings', async () => {
+                const db = await openDatabase();
+                const settings = db.store('settings');
+                assert.deepEqual(await settings.save('theme', 'emerald'), { success: true });
+                assert.deepEqual(await settings.load('theme'), { success: true, data: 'emerald' });
+                assert.deepEqual(await settings.save('theme', 'ruby'), { success: true });
+                assert.deepEqual(await settings.load('theme'), { success: true, data: 'ruby' });
+            });
+
+            it('reports missing keys as nullish', async () => {
+                const db = await openDatabase();
+                assert.deepEqual(await db.store('settings').load('missing'), {
+                    success: false,
+                    message: 'Data was nullish'
+                });
+            });
+
+            it('rejects non-string keys and values in string stores', async () => {
+                const db = await openDatabase();
+                const settings = db.store('settings');
+                const failure = { success: false, message: 'Expected a non-empty string' };
+                assert.deepEqual(await settings.save('', 'value'), failure);
+                assert.deepEqual(await settings.save('  ', 'value'), failure);
+                assert.deepEqual(await settings.save('key', ''), failure);
+                assert.deepEqual(await settings.save('key', { text: 'value' }), failure);
+                assert.deepEqual(await settings.save(1, 'value'), failure);
+                assert.deepEqual(await settings.load(''), failure);
+                assert.deepEqual(await settings.load(undefined), failure);
+            });
+
+            it('round trips structured values as copies', async () => {
+                const db = await openDatabase();
+                const notes = db.store('notes');
+                const note = { text: 'hello', pinned: 0, tags: ['a'], created: new Date(2025, 7, 3) };
+                assert.deepEqual(await notes.save('2025-08-03', note), { success: true });
+                note.text = 'changed';
+                const result = await notes.load('2025-08-03');
+                assert.equal(result.data.text, 'hello');
+                assert.deepEqual(result.data.tags, ['a']);
+            });
+
+            it('validates structured values', async () => {
+                const db = await openDatabase();
+                const notes = db.store('notes');
+                assert.deepEqual(await notes.save('2025-08-03', null), {
+                    success: false,
+                    message: 'Expected a non-nullish value'
+                });
+                assert.deepEqual(await notes.save('2025-08-03', { text: 1 }), {
+                    success: false,
+                    message: 'Expected note text'
+                });
+                assert.deepEqual(await notes.save('', { text: 'hello' }), {
+                    success: false,
+                    message: 'Expected a non-empty string key'
+                });
+            });
+
+            it('reports validators that throw', async () => {
+                const db = await openDatabase();
+                const broken = { get text() { throw new TypeError('Broken getter'); } };
+                const result = await db.store('notes').save('2025-08-03', broken);
+                assert.equal(result.success, false);
+                assert.equal(result.message, 'Error in the validating process: TypeError');
+                assert.equal(result.error.message, 'Broken getter');
+                const batch = await db.transaction((tx) => { tx.store('notes').put('2025-08-03', broken); });
+                assert.equal(batch.success, false);
+                assert.equal(batch.message, 'Error in the batch callback: Error in the validating process: TypeError');
+                assert.equal((await db.store('notes').count()).data, 0);
+            });
+
+            it('reports values that cannot be cloned', async () => {
+                const db = await openDatabase();
+                const result = await db.store('notes').save('2025-08-03', { text: 'hello', callback: () => { } });
+                assert.equal(result.success, false);
+                assert.equal(result.message, 'Error in the saving process: DataCloneError');
+                assert.equal((await db.store('notes').count()).data, 0);
+            });
+
+        });
+
+        describe('loading many', () => {
+
+            it('loads all keys, values and pairs in key order', async () => {
+                const db = await openDatabase();
+                const settings = db.store('settings');
+                for (const key of ['b', 'c', 'a']) {
+                    await settings.save(key, key.toUpperCase());
+                }
+                assert.deepEqual(await settings._loadAllKeys(), { success: true, data: ['a', 'b', 'c'] });
+                assert.deepEqual(await settings._loadAllValues(), { success: true, data: ['A', 'B', 'C'] });
+                assert.deepEqual(await settings.loadAll(), { success: true, data: { a: 'A', b: 'B', c: 'C' } });
+            });
+
+            it('loads empty stores', async () => {
+                const db = await openDatabase();
+                const settings = db.store('settings');
+                assert.deepEqual(await settings._loadAllKeys(), { success: true, data: [] });
+                assert.deepEqual(await settings._loadAllValues(), { success: true, data: [] });
+                assert.deepEqual(await settings.loadAll(), { success: true, data: {} });
+            });
+
+        });
+
+        describe('ranges and prefixes', () => {
+
+            /**
+             * Open a database with a note on each date
+             * 
+             * @param {string[]} dates - Dates in the format YYYY-MM-DD
+             * @returns {Promise<SimpleStore>} The settings store, keyed by date
+             */
+            async function storeWithDates(dates) {
+                const db = await openDatabase();
+                const settings = db.store('settings');
+                for (const date of dates) {
+                    await settings.save(date, `note ${date}`);
+                }
+                return settings;
+            }
+
+            it('includes both bounds', async () => {
+                const store = await storeWithDates(['2025-07-31', '2025-08-01', '2025-08-15', '2025-08-31', '2025-09-01']);
+                const result = await store.loadRange('2025-08-01', '2025-08-31');
+                assert.deepEqual(Object.keys(result.data), ['2025-08-01', '2025-08-15', '2025-08-31']);
+                assert.equal(result.next, undefined);
+            });
+
+            it('supports open-ended ranges', async () => {
+                const store = await storeWithDates(['2025-07-31', '2025-08-01', '2025-09-01']);
+                assert.deepEqual(Object.keys((await store.loadRange('2025-08-01')).data), ['2025-08-01', '2025-09-01']);
+                assert.deepEqual(Object.keys((await store.loadRange(undefined, '2025-08-01')).data), ['2025-07-31', '2025-08-01']);
+                assert.deepEqual(Object.keys((await store.loadRange()).data).length, 3);
+            });
+
+            it('pages through a range with limit and after', async () => {
+                const dates = ['2025-08-01', '2025-08-02', '2025-08-03', '2025-08-04', '2025-08-05'];
+                const store = await storeWithDates(dates);
+                const pages = [];
+                let after;
+                do {
+                    const result = await store.loadRange('2025-08-01', '2025-08-31', { limit: 2, after });
+                    pages.push(Object.keys(result.data));
+                    after = result.next;
+                } while (after);
+                assert.deepEqual(pages, [dates.slice(0, 2), dates.slice(2, 4), dates.slice(4)]);
+            });
+
+            it('pages through a range in reverse', async () => {
+                const store = await storeWithDates(['2025-08-01', '2025-08-02', '2025-08-03']);
+                const first = await store.loadRange(undefined, undefined, { limit: 2, reverse: true });
+                assert.deepEqual(Object.keys(first.data).sort(), ['2025-08-02', '2025-08-03']);
+                assert.equal(first.next, '2025-08-02');
+                const second = await store.loadRange(undefined, undefined, { limit: 2, reverse: true, after: first.next });
+                assert.deepEqual(Object.keys(second.data), ['2025-08-01']);
+                assert.equal(second.next, undefined);
+            });
+
+            it('loads a month by prefix, across month and year boundaries', async () => {
+                const store = await storeWithDates(['2024-12-31', '2025-01-01', '2025-01-31', '2025-02-01', '2025-02-28', '2025-03-01']);
+                assert.deepEqual(Object.keys((await store.loadPrefix('2025-01')).data), ['2025-01-01', '2025-01-31']);
+                assert.deepEqual(Object.keys((await store.loadPrefix('2025-02')).data), ['2025-02-01', '2025-02-28']);
+                assert.deepEqual(Object.keys((await store.loadPrefix('2025')).data).length, 5);
+                assert.deepEqual((await store.loadPrefix('2026')).data, {});
+            });
+
+            it('includes leap day in a February prefix', async () => {
+                const store = await storeWithDates(['2024-02-28', '2024-02-29', '2024-03-01']);
+                assert.deepEqual(Object.keys((await store.loadPrefix('2024-02')).data), ['2024-02-28', '2024-02-29']);
+            });
+
+            it('reports invalid arguments', async () => {
+                const store = await storeWithDates([]);
+                assert.deepEqual(await store.loadRange('', 'b'), { success: false, message: 'Expected a non-empty string' });
+                assert.deepEqual(await store.loadRange('a', 'b', { after: 1 }), { success: false, message: 'Expected a non-empty string' });
+                assert.deepEqual(await store.loadRange('a', 'b', { limit: 0 }), { success: false, message: 'Expected a positive limit' });
+                assert.deepEqual(await store.loadPrefix(''), { success: false, message: 'Expected a non-empty string' });
+                const reversed = await store.loadRange('b', 'a');
+                assert.equal(reversed.success, false);
+                assert.equal(reversed.message, 'Error in the loading process: DataError');
+            });
+
+        });
+
+        describe('query', () => {
+
+            /**
+             * Open a database with indexed notes
+             * 
+             * @returns {Promise<SimpleStore>} The notes store
+             */
+            async function storeWithNotes() {
+                const db = await openDatabase();
+                const notes = db.store('notes');
+                await notes.save('2025-08-01', { text: 'one', pinned: 1, tags: ['work', 'home'] });
+                await notes.save('2025-08-02', { text: 'two', pinned: 0, tags: ['work', 'work'] });
+                await notes.save('2025-08-03', { text: 'three', pinned: 1, tags: [] });
+                return notes;
+            }
+
+            it('matches exact index values', async () => {
+                const notes = await storeWithNotes();
+                const result = await notes.query('pinned', { only: 1 });
+                assert.deepEqual(Object.keys(result.data), ['2025-08-01', '2025-08-03']);
+                assert.equal(result.data['2025-08-01'].text, 'one');
+            });
+
+            it('matches multiEntry values once per note', async () => {
+                const notes = await storeWithNotes();
+                assert.deepEqual(Object.keys((await notes.query('tags', { only: 'work' })).data), ['2025-08-01', '2025-08-02']);
+                assert.deepEqual(Object.keys((await notes.query('tags')).data).sort(), ['2025-08-01', '2025-08-02']);
+            });
+
+            it('applies bounds, reverse and limit', async () => {
+                const notes = await storeWithNotes();
+                assert.deepEqual(Object.keys((await notes.query('tags', { from: 'a', to: 'i' })).data), ['2025-08-01']);
+                assert.deepEqual(Object.keys((await notes.query('pinned', { reverse: true, limit: 1 })).data), ['2025-08-03']);
+            });
+
+            it('reports missing indexes and invalid arguments', async () => {
+                const notes = await storeWithNotes();
+                const missing = await notes.query('missing');
+                assert.equal(missing.success, false);
+                assert.equal(missing.message, 'Error in the querying process: NotFoundError');
+                assert.deepEqual(await notes.query(''), { success: false, message: 'Expected a non-empty string' });
+                assert.deepEqual(await notes.query('pinned', { limit: -1 }), { success: false, message: 'Expected a positive limit' });
+                const reversed = await notes.query('pinned', { from: 2, to: 1 });
+                assert.equal(reversed.message, 'Error in the querying process: DataError');
+            });
+
+        });
+
+        describe('delete, deleteMany, clear and count', () => {
+
+            it('deletes keys, including keys that do not exist', async () => {
+                const db = await openDatabase();
+                const settings = db.store('settings');
+                await settings.save('a', 'A');
+                await settings.save('b', 'B');
+                assert.deepEqual(await settings.delete('a'), { success: true });
+                assert.deepEqual(await settings.delete('missing'), { success: true });
+                assert.deepEqual(await settings._loadAllKeys(), { success: true, data: ['b'] });
+            });
+
+            it('deletes many keys at once', async () => {
+                const db = await openDatabase();
+                const settings = db.store('settings');
+                for (const key of ['a', 'b', 'c']) {
+                    await settings.save(key, key);
+                }
+                assert.deepEqual(await settings.deleteMany(['a', 'c']), { success: true });
+                assert.deepEqual(await settings.deleteMany([]), { success: true });
+                assert.deepEqual(await settings.count(), { success: true, data: 1 });
+            });
+
+            it('clears one store, leaving others', async () => {
+                const db = await openDatabase();
+                await db.store('settings').save('theme', 'emerald');
+                await db.store('notes').save('2025-08-03', { text: 'hello' });
+                assert.deepEqual(await db.store('settings').clear(), { success: true });
+                assert.deepEqual(await db.store('settings').count(), { success: true, data: 0 });
+                assert.deepEqual(await db.store('notes').count(), { success: true, data: 1 });
+            });
+
+            it('reports invalid arguments', async () => {
+                const db = await openDatabase();
+                const settings = db.store('settings');
+                assert.deepEqual(await settings.delete(''), { success: false, message: 'Expected a non-empty string' });
+                const failure = { success: false, message: 'Expected an array of non-empty strings' };
+                assert.deepEqual(await settings.deleteMany('a'), failure);
+                assert.deepEqual(await settings.deleteMany(['a', '']), failure);
+            });
+
+        });
+
+        describe('transaction', () => {
+
+            it('commits writes across stores together, returning callback data', async () => {
+                const db = await openDatabase();
+                await db.store('settings').save('old', 'value');
+                const result = await db.transaction((tx) => {
+                    tx.store('settings').put('theme', 'emerald').delete('old');
+                    tx.store('notes').put('2025-08-03', { text: 'hello' });
+                    return 'done';
+                });
+                assert.deepEqual(result, { success: true, data: 'done' });
+                assert.deepEqual((await db.store('settings').loadAll()).data, { theme: 'emerald' });
+                assert.equal((await db.store('notes').load('2025-08-03')).data.text, 'hello');
+            });
+
+            it('succeeds without writes', async () => {
+                const db = await openDatabase();
+                assert.deepEqual(await db.transaction(async () => 42), { success: true, data: 42 });
+            });
+
+            it('writes nothing when the callback throws or rejects', async () => {
+                const db = await openDatabase();
+                const thrown = await db.transaction((tx) => {
+                    tx.store('settings').put('theme', 'emerald');
+                    throw new Error('Stop');
+                });
+                assert.equal(thrown.success, false);
+                assert.equal(thrown.message, 'Error in the batch callback: Stop');
+                const rejected = await db.transaction(async (tx) => {
+                    tx.store('settings').put('theme', 'emerald');
+                    await wait(1);
+                    throw new Error('Later');
+                });
+                assert.equal(rejected.message, 'Error in the batch callback: Later');
+                assert.deepEqual(await db.store('settings').count(), { success: true, data: 0 });
+            });
+
+            it('writes nothing when a queued value is invalid', async () => {
+                const db = await openDatabase();
+                const result = await db.transaction((tx) => {
+                    tx.store('settings').put('theme', 'emerald');
+                    tx.store('notes').put('2025-08-03', { text: 1 });
+                });
+                assert.equal(result.message, 'Error in the batch callback: Expected note text');
+                const missing = await db.transaction((tx) => tx.store('missing'));
+                assert.equal(missing.message, 'Error in the batch callback: Store "missing" is not declared in the schema');
+                assert.deepEqual(await db.store('settings').count(), { success: true, data: 0 });
+            });
+
+            it('rolls back every write when one fails', async () => {
+                const db = await openDatabase();
+                await db.store('settings').save('theme', 'emerald');
+                const result = await db.transaction((tx) => {
+                    tx.store('settings').clear();
+                    tx.store('notes').put('2025-08-03', { text: 'hello', callback: () => { } });
+                });
+                assert.equal(result.success, false);
+                assert.equal(result.message, 'Error in the batch process: DataCloneError');
+                assert.deepEqual((await db.store('settings').loadAll()).data, { theme: 'emerald' });
+                assert.deepEqual(await db.store('notes').count(), { success: true, data: 0 });
+            });
+
+        });
+
+        describe('subscribe', () => {
+
+            it('announces committed changes, until unsubscribed', async () => {
+                const db = await openDatabase();
+                const changes = [];
+                const unsubscribe = db.subscribe(change => changes.push(change));
+                await db.store('settings').save('theme', 'emerald');
+                await db.store('settings').deleteMany(['theme']);
+                await db.transaction((tx) => tx.store('notes').put('2025-08-03', { text: 'hello' }).clear());
+                await db.store('settings').save('', 'invalid');
+                unsubscribe();
+                await db.store('settings').save('theme', 'ruby');
+                assert.deepEqual(changes, [
+                    { type: 'put', storeName: 'settings', keys: ['theme'], remote: false },
+                    { type: 'delete', storeName: 'settings', keys: ['theme'], remote: false },
+                    { type: 'put', storeName: 'notes', keys: ['2025-08-03'], remote: false },
+                    { type: 'clear', storeName: 'notes', keys: [], remote: false }
+                ]);
+            });
+
+            it('filters changes by store for store subscribers', async () => {
+                const db = await openDatabase();
+                const changes = [];
+                db.store('notes').subscribe(change => changes.push(change.storeName));
+                await db.store('settings').save('theme', 'emerald');
+                await db.store('notes').save('2025-08-03', { text: 'hello' });
+                assert.deepEqual(changes, ['notes']);
+            });
+
+            it('isolates errors thrown by listeners', async (t) => {
+                const errors = t.mock.method(console, 'error', () => { });
+                const db = await openDatabase();
+                const changes = [];
+                db.subscribe(() => { throw new Error('Listener failed'); });
+                db.subscribe(change => changes.push(change.type));
+                assert.deepEqual(await db.store('settings').save('theme', 'emerald'), { success: true });
+                assert.deepEqual(changes, ['put']);
+                assert.equal(errors.mock.callCount(), 1);
+            });
+
+            it('receives changes from other instances as remote', async () => {
+                const backend = createBackend();
+                const name = `test-${++counter}`;
+                const writer = await openDatabase(SCHEMA, { name, backend });
+                const reader = await openDatabase(SCHEMA, { name, backend });
+                const changes = [];
+                reader.subscribe(change => changes.push(change));
+                const received = waitForChange(reader, change => change.remote);
+                await writer.store('settings').save('theme', 'emerald');
+                await received;
+                assert.deepEqual(changes, [{ type: 'put', storeName: 'settings', keys: ['theme'], remote: true }]);
+                assert.deepEqual(await reader.store('settings').load('theme'), { success: true, data: 'emerald' });
+            });
+
+        });
+
+        describe('reset and _destroy', () => {
+
+            it('reset leaves an empty database open', async () => {
+                const db = await openDatabase();
+                await db.store('settings').save('theme', 'emerald');
+                assert.deepEqual(await db.reset(), { success: true });
+                assert.deepEqual(await db.store('settings').count(), { success: true, data: 0 });
+            });
+
+            it('_destroy unlinks the database', async () => {
+                const db = await openDatabase();
+                assert.deepEqual(await db._destroy(), { success: true });
+                assert.equal(db._db, null);
+                assert.equal((await db.store('settings').count()).message, 'Database not currently linked');
+            });
+
+            it('other instances stay closed once the database is destroyed', async (t) => {
+                t.mock.method(console, 'warn', () => { });
+                const backend = createBackend();
+                const name = `test-${++counter}`;
+                const destroyer = await openDatabase(SCHEMA, { name, backend });
+                const other = await openDatabase(SCHEMA, { name, backend });
+                await other.store('settings').save('theme', 'emerald');
+                const changes = [];
+                other.subscribe(change => changes.push(change));
+                const closed = waitForChange(other, change => change.type === 'reopen');
+                assert.deepEqual(await destroyer._destroy(), { success: true });
+                await closed;
+                assert.deepEqual(changes, [
+                    { type: 'reopen', storeName: null, keys: [], remote: false, message: 'Database was deleted in another tab' }
+                ]);
+                assert.equal(other._db, null);
+                assert.deepEqual(await destroyer.open(), { success: true });
+                assert.deepEqual(await destroyer.store('settings').count(), { success: true, data: 0 });
+            });
+
+            it('other instances stay closed and report the error once the database is upgraded', async (t) => {
+                t.mock.method(console, 'warn', () => { });
+                const backend = createBackend();
+                const name = `test-${++counter}`;
+                const outdated = await openDatabase(SCHEMA, { name, backend });
+                const failed = waitForChange(outdated, change => change.type === 'reopen');
+                const changes = [];
+                outdated.subscribe(change => changes.push(change));
+                await openDatabase({ ...SCHEMA, version: 2 }, { name, backend });
+                await failed;
+                assert.equal(changes.length, 1);
+                assert.equal(changes[0].message, 'Error in the opening process: VersionError');
+                assert.equal(changes[0].error.name, 'VersionError');
+                assert.equal(outdated._db, null);
+            });
+
+        });
+
+    });
+
+}
+
+describe('LocalStorageBackend persistence', () => {
+
+    it('keeps data for a new backend on the same storage', async () => {
+        const storage = createStorage();
+        const name = `test-${++counter}`;
+        const db = new SimpleDatabase(name, SCHEMA, { backend: new LocalStorageBackend(storage) });
+        await db.open();
+        await db.store('notes').save('2025-08-03', { text: 'hello', pinned: 1, tags: ['a'] });
+        db._close();
+
+        const reloaded = new SimpleDatabase(name, SCHEMA, { backend: new LocalStorageBackend(storage) });
+        opened.push(reloaded);
+        await reloaded.open();
+        assert.deepEqual(await reloaded.store('notes').load('2025-08-03'), {
+            success: true,
+            data: { text: 'hello', pinned: 1, tags: ['a'] }
+        });
+        assert.deepEqual(Object.keys((await reloaded.store('notes').query('tags', { only: 'a' })).data), ['2025-08-03']);
+    });
+
+    it('leaves memory unchanged when storage is full', async () => {
+        const storage = createStorage();
+        const db = new SimpleDatabase(`test-${++counter}`, SCHEMA, { backend: new LocalStorageBackend(storage) });
+        opened.push(db);
+        await db.open();
+        storage.setItem = () => { throw new DOMException('Storage is full', 'QuotaExceededError'); };
+        const result = await db.store('settings').save('theme', 'emerald');
+        assert.equal(result.message, 'Error in the saving process: QuotaExceededError');
+        assert.deepEqual(await db.store('settings').count(), { success: true, data: 0 });
+    });
+
+});
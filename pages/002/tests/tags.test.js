@@ -0,0 +1,65 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseTags, normaliseTag, renameTag } from '../utils/tags.js';
+
+describe('parseTags', () => {
+
+    it('finds distinct tags in lowercase, sorted', () => {
+        assert.deepEqual(parseTags('Met #Sam about #work.\n#work again, (#café) #work_trip #a-b'), ['a-b', 'café', 'sam', 'work', 'work_trip']);
+    });
+
+    it('ignores headings, numbers, fragments and entities', () => {
+        assert.deepEqual(parseTags('# Heading\n## Sub\n#1 #2025 http://example.com/#top a#b &#39; ##double'), []);
+    });
+
+    it('trims trailing hyphens', () => {
+        assert.deepEqual(parseTags('End of #work- and #day--'), ['day', 'work']);
+    });
+
+    it('ignores inline code and fenced code blocks', () => {
+        const text = 'Use `#define` here\n```c\n#include <stdio.h>\n```\n~~~\n#hidden\n~~~\n#visible';
+        assert.deepEqual(parseTags(text), ['visible']);
+    });
+
+    it('treats an unclosed fence as code to the end', () => {
+        assert.deepEqual(parseTags('#before\n```\n#inside'), ['before']);
+    });
+
+});
+
+describe('normaliseTag', () => {
+
+    it('strips the hash and whitespace, and lowercases', () => {
+        assert.equal(normaliseTag('  #Work-Trip- '), 'work-trip');
+        assert.equal(normaliseTag('Café'), 'café');
+    });
+
+    it('returns an empty string for invalid tags', () => {
+        assert.equal(normaliseTag(''), '');
+        assert.equal(normaliseTag('#2025'), '');
+        assert.equal(normaliseTag('two words'), '');
+        assert.equal(normaliseTag('-dash'), '');
+    });
+
+});
+
+describe('renameTag', () => {
+
+    it('renames every use of a tag, whatever its case', () => {
+        assert.equal(renameTag('#Work and #WORK, not #workplace', 'work', 'job'), '#job and #job, not #workplace');
+    });
+
+    it('merges into an existing tag, keeping trailing hyphens', () => {
+        assert.equal(renameTag('#home then #house-', '#house', '#Home'), '#home then #home-');
+    });
+
+    it('leaves code untouched', () => {
+        assert.equal(renameTag('#work `#work`', 'work', 'job'), '#job `#work`');
+    });
+
+    it('throws for invalid tag names', () => {
+        assert.throws(() => renameTag('#work', 'work', 'two words'), /Expected valid tag names/);
+        assert.throws(() => renameTag('#work', '', 'job'), /Expected valid tag names/);
+    });
+
+});
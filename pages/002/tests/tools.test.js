@@ -0,0 +1,175 @@
+import './setup.js';
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { tools } from '../components/calendar-widget.js';
+
+/**
+ * Convert the grid for a month to short date strings
+ * 
+ * @param {number} year - Full year eg. 2025
+ * @param {number} month - Month index (0-11)
+ * @returns {string[]} The 42 grid dates in the format YYYY-MM-DD
+ */
+function gridFor(year, month) {
+    return tools.getDateArray(new Date(year, month, 15)).map(tools.toShort);
+}
+
+describe('tools.getDateArray', () => {
+
+    it('returns 42 consecutive dates starting on a Monday', () => {
+        const dates = tools.getDateArray(new Date(2025, 7, 3));
+        assert.equal(dates.length, 42);
+        assert.equal(dates[0].getDay(), 1);
+        for (let i = 1; i < dates.length; i++) {
+            const previous = tools.cloneDate(dates[i - 1], { day: dates[i - 1].getDate() + 1 });
+            assert.ok(tools.isSameDate(previous, dates[i]), `${tools.toShort(dates[i])} follows ${tools.toShort(dates[i - 1])}`);
+        }
+    });
+
+    it('pads with days from the previous and next month', () => {
+        const grid = gridFor(2025, 7);
+        assert.equal(grid[0], '2025-07-28');
+        assert.equal(grid[4], '2025-08-01');
+        assert.equal(grid[34], '2025-08-31');
+        assert.equal(grid[41], '2025-09-07');
+    });
+
+    it('starts on the 1st when the month starts on a Monday', () => {
+        const grid = gridFor(2025, 8);
+        assert.equal(grid[0], '2025-09-01');
+    });
+
+    it('starts six days back when the month starts on a Sunday', () => {
+        const grid = gridFor(2025, 5);
+        assert.equal(grid[0], '2025-05-26');
+        assert.equal(grid[6], '2025-06-01');
+    });
+
+    it('is unaffected by the day of the given date', () => {
+        assert.deepEqual(tools.getDateArray(new Date(2025, 0, 31)).map(tools.toShort), gridFor(2025, 0));
+        assert.deepEqual(tools.getDateArray(new Date(2025, 0, 1)).map(tools.toShort), gridFor(2025, 0));
+    });
+
+    it('includes February 29th in leap years only', () => {
+        assert.ok(gridFor(2024, 1).includes('2024-02-29'));
+        assert.ok(gridFor(2000, 1).includes('2000-02-29'));
+        assert.ok(!gridFor(2023, 1).includes('2023-02-29'));
+        assert.ok(!gridFor(1900, 1).includes('1900-02-29'));
+        const grid = gridFor(2023, 1);
+        assert.equal(grid[grid.indexOf('2023-02-28') + 1], '2023-03-01');
+    });
+
+    it('crosses the year boundary in both directions', () => {
+        const january = gridFor(2025, 0);
+        assert.equal(january[0], '2024-12-30');
+        const december = gridFor(2025, 11);
+        assert.equal(december[41], '2026-01-11');
+    });
+
+    it('neither skips nor repeats days across DST transitions', () => {
+        for (const month of [2, 9]) {
+            const grid = gridFor(2025, month);
+            assert.equal(new Set(grid).size, 42);
+            const dates = grid.map(tools.fromShort);
+            for (let i = 1; i < dates.length; i++) {
+                const hours = (dates[i] - dates[i - 1]) / 3600000;
+                assert.ok([23, 24, 25].includes(hours), `${grid[i - 1]} to ${grid[i]} is ${hours} hours`);
+            }
+        }
+    });
+
+    it('keeps dates on the right day when the time falls in a DST gap', () => {
+        const date = new Date(2025, 2, 15, 1, 30);
+        const grid = tools.getDateArray(date).map(tools.toShort);
+        assert.equal(grid[grid.indexOf('2025-03-29') + 1], '2025-03-30');
+        assert.equal(grid[grid.indexOf('2025-03-30') + 1], '2025-03-31');
+    });
+
+});
+
+describe('tools.cloneDate', () => {
+
+    it('does not modify the source date', () => {
+        const date = new Date(2025, 7, 3);
+        const clone = tools.cloneDate(date, { day: 10, month: 0, year: 2020 });
+        assert.equal(tools.toShort(date), '2025-08-03');
+        assert.equal(tools.toShort(clone), '2020-01-10');
+    });
+
+    it('applies the day with the month, avoiding month overflow', () => {
+        const date = new Date(2025, 0, 31);
+        assert.equal(tools.toShort(tools.cloneDate(date, { month: 1, day: 1 })), '2025-02-01');
+        assert.equal(tools.toShort(tools.cloneDate(new Date(2024, 1, 29), { year: 2025, day: 1 })), '2025-02-01');
+    });
+
+    it('rolls out-of-range days into neighbouring months', () => {
+        const date = new Date(2025, 2, 1);
+        assert.equal(tools.toShort(tools.cloneDate(date, { day: 0 })), '2025-02-28');
+        assert.equal(tools.toShort(tools.cloneDate(date, { day: 32 })), '2025-04-01');
+    });
+
+});
+
+describe('tools.toOrdinal', () => {
+
+    it('uses st, nd and rd outside of the teens', () => {
+        const expected = {
+            1: '1st', 2: '2nd', 3: '3rd', 4: '4th', 10: '10th',
+            11: '11th', 12: '12th', 13: '13th', 20: '20th',
+            21: '21st', 22: '22nd', 23: '23rd', 24: '24th', 30: '30th', 31: '31st'
+        };
+        for (const [day, ordinal] of Object.entries(expected)) {
+            assert.equal(tools.toOrdinal(new Date(2025, 0, Number(day))), ordinal);
+        }
+    });
+
+});
+
+describe('tools.toShort and tools.fromShort', () => {
+
+    it('formats the local date with zero padding', () => {
+        assert.equal(tools.toShort(new Date(2025, 0, 5)), '2025-01-05');
+        assert.equal(tools.toShort(new Date(2025, 11, 31, 23, 59)), '2025-12-31');
+    });
+
+    it('uses the local date, not the UTC date', () => {
+        const date = new Date(2025, 7, 3, 0, 30);
+        assert.equal(date.toISOString().slice(0, 10), '2025-08-02');
+        assert.equal(tools.toShort(date), '2025-08-03');
+    });
+
+    it('parses to local midnight, including on DST change days', () => {
+        for (const shortDate of ['2025-03-30', '2025-10-26', '2024-02-29', '2025-01-01']) {
+            const date = tools.fromShort(shortDate);
+            assert.equal(date.getHours(), 0);
+            assert.equal(date.getMinutes(), 0);
+            assert.equal(tools.toShort(date), shortDate);
+        }
+    });
+
+});
+
+describe('tools names and comparisons', () => {
+
+    it('formats pretty dates', () => {
+        assert.equal(tools.toPretty(new Date(2025, 7, 3)), 'Sunday 3rd August 2025');
+        assert.equal(tools.toPretty(new Date(2024, 1, 29)), 'Thursday 29th February 2024');
+    });
+
+    it('returns month index, month name, day name and year', () => {
+        const date = new Date(2025, 6, 1);
+        assert.equal(tools.toMonthIndex(date), 6);
+        assert.equal(tools.toMonthName(date), 'July');
+        assert.equal(tools.toDayName(date), 'Tuesday');
+        assert.equal(tools.toYear(date), 2025);
+    });
+
+    it('compares dates by day, ignoring time', () => {
+        assert.ok(tools.isSameDate(new Date(2025, 7, 3, 0, 0), new Date(2025, 7, 3, 23, 59)));
+        assert.ok(!tools.isSameDate(new Date(2025, 7, 3), new Date(2024, 7, 3)));
+        assert.ok(!tools.isSameDate(new Date(2025, 7, 3), new Date(2025, 6, 3)));
+        assert.ok(tools.isToday(new Date()));
+        assert.ok(!tools.isToday(tools.cloneDate(new Date(), { day: new Date().getDate() + 1 })));
+    });
+
+});
@@ -0,0 +1,88 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { deflateRawSync } from 'node:zlib';
+import { createZip, readZip } from '../utils/zip.js';
+
+const encoder = new TextEncoder();
+const decoder = new TextDecoder();
+
+/**
+ * Build a single-entry archive with a deflated entry, as other zip tools write
+ * - Rewrites the method and sizes of a stored archive around deflated data
+ * 
+ * @param {string} name - Entry name
+ * @param {string} text - Entry content
+ * @returns {Uint8Array} The archive bytes
+ */
+function deflatedZip(name, text) {
+    const data = encoder.encode(text);
+    const stored = createZip([{ name, data }]);
+    const compressed = deflateRawSync(data);
+    const headerLength = 30 + encoder.encode(name).length;
+    const local = stored.slice(0, headerLength);
+    const central = stored.slice(headerLength + data.length, stored.length - 22);
+    const end = stored.slice(stored.length - 22);
+    new DataView(local.buffer).setUint16(8, 8, true);
+    new DataView(local.buffer).setUint32(18, compressed.length, true);
+    new DataView(central.buffer).setUint16(10, 8, true);
+    new DataView(central.buffer).setUint32(20, compressed.length, true);
+    new DataView(end.buffer).setUint32(16, headerLength + compressed.length, true);
+    const output = new Uint8Array(headerLength + compressed.length + central.length + end.length);
+    output.set(local, 0);
+    output.set(compressed, headerLength);
+    output.set(central, headerLength + compressed.length);
+    output.set(end, output.length - end.length);
+    return output;
+}
+
+describe('createZip and readZip', () => {
+
+    it('round trips names, content and modified times', async () => {
+        const modified = new Date(2025, 7, 3, 14, 30, 10);
+        const bytes = createZip([
+            { name: '2025-08-03.md', data: encoder.encode('Hello'), modified },
+            { name: 'folder/ünïcode.md', data: encoder.encode('Wörld ✓'), modified },
+            { name: 'empty.md', data: new Uint8Array(), modified }
+        ]);
+        const entries = await readZip(bytes);
+        assert.deepEqual(entries.map(entry => entry.name), ['2025-08-03.md', 'folder/ünïcode.md', 'empty.md']);
+        assert.equal(decoder.decode(entries[0].data), 'Hello');
+        assert.equal(decoder.decode(entries[1].data), 'Wörld ✓');
+        assert.equal(entries[2].data.length, 0);
+        assert.equal(entries[0].modified.getTime(), modified.getTime());
+    });
+
+    it('writes an empty archive', async () => {
+        const bytes = createZip([]);
+        assert.equal(bytes.length, 22);
+        assert.deepEqual(await readZip(bytes), []);
+    });
+
+    it('rejects empty and repeated names', () => {
+        assert.throws(() => createZip([{ name: '', data: new Uint8Array() }]), /Invalid or repeated/);
+        const entry = { name: 'a.md', data: new Uint8Array() };
+        assert.throws(() => createZip([entry, entry]), /Invalid or repeated/);
+    });
+
+    it('reads deflated entries', async () => {
+        const text = 'Compressed text '.repeat(20);
+        const entries = await readZip(deflatedZip('2025-08-03.md', text));
+        assert.equal(decoder.decode(entries[0].data), text);
+    });
+
+    it('reads archives from an offset view', async () => {
+        const bytes = createZip([{ name: 'a.md', data: encoder.encode('A') }]);
+        const padded = new Uint8Array(bytes.length + 8);
+        padded.set(bytes, 8);
+        const entries = await readZip(padded.subarray(8));
+        assert.equal(decoder.decode(entries[0].data), 'A');
+    });
+
+    it('rejects files that are not archives, and corrupted content', async () => {
+        await assert.rejects(readZip(encoder.encode('not a zip file at all, just some text')), /Not a zip archive/);
+        const bytes = createZip([{ name: 'a.md', data: encoder.encode('Hello') }]);
+        bytes[30 + 'a.md'.length] ^= 0xff;
+        await assert.rejects(readZip(bytes), /Checksum mismatch/);
+    });
+
+});
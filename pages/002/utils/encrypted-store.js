@@ -0,0 +1,1126 @@
+/**
+ * Module that exports `EncryptedStore`
+ * - Optional encryption layer around a `SimpleStore`
+ * - AES-GCM with a 256-bit key derived from a passphrase via PBKDF2
+ * - Encrypts chosen string fields, so other fields stay indexable
+ * - Escapes plain text that looks like ciphertext, so user text is never decrypted
+ * - Lock, unlock, passphrase change and removal, re-encrypting in one transaction
+ * - Writes and batches fail with 'Store is busy' while re-encrypting, so none are lost
+ * - Linked stores share one key, so one passphrase covers several stores
+ * - Safe: Expected errors in methods passed to result objects
+ * 
+ * @module encrypted-store
+ * @author Ben Scarletti
+ * @see {@link https://github.com/scarletti-ben}
+ * @license MIT
+ */
+
+// < ======================================================
+// < Encryption Type Definitions
+// < ======================================================
+
+/**
+ * Record describing how the key is derived, saved as JSON in the key store
+ * - Holds no secrets, the passphrase and key are never saved
+ * 
+ * @typedef {Object} EncryptionRecord
+ * @property {1} version - Record format version
+ * @property {string} salt - Base64 PBKDF2 salt
+ * @property {number} iterations - PBKDF2 iteration count
+ * @property {string} check - Known text encrypted with the key, to verify passphrases
+ */
+
+/**
+ * Settings for an `EncryptedStore`
+ * 
+ * @typedef {Object} EncryptionOptions
+ * @property {string[]} [fields] - String fields of structured values to encrypt, omit to encrypt string values whole
+ * @property {string} [keyStore] - Declared string store holding the `EncryptionRecord`, defaults to 'settings'
+ * @property {string} [keyName] - Key of the `EncryptionRecord`, defaults to 'encryption:<storeName>'
+ * @property {number} [iterations] - PBKDF2 iterations for new keys
+ */
+
+/**
+ * Prefix marking an encrypted string, followed by base64 IV and ciphertext
+ * @type {string}
+ */
+const PREFIX = 'enc:v1:';
+
+/**
+ * Prefix marking plain text that began with 'enc:', so it is never read as ciphertext
+ * @type {string}
+ */
+const ESCAPE = 'enc:plain:';
+
+/**
+ * Text encrypted into `EncryptionRecord.check`
+ * @type {string}
+ */
+const CHECK_TEXT = 'simple-database';
+
+/**
+ * PBKDF2 iterations for new keys, following OWASP guidance for SHA-256
+ * @type {number}
+ */
+const DEFAULT_ITERATIONS = 600000;
+
+// < ======================================================
+// < Internal Functions
+// < ======================================================
+
+/**
+ * Evaluate arguments to check all are valid strings
+ * 
+ * @param {...any} args - The arguments to evaluate
+ * @returns {boolean} True if all arguments are valid strings
+ */
+function validString(...args) {
+    for (const arg of args) {
+        if (typeof arg !== 'string' || arg.trim() === '') {
+            return false;
+        }
+    }
+    return true;
+}
+
+/**
+ * Encode bytes as a base64 string
+ * 
+ * @param {Uint8Array} bytes - The bytes to encode
+ * @returns {string} Base64 string
+ */
+function toBase64(bytes) {
+    let binary = '';
+    for (const byte of bytes) {
+        binary += String.fromCharCode(byte);
+    }
+    return btoa(binary);
+}
+
+/**
+ * Decode a base64 string into bytes
+ * 
+ * @param {string} text - Base64 string
+ * @returns {Uint8Array} The decoded bytes
+ */
+function fromBase64(text) {
+    return Uint8Array.from(atob(text), char => char.charCodeAt(0));
+}
+
+/**
+ * Check whether a value is an encrypted string
+ * 
+ * @param {any} value - The value to check
+ * @returns {boolean} True if the value was produced by `encryptText`
+ */
+function isEncrypted(value) {
+    return typeof value === 'string' && value.startsWith(PREFIX);
+}
+
+/**
+ * Escape plain text that could be mistaken for an encrypted or escaped string
+ * 
+ * @param {string} text - The plain text
+ * @returns {string} The text, prefixed with `ESCAPE` if it starts with 'enc:'
+ */
+function escapeText(text) {
+    return text.startsWith('enc:') ? `${ESCAPE}${text}` : text;
+}
+
+/**
+ * Restore plain text escaped by `escapeText`
+ * 
+ * @param {string} text - The stored text, not encrypted
+ * @returns {string} The plain text
+ */
+function unescapeText(text) {
+    return text.startsWith(ESCAPE) ? text.slice(ESCAPE.length) : text;
+}
+
+/**
+ * Derive an AES-GCM key from a passphrase via PBKDF2
+ * 
+ * @param {string} passphrase - The user passphrase
+ * @param {Uint8Array} salt - Random salt, saved alongside the data
+ * @param {number} iterations - PBKDF2 iteration count
+ * @returns {Promise<CryptoKey>} Non-extractable AES-GCM key
+ */
+async function deriveKey(passphrase, salt, iterations) {
+    const material = await crypto.subtle.importKey(
+        'raw',
+        new TextEncoder().encode(passphrase),
+        'PBKDF2',
+        false,
+        ['deriveKey']
+    );
+    return crypto.subtle.deriveKey(
+        { name: 'PBKDF2', hash: 'SHA-256', salt, iterations },
+        material,
+        { name: 'AES-GCM', length: 256 },
+        false,
+        ['encrypt', 'decrypt']
+    );
+}
+
+/**
+ * Encrypt text with AES-GCM and a random IV
+ * - Context is authenticated, so ciphertext cannot be moved to another key or field
+ * 
+ * @param {CryptoKey} key - AES-GCM key
+ * @param {string} text - The text to encrypt
+ * @param {string} context - Where the text is stored eg. 'notes/2025-08-03/text'
+ * @returns {Promise<string>} Encrypted string starting with `PREFIX`
+ */
+async function encryptText(key, text, context) {
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const data = await crypto.subtle.encrypt(
+        { name: 'AES-GCM', iv, additionalData: new TextEncoder().encode(context) },
+        key,
+        new TextEncoder().encode(text)
+    );
+    return `${PREFIX}${toBase64(iv)}:${toBase64(new Uint8Array(data))}`;
+}
+
+/**
+ * Decrypt text produced by `encryptText`
+ * 
+ * @param {CryptoKey} key - AES-GCM key
+ * @param {string} payload - Encrypted string starting with `PREFIX`
+ * @param {string} context - Where the text is stored, as passed to `encryptText`
+ * @throws {Error} `OperationError` if the key or context is wrong, or the data was altered
+ * @returns {Promise<string>} The decrypted text
+ */
+async function decryptText(key, payload, context) {
+    const [iv, data] = payload.slice(PREFIX.length).split(':').map(fromBase64);
+    const text = await crypto.subtle.decrypt(
+        { name: 'AES-GCM', iv, additionalData: new TextEncoder().encode(context) },
+        key,
+        data
+    );
+    return new TextDecoder().decode(text);
+}
+
+// < ======================================================
+// < EncryptedStore Class
+// < ======================================================
+
+/**
+ * Encryption layer around a `SimpleStore`, with the same read and write methods
+ * - Stores values as plain text until `enable` is called, escaping text that starts with 'enc:'
+ * - Once enabled, starts locked in each session until `unlock` succeeds
+ * - Reads and writes of encrypted values fail with 'Store is locked' while locked
+ * - Writes fail with 'Store is busy' while `enable`, `changePassphrase` or `disable` re-writes values
+ * - Keys, and fields not listed in `fields`, are stored in plain text
+ * - Locks itself if another tab changes the passphrase, or the database reopens
+ * - Other stores can share the key and passphrase via `link`
+ * - Safe: Expected errors in methods passed to result objects
+ * 
+ * @example
+ * const notes = new EncryptedStore(db, 'notes', { fields: ['text'] });
+ * const revisions = notes.link('revisions', { fields: ['text'] });
+ * let result = await notes.status();
+ * if (result.data === 'locked') {
+ *     result = await notes.unlock(passphrase);
+ * }
+ * result = await notes.load('2025-08-03');
+ */
+class EncryptedStore {
+
+    /** @type {import('./simple-database.js').SimpleDatabase} */
+    _database;
+
+    /** @type {string} */
+    _storeName;
+
+    /** @type {string[] | null} Fields to encrypt, null to encrypt whole string values */
+    _fields;
+
+    /** @type {string} */
+    _keyStore;
+
+    /** @type {string} */
+    _keyName;
+
+    /** @type {number} */
+    _iterations;
+
+    /**
+     * State shared by linked stores
+     * - `key` is held while unlocked
+     * - `record` is cached, null if disabled, undefined if not loaded
+     * - `stores` are every linked store, rewritten together
+     * - `rewriting` is true while values are re-written, blocking other writes
+     * - `writes` are writes in progress, which a rewrite waits for before loading values
+     * @type {{ key: CryptoKey | null, record: EncryptionRecord | null | undefined, stores: EncryptedStore[], rewriting: boolean, writes: Set<Promise<any>> }}
+     */
+    _shared;
+
+    /**
+     * @param {import('./simple-database.js').SimpleDatabase} database - Database that owns the store
+     * @param {string} storeName - Name of a declared store to encrypt
+     * @param {EncryptionOptions} [options] - Optional encryption settings
+     */
+    constructor(database, storeName, options = {}) {
+        const {
+            fields = null,
+            keyStore = 'settings',
+            keyName = `encryption:${storeName}`,
+            iterations = DEFAULT_ITERATIONS
+        } = options;
+        this._database = database;
+        this._storeName = storeName;
+        this._fields = fields;
+        this._keyStore = keyStore;
+        this._keyName = keyName;
+        this._iterations = iterations;
+        this._shared = { key: null, record: undefined, stores: [this], rewriting: false, writes: new Set() };
+
+        // Check both stores are declared, throwing if not
+        database.store(storeName);
+        database.store(keyStore);
+
+        // Forget the key if another tab changes it, or the database reopens
+        database.subscribe((change) => {
+            const keyChanged = change.storeName === keyStore
+                && (change.type === 'clear' || change.keys.includes(keyName));
+            if (change.type === 'reopen' || (keyChanged && change.remote)) {
+                this.lock();
+                this._shared.record = undefined;
+            }
+        });
+    }
+
+    /**
+     * Underlying store, holding encrypted values
+     * @type {import('./simple-database.js').SimpleStore}
+     */
+    get _store() {
+        return this._database.store(this._storeName);
+    }
+
+    /**
+     * Whether encryption is enabled and no key is held
+     * - Only accurate once `status` or another method has loaded the record
+     * @type {boolean}
+     */
+    get locked() {
+        return Boolean(this._shared.record) && !this._shared.key;
+    }
+
+    /**
+     * Key of the saved `EncryptionRecord`, for listening to changes
+     * @type {string}
+     */
+    get keyName() {
+        return this._keyName;
+    }
+
+    /**
+     * Create a handle for another store, sharing this key and passphrase
+     * - Enabling, unlocking, locking and passphrase changes apply to every linked store
+     * 
+     * @param {string} storeName - Name of a declared store to encrypt
+     * @param {Pick<EncryptionOptions, 'fields'>} [options] - Fields to encrypt in the linked store
+     * @throws {Error} If the store is not declared in the schema
+     * @returns {EncryptedStore} The linked store
+     */
+    link(storeName, { fields = null } = {}) {
+        const linked = new EncryptedStore(this._database, storeName, {
+            fields,
+            keyStore: this._keyStore,
+            keyName: this._keyName,
+            iterations: this._iterations
+        });
+        linked._shared = this._shared;
+        this._shared.stores.push(linked);
+        return linked;
+    }
+
+    /**
+     * Load the saved `EncryptionRecord`, caching it
+     * 
+     * @throws {Error} If the record cannot be loaded or parsed
+     * @returns {Promise<EncryptionRecord | null>} The record, or null if encryption is disabled
+     */
+    async _loadRecord() {
+        if (this._shared.record !== undefined) {
+            return this._shared.record;
+        }
+        const result = await this._database.store(this._keyStore).loadRange(this._keyName, this._keyName);
+        if (!result.success) {
+            throw result.error ?? new Error(result.message);
+        }
+        const text = result.data[this._keyName];
+        this._shared.record = text === undefined ? null : JSON.parse(text);
+        return this._shared.record;
+    }
+
+    /**
+     * Derive the key for a passphrase, and check it against a record
+     * 
+     * @param {string} passphrase - The passphrase to check
+     * @param {EncryptionRecord} record - The saved record
+     * @returns {Promise<CryptoKey | null>} The key, or null if the passphrase is wrong
+     */
+    async _verify(passphrase, record) {
+        const key = await deriveKey(passphrase, fromBase64(record.salt), record.iterations);
+        try {
+            await decryptText(key, record.check, this._keyName);
+            return key;
+        } catch {
+            return null;
+        }
+    }
+
+    /**
+     * Create a new salt, key and record for a passphrase
+     * 
+     * @param {string} passphrase - The new passphrase
+     * @returns {Promise<{ key: CryptoKey, record: EncryptionRecord }>} The key and its record
+     */
+    async _create(passphrase) {
+        const salt = crypto.getRandomValues(new Uint8Array(16));
+        const key = await deriveKey(passphrase, salt, this._iterations);
+        const record = {
+            version: 1,
+            salt: toBase64(salt),
+            iterations: this._iterations,
+            check: await encryptText(key, CHECK_TEXT, this._keyName)
+        };
+        return { key, record };
+    }
+
+    /**
+     * Get the state of encryption safely via Promise
+     * - Safe: Expected errors passed to result object
+     * 
+     * @returns {Promise<{
+     *   success: boolean,
+     *   data?: 'disabled' | 'locked' | 'unlocked',
+     *   message?: string,
+     *   error?: Error
+     * }>} The result of the status check
+     */
+    async status() {
+        try {
+            const record = await this._loadRecord();
+            return {
+                success: true,
+                data: !record ? 'disabled' : this._shared.key ? 'unlocked' : 'locked'
+            };
+        } catch (error) {
+            return {
+                success: false,
+                message: `Error in the loading process: ${error?.name}`,
+                error
+            };
+        }
+    }
+
+    /**
+     * Encrypt a value for this store, for use in batches
+     * - Only escapes listed fields if encryption is disabled
+     * 
+     * @param {string} key - The key the value is saved at
+     * @param {any} value - The value to encrypt
+     * @throws {Error} If the store is locked or busy, or encryption fails
+     * @returns {Promise<any>} The value with listed fields encrypted
+     */
+    async encryptValue(key, value) {
+        if (this._shared.rewriting) {
+            throw new Error('Store is busy');
+        }
+        if (!(await this._loadRecord())) {
+            return this._encryptWith(null, key, value);
+        }
+        if (!this._shared.key) {
+            throw new Error('Store is locked');
+        }
+        return this._encryptWith(this._shared.key, key, value);
+    }
+
+    /**
+     * Decrypt a value loaded from this store
+     * - Unescapes listed fields that are not encrypted
+     * 
+     * @param {string} key - The key the value was loaded from
+     * @param {any} value - The value to decrypt
+     * @throws {Error} If the store is locked, or decryption fails
+     * @returns {Promise<any>} The value with listed fields decrypted
+     */
+    async decryptValue(key, value) {
+        return this._decryptWith(this._shared.key, key, value);
+    }
+
+    /**
+     * Encrypt listed fields of a plain value with a given key, or escape them without one
+     * 
+     * @param {CryptoKey | null} cryptoKey - AES-GCM key, null to store listed fields as plain text
+     * @param {string} key - The key the value is saved at
+     * @param {any} value - The plain value to encrypt
+     * @returns {Promise<any>} A copy of the value with listed fields encrypted or escaped
+     */
+    async _encryptWith(cryptoKey, key, value) {
+        const encrypt = (text, context) => cryptoKey ? encryptText(cryptoKey, text, context) : escapeText(text);
+        if (!this._fields) {
+            return typeof value === 'string' ? encrypt(value, `${this._storeName}/${key}`) : value;
+        }
+        const output = { ...value };
+        for (const field of this._fields) {
+            if (typeof output[field] === 'string') {
+                output[field] = await encrypt(output[field], `${this._storeName}/${key}/${field}`);
+            }
+        }
+        return output;
+    }
+
+    /**
+     * Decrypt listed fields of a stored value with a given key, and unescape plain ones
+     * 
+     * @param {CryptoKey | null} cryptoKey - AES-GCM key, null while locked
+     * @param {string} key - The key the value was loaded from
+     * @param {any} value - The value to decrypt
+     * @throws {Error} If a field is encrypted and there is no key, or decryption fails
+     * @returns {Promise<any>} A copy of the value with listed fields decrypted
+     */
+    async _decryptWith(cryptoKey, key, value) {
+        const decrypt = async (text, context) => {
+            if (!isEncrypted(text)) {
+                return unescapeText(text);
+            }
+            if (!cryptoKey) {
+                throw new Error('Store is locked');
+            }
+            return decryptText(cryptoKey, text, context);
+        };
+        if (!this._fields) {
+            return typeof value === 'string' ? decrypt(value, `${this._storeName}/${key}`) : value;
+        }
+        if (value == null || typeof value !== 'object') {
+            return value;
+        }
+        const output = { ...value };
+        for (const field of this._fields) {
+            if (typeof output[field] === 'string') {
+                output[field] = await decrypt(output[field], `${this._storeName}/${key}/${field}`);
+            }
+        }
+        return output;
+    }
+
+    /**
+     * Check whether listed fields of a value are in plain text, or encrypted
+     * 
+     * @param {any} value - The stored value to check
+     * @param {boolean} encrypted - Whether listed fields should be encrypted
+     * @returns {boolean} True if any listed string field is not as expected
+     */
+    _mismatched(value, encrypted) {
+        if (!this._fields) {
+            return typeof value === 'string' && isEncrypted(value) !== encrypted;
+        }
+        if (value == null || typeof value !== 'object') {
+            return false;
+        }
+        return this._fields.some(field => typeof value[field] === 'string' && isEncrypted(value[field]) !== encrypted);
+    }
+
+    /**
+     * Convert a thrown error into a failure result
+     * - 'Store is locked' and 'Store is busy' errors keep their message
+     * 
+     * @param {Error} error - The error that was thrown
+     * @param {string} process - Name of the failed process eg. 'decrypting'
+     * @returns {{ success: false, message: string, error?: Error }} The failure result
+     */
+    _failure(error, process) {
+        if (error?.message === 'Store is locked' || error?.message === 'Store is busy') {
+            return {
+                success: false,
+                message: error.message
+            };
+        }
+        return {
+            success: false,
+            message: `Error in the ${process} process: ${error?.name}`,
+            error
+        };
+    }
+
+    /**
+     * Check that WebCrypto is available, which requires a secure context
+     * 
+     * @returns {{ success: false, message: string } | null} Failure result, or null if available
+     */
+    _checkCrypto() {
+        if (!globalThis.crypto?.subtle) {
+            return {
+                success: false,
+                message: 'Encryption requires a secure context'
+            };
+        }
+        return null;
+    }
+
+    /**
+     * Check that values are not being re-written, as writes made meanwhile would be lost
+     * 
+     * @returns {{ success: false, message: string } | null} Failure result, or null if not busy
+     */
+    _checkBusy() {
+        if (this._shared.rewriting) {
+            return {
+                success: false,
+                message: 'Store is busy'
+            };
+        }
+        return null;
+    }
+
+    /**
+     * Track a write until it settles, so a rewrite starting meanwhile waits for it
+     * 
+     * @template T
+     * @param {Promise<T>} write - Write passed to the underlying store
+     * @returns {Promise<T>} The same write
+     */
+    _track(write) {
+        const writes = this._shared.writes;
+        const done = () => writes.delete(write);
+        writes.add(write);
+        write.then(done, done);
+        return write;
+    }
+
+    /**
+     * Re-write every value of every linked store in one transaction, along with a new record
+     * - Waits for writes already in progress, as values are loaded once they finish
+     * - Other writes in this tab fail with 'Store is busy' until finished
+     * - Values another tab saved in the old form meanwhile are converted once the record is saved
+     * 
+     * @param {(store: EncryptedStore, key: string, value: any) => Promise<any>} convert - Converts each stored value
+     * @param {EncryptionRecord | null} record - Record to save, or null to delete it
+     * @param {CryptoKey | null} key - Key to hold once saved, null to forget it
+     * @param {string} process - Name of the process for failure messages eg. 'encrypting'
+     * @returns {Promise<{ success: boolean, message?: string, error?: Error }>} The result of the rewrite
+     */
+    async _rewrite(convert, record, key, process) {
+        const busy = this._checkBusy();
+        if (busy) {
+            return busy;
+        }
+        this._shared.rewriting = true;
+        try {
+
+            // Let writes in progress land, so their values are converted rather than overwritten
+            await Promise.allSettled([...this._shared.writes]);
+
+            // Convert every value before writing anything
+            const converted = new Map();
+            for (const store of this._shared.stores) {
+                const result = await store._store.loadAll();
+                if (!result.success) {
+                    return result;
+                }
+                const values = {};
+                try {
+                    for (const [k, value] of Object.entries(result.data)) {
+                        values[k] = await convert(store, k, value);
+                    }
+                } catch (error) {
+                    return this._failure(error, process);
+                }
+                converted.set(store._storeName, values);
+            }
+
+            // Write values and record together, so a failure leaves the old key working
+            const result = await this._database.transaction((tx) => {
+                for (const [storeName, values] of converted) {
+                    const store = tx.store(storeName);
+                    for (const [k, value] of Object.entries(values)) {
+                        store.put(k, value);
+                    }
+                }
+                const keyStore = tx.store(this._keyStore);
+                if (record) {
+                    keyStore.put(this._keyName, JSON.stringify(record));
+                } else {
+                    keyStore.delete(this._keyName);
+                }
+            });
+            if (!result.success) {
+                return result;
+            }
+            this._shared.record = record;
+            this._shared.key = key;
+
+            // Convert values saved in the old form by other tabs, eg. plain text from a tab yet to see the record
+            return await this._settle(record
+                ? async (store, k, value) => store._encryptWith(key, k, await store._decryptWith(key, k, value))
+                : convert, Boolean(record), process);
+
+        } finally {
+            this._shared.rewriting = false;
+        }
+    }
+
+    /**
+     * Convert any values of linked stores not yet in the expected form
+     * 
+     * @param {(store: EncryptedStore, key: string, value: any) => Promise<any>} convert - Converts each mismatched value
+     * @param {boolean} encrypted - Whether listed fields should now be encrypted
+     * @param {string} process - Name of the process for failure messages eg. 'encrypting'
+     * @returns {Promise<{ success: boolean, message?: string, error?: Error }>} The result of the conversion
+     */
+    async _settle(convert, encrypted, process) {
+        const converted = new Map();
+        for (const store of this._shared.stores) {
+            const result = await store._store.loadAll();
+            if (!result.success) {
+                return result;
+            }
+            const values = {};
+            try {
+                for (const [k, value] of Object.entries(result.data)) {
+                    if (store._mismatched(value, encrypted)) {
+                        values[k] = await convert(store, k, value);
+                    }
+                }
+            } catch (error) {
+                return this._failure(error, process);
+            }
+            converted.set(store._storeName, values);
+        }
+        const result = await this._database.transaction((tx) => {
+            for (const [storeName, values] of converted) {
+                for (const [k, value] of Object.entries(values)) {
+                    tx.store(storeName).put(k, value);
+                }
+            }
+        });
+        return result.success ? { success: true } : result;
+    }
+
+    /**
+     * Enable encryption with a passphrase, encrypting existing values
+     * - Leaves the store unlocked
+     * - Safe: Expected errors passed to result object
+     * 
+     * @param {string} passphrase - The new passphrase
+     * @returns {Promise<{
+     *   success: boolean,
+     *   message?: string,
+     *   error?: Error
+     * }>} The result of the enable attempt
+     */
+    async enable(passphrase) {
+
+        // Validate required arguments
+        if (!validString(passphrase)) {
+            return {
+                success: false,
+                message: 'Expected a non-empty string'
+            };
+        }
+        const unavailable = this._checkCrypto();
+        if (unavailable) {
+            return unavailable;
+        }
+
+        // Check that encryption is not already enabled
+        const status = await this.status();
+        if (!status.success) {
+            return status;
+        }
+        if (status.data !== 'disabled') {
+            return {
+                success: false,
+                message: 'Encryption is already enabled'
+            };
+        }
+
+        // Create the key, and encrypt existing values with it
+        let created;
+        try {
+            created = await this._create(passphrase);
+        } catch (error) {
+            return this._failure(error, 'encrypting');
+        }
+        const { key, record } = created;
+        return this._rewrite(async (store, k, value) => {
+            const plain = await store._decryptWith(null, k, value);
+            return store._encryptWith(key, k, plain);
+        }, record, key, 'encrypting');
+
+    }
+
+    /**
+     * Unlock the store with its passphrase
+     * - Safe: Expected errors passed to result object
+     * 
+     * @param {string} passphrase - The current passphrase
+     * @returns {Promise<{
+     *   success: boolean,
+     *   message?: string,
+     *   error?: Error
+     * }>} The result of the unlock attempt
+     */
+    async unlock(passphrase) {
+
+        // Validate required arguments
+        if (!validString(passphrase)) {
+            return {
+                success: false,
+                message: 'Expected a non-empty string'
+            };
+        }
+        const unavailable = this._checkCrypto();
+        if (unavailable) {
+            return unavailable;
+        }
+
+        // Derive the key, and check it decrypts the record
+        try {
+            const record = await this._loadRecord();
+            if (!record) {
+                return {
+                    success: false,
+                    message: 'Encryption is not enabled'
+                };
+            }
+            const key = await this._verify(passphrase, record);
+            if (!key) {
+                return {
+                    success: false,
+                    message: 'Incorrect passphrase'
+                };
+            }
+            this._shared.key = key;
+        } catch (error) {
+            return this._failure(error, 'unlocking');
+        }
+
+        return {
+            success: true
+        };
+
+    }
+
+    /**
+     * Lock the store, forgetting the key
+     * - Synchronous, and not prone to error
+     * 
+     * @returns {void}
+     */
+    lock() {
+        this._shared.key = null;
+    }
+
+    /**
+     * Change the passphrase, re-encrypting every value with a new key
+     * - Leaves the store unlocked with the new key
+     * - Safe: Expected errors passed to result object
+     * 
+     * @param {string} current - The current passphrase
+     * @param {string} next - The new passphrase
+     * @returns {Promise<{
+     *   success: boolean,
+     *   message?: string,
+     *   error?: Error
+     * }>} The result of the change attempt
+     */
+    async changePassphrase(current, next) {
+
+        // Validate required arguments
+        if (!validString(current, next)) {
+            return {
+                success: false,
+                message: 'Expected a non-empty string'
+            };
+        }
+        const unavailable = this._checkCrypto();
+        if (unavailable) {
+            return unavailable;
+        }
+
+        // Check the current passphrase, and create the new key
+        let oldKey;
+        let created;
+        try {
+            const record = await this._loadRecord();
+            if (!record) {
+                return {
+                    success: false,
+                    message: 'Encryption is not enabled'
+                };
+            }
+            oldKey = await this._verify(current, record);
+            if (!oldKey) {
+                return {
+                    success: false,
+                    message: 'Incorrect passphrase'
+                };
+            }
+            created = await this._create(next);
+        } catch (error) {
+            return this._failure(error, 'encrypting');
+        }
+
+        // Decrypt with the old key, and encrypt with the new key
+        const { key, record } = created;
+        return this._rewrite(async (store, k, value) => {
+            const plain = await store._decryptWith(oldKey, k, value);
+            return store._encryptWith(key, k, plain);
+        }, record, key, 'encrypting');
+
+    }
+
+    /**
+     * Disable encryption, decrypting every value
+     * - Safe: Expected errors passed to result object
+     * 
+     * @param {string} passphrase - The current passphrase
+     * @returns {Promise<{
+     *   success: boolean,
+     *   message?: string,
+     *   error?: Error
+     * }>} The result of the disable attempt
+     */
+    async disable(passphrase) {
+
+        // Validate required arguments
+        if (!validString(passphrase)) {
+            return {
+                success: false,
+                message: 'Expected a non-empty string'
+            };
+        }
+        const unavailable = this._checkCrypto();
+        if (unavailable) {
+            return unavailable;
+        }
+
+        // Check the passphrase
+        let key;
+        try {
+            const record = await this._loadRecord();
+            if (!record) {
+                return {
+                    success: false,
+                    message: 'Encryption is not enabled'
+                };
+            }
+            key = await this._verify(passphrase, record);
+            if (!key) {
+                return {
+                    success: false,
+                    message: 'Incorrect passphrase'
+                };
+            }
+        } catch (error) {
+            return this._failure(error, 'decrypting');
+        }
+
+        // Decrypt every value, and delete the record
+        return this._rewrite(async (store, k, value) => {
+            const plain = await store._decryptWith(key, k, value);
+            return store._encryptWith(null, k, plain);
+        }, null, null, 'decrypting');
+
+    }
+
+    /**
+     * Subscribe to changes made to the underlying store, see `SimpleStore.subscribe`
+     * 
+     * @param {(change: import('./simple-database.js').DatabaseChange) => void} listener - Called for every change
+     * @returns {() => void} Function that removes the listener
+     */
+    subscribe(listener) {
+        return this._store.subscribe(listener);
+    }
+
+    /**
+     * Encrypt and save a value, see `SimpleStore.save`
+     * - Safe: Expected errors passed to result object
+     * 
+     * @param {string} key - The string key to store data at
+     * @param {any} value - The value to be saved
+     * @returns {ReturnType<import('./simple-database.js').SimpleStore['save']>} The result of the save attempt
+     */
+    async save(key, value) {
+        let encrypted;
+        try {
+            encrypted = await this.encryptValue(key, value);
+        } catch (error) {
+            return this._failure(error, 'encrypting');
+        }
+
+        // A rewrite that began while encrypting would write its own copy over this value
+        return this._checkBusy() ?? this._track(this._store.save(key, encrypted));
+    }
+
+    /**
+     * Load and decrypt a value, see `SimpleStore.load`
+     * - Safe: Expected errors passed to result object
+     * 
+     * @param {string} key - The string key to retrieve data from
+     * @returns {ReturnType<import('./simple-database.js').SimpleStore['load']>} The result of the load attempt
+     */
+    async load(key) {
+        const result = await this._store.load(key);
+        if (!result.success) {
+            return result;
+        }
+        try {
+            return {
+                success: true,
+                data: await this.decryptValue(key, result.data)
+            };
+        } catch (error) {
+            return this._failure(error, 'decrypting');
+        }
+    }
+
+    /**
+     * Decrypt every value of a successful keyed result
+     * 
+     * @template {{ success: boolean, data?: Record<string, any> }} R
+     * @param {R} result - Result with values keyed by store key
+     * @returns {Promise<R | { success: false, message: string, error?: Error }>} The result with decrypted values
+     */
+    async _decryptResult(result) {
+        if (!result.success) {
+            return result;
+        }
+        try {
+            const data = {};
+            for (const [key, value] of Object.entries(result.data)) {
+                data[key] = await this.decryptValue(key, value);
+            }
+            return { ...result, data };
+        } catch (error) {
+            return this._failure(error, 'decrypting');
+        }
+    }
+
+    /**
+     * Load all keys, which are not encrypted, see `SimpleStore._loadAllKeys`
+     * 
+     * @returns {ReturnType<import('./simple-database.js').SimpleStore['_loadAllKeys']>} The result of the load attempt
+     */
+    _loadAllKeys() {
+        return this._store._loadAllKeys();
+    }
+
+    /**
+     * Load and decrypt all values, see `SimpleStore._loadAllValues`
+     * 
+     * @returns {ReturnType<import('./simple-database.js').SimpleStore['_loadAllValues']>} The result of the load attempt
+     */
+    async _loadAllValues() {
+        const result = await this.loadAll();
+        return result.success ? { success: true, data: Object.values(result.data) } : result;
+    }
+
+    /**
+     * Load and decrypt all data, see `SimpleStore.loadAll`
+     * 
+     * @returns {ReturnType<import('./simple-database.js').SimpleStore['loadAll']>} The result of the load attempt
+     */
+    async loadAll() {
+        return this._decryptResult(await this._store.loadAll());
+    }
+
+    /**
+     * Load and decrypt a range of data, see `SimpleStore.loadRange`
+     * 
+     * @param {string} [from] - Lowest key to include
+     * @param {string} [to] - Highest key to include
+     * @param {Parameters<import('./simple-database.js').SimpleStore['loadRange']>[2]} [options] - Optional query settings
+     * @returns {ReturnType<import('./simple-database.js').SimpleStore['loadRange']>} The result of the load attempt
+     */
+    async loadRange(from, to, options) {
+        return this._decryptResult(await this._store.loadRange(from, to, options));
+    }
+
+    /**
+     * Load and decrypt data by key prefix, see `SimpleStore.loadPrefix`
+     * 
+     * @param {string} prefix - Prefix shared by all keys to load
+     * @param {Parameters<import('./simple-database.js').SimpleStore['loadRange']>[2]} [options] - Optional query settings
+     * @returns {ReturnType<import('./simple-database.js').SimpleStore['loadPrefix']>} The result of the load attempt
+     */
+    async loadPrefix(prefix, options) {
+        return this._decryptResult(await this._store.loadPrefix(prefix, options));
+    }
+
+    /**
+     * Load and decrypt data by a secondary index, see `SimpleStore.query`
+     * - Indexes on encrypted fields match ciphertext, so only index plain fields
+     * 
+     * @param {string} indexName - Name of the index to query
+     * @param {Parameters<import('./simple-database.js').SimpleStore['query']>[1]} [range] - Optional range and query settings
+     * @returns {ReturnType<import('./simple-database.js').SimpleStore['query']>} The result of the query attempt
+     */
+    async query(indexName, range) {
+        return this._decryptResult(await this._store.query(indexName, range));
+    }
+
+    /**
+     * Delete a single key, see `SimpleStore.delete`
+     * 
+     * @param {string} key - The string key to delete
+     * @returns {ReturnType<import('./simple-database.js').SimpleStore['delete']>} The result of the delete attempt
+     */
+    async delete(key) {
+        return this._checkBusy() ?? this._track(this._store.delete(key));
+    }
+
+    /**
+     * Delete several keys, see `SimpleStore.deleteMany`
+     * 
+     * @param {string[]} keys - The string keys to delete
+     * @returns {ReturnType<import('./simple-database.js').SimpleStore['deleteMany']>} The result of the delete attempt
+     */
+    async deleteMany(keys) {
+        return this._checkBusy() ?? this._track(this._store.deleteMany(keys));
+    }
+
+    /**
+     * Clear all data, see `SimpleStore.clear`
+     * 
+     * @returns {ReturnType<import('./simple-database.js').SimpleStore['clear']>} The result of the clear attempt
+     */
+    async clear() {
+        return this._checkBusy() ?? this._track(this._store.clear());
+    }
+
+    /**
+     * Run several writes as one atomic transaction, see `SimpleDatabase.transaction`
+     * - Values for this and linked stores should come from `encryptValue`
+     * - Fails with 'Store is busy' if a rewrite began while values were encrypted
+     * - A rewrite starting meanwhile waits for the transaction
+     * 
+     * @param {Parameters<import('./simple-database.js').SimpleDatabase['transaction']>[0]} callback - Function that queues writes
+     * @returns {ReturnType<import('./simple-database.js').SimpleDatabase['transaction']>} The result of the transaction attempt
+     */
+    async transaction(callback) {
+        return this._checkBusy() ?? this._track(this._database.transaction(callback));
+    }
+
+    /**
+     * Count entries, see `SimpleStore.count`
+     * 
+     * @returns {ReturnType<import('./simple-database.js').SimpleStore['count']>} The result of the count attempt
+     */
+    count() {
+        return this._store.count();
+    }
+
+}
+
+// > ======================================================
+// > Exports
+// > ======================================================
+
+export { EncryptedStore }
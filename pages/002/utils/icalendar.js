@@ -0,0 +1,775 @@
+/**
+ * Module that exports `parseICS` and `serializeICS`, for iCalendar (.ics) files
+ * - Reads and writes `VEVENT` components as `CalendarEvent` objects, keyed by `UID`
+ * - All-day and timed events, with `RRULE`, `EXDATE` and display alarms
+ * - Times in a `VTIMEZONE`, a named time zone or UTC are converted to local time
+ * - Day notes travel as all-day events, with the note text as the description
+ * - Repeat rules this app cannot show, eg. every hour, are skipped with a reason
+ * 
+ * @module icalendar
+ * @author Ben Scarletti
+ * @see {@link https://github.com/scarletti-ben}
+ * @license MIT
+ */
+
+// < ======================================================
+// < iCalendar Type Definitions
+// < ======================================================
+
+/**
+ * Content line of an iCalendar file, eg. `DTSTART;TZID=Europe/London:20250803T090000`
+ * 
+ * @typedef {Object} ContentLine
+ * @property {string} name - Property name in uppercase, eg. 'DTSTART'
+ * @property {Object.<string, string>} params - Parameter values keyed by uppercase name
+ * @property {string} value - Raw property value, still escaped
+ */
+
+/**
+ * Component of an iCalendar file, eg. a `VEVENT`
+ * 
+ * @typedef {Object} Component
+ * @property {string} type - Component type in uppercase, eg. 'VEVENT'
+ * @property {ContentLine[]} lines - Properties of the component, in order
+ * @property {Component[]} children - Nested components, eg. a `VALARM`
+ */
+
+/**
+ * Calendar data carried by an iCalendar file
+ * 
+ * @typedef {Object} CalendarData
+ * @property {Object.<string, import('./recurrence.js').CalendarEvent>} events - Events keyed by id, used as `UID`
+ * @property {Object.<string, string>} notes - Note texts keyed by date in the format YYYY-MM-DD
+ */
+
+/**
+ * Result of parsing an iCalendar file
+ * 
+ * @typedef {CalendarData & { skipped: string[] }} ParsedCalendar
+ */
+
+/**
+ * Pattern for the `UID` of a day note, eg. 'note-2025-08-03@calendar-notes'
+ * @type {RegExp}
+ */
+const NOTE_UID = /^note-(\d{4}-\d{2}-\d{2})@calendar-notes$/;
+
+/**
+ * Pattern for iCalendar dates and date-times, eg. '20250803' or '20250803T090000Z'
+ * @type {RegExp}
+ */
+const DATE_TIME = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/;
+
+/**
+ * Pattern for iCalendar durations, eg. '-PT15M' or 'P1D'
+ * @type {RegExp}
+ */
+const DURATION = /^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/;
+
+/**
+ * iCalendar weekday codes, indexed like `Date.getDay`
+ * @type {string[]}
+ */
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+/** @type {number} */
+const MINUTE = 60 * 1000;
+
+/** @type {number} */
+const DAY = 24 * 60 * MINUTE;
+
+/**
+ * Formatters used to find UTC offsets of named time zones, cached by zone
+ * @type {Map<string, Intl.DateTimeFormat>}
+ */
+const formatters = new Map();
+
+// < ======================================================
+// < Internal Functions
+// < ======================================================
+
+/**
+ * Pad a number with leading zeros
+ * 
+ * @param {number} value - The number
+ * @param {number} [length] - Digits to pad to
+ * @returns {string} The padded number
+ */
+function pad(value, length = 2) {
+    return String(value).padStart(length, '0');
+}
+
+/**
+ * Unescape an iCalendar text value
+ * 
+ * @param {string} value - The escaped value
+ * @returns {string} The text
+ */
+function unescapeText(value) {
+    return value.replace(/\\([\\;,nN])/g, (_, char) => char.toLowerCase() === 'n' ? '\n' : char);
+}
+
+/**
+ * Escape text for an iCalendar text value
+ * 
+ * @param {string} text - The text
+ * @returns {string} The escaped value
+ */
+function escapeText(text) {
+    return text.replace(/\r\n?/g, '\n').replace(/[\\;,]/g, '\\$&').replace(/\n/g, '\\n');
+}
+
+/**
+ * Parse a content line into its name, parameters and value
+ * - Parameter values may be quoted, to hold ':' or ';'
+ * 
+ * @param {string} line - The unfolded line
+ * @returns {ContentLine | null} The content line, or null if malformed
+ */
+function parseLine(line) {
+    const match = line.match(/^([A-Za-z0-9-]+)((?:;[A-Za-z0-9-]+=(?:"[^"]*"|[^";:,]*)(?:,(?:"[^"]*"|[^";:,]*))*)*):(.*)$/);
+    if (!match) {
+        return null;
+    }
+    const params = {};
+    for (const [, name, value] of match[2].matchAll(/;([A-Za-z0-9-]+)=((?:"[^"]*"|[^";:,]*)(?:,(?:"[^"]*"|[^";:,]*))*)/g)) {
+        params[name.toUpperCase()] = value.replace(/"/g, '');
+    }
+    return { name: match[1].toUpperCase(), params, value: match[3] };
+}
+
+/**
+ * Parse the text of an iCalendar file into components
+ * - Unfolds lines continued with a leading space or tab
+ * 
+ * @param {string} text - The file text
+ * @throws {Error} If there is no `VCALENDAR` component
+ * @returns {Component} The `VCALENDAR` component
+ */
+function parseComponents(text) {
+    const lines = text.replace(/^\ufeff/, '').replace(/\r\n?/g, '\n').replace(/\n[ \t]/g, '').split('\n');
+
+    /** @type {Component[]} */
+    const stack = [];
+    /** @type {Component | null} */
+    let calendar = null;
+    for (const raw of lines) {
+        const line = parseLine(raw);
+        if (!line) continue;
+        if (line.name === 'BEGIN') {
+            const component = { type: line.value.toUpperCase(), lines: [], children: [] };
+            stack.at(-1)?.children.push(component);
+            stack.push(component);
+        } else if (line.name === 'END') {
+            const component = stack.pop();
+            if (component?.type === 'VCALENDAR' && !calendar) {
+                calendar = component;
+            }
+        } else {
+            stack.at(-1)?.lines.push(line);
+        }
+    }
+    if (!calendar) {
+        throw new Error('Expected a VCALENDAR component');
+    }
+    return calendar;
+}
+
+/**
+ * Find the first property of a component with a name
+ * 
+ * @param {Component} component - The component to search
+ * @param {string} name - Property name in uppercase
+ * @returns {ContentLine | undefined} The property, if any
+ */
+function property(component, name) {
+    return component.lines.find(line => line.name === name);
+}
+
+/**
+ * Parse an iCalendar duration
+ * 
+ * @param {string} value - The duration, eg. '-PT15M'
+ * @returns {number | null} Milliseconds, negative for durations before, or null if malformed
+ */
+function parseDuration(value) {
+    const match = value.trim().match(DURATION);
+    if (!match) {
+        return null;
+    }
+    const [, sign, weeks, days, hours, minutes, seconds] = match;
+    const total = ((((Number(weeks ?? 0) * 7 + Number(days ?? 0)) * 24 + Number(hours ?? 0)) * 60 + Number(minutes ?? 0)) * 60 + Number(seconds ?? 0)) * 1000;
+    return sign === '-' ? -total : total;
+}
+
+/**
+ * Parse a UTC offset, eg. '+0100' or '-0530'
+ * 
+ * @param {string} value - The offset
+ * @returns {number} Minutes east of UTC
+ */
+function parseOffset(value) {
+    const match = value.trim().match(/^([+-])(\d{2})(\d{2})/);
+    if (!match) {
+        return 0;
+    }
+    const minutes = Number(match[2]) * 60 + Number(match[3]);
+    return match[1] === '-' ? -minutes : minutes;
+}
+
+/**
+ * Format a UTC offset, eg. '+0100'
+ * 
+ * @param {number} minutes - Minutes east of UTC
+ * @returns {string} The offset
+ */
+function formatOffset(minutes) {
+    const sign = minutes < 0 ? '-' : '+';
+    return `${sign}${pad(Math.floor(Math.abs(minutes) / 60))}${pad(Math.abs(minutes) % 60)}`;
+}
+
+/**
+ * Find the UTC offset of a named time zone at a moment
+ * 
+ * @param {string} timeZone - IANA time zone name, eg. 'Europe/London'
+ * @param {number} time - The moment, in milliseconds since the epoch
+ * @throws {RangeError} If the time zone is unknown
+ * @returns {number} Minutes east of UTC
+ */
+function zoneOffset(timeZone, time) {
+    let formatter = formatters.get(timeZone);
+    if (!formatter) {
+        formatter = new Intl.DateTimeFormat('en-US', {
+            timeZone,
+            hourCycle: 'h23',
+            year: 'numeric',
+            month: 'numeric',
+            day: 'numeric',
+            hour: 'numeric',
+            minute: 'numeric',
+            second: 'numeric'
+        });
+        formatters.set(timeZone, formatter);
+    }
+    const parts = Object.fromEntries(formatter.formatToParts(new Date(time)).map(part => [part.type, Number(part.value)]));
+    const wall = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+    return Math.round((wall - Math.floor(time / 1000) * 1000) / MINUTE);
+}
+
+/**
+ * Find the nth weekday of a month, in UTC
+ * 
+ * @param {number} year - Full year
+ * @param {number} month - Month index, 0 to 11
+ * @param {number} weekday - Weekday, 0 (Sunday) to 6 (Saturday)
+ * @param {number} nth - 1 to 5, or -1 to -5 counting from the end of the month
+ * @returns {number} Day of the month
+ */
+function nthWeekday(year, month, weekday, nth) {
+    if (nth < 0) {
+        const last = new Date(Date.UTC(year, month + 1, 0));
+        return last.getUTCDate() - (last.getUTCDay() - weekday + 7) % 7 + (nth + 1) * 7;
+    }
+    const first = new Date(Date.UTC(year, month, 1)).getUTCDay();
+    return 1 + (weekday - first + 7) % 7 + (nth - 1) * 7;
+}
+
+/**
+ * Create a function finding UTC offsets from a `VTIMEZONE` component
+ * - Follows yearly `RRULE` onsets by month and weekday, eg. the last Sunday of March
+ * - Other observances apply from their `DTSTART`
+ * 
+ * @param {Component} component - The `VTIMEZONE` component
+ * @returns {(wall: number) => number} Function taking local wall time as UTC milliseconds, returning minutes east of UTC
+ */
+function createZone(component) {
+    const observances = component.children
+        .filter(child => child.type === 'STANDARD' || child.type === 'DAYLIGHT')
+        .map(child => {
+            const start = DATE_TIME.exec(property(child, 'DTSTART')?.value ?? '');
+            const rule = Object.fromEntries((property(child, 'RRULE')?.value ?? '').split(';').map(part => part.split('=')));
+            return {
+                start: start ? Date.UTC(+start[1], +start[2] - 1, +start[3], +(start[4] ?? 0), +(start[5] ?? 0)) : 0,
+                from: parseOffset(property(child, 'TZOFFSETFROM')?.value ?? '+0000'),
+                to: parseOffset(property(child, 'TZOFFSETTO')?.value ?? '+0000'),
+                rule
+            };
+        })
+        .sort((a, b) => a.start - b.start);
+    return (wall) => {
+        let latest = null;
+        let offset = observances[0]?.from ?? 0;
+        for (const observance of observances) {
+            const { start, rule } = observance;
+            const onsets = [start];
+            const byDay = rule.BYDAY?.match(/^([+-]?\d)?(SU|MO|TU|WE|TH|FR|SA)$/);
+            if (rule.FREQ === 'YEARLY' && rule.BYMONTH && byDay) {
+                const year = new Date(wall).getUTCFullYear();
+                const time = (start % DAY + DAY) % DAY;
+                for (const onsetYear of [year - 1, year]) {
+                    const day = nthWeekday(onsetYear, Number(rule.BYMONTH) - 1, WEEKDAYS.indexOf(byDay[2]), Number(byDay[1] ?? 1));
+                    const onset = Date.UTC(onsetYear, Number(rule.BYMONTH) - 1, day) + time;
+                    if (onset >= start) onsets.push(onset);
+                }
+            }
+            for (const onset of onsets) {
+                if (onset <= wall && (latest === null || onset > latest)) {
+                    latest = onset;
+                    offset = observance.to;
+                }
+            }
+        }
+        return offset;
+    };
+}
+
+/**
+ * Convert a moment into a local date and time
+ * 
+ * @param {number} time - The moment, in milliseconds since the epoch
+ * @returns {{ date: string, time: string }} Local date in the format YYYY-MM-DD, and time in the format HH:MM
+ */
+function toLocal(time) {
+    const date = new Date(time);
+    return {
+        date: `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`,
+        time: `${pad(date.getHours())}:${pad(date.getMinutes())}`
+    };
+}
+
+/**
+ * Resolve a date or date-time value into a local date, and time unless all-day
+ * - UTC times, and times in a known zone, are converted to local time
+ * - Floating times, and times in an unknown zone, are kept as written
+ * 
+ * @param {string} value - The value, eg. '20250803T090000Z'
+ * @param {Object.<string, string>} params - Parameters of the property, eg. `TZID`
+ * @param {Object.<string, (wall: number) => number>} zones - Offset functions from `VTIMEZONE` components, keyed by `TZID`
+ * @returns {{ date: string, time?: string } | null} The local date and time, or null if malformed
+ */
+function resolveTime(value, params, zones) {
+    const match = DATE_TIME.exec(value.trim());
+    if (!match) {
+        return null;
+    }
+    const [, year, month, day, hours, minutes, , utc] = match;
+    const date = `${year}-${month}-${day}`;
+    if (hours === undefined || params.VALUE === 'DATE') {
+        return { date };
+    }
+    const wall = Date.UTC(+year, +month - 1, +day, +hours, +minutes);
+    if (utc) {
+        return toLocal(wall);
+    }
+    const zone = params.TZID;
+    if (zone && zones[zone]) {
+        return toLocal(wall - zones[zone](wall) * MINUTE);
+    }
+    if (zone) {
+        try {
+            const guess = wall - zoneOffset(zone, wall) * MINUTE;
+            return toLocal(wall - zoneOffset(zone, guess) * MINUTE);
+        } catch {
+            // Unknown zone names are treated as floating
+        }
+    }
+    return { date, time: `${hours}:${minutes}` };
+}
+
+/**
+ * Convert an `RRULE` value into a repeat rule, if this app can show it
+ * 
+ * @param {string} value - The rule, eg. 'FREQ=WEEKLY;BYDAY=MO,WE'
+ * @param {string} date - Local first date of the event, in the format YYYY-MM-DD
+ * @param {(value: string) => string | null} resolveDate - Converts an `UNTIL` value into a local date
+ * @returns {import('./recurrence.js').RepeatRule | null} The rule, or null if unsupported
+ */
+function parseRule(value, date, resolveDate) {
+    const parts = Object.fromEntries(value.split(';').filter(Boolean).map(part => {
+        const [name, ...rest] = part.split('=');
+        return [name.toUpperCase(), rest.join('=').toUpperCase()];
+    }));
+    const frequency = { DAILY: 'daily', WEEKLY: 'weekly', MONTHLY: 'monthly', YEARLY: 'yearly' }[parts.FREQ];
+    const supported = ['FREQ', 'INTERVAL', 'COUNT', 'UNTIL', 'BYDAY', 'BYMONTHDAY', 'BYMONTH', 'WKST'];
+    if (!frequency || Object.keys(parts).some(name => !supported.includes(name))) {
+        return null;
+    }
+    const [year, month, day] = date.split('-').map(Number);
+    const first = new Date(year, month - 1, day);
+    const rule = { frequency };
+    if (parts.INTERVAL && parts.INTERVAL !== '1') rule.interval = Number(parts.INTERVAL);
+    if (parts.COUNT) rule.count = Number(parts.COUNT);
+    if (parts.UNTIL) {
+        const until = resolveDate(parts.UNTIL);
+        if (!until) return null;
+        rule.until = until;
+    }
+    if (parts.BYMONTH && (frequency !== 'yearly' || Number(parts.BYMONTH) !== month)) {
+        return null;
+    }
+    if (parts.BYMONTHDAY && (!['monthly', 'yearly'].includes(frequency) || Number(parts.BYMONTHDAY) !== day)) {
+        return null;
+    }
+    if (parts.BYDAY) {
+        const days = parts.BYDAY.split(',').map(code => code.match(/^([+-]?\d)?(SU|MO|TU|WE|TH|FR|SA)$/));
+        if (days.some(code => !code)) {
+            return null;
+        }
+        if (frequency === 'weekly' && days.every(code => !code[1])) {
+            rule.weekdays = days.map(code => WEEKDAYS.indexOf(code[2]));
+        } else if ((frequency === 'monthly' || frequency === 'yearly') && days.length === 1 && !parts.BYMONTHDAY) {
+            // Only the weekday position of the first date can be shown, eg. the 2nd Tuesday or the last Friday
+            const nth = Number(days[0][1]);
+            const position = Math.ceil(day / 7);
+            const matches = WEEKDAYS.indexOf(days[0][2]) === first.getDay()
+                && (nth === position || (nth === -1 && position === 5));
+            if (!matches || (frequency === 'yearly' && !parts.BYMONTH)) {
+                return null;
+            }
+            rule.by = 'weekday';
+        } else {
+            return null;
+        }
+    } else if (frequency === 'monthly') {
+        rule.by = 'day';
+    }
+    return rule;
+}
+
+/**
+ * Convert a `VEVENT` component into an event or a day note
+ * 
+ * @param {Component} component - The `VEVENT` component
+ * @param {Object.<string, (wall: number) => number>} zones - Offset functions from `VTIMEZONE` components, keyed by `TZID`
+ * @returns {{ uid: string, event?: import('./recurrence.js').CalendarEvent, note?: { date: string, text: string }, recurrence?: string, cancelled: boolean } | string} The converted component, or the reason it was skipped
+ */
+function convertEvent(component, zones) {
+    const text = (name) => {
+        const line = property(component, name);
+        return line ? unescapeText(line.value) : undefined;
+    };
+    const title = text('SUMMARY')?.trim() || 'Untitled event';
+    const uid = text('UID')?.trim();
+    const startLine = property(component, 'DTSTART');
+    const start = startLine && resolveTime(startLine.value, startLine.params, zones);
+    if (!uid || !start) {
+        return `${title}: missing UID or start`;
+    }
+
+    const noteDate = uid.match(NOTE_UID)?.[1];
+    if (noteDate) {
+        return { uid, note: { date: noteDate, text: text('DESCRIPTION') ?? '' }, cancelled: false };
+    }
+
+    /** @type {import('./recurrence.js').CalendarEvent} */
+    const event = { title, date: start.date };
+    if (start.time) {
+        event.start = start.time;
+
+        // Ends on another day are dropped, as events here fit within one day
+        const endLine = property(component, 'DTEND');
+        const duration = parseDuration(text('DURATION') ?? '');
+        let end = endLine ? resolveTime(endLine.value, endLine.params, zones) : null;
+        if (!endLine && duration !== null) {
+            const [hours, minutes] = start.time.split(':').map(Number);
+            const [year, month, day] = start.date.split('-').map(Number);
+            end = toLocal(new Date(year, month - 1, day, hours, minutes).getTime() + duration);
+        }
+        if (end?.time && end.date === start.date && end.time > start.time) {
+            event.end = end.time;
+        }
+    }
+
+    const resolveDate = (value) => resolveTime(value, {}, zones)?.date ?? null;
+    const ruleLine = property(component, 'RRULE');
+    if (ruleLine) {
+        const repeat = parseRule(ruleLine.value, start.date, resolveDate);
+        if (!repeat) {
+            return `${title}: unsupported repeat rule ${ruleLine.value}`;
+        }
+        event.repeat = repeat;
+        const exceptions = component.lines
+            .filter(line => line.name === 'EXDATE')
+            .flatMap(line => line.value.split(',').map(value => resolveTime(value, line.params, zones)?.date))
+            .filter(Boolean);
+        if (exceptions.length) {
+            event.exceptions = [...new Set(exceptions)].sort();
+        }
+    }
+
+    const description = text('DESCRIPTION')?.trim();
+    if (description) {
+        event.description = description;
+    }
+
+    // Only alarms before the start are kept, as reminders
+    for (const alarm of component.children.filter(child => child.type === 'VALARM')) {
+        const trigger = property(alarm, 'TRIGGER');
+        const offset = trigger && trigger.params.VALUE !== 'DATE-TIME' && trigger.params.RELATED !== 'END'
+            ? parseDuration(trigger.value)
+            : null;
+        if (event.start && offset !== null && offset <= 0) {
+            event.remind = Math.max(event.remind ?? 0, Math.round(-offset / MINUTE));
+        }
+    }
+
+    const recurrenceLine = property(component, 'RECURRENCE-ID');
+    return {
+        uid,
+        event,
+        recurrence: recurrenceLine ? resolveTime(recurrenceLine.value, recurrenceLine.params, zones)?.date : undefined,
+        cancelled: text('STATUS')?.trim().toUpperCase() === 'CANCELLED'
+    };
+}
+
+/**
+ * Fold a content line to at most 75 octets per line, without splitting characters
+ * 
+ * @param {string} line - The content line
+ * @returns {string} The folded line, with CRLF line breaks
+ */
+function foldLine(line) {
+    const encoder = new TextEncoder();
+    const lines = [];
+    let current = '';
+    let size = 0;
+    for (const char of line) {
+        const length = encoder.encode(char).length;
+        if (size + length > 75) {
+            lines.push(current);
+            current = ' ';
+            size = 1;
+        }
+        current += char;
+        size += length;
+    }
+    lines.push(current);
+    return lines.join('\r\n');
+}
+
+/**
+ * Format a local date as an iCalendar date
+ * 
+ * @param {string} shortDate - Date in the format YYYY-MM-DD
+ * @returns {string} The date, eg. '20250803'
+ */
+function formatDate(shortDate) {
+    return shortDate.replace(/-/g, '');
+}
+
+/**
+ * Get the date after a date
+ * 
+ * @param {string} shortDate - Date in the format YYYY-MM-DD
+ * @returns {string} The next date, in the format YYYY-MM-DD
+ */
+function nextDate(shortDate) {
+    const [year, month, day] = shortDate.split('-').map(Number);
+    return toLocal(new Date(year, month - 1, day + 1).getTime()).date;
+}
+
+/**
+ * Build the lines of a `VTIMEZONE` component from the transitions of a named time zone
+ * - Each transition between the years is written as its own observance
+ * 
+ * @param {string} timeZone - IANA time zone name
+ * @param {number} fromYear - First year to cover
+ * @param {number} toYear - Last year to cover
+ * @returns {string[]} The component lines
+ */
+function createTimeZone(timeZone, fromYear, toYear) {
+    const observance = (type, time, from, to) => [
+        `BEGIN:${type}`,
+        `DTSTART:${new Date(time + from * MINUTE).toISOString().replace(/[-:]/g, '').slice(0, 15)}`,
+        `TZOFFSETFROM:${formatOffset(from)}`,
+        `TZOFFSETTO:${formatOffset(to)}`,
+        `END:${type}`
+    ];
+    let time = Date.UTC(fromYear, 0, 1);
+    const end = Date.UTC(toYear + 1, 0, 1);
+    let offset = zoneOffset(timeZone, time);
+    const lines = ['BEGIN:VTIMEZONE', `TZID:${timeZone}`, ...observance('STANDARD', time, offset, offset)];
+    for (; time < end; time += DAY) {
+        const next = zoneOffset(timeZone, time + DAY);
+        if (next === offset) continue;
+
+        // Narrow the transition down to the minute
+        let low = time;
+        let high = time + DAY;
+        while (high - low > MINUTE) {
+            const middle = low + Math.floor((high - low) / 2 / MINUTE) * MINUTE;
+            if (zoneOffset(timeZone, middle) === offset) {
+                low = middle;
+            } else {
+                high = middle;
+            }
+        }
+        lines.push(...observance(next > offset ? 'DAYLIGHT' : 'STANDARD', high, offset, next));
+        offset = next;
+    }
+    lines.push('END:VTIMEZONE');
+    return lines;
+}
+
+// < ======================================================
+// < iCalendar Functions
+// < ======================================================
+
+/**
+ * Parse the events and day notes of an iCalendar file
+ * - Changed occurrences of a repeating event become single events, skipped by the repeating event
+ * - Cancelled events and occurrences are left out
+ * - Day notes are read from all-day events written by `serializeICS`
+ * 
+ * @example
+ * const { events, notes, skipped } = parseICS(await file.text());
+ * 
+ * @param {string} text - The file text
+ * @throws {Error} If the text is not an iCalendar file
+ * @returns {ParsedCalendar} Events keyed by `UID`, notes keyed by date, and the reasons any events were skipped
+ */
+function parseICS(text) {
+    const calendar = parseComponents(text);
+    const zones = {};
+    for (const child of calendar.children.filter(child => child.type === 'VTIMEZONE')) {
+        const id = property(child, 'TZID')?.value;
+        if (id) zones[id] = createZone(child);
+    }
+
+    const events = {};
+    const notes = {};
+    const skipped = [];
+    const overrides = [];
+    for (const child of calendar.children.filter(child => child.type === 'VEVENT')) {
+        const converted = convertEvent(child, zones);
+        if (typeof converted === 'string') {
+            skipped.push(converted);
+        } else if (converted.note) {
+            notes[converted.note.date] = converted.note.text;
+        } else if (converted.recurrence) {
+            overrides.push(converted);
+        } else if (!converted.cancelled) {
+            events[converted.uid] = converted.event;
+        }
+    }
+    for (const { uid, event, recurrence, cancelled } of overrides) {
+        const master = events[uid];
+        if (!master?.repeat) {
+            // Overrides of a single event replace it
+            if (cancelled) {
+                delete events[uid];
+            } else {
+                events[uid] = event;
+            }
+            continue;
+        }
+        master.exceptions = [...new Set([...(master.exceptions ?? []), recurrence])].sort();
+        if (!cancelled) {
+            events[`${uid}/${recurrence}`] = event;
+        }
+    }
+    return { events, notes, skipped };
+}
+
+/**
+ * Write events and day notes as an iCalendar file
+ * - Timed events are written in the given time zone, with a `VTIMEZONE` covering their years
+ * - Without a time zone, times are written as floating local times
+ * - Day notes are written as all-day events, with the note text as the description
+ * 
+ * @example
+ * const text = serializeICS({ events, notes }, { timeZone: 'Europe/London' });
+ * 
+ * @param {CalendarData} data - Events keyed by id, and note texts keyed by date
+ * @param {Object} [options] - Serializer options
+ * @param {string} [options.timeZone] - IANA time zone of the local times, eg. 'Europe/London'
+ * @param {Date} [options.now] - Time of the export, for `DTSTAMP`
+ * @returns {string} The file text, with CRLF line breaks
+ */
+function serializeICS({ events, notes }, { timeZone, now = new Date() } = {}) {
+    const stamp = now.toISOString().replace(/[-:]/g, '').replace(/\.\d+/, '');
+    const zone = timeZone && timeZone !== 'UTC' ? timeZone : undefined;
+    const time = (date, hhmm) => `${zone ? `;TZID=${zone}` : ''}:${formatDate(date)}T${hhmm.replace(':', '')}00`;
+    const lines = ['BEGIN:VCALENDAR', 'VERSION:2.0', 'PRODID:-//scarletti-ben//Calendar Notes//EN', 'CALSCALE:GREGORIAN'];
+
+    const years = Object.values(events).filter(event => event.start).map(event => Number(event.date.slice(0, 4)));
+    if (zone && years.length) {
+        const last = Math.max(now.getFullYear(), ...years) + 1;
+        lines.push(...createTimeZone(zone, Math.max(Math.min(...years), last - 50), last));
+    }
+
+    for (const [id, event] of Object.entries(events)) {
+        lines.push('BEGIN:VEVENT', `UID:${escapeText(id)}`, `DTSTAMP:${stamp}`, `SUMMARY:${escapeText(event.title)}`);
+        if (event.start) {
+            lines.push(`DTSTART${time(event.date, event.start)}`);
+            if (event.end) lines.push(`DTEND${time(event.date, event.end)}`);
+        } else {
+            lines.push(`DTSTART;VALUE=DATE:${formatDate(event.date)}`, `DTEND;VALUE=DATE:${formatDate(nextDate(event.date))}`);
+        }
+        const rule = event.repeat;
+        if (rule) {
+            const [year, month, day] = event.date.split('-').map(Number);
+            const first = new Date(year, month - 1, day);
+            const position = Math.ceil(day / 7);
+            const parts = [`FREQ=${rule.frequency.toUpperCase()}`];
+            if ((rule.interval ?? 1) > 1) parts.push(`INTERVAL=${rule.interval}`);
+            if (rule.frequency === 'weekly' && rule.weekdays?.length) {
+                parts.push(`BYDAY=${rule.weekdays.map(weekday => WEEKDAYS[weekday]).join(',')}`);
+            }
+            if (rule.by === 'weekday' && (rule.frequency === 'monthly' || rule.frequency === 'yearly')) {
+                if (rule.frequency === 'yearly') parts.push(`BYMONTH=${month}`);
+                parts.push(`BYDAY=${position === 5 ? -1 : position}${WEEKDAYS[first.getDay()]}`);
+            }
+            if (rule.count) parts.push(`COUNT=${rule.count}`);
+
+            // Until dates include the whole day, in UTC for timed events in a zone
+            if (rule.until) {
+                if (!event.start) {
+                    parts.push(`UNTIL=${formatDate(rule.until)}`);
+                } else if (zone) {
+                    const [untilYear, untilMonth, untilDay] = rule.until.split('-').map(Number);
+                    const wall = Date.UTC(untilYear, untilMonth - 1, untilDay, 23, 59, 59);
+                    const utc = wall - zoneOffset(zone, wall - zoneOffset(zone, wall) * MINUTE) * MINUTE;
+                    parts.push(`UNTIL=${new Date(utc).toISOString().replace(/[-:]/g, '').replace(/\.\d+/, '')}`);
+                } else {
+                    parts.push(`UNTIL=${formatDate(rule.until)}T235959`);
+                }
+            }
+            lines.push(`RRULE:${parts.join(';')}`);
+            if (event.exceptions?.length) {
+                lines.push(event.start
+                    ? `EXDATE${zone ? `;TZID=${zone}` : ''}:${event.exceptions.map(date => `${formatDate(date)}T${event.start.replace(':', '')}00`).join(',')}`
+                    : `EXDATE;VALUE=DATE:${event.exceptions.map(formatDate).join(',')}`);
+            }
+        }
+        if (event.description) {
+            lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+        }
+        if (event.start && event.remind !== undefined) {
+            lines.push('BEGIN:VALARM', 'ACTION:DISPLAY', `DESCRIPTION:${escapeText(event.title)}`, `TRIGGER:-PT${event.remind}M`, 'END:VALARM');
+        }
+        lines.push('END:VEVENT');
+    }
+
+    for (const [date, text] of Object.entries(notes)) {
+        lines.push(
+            'BEGIN:VEVENT',
+            `UID:note-${date}@calendar-notes`,
+            `DTSTAMP:${stamp}`,
+            `SUMMARY:${escapeText(text.split('\n')[0].trim() || 'Note')}`,
+            `DTSTART;VALUE=DATE:${formatDate(date)}`,
+            `DTEND;VALUE=DATE:${formatDate(nextDate(date))}`,
+            'TRANSP:TRANSPARENT',
+            `DESCRIPTION:${escapeText(text)}`,
+            'END:VEVENT'
+        );
+    }
+    lines.push('END:VCALENDAR');
+    return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+// > ======================================================
+// > Exports
+// > ======================================================
+
+export { parseICS, serializeICS }
@@ -0,0 +1,392 @@
+/**
+ * Module that exports `renderMarkdown` and `toggleTask`
+ * - Small Markdown renderer with no dependencies
+ * - Headings, paragraphs, lists, task lists, block quotes, rules and fenced code
+ * - Inline code, links, bare URLs, bold, italic and strikethrough
+ * - Sanitised: all text is escaped, raw HTML is shown as text, and only safe link protocols are kept
+ * - Task checkboxes carry their source line, so toggling can write back to the text
+ * 
+ * @module markdown
+ * @author Ben Scarletti
+ * @see {@link https://github.com/scarletti-ben}
+ * @license MIT
+ */
+
+// < ======================================================
+// < Markdown Type Definitions
+// < ======================================================
+
+/**
+ * Line of source text, with its line number in the original text
+ * 
+ * @typedef {Object} SourceLine
+ * @property {string} text - The line text, with any block quote markers removed
+ * @property {number} line - Zero-based line number in the original text
+ */
+
+/**
+ * Patterns for block-level syntax
+ */
+const FENCE = /^ {0,3}(`{3,}|~{3,})\s*([\w+-]*)[^`]*$/;
+const HEADING = /^ {0,3}(#{1,6})(?:\s+(.*?))?(?:\s+#+)?\s*$/;
+const RULE = /^ {0,3}([-*_])(?:\s*\1){2,}\s*$/;
+const QUOTE = /^ {0,3}> ?/;
+const LIST_ITEM = /^(\s*)([-*+]|\d{1,9}[.)])(\s+|$)(.*)$/;
+const TASK = /^\[([ xX])\](?:\s+|$)/;
+
+/**
+ * Pattern for inline syntax, in order of precedence
+ * - Groups: escape, code, link text and URL, autolink, bare URL, bold, italic, strikethrough
+ * @type {RegExp}
+ */
+const INLINE = new RegExp([
+    /\\([\\`*_{}[\]()#+\-.!~>|])/.source,
+    /(`+)([\s\S]*?[^`])\2(?!`)/.source,
+    /\[((?:[^\[\]\\]|\\.)*)\]\(\s*<?([^\s<>()]*)>?(?:\s+"[^"]*")?\s*\)/.source,
+    /<((?:https?:\/\/|mailto:)[^\s<>]+)>/.source,
+    /\b(https?:\/\/[^\s<]*[^\s<.,;:!?)\]'"*_~])/.source,
+    /\*\*(?=\S)([\s\S]*?\S)\*\*|__(?=\S)([\s\S]*?\S)__(?!\w)/.source,
+    /\*(?=[^\s*])([\s\S]*?[^\s*])\*|(?<!\w)_(?=[^\s_])([\s\S]*?[^\s_])_(?!\w)/.source,
+    /~~(?=\S)([\s\S]*?\S)~~/.source
+].join('|'), 'g');
+
+// < ======================================================
+// < Internal Functions
+// < ======================================================
+
+/**
+ * Escape text for use in HTML content or attribute values
+ * 
+ * @param {string} text - The text to escape
+ * @returns {string} Escaped text
+ */
+function escapeHTML(text) {
+    return text
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+/**
+ * Check a link target, allowing web, mail and relative URLs only
+ * - Ignores whitespace and control characters, which browsers strip from protocols
+ * 
+ * @param {string} url - The URL to check
+ * @returns {string | null} The URL, or null if unsafe
+ */
+function safeURL(url) {
+    const compact = url.replace(/[\u0000- \u007f]/g, '').toLowerCase();
+    const protocol = compact.match(/^([a-z][a-z0-9+.-]*):/)?.[1];
+    if (protocol && !['http', 'https', 'mailto'].includes(protocol)) {
+        return null;
+    }
+    return url;
+}
+
+/**
+ * Render a link, or its text alone if the URL is unsafe
+ * 
+ * @param {string} url - The link target
+ * @param {string} content - Rendered HTML of the link text
+ * @returns {string} HTML
+ */
+function renderLink(url, content) {
+    const href = safeURL(url);
+    if (href === null || href === '') {
+        return content;
+    }
+    return `<a href="${escapeHTML(href)}" target="_blank" rel="noopener noreferrer">${content}</a>`;
+}
+
+/**
+ * Render inline syntax within a block
+ * - Link text is rendered without links, as links cannot be nested
+ * 
+ * @param {string} text - Text of the block, lines joined by newlines
+ * @param {boolean} [links] - Whether links, autolinks and bare URLs are rendered, defaults to true
+ * @returns {string} HTML
+ */
+function renderInline(text, links = true) {
+    let output = '';
+    let last = 0;
+    for (const match of text.matchAll(INLINE)) {
+        output += escapeHTML(text.slice(last, match.index));
+        last = match.index + match[0].length;
+        const [, escaped, , code, label, url, autolink, bare, bold1, bold2, em1, em2, strike] = match;
+        if (escaped !== undefined) {
+            output += escapeHTML(escaped);
+        } else if (code !== undefined) {
+            output += `<code>${escapeHTML(code.replace(/^ (.*[^ ].*) $/s, '$1'))}</code>`;
+        } else if (label !== undefined) {
+            output += links ? renderLink(url, renderInline(label, false)) : renderInline(label, false);
+        } else if (!links && (autolink !== undefined || bare !== undefined)) {
+            output += escapeHTML(match[0]);
+        } else if (autolink !== undefined || bare !== undefined) {
+            const target = autolink ?? bare;
+            output += renderLink(target, escapeHTML(target.replace(/^mailto:/, '')));
+        } else if (bold1 !== undefined || bold2 !== undefined) {
+            output += `<strong>${renderInline(bold1 ?? bold2, links)}</strong>`;
+        } else if (em1 !== undefined || em2 !== undefined) {
+            output += `<em>${renderInline(em1 ?? em2, links)}</em>`;
+        } else if (strike !== undefined) {
+            output += `<del>${renderInline(strike, links)}</del>`;
+        }
+    }
+    output += escapeHTML(text.slice(last));
+
+    // Hard line breaks, from two trailing spaces or a trailing backslash
+    return output.replace(/(?: {2,}|\\)\n/g, '<br>\n');
+}
+
+/**
+ * Check whether a line starts a block other than a paragraph
+ * 
+ * @param {string} text - The line text
+ * @returns {boolean} True if the line interrupts a paragraph
+ */
+function startsBlock(text) {
+    return FENCE.test(text) || HEADING.test(text) || RULE.test(text) || QUOTE.test(text) || LIST_ITEM.test(text);
+}
+
+/**
+ * Measure the indent of a line, counting tabs as four spaces
+ * 
+ * @param {string} text - The line text
+ * @returns {number} Width of leading whitespace
+ */
+function indentOf(text) {
+    return text.match(/^\s*/)[0].replace(/\t/g, '    ').length;
+}
+
+/**
+ * Remove up to a given width of leading whitespace
+ * 
+ * @param {string} text - The line text
+ * @param {number} width - Width to remove
+ * @returns {string} The line without its indent
+ */
+function outdent(text, width) {
+    let i = 0;
+    let removed = 0;
+    while (i < text.length && removed < width && /\s/.test(text[i])) {
+        removed += text[i] === '\t' ? 4 : 1;
+        i++;
+    }
+    return text.slice(i);
+}
+
+/**
+ * Render a list starting at a line, including nested lists
+ * 
+ * @param {SourceLine[]} lines - Lines of the enclosing block
+ * @param {number} start - Index of the first list item
+ * @returns {{ html: string, end: number }} HTML, and the index after the list
+ */
+function renderList(lines, start) {
+    const [, indent, marker] = lines[start].text.match(LIST_ITEM);
+    const baseIndent = indentOf(indent);
+    const ordered = /\d/.test(marker);
+    const items = [];
+    let i = start;
+
+    while (i < lines.length) {
+        const match = lines[i].text.match(LIST_ITEM);
+        if (!match || indentOf(match[1]) !== baseIndent || /\d/.test(match[2]) !== ordered) {
+            break;
+        }
+
+        // Gather lines indented past the marker, and lazy continuation lines
+        const contentIndent = baseIndent + match[2].length + Math.max(1, Math.min(match[3].length, 4));
+        const body = [{ text: match[4], line: lines[i].line }];
+        i++;
+        while (i < lines.length) {
+            const { text } = lines[i];
+            const blank = text.trim() === '';
+            if (blank) {
+                const next = lines[i + 1];
+                if (next && next.text.trim() !== '' && indentOf(next.text) > baseIndent) {
+                    body.push({ text: '', line: lines[i].line });
+                    i++;
+                    continue;
+                }
+                break;
+            }
+            if (indentOf(text) > baseIndent) {
+                body.push({ text: outdent(text, contentIndent), line: lines[i].line });
+            } else if (!startsBlock(text) && body[body.length - 1].text.trim() !== '') {
+                body.push({ text: text.trim(), line: lines[i].line });
+            } else {
+                break;
+            }
+            i++;
+        }
+        items.push({ body, number: parseInt(match[2], 10) });
+
+        // A single blank line may separate items of the same list
+        if (lines[i]?.text.trim() === '' && lines[i + 1]?.text.match(LIST_ITEM)
+            && indentOf(lines[i + 1].text) === baseIndent) {
+            i++;
+        }
+    }
+
+    let html = '';
+    for (const { body } of items) {
+        const task = body[0].text.match(TASK);
+        let attributes = '';
+        if (task) {
+            const checked = task[1] !== ' ' ? ' checked' : '';
+            body[0] = { ...body[0], text: body[0].text.slice(task[0].length) };
+            attributes = ' class="task"';
+            html += `<li${attributes}><input type="checkbox" data-line="${body[0].line}"${checked}> `;
+        } else {
+            html += '<li>';
+        }
+
+        // Keep the first paragraph inline, so simple lists stay tight
+        let split = body.findIndex((line, index) => index > 0 && (line.text.trim() === '' || startsBlock(line.text)));
+        if (split === -1) split = body.length;
+        html += renderInline(body.slice(0, split).map(line => line.text).join('\n'));
+        html += renderBlocks(body.slice(split));
+        html += '</li>';
+    }
+    const startAttribute = ordered && items[0].number !== 1 ? ` start="${items[0].number}"` : '';
+    const tag = ordered ? 'ol' : 'ul';
+    return { html: `<${tag}${startAttribute}>${html}</${tag}>`, end: i };
+}
+
+/**
+ * Render block-level syntax
+ * 
+ * @param {SourceLine[]} lines - Lines to render
+ * @returns {string} HTML
+ */
+function renderBlocks(lines) {
+    let html = '';
+    let i = 0;
+    while (i < lines.length) {
+        const { text } = lines[i];
+
+        // Skip blank lines between blocks
+        if (text.trim() === '') {
+            i++;
+            continue;
+        }
+
+        // Fenced code, up to a matching fence or the end of the block
+        const fence = text.match(FENCE);
+        if (fence) {
+            const [, marks, language] = fence;
+            const code = [];
+            i++;
+            while (i < lines.length && !new RegExp(`^ {0,3}${marks[0]}{${marks.length},}\\s*$`).test(lines[i].text)) {
+                code.push(lines[i].text);
+                i++;
+            }
+            i++;
+            const className = language ? ` class="language-${escapeHTML(language)}"` : '';
+            html += `<pre><code${className}>${escapeHTML(code.join('\n'))}</code></pre>`;
+            continue;
+        }
+
+        const heading = text.match(HEADING);
+        if (heading) {
+            const level = heading[1].length;
+            html += `<h${level}>${renderInline(heading[2] ?? '')}</h${level}>`;
+            i++;
+            continue;
+        }
+
+        if (RULE.test(text)) {
+            html += '<hr>';
+            i++;
+            continue;
+        }
+
+        // Block quotes, rendered recursively without their markers
+        if (QUOTE.test(text)) {
+            const quoted = [];
+            while (i < lines.length && QUOTE.test(lines[i].text)) {
+                quoted.push({ text: lines[i].text.replace(QUOTE, ''), line: lines[i].line });
+                i++;
+            }
+            html += `<blockquote>${renderBlocks(quoted)}</blockquote>`;
+            continue;
+        }
+
+        if (LIST_ITEM.test(text)) {
+            const list = renderList(lines, i);
+            html += list.html;
+            i = list.end;
+            continue;
+        }
+
+        // Paragraphs run until a blank line or another block
+        const paragraph = [text.replace(/^\s+/, '')];
+        i++;
+        while (i < lines.length && lines[i].text.trim() !== '' && !startsBlock(lines[i].text)) {
+            paragraph.push(lines[i].text.replace(/^\s+/, ''));
+            i++;
+        }
+        html += `<p>${renderInline(paragraph.join('\n'))}</p>`;
+    }
+    return html;
+}
+
+/**
+ * Split text into numbered source lines
+ * 
+ * @param {string} text - The Markdown text
+ * @returns {string[]} Lines, with any carriage returns removed
+ */
+function splitLines(text) {
+    return text.replace(/\r\n?/g, '\n').split('\n');
+}
+
+// < ======================================================
+// < Markdown Functions
+// < ======================================================
+
+/**
+ * Render Markdown to sanitised HTML
+ * - Raw HTML in the text is escaped and shown as text
+ * - Links to protocols other than http, https and mailto are shown as plain text
+ * - Task checkboxes have a `data-line` attribute, for use with `toggleTask`
+ * 
+ * @example
+ * element.innerHTML = renderMarkdown('# Title\n\n- [ ] Task');
+ * 
+ * @param {string} text - The Markdown text
+ * @returns {string} HTML
+ */
+function renderMarkdown(text) {
+    return renderBlocks(splitLines(text).map((line, index) => ({ text: line, line: index })));
+}
+
+/**
+ * Check or uncheck the task on a line of Markdown text
+ * 
+ * @example
+ * toggleTask('- [ ] Task', 0, true); // '- [x] Task'
+ * 
+ * @param {string} text - The Markdown text
+ * @param {number} line - Zero-based line number, from a checkbox `data-line` attribute
+ * @param {boolean} checked - Whether the task should be checked
+ * @returns {string} The updated text, unchanged if the line holds no task
+ */
+function toggleTask(text, line, checked) {
+    const lines = splitLines(text);
+    const pattern = /^((?: {0,3}> ?)*\s*(?:[-*+]|\d{1,9}[.)])\s+)\[[ xX]\]/;
+    if (!pattern.test(lines[line] ?? '')) {
+        return text;
+    }
+    lines[line] = lines[line].replace(pattern, `$1[${checked ? 'x' : ' '}]`);
+    return lines.join('\n');
+}
+
+// > ======================================================
+// > Exports
+// > ======================================================
+
+export { renderMarkdown, toggleTask }
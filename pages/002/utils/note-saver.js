@@ -0,0 +1,207 @@
+/**
+ * Module that exports `NoteSaver`
+ * - Tracks whether the text being edited differs from the saved text
+ * - Autosaves shortly after the last edit
+ * - Queues saves, so they run one at a time and in order
+ * - Deletes the note when its text is emptied
+ * - Safe: Expected errors in methods passed to result objects
+ * 
+ * @module note-saver
+ * @author Ben Scarletti
+ * @see {@link https://github.com/scarletti-ben}
+ * @license MIT
+ */
+
+// < ======================================================
+// < Saver Type Definitions
+// < ======================================================
+
+/**
+ * Result of a save, delete or queued save
+ * 
+ * @typedef {Object} SaveResult
+ * @property {boolean} success - Whether the text was saved, or there was nothing to save
+ * @property {string} [message] - Reason for a failure
+ * @property {Error} [error] - Error behind a failure, if any
+ */
+
+/**
+ * Save state shown to the user
+ * - 'dirty' has unsaved edits, 'saving' is writing, 'saved' matches the saved text
+ * 
+ * @typedef {'dirty' | 'saving' | 'saved' | 'error'} SaveState
+ */
+
+/**
+ * Callbacks and settings for a `NoteSaver`
+ * 
+ * @typedef {Object} SaverOptions
+ * @property {() => string} read - Get the text being edited
+ * @property {() => string | undefined} saved - Get the saved text, undefined if there is no note
+ * @property {(text: string, options?: Object) => Promise<SaveResult>} write - Save non-empty text, given the options passed to `save`
+ * @property {() => Promise<SaveResult>} remove - Delete the note
+ * @property {() => boolean} [writable] - Whether saving is allowed, eg. false while locked
+ * @property {(state: SaveState, message?: string) => void} [render] - Show the save state
+ * @property {number} [delay] - Milliseconds after the last edit before autosaving
+ */
+
+/**
+ * Milliseconds after the last edit before autosaving
+ * @type {number}
+ */
+const DEFAULT_DELAY = 1000;
+
+// < ======================================================
+// < NoteSaver Class
+// < ======================================================
+
+/**
+ * Autosave and save queue for the text of one note at a time
+ * - Holds no text itself, reading it via `read` and `saved` whenever needed
+ * - Whitespace-only text counts as no note, so saving it deletes the note
+ * - Edits made while a save is running stay dirty, and are saved by the next save
+ * 
+ * @example
+ * const saver = new NoteSaver({
+ *     read: () => textarea.value,
+ *     saved: () => currentNote?.text,
+ *     write: (text) => notes.save(date, { text }),
+ *     remove: () => notes.delete(date)
+ * });
+ * textarea.addEventListener('input', () => saver.edit());
+ */
+class NoteSaver {
+
+    /** @type {Required<SaverOptions>} */
+    _options;
+
+    /**
+     * Timer for the pending autosave, if any
+     * @type {ReturnType<typeof setTimeout> | undefined}
+     */
+    _timer;
+
+    /**
+     * Latest save, chained so that saves never overlap
+     * @type {Promise<SaveResult>}
+     */
+    _queue = Promise.resolve({ success: true });
+
+    /**
+     * @param {SaverOptions} options - Callbacks and settings
+     */
+    constructor(options) {
+        const {
+            read,
+            saved,
+            write,
+            remove,
+            writable = () => true,
+            render = () => { },
+            delay = DEFAULT_DELAY
+        } = options;
+        this._options = { read, saved, write, remove, writable, render, delay };
+    }
+
+    /**
+     * Whether the text being edited differs from the saved text
+     * 
+     * @returns {boolean} True if there are unsaved edits
+     */
+    isDirty() {
+        const text = this._options.read();
+        const saved = this._options.saved();
+        return text.trim() === '' ? saved !== undefined : text !== saved;
+    }
+
+    /**
+     * Show the edit, and autosave once edits stop for `delay`
+     * 
+     * @returns {void}
+     */
+    edit() {
+        this._options.render(this.isDirty() ? 'dirty' : 'saved');
+        this.cancel();
+        this._timer = setTimeout(() => this.save(), this._options.delay);
+    }
+
+    /**
+     * Cancel the pending autosave, if any
+     * 
+     * @returns {void}
+     */
+    cancel() {
+        clearTimeout(this._timer);
+        this._timer = undefined;
+    }
+
+    /**
+     * Save now, after any running save, cancelling the pending autosave
+     * - Safe: Expected errors passed to result object
+     * 
+     * @param {Object} [options] - Passed on to `write`, eg. to mark a restore
+     * @returns {Promise<SaveResult>} The result of the save
+     */
+    save(options) {
+        this.cancel();
+        this._queue = this._queue.then(() => this._write(options));
+        return this._queue;
+    }
+
+    /**
+     * Save before leaving the note, asking whether to discard edits that fail to save
+     * 
+     * @param {(result: SaveResult) => boolean | Promise<boolean>} discard - Ask whether to discard, given the failure
+     * @returns {Promise<boolean>} True if it is safe to show another note
+     */
+    async leave(discard) {
+        const result = await this.save();
+        if (result.success || !this.isDirty()) {
+            return true;
+        }
+        return discard(result);
+    }
+
+    /**
+     * Save or delete the note, if it has unsaved edits
+     * 
+     * @param {Object} [options] - Passed on to `write`
+     * @returns {Promise<SaveResult>} The result of the save
+     */
+    async _write(options) {
+        const { read, write, remove, writable, render } = this._options;
+        if (!writable() || !this.isDirty()) {
+            return {
+                success: true
+            };
+        }
+        const text = read();
+        render('saving');
+
+        let result;
+        try {
+            result = text.trim() === '' ? await remove() : await write(text, options);
+        } catch (error) {
+            result = {
+                success: false,
+                message: `Error in the saving process: ${error?.name}`,
+                error
+            };
+        }
+
+        // Edits made while saving stay dirty, and are saved by the next save
+        if (!result.success) {
+            render('error', result.message);
+        } else {
+            render(this.isDirty() ? 'dirty' : 'saved');
+        }
+        return result;
+    }
+
+}
+
+// > ======================================================
+// > Exports
+// > ======================================================
+
+export { NoteSaver }
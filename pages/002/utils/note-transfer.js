@@ -0,0 +1,433 @@
+/**
+ * Module that exports functions to export and import calendar notes
+ * - JSON, keeping every note field
+ * - Markdown, with one heading per date
+ * - Zip of Markdown files, one per date
+ * - Import plans, previewing new and changed dates before anything is written
+ * - Conflicting dates are either merged or overwritten
+ * 
+ * @module note-transfer
+ * @author Ben Scarletti
+ * @see {@link https://github.com/scarletti-ben}
+ * @license MIT
+ */
+
+import { createZip, readZip } from './zip.js';
+
+// < ======================================================
+// < Transfer Type Definitions
+// < ======================================================
+
+/**
+ * Note fields carried by exports, matching the `Note` objects of the app
+ * 
+ * @typedef {Object} NoteData
+ * @property {string} text - Text content of the note
+ * @property {number} created - Timestamp of first save
+ * @property {number} updated - Timestamp of latest save
+ * @property {0 | 1} pinned - Whether the note is pinned
+ * @property {string[]} tags - Tags attached to the note
+ */
+
+/**
+ * Supported export formats
+ * @typedef {'json' | 'markdown' | 'zip'} ExportFormat
+ */
+
+/**
+ * How to treat dates that already have a note
+ * - `merge` keeps both texts, and combines pins and tags
+ * - `overwrite` replaces the existing note with the imported one
+ * @typedef {'merge' | 'overwrite'} ImportMode
+ */
+
+/**
+ * File produced by `exportNotes`, ready to download
+ * 
+ * @typedef {Object} ExportFile
+ * @property {string} name - Suggested file name
+ * @property {string} type - MIME type
+ * @property {string | Uint8Array} data - File content
+ */
+
+/**
+ * Outcome of an import, computed before anything is written
+ * 
+ * @typedef {Object} ImportPlan
+ * @property {Record<string, NoteData>} notes - Notes to write, keyed by date
+ * @property {string[]} added - Dates without an existing note
+ * @property {string[]} changed - Dates whose existing note will change
+ * @property {string[]} unchanged - Dates whose existing note already matches
+ * @property {string[]} skipped - Keys that are not dates, or have no text
+ */
+
+/**
+ * Value of the `format` field in JSON exports
+ * @type {string}
+ */
+const JSON_FORMAT = 'calendar-notes';
+
+/**
+ * File extension and MIME type of each export format
+ * @type {Record<ExportFormat, { extension: string, type: string }>}
+ */
+const FORMATS = {
+    json: { extension: 'json', type: 'application/json' },
+    markdown: { extension: 'md', type: 'text/markdown' },
+    zip: { extension: 'zip', type: 'application/zip' }
+};
+
+/**
+ * Heading line that starts a note in Markdown exports
+ * @type {RegExp}
+ */
+const HEADING = /^# (\d{4}-\d{2}-\d{2})\s*$/;
+
+/**
+ * Line of note text that would be read as a heading, with any escapes
+ * @type {RegExp}
+ */
+const ESCAPED_HEADING = /^\\*# \d{4}-\d{2}-\d{2}\s*$/;
+
+// < ======================================================
+// < Internal Functions
+// < ======================================================
+
+/**
+ * Check whether a key is a real date in the format YYYY-MM-DD
+ * 
+ * @param {string} key - The key to check
+ * @returns {boolean} True if the key is a valid date
+ */
+function isShortDate(key) {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(key)) return false;
+    const [year, month, day] = key.split('-').map(Number);
+    const date = new Date(year, month - 1, day);
+    return date.getFullYear() === year && date.getMonth() === month - 1 && date.getDate() === day;
+}
+
+/**
+ * Format a date for export file names
+ * 
+ * @param {Date} date - The date to format
+ * @returns {string} Date in the format YYYY-MM-DD
+ */
+function toFileDate(date) {
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${date.getFullYear()}-${month}-${day}`;
+}
+
+/**
+ * Build a complete note from imported fields, filling gaps from a fallback
+ * 
+ * @param {Partial<NoteData>} fields - Imported fields, with text at least
+ * @param {Partial<NoteData>} fallback - Fields to use where the import has none
+ * @param {number} now - Timestamp for missing times
+ * @returns {NoteData} The complete note
+ */
+function completeNote(fields, fallback, now) {
+    const pick = (name, valid) => valid(fields[name]) ? fields[name] : valid(fallback[name]) ? fallback[name] : undefined;
+    const tags = pick('tags', Array.isArray) ?? [];
+    return {
+        text: fields.text,
+        created: pick('created', Number.isFinite) ?? now,
+        updated: pick('updated', Number.isFinite) ?? now,
+        pinned: pick('pinned', value => value === 0 || value === 1) ?? 0,
+        tags: tags.filter(tag => typeof tag === 'string')
+    };
+}
+
+/**
+ * Combine an existing note with an imported one, keeping both texts
+ * - Keeps whichever text contains the other, eg. an older copy of the same note
+ * 
+ * @param {NoteData} existing - The saved note
+ * @param {Partial<NoteData>} incoming - The imported fields
+ * @param {number} now - Timestamp for the update
+ * @returns {NoteData} The merged note
+ */
+function mergeNote(existing, incoming, now) {
+    const text = existing.text.includes(incoming.text) ? existing.text
+        : incoming.text.includes(existing.text) ? incoming.text
+            : `${existing.text.trimEnd()}\n\n${incoming.text}`;
+    const tags = [...new Set([...existing.tags, ...(Array.isArray(incoming.tags) ? incoming.tags : [])])];
+    const merged = {
+        text,
+        created: Math.min(existing.created, Number.isFinite(incoming.created) ? incoming.created : Infinity),
+        updated: existing.updated,
+        pinned: existing.pinned || incoming.pinned === 1 ? 1 : 0,
+        tags: tags.filter(tag => typeof tag === 'string')
+    };
+    if (!sameNote(existing, merged)) {
+        merged.updated = now;
+    }
+    return merged;
+}
+
+/**
+ * Compare the user-visible fields of two notes
+ * 
+ * @param {NoteData} a - First note
+ * @param {NoteData} b - Second note
+ * @returns {boolean} True if text, pinned state and tags match
+ */
+function sameNote(a, b) {
+    return a.text === b.text
+        && a.pinned === b.pinned
+        && a.tags.length === b.tags.length
+        && a.tags.every((tag, i) => tag === b.tags[i]);
+}
+
+// < ======================================================
+// < Format Functions
+// < ======================================================
+
+/**
+ * Convert notes to JSON, keeping every field
+ * 
+ * @param {Record<string, NoteData>} notes - Notes keyed by date
+ * @param {Date} [exported] - Time of export, defaults to now
+ * @returns {string} Indented JSON
+ */
+function toJSON(notes, exported = new Date()) {
+    return JSON.stringify({
+        format: JSON_FORMAT,
+        version: 1,
+        exported: exported.toISOString(),
+        notes
+    }, null, 2);
+}
+
+/**
+ * Read notes from JSON
+ * - Accepts exports from `toJSON`, or a plain object of notes or strings keyed by date
+ * 
+ * @param {string} text - JSON text
+ * @throws {Error} If the text is not JSON, or not an object of notes
+ * @returns {Record<string, any>} Imported values keyed by date, unvalidated
+ */
+function fromJSON(text) {
+    const parsed = JSON.parse(text);
+    const notes = parsed?.format === JSON_FORMAT ? parsed.notes : parsed;
+    if (notes === null || typeof notes !== 'object' || Array.isArray(notes)) {
+        throw new Error('Expected an object of notes keyed by date');
+    }
+    const output = {};
+    for (const [key, value] of Object.entries(notes)) {
+        output[key] = typeof value === 'string' ? { text: value } : value;
+    }
+    return output;
+}
+
+/**
+ * Convert notes to Markdown, with a level one heading per date
+ * - Lines of note text that look like date headings are escaped with a backslash
+ * 
+ * @example
+ * toMarkdown({ '2025-08-03': note }); // '# 2025-08-03\n\nHello\n'
+ * 
+ * @param {Record<string, NoteData>} notes - Notes keyed by date
+ * @returns {string} Markdown text
+ */
+function toMarkdown(notes) {
+    return Object.entries(notes).map(([key, note]) => {
+        const text = note.text
+            .split('\n')
+            .map(line => ESCAPED_HEADING.test(line) ? `\\${line}` : line)
+            .join('\n');
+        return `# ${key}\n\n${text.trimEnd()}\n`;
+    }).join('\n');
+}
+
+/**
+ * Read notes from Markdown written by `toMarkdown`, or by hand
+ * - Ignores anything before the first date heading
+ * - Trims blank lines around each note
+ * 
+ * @param {string} text - Markdown text
+ * @returns {Record<string, { text: string }>} Imported notes keyed by date
+ */
+function fromMarkdown(text) {
+    const output = {};
+    let key = null;
+    let lines = [];
+    const finish = () => {
+        if (key === null) return;
+        const body = lines.join('\n').replace(/^\s*\n/, '').trimEnd();
+        output[key] = { text: key in output ? `${output[key].text}\n\n${body}` : body };
+    };
+    for (const line of text.replace(/\r\n?/g, '\n').split('\n')) {
+        const match = line.match(HEADING);
+        if (match) {
+            finish();
+            key = match[1];
+            lines = [];
+        } else {
+            lines.push(ESCAPED_HEADING.test(line) ? line.slice(1) : line);
+        }
+    }
+    finish();
+    return output;
+}
+
+/**
+ * Convert notes to a zip of Markdown files, named by date
+ * 
+ * @param {Record<string, NoteData>} notes - Notes keyed by date
+ * @returns {Uint8Array} Zip archive bytes
+ */
+function toZip(notes) {
+    const encoder = new TextEncoder();
+    return createZip(Object.entries(notes).map(([key, note]) => ({
+        name: `${key}.md`,
+        data: encoder.encode(note.text),
+        modified: new Date(note.updated)
+    })));
+}
+
+/**
+ * Read notes from a zip of Markdown or text files, named by date
+ * - Files may be in folders, other files are ignored
+ * 
+ * @param {Uint8Array} bytes - Zip archive bytes
+ * @throws {Error} If the archive is invalid
+ * @returns {Promise<Record<string, { text: string }>>} Imported notes keyed by date
+ */
+async function fromZip(bytes) {
+    const decoder = new TextDecoder();
+    const output = {};
+    for (const entry of await readZip(bytes)) {
+        const match = entry.name.match(/(?:^|\/)(\d{4}-\d{2}-\d{2})\.(?:md|markdown|txt)$/);
+        if (match) {
+            output[match[1]] = { text: decoder.decode(entry.data).replace(/\r\n?/g, '\n') };
+        }
+    }
+    return output;
+}
+
+// < ======================================================
+// < Transfer Functions
+// < ======================================================
+
+/**
+ * Export notes to a file in the given format
+ * - Notes are written in date order
+ * 
+ * @example
+ * const file = exportNotes(result.data, 'markdown');
+ * const blob = new Blob([file.data], { type: file.type });
+ * 
+ * @param {Record<string, NoteData>} notes - Notes keyed by date
+ * @param {ExportFormat} format - Format to export
+ * @param {Date} [date] - Date of export, used in the file name
+ * @throws {Error} If the format is not supported
+ * @returns {ExportFile} The file to download
+ */
+function exportNotes(notes, format, date = new Date()) {
+    if (!(format in FORMATS)) {
+        throw new Error(`Unsupported export format "${format}"`);
+    }
+    const sorted = Object.fromEntries(Object.entries(notes).sort(([a], [b]) => a < b ? -1 : a > b ? 1 : 0));
+    const { extension, type } = FORMATS[format];
+    const data = format === 'json' ? toJSON(sorted, date)
+        : format === 'markdown' ? toMarkdown(sorted)
+            : toZip(sorted);
+    return {
+        name: `calendar-notes-${toFileDate(date)}.${extension}`,
+        type,
+        data
+    };
+}
+
+/**
+ * Read notes from an exported file safely via Promise
+ * - Detects the format from the content, then the file extension
+ * - Safe: Expected errors passed to result object
+ * 
+ * @param {string} name - File name eg. 'calendar-notes-2025-08-03.zip'
+ * @param {Uint8Array} bytes - File content
+ * @returns {Promise<{
+ *   success: boolean,
+ *   data?: Record<string, any>,
+ *   message?: string,
+ *   error?: Error
+ * }>} The result of the read attempt, with unvalidated values keyed by date
+ */
+async function readNotesFile(name, bytes) {
+    try {
+        let data;
+        const isZip = bytes[0] === 0x50 && bytes[1] === 0x4b;
+        if (isZip) {
+            data = await fromZip(bytes);
+        } else {
+            const text = new TextDecoder().decode(bytes).replace(/^\uFEFF/, '');
+            const isJSON = /\.json$/i.test(name) || /^\s*[{[]/.test(text);
+            data = isJSON ? fromJSON(text) : fromMarkdown(text);
+        }
+        if (Object.keys(data).length === 0) {
+            return {
+                success: false,
+                message: 'No notes found in file'
+            };
+        }
+        return {
+            success: true,
+            data
+        };
+    } catch (error) {
+        return {
+            success: false,
+            message: `Error in the reading process: ${error?.message}`,
+            error
+        };
+    }
+}
+
+/**
+ * Plan an import against the existing notes, without writing anything
+ * - Imported notes missing metadata take it from the existing note, or defaults
+ * - Entries with invalid dates, or no text, are skipped
+ * 
+ * @example
+ * const plan = planImport(existing, imported, 'merge');
+ * console.log(`${plan.added.length} new, ${plan.changed.length} changed`);
+ * 
+ * @param {Record<string, NoteData>} existing - Saved notes keyed by date
+ * @param {Record<string, any>} incoming - Imported values keyed by date
+ * @param {ImportMode} mode - How to treat dates that already have a note
+ * @param {number} [now] - Timestamp for new and updated notes, defaults to now
+ * @returns {ImportPlan} The notes to write, and what happens to each date
+ */
+function planImport(existing, incoming, mode, now = Date.now()) {
+    const plan = { notes: {}, added: [], changed: [], unchanged: [], skipped: [] };
+    for (const key of Object.keys(incoming).sort()) {
+        const fields = incoming[key];
+        if (!isShortDate(key) || typeof fields?.text !== 'string' || fields.text.trim() === '') {
+            plan.skipped.push(key);
+            continue;
+        }
+        const current = existing[key];
+        if (!current) {
+            plan.notes[key] = completeNote(fields, {}, now);
+            plan.added.push(key);
+            continue;
+        }
+        const note = mode === 'merge'
+            ? mergeNote(current, fields, now)
+            : completeNote(fields, { ...current, updated: now }, now);
+        if (sameNote(current, note)) {
+            plan.unchanged.push(key);
+        } else {
+            plan.notes[key] = note;
+            plan.changed.push(key);
+        }
+    }
+    return plan;
+}
+
+// > ======================================================
+// > Exports
+// > ======================================================
+
+export { exportNotes, readNotesFile, planImport, toJSON, fromJSON, toMarkdown, fromMarkdown, toZip, fromZip }
@@ -0,0 +1,367 @@
+/**
+ * Module that exports `expandEvent`, `describeRepeat` and `validateEvent`
+ * - Calendar events on a date, optionally with start and end times
+ * - Repeat rules: daily, weekly on chosen weekdays, monthly by day or nth weekday, and yearly
+ * - Rules can end on a date or after a number of occurrences, and skip exception dates
+ * - Dates are local calendar dates in the format YYYY-MM-DD, times are HH:MM
+ * 
+ * @module recurrence
+ * @author Ben Scarletti
+ * @see {@link https://github.com/scarletti-ben}
+ * @license MIT
+ */
+
+// < ======================================================
+// < Event Type Definitions
+// < ======================================================
+
+/**
+ * How an event repeats
+ * - Monthly and yearly rules repeat by day of the month, or by weekday position in the month
+ * - Weekday position is taken from the first date, eg. the 2nd Tuesday, with a 5th weekday as the last
+ * 
+ * @typedef {Object} RepeatRule
+ * @property {'daily' | 'weekly' | 'monthly' | 'yearly'} frequency - Unit the rule repeats in
+ * @property {number} [interval] - Repeat every `interval` units, defaults to 1
+ * @property {number[]} [weekdays] - Weekly days, 0 (Sunday) to 6 (Saturday), defaults to the weekday of the first date
+ * @property {'day' | 'weekday'} [by] - Monthly and yearly position, defaults to 'day'
+ * @property {string} [until] - Last possible date, in the format YYYY-MM-DD
+ * @property {number} [count] - Number of occurrences, including skipped exceptions
+ */
+
+/**
+ * Event shown on the calendar, once or repeating
+ * 
+ * @typedef {Object} CalendarEvent
+ * @property {string} title - Title of the event
+ * @property {string} date - First date, in the format YYYY-MM-DD
+ * @property {string} [start] - Start time in the format HH:MM, omit for an all-day event
+ * @property {string} [end] - End time in the format HH:MM
+ * @property {RepeatRule} [repeat] - How the event repeats, omit for a single date
+ * @property {string[]} [exceptions] - Dates of skipped occurrences
+ * @property {number} [remind] - Minutes before the start to send a reminder, omit for none
+ * @property {string} [description] - Notes about the event
+ */
+
+/**
+ * Names of weekdays, indexed like `Date.getDay`
+ * @type {string[]}
+ */
+const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+/**
+ * Names of months, indexed like `Date.getMonth`
+ * @type {string[]}
+ */
+const MONTHS = ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October', 'November', 'December'];
+
+/** @type {number} */
+const DAY = 24 * 60 * 60 * 1000;
+
+// < ======================================================
+// < Internal Functions
+// < ======================================================
+
+/**
+ * Convert a date string into a local midnight `Date`
+ * 
+ * @param {string} shortDate - Date in the format YYYY-MM-DD
+ * @returns {Date} The date at local midnight
+ */
+function parseDate(shortDate) {
+    const [year, month, day] = shortDate.split('-').map(Number);
+    return new Date(year, month - 1, day);
+}
+
+/**
+ * Convert a `Date` into a date string
+ * 
+ * @param {Date} date - The date to convert
+ * @returns {string} Date in the format YYYY-MM-DD
+ */
+function formatDate(date) {
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${date.getFullYear()}-${month}-${day}`;
+}
+
+/**
+ * Get the Monday starting the week of a date
+ * 
+ * @param {Date} date - The date
+ * @returns {Date} The Monday at local midnight
+ */
+function startOfWeek(date) {
+    return new Date(date.getFullYear(), date.getMonth(), date.getDate() - (date.getDay() + 6) % 7);
+}
+
+/**
+ * Get the position of a date's weekday in its month
+ * 
+ * @param {Date} date - The date
+ * @returns {number} 1 to 4 for the first to fourth, or -1 for a fifth weekday, which is always the last
+ */
+function weekdayPosition(date) {
+    const nth = Math.ceil(date.getDate() / 7);
+    return nth === 5 ? -1 : nth;
+}
+
+/**
+ * Find the nth weekday of a month
+ * 
+ * @param {number} year - Full year
+ * @param {number} month - Month index, 0 to 11
+ * @param {number} weekday - Weekday, 0 (Sunday) to 6 (Saturday)
+ * @param {number} nth - 1 to 4, or -1 for the last
+ * @returns {Date} The date at local midnight
+ */
+function nthWeekday(year, month, weekday, nth) {
+    if (nth < 0) {
+        const last = new Date(year, month + 1, 0);
+        return new Date(year, month, last.getDate() - (last.getDay() - weekday + 7) % 7);
+    }
+    const first = new Date(year, month, 1);
+    return new Date(year, month, 1 + (weekday - first.getDay() + 7) % 7 + (nth - 1) * 7);
+}
+
+/**
+ * Get the ordinal of a weekday position, eg. '2nd' or 'last'
+ * 
+ * @param {number} nth - 1 to 4, or -1 for the last
+ * @returns {string} The ordinal
+ */
+function ordinal(nth) {
+    return nth < 0 ? 'last' : `${nth}${['st', 'nd', 'rd'][nth - 1] ?? 'th'}`;
+}
+
+/**
+ * Count whole rule units from one date to another
+ * 
+ * @param {RepeatRule['frequency']} frequency - Unit to count in
+ * @param {Date} from - The earlier date
+ * @param {Date} to - The later date
+ * @returns {number} Units between the dates, negative if `to` is earlier
+ */
+function unitsBetween(frequency, from, to) {
+    switch (frequency) {
+        case 'daily':
+            return Math.round((to.getTime() - from.getTime()) / DAY);
+        case 'weekly':
+            return Math.round((startOfWeek(to).getTime() - startOfWeek(from).getTime()) / (7 * DAY));
+        case 'monthly':
+            return (to.getFullYear() - from.getFullYear()) * 12 + to.getMonth() - from.getMonth();
+        default:
+            return to.getFullYear() - from.getFullYear();
+    }
+}
+
+/**
+ * Get the dates a rule allows in one period, eg. one week of a weekly rule
+ * - Periods count from the period holding the first date, in steps of `interval`
+ * 
+ * @param {RepeatRule} rule - The repeat rule
+ * @param {Date} first - First date of the event
+ * @param {number} index - Index of the period, 0 for the period holding the first date
+ * @returns {{ start: Date, dates: Date[] }} Start of the period, and its allowed dates in order
+ */
+function period(rule, first, index) {
+    const step = index * Math.max(1, Math.floor(rule.interval ?? 1));
+    const year = first.getFullYear();
+    const month = first.getMonth();
+    const day = first.getDate();
+    switch (rule.frequency) {
+        case 'daily': {
+            const date = new Date(year, month, day + step);
+            return { start: date, dates: [date] };
+        }
+        case 'weekly': {
+            const monday = startOfWeek(first);
+            const start = new Date(monday.getFullYear(), monday.getMonth(), monday.getDate() + step * 7);
+            const weekdays = rule.weekdays?.length ? rule.weekdays : [first.getDay()];
+            const dates = [...new Set(weekdays)]
+                .map(weekday => (weekday + 6) % 7)
+                .sort((a, b) => a - b)
+                .map(offset => new Date(start.getFullYear(), start.getMonth(), start.getDate() + offset));
+            return { start, dates };
+        }
+        case 'monthly':
+        case 'yearly': {
+            const start = rule.frequency === 'monthly' ? new Date(year, month + step, 1) : new Date(year + step, 0, 1);
+            const target = rule.frequency === 'monthly' ? start.getMonth() : month;
+            if (rule.by === 'weekday') {
+                return { start, dates: [nthWeekday(start.getFullYear(), target, first.getDay(), weekdayPosition(first))] };
+            }
+            // Months without the day are skipped, eg. the 31st or the 29th of February
+            const date = new Date(start.getFullYear(), target, day);
+            return { start, dates: date.getMonth() === target ? [date] : [] };
+        }
+        default:
+            throw new Error(`Unknown repeat frequency: ${rule.frequency}`);
+    }
+}
+
+// < ======================================================
+// < Recurrence Functions
+// < ======================================================
+
+/**
+ * Find the dates an event occurs on within a range
+ * 
+ * @example
+ * expandEvent({ title: 'Bins', date: '2025-08-04', repeat: { frequency: 'weekly' } }, '2025-08-01', '2025-08-31');
+ * // ['2025-08-04', '2025-08-11', '2025-08-18', '2025-08-25']
+ * 
+ * @param {CalendarEvent} event - The event to expand
+ * @param {string} from - First date of the range, in the format YYYY-MM-DD
+ * @param {string} to - Last date of the range, in the format YYYY-MM-DD
+ * @throws {Error} If the repeat frequency is unknown
+ * @returns {string[]} Dates of occurrences in the range, in order
+ */
+function expandEvent(event, from, to) {
+    const skipped = new Set(event.exceptions ?? []);
+    const rule = event.repeat;
+    if (!rule) {
+        return event.date >= from && event.date <= to && !skipped.has(event.date) ? [event.date] : [];
+    }
+    const first = parseDate(event.date);
+    const last = rule.until && rule.until < to ? rule.until : to;
+    const interval = Math.max(1, Math.floor(rule.interval ?? 1));
+
+    // Counted rules must start from the first date, others can skip to just before the range
+    let index = rule.count ? 0 : Math.max(0, Math.floor(unitsBetween(rule.frequency, first, parseDate(from)) / interval) - 1);
+    let counted = 0;
+    const dates = [];
+    for (; ; index++) {
+        const { start, dates: allowed } = period(rule, first, index);
+        if (formatDate(start) > last) {
+            return dates;
+        }
+        for (const date of allowed) {
+            const shortDate = formatDate(date);
+            if (shortDate < event.date) continue;
+            if (rule.count && counted >= rule.count) {
+                return dates;
+            }
+            counted++;
+            if (shortDate > last) {
+                return dates;
+            }
+            if (shortDate >= from && !skipped.has(shortDate)) {
+                dates.push(shortDate);
+            }
+        }
+    }
+}
+
+/**
+ * Describe how an event repeats, in words
+ * 
+ * @example
+ * describeRepeat({ frequency: 'monthly', by: 'weekday' }, '2025-08-12'); // 'Every month on the 2nd Tuesday'
+ * 
+ * @param {RepeatRule | undefined} rule - The repeat rule, if any
+ * @param {string} date - First date of the event, in the format YYYY-MM-DD
+ * @returns {string} The description, eg. 'Every weekday' or 'Does not repeat'
+ */
+function describeRepeat(rule, date) {
+    if (!rule) {
+        return 'Does not repeat';
+    }
+    const first = parseDate(date);
+    const interval = Math.max(1, Math.floor(rule.interval ?? 1));
+    const unit = { daily: 'day', weekly: 'week', monthly: 'month', yearly: 'year' }[rule.frequency];
+    const every = interval === 1 ? `Every ${unit}` : `Every ${interval} ${unit}s`;
+    const position = `the ${ordinal(weekdayPosition(first))} ${WEEKDAYS[first.getDay()]}`;
+    let text;
+    switch (rule.frequency) {
+        case 'weekly': {
+            const weekdays = [...new Set(rule.weekdays?.length ? rule.weekdays : [first.getDay()])].sort((a, b) => (a + 6) % 7 - (b + 6) % 7);
+            text = interval === 1 && weekdays.join() === '1,2,3,4,5'
+                ? 'Every weekday'
+                : `${every} on ${weekdays.map(weekday => WEEKDAYS[weekday].slice(0, 3)).join(', ')}`;
+            break;
+        }
+        case 'monthly':
+            text = `${every} on ${rule.by === 'weekday' ? position : `day ${first.getDate()}`}`;
+            break;
+        case 'yearly':
+            text = `${every} on ${rule.by === 'weekday'
+                ? `${position} of ${MONTHS[first.getMonth()]}`
+                : `${first.getDate()} ${MONTHS[first.getMonth()]}`}`;
+            break;
+        default:
+            text = every;
+    }
+    if (rule.until) {
+        text += `, until ${rule.until}`;
+    }
+    if (rule.count) {
+        text += `, ${rule.count} times`;
+    }
+    return text;
+}
+
+/**
+ * Validate a value as a `CalendarEvent`
+ * - Titles and descriptions may be encrypted, so are only checked to be strings
+ * 
+ * @param {any} value - The value to validate
+ * @returns {true | string} True if valid, otherwise a failure message
+ */
+function validateEvent(value) {
+    const isDate = (text) => typeof text === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(text);
+    const isTime = (text) => typeof text === 'string' && /^([01]\d|2[0-3]):[0-5]\d$/.test(text);
+    if (typeof value !== 'object' || value === null || Array.isArray(value)) {
+        return 'Expected event to be an object';
+    }
+    if (typeof value.title !== 'string') {
+        return 'Expected event title to be a string';
+    }
+    if (value.description !== undefined && typeof value.description !== 'string') {
+        return 'Expected event description to be a string';
+    }
+    if (!isDate(value.date)) {
+        return 'Expected event date in the format YYYY-MM-DD';
+    }
+    if ((value.start !== undefined && !isTime(value.start)) || (value.end !== undefined && !isTime(value.end))) {
+        return 'Expected event times in the format HH:MM';
+    }
+    if (value.end !== undefined && (value.start === undefined || value.end < value.start)) {
+        return 'Expected event to end after it starts';
+    }
+    if (value.exceptions !== undefined && !(Array.isArray(value.exceptions) && value.exceptions.every(isDate))) {
+        return 'Expected event exceptions to be dates';
+    }
+    if (value.remind !== undefined && !(Number.isInteger(value.remind) && value.remind >= 0)) {
+        return 'Expected event reminder to be whole minutes';
+    }
+    const rule = value.repeat;
+    if (rule === undefined) {
+        return true;
+    }
+    if (typeof rule !== 'object' || rule === null || !['daily', 'weekly', 'monthly', 'yearly'].includes(rule.frequency)) {
+        return 'Expected repeat frequency to be daily, weekly, monthly or yearly';
+    }
+    if (rule.interval !== undefined && !(Number.isInteger(rule.interval) && rule.interval > 0)) {
+        return 'Expected repeat interval to be a positive whole number';
+    }
+    if (rule.weekdays !== undefined && !(Array.isArray(rule.weekdays) && rule.weekdays.every(day => Number.isInteger(day) && day >= 0 && day <= 6))) {
+        return 'Expected repeat weekdays to be 0 to 6';
+    }
+    if (rule.by !== undefined && rule.by !== 'day' && rule.by !== 'weekday') {
+        return "Expected repeat position to be 'day' or 'weekday'";
+    }
+    if (rule.until !== undefined && !isDate(rule.until)) {
+        return 'Expected repeat end in the format YYYY-MM-DD';
+    }
+    if (rule.count !== undefined && !(Number.isInteger(rule.count) && rule.count > 0)) {
+        return 'Expected repeat count to be a positive whole number';
+    }
+    return true;
+}
+
+// > ======================================================
+// > Exports
+// > ======================================================
+
+export { expandEvent, describeRepeat, validateEvent }
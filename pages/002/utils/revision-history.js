@@ -0,0 +1,281 @@
+/**
+ * Module that exports `RevisionHistory` and `diffLines`
+ * - Timestamped snapshots of text saved under a key, eg. a note per day
+ * - Saves in quick succession are coalesced into one revision
+ * - Retention by count per key, and by age across all keys
+ * - Line diffs between two versions of a text
+ * - Safe: Expected errors in methods passed to result objects
+ * 
+ * @module revision-history
+ * @author Ben Scarletti
+ * @see {@link https://github.com/scarletti-ben}
+ * @license MIT
+ */
+
+// < ======================================================
+// < Revision Type Definitions
+// < ======================================================
+
+/**
+ * Snapshot of a text, saved in the revisions store
+ * 
+ * @typedef {Object} Revision
+ * @property {string} key - Key the text belongs to eg. '2025-08-03'
+ * @property {string} text - Text at the time of the snapshot
+ * @property {number} saved - Timestamp of the snapshot
+ */
+
+/**
+ * Retention settings for a `RevisionHistory`
+ * 
+ * @typedef {Object} RetentionPolicy
+ * @property {number} [limit] - Most revisions kept per key
+ * @property {number} [interval] - Milliseconds within which saves replace the latest revision
+ * @property {number} [maxAge] - Milliseconds after which revisions are deleted
+ */
+
+/**
+ * Line of a diff produced by `diffLines`
+ * 
+ * @typedef {Object} DiffLine
+ * @property {'same' | 'added' | 'removed'} type - Whether the line is in both texts, only the new, or only the old
+ * @property {string} line - The line text
+ */
+
+/**
+ * Default retention: 50 revisions per key, five-minute coalescing, kept for a year
+ * @type {Required<RetentionPolicy>}
+ */
+const DEFAULT_POLICY = {
+    limit: 50,
+    interval: 5 * 60 * 1000,
+    maxAge: 365 * 24 * 60 * 60 * 1000
+};
+
+/**
+ * Most lines compared by `diffLines` before falling back to a whole-text diff
+ * @type {number}
+ */
+const DIFF_LIMIT = 2000;
+
+// < ======================================================
+// < Diff Functions
+// < ======================================================
+
+/**
+ * Compare two texts line by line, via the longest common subsequence
+ * - Texts longer than `DIFF_LIMIT` lines are shown as fully removed then added
+ * 
+ * @example
+ * diffLines('a\nb', 'a\nc');
+ * // [{ type: 'same', line: 'a' }, { type: 'removed', line: 'b' }, { type: 'added', line: 'c' }]
+ * 
+ * @param {string} before - The older text
+ * @param {string} after - The newer text
+ * @returns {DiffLine[]} Lines of both texts, in order
+ */
+function diffLines(before, after) {
+    const a = before === '' ? [] : before.split('\n');
+    const b = after === '' ? [] : after.split('\n');
+    if (a.length > DIFF_LIMIT || b.length > DIFF_LIMIT) {
+        return [
+            ...a.map(line => ({ type: 'removed', line })),
+            ...b.map(line => ({ type: 'added', line }))
+        ];
+    }
+
+    // Lengths of common subsequences of every pair of suffixes
+    const lengths = Array.from({ length: a.length + 1 }, () => new Uint32Array(b.length + 1));
+    for (let i = a.length - 1; i >= 0; i--) {
+        for (let j = b.length - 1; j >= 0; j--) {
+            lengths[i][j] = a[i] === b[j]
+                ? lengths[i + 1][j + 1] + 1
+                : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+        }
+    }
+
+    // Walk the table, preferring removals before additions
+    const output = [];
+    let i = 0;
+    let j = 0;
+    while (i < a.length || j < b.length) {
+        if (i < a.length && j < b.length && a[i] === b[j]) {
+            output.push({ type: 'same', line: a[i] });
+            i++;
+            j++;
+        } else if (j >= b.length || (i < a.length && lengths[i + 1][j] >= lengths[i][j + 1])) {
+            output.push({ type: 'removed', line: a[i] });
+            i++;
+        } else {
+            output.push({ type: 'added', line: b[j] });
+            j++;
+        }
+    }
+    return output;
+}
+
+// < ======================================================
+// < RevisionHistory Class
+// < ======================================================
+
+/**
+ * Revision history kept in a store of `Revision` objects
+ * - Works with a `SimpleStore` or `EncryptedStore`, which share the same methods
+ * - The store needs a `saved` index on `Revision.saved`, for pruning by age
+ * - Revisions are keyed by key and zero-padded timestamp, so they sort by time within a key
+ * - Safe: Expected errors in methods passed to result objects
+ * 
+ * @example
+ * const history = new RevisionHistory(db.store('revisions'), { limit: 20 });
+ * await history.record('2025-08-03', 'Hello');
+ * const result = await history.list('2025-08-03');
+ */
+class RevisionHistory {
+
+    /** @type {import('./simple-database.js').SimpleStore | import('./encrypted-store.js').EncryptedStore} */
+    _store;
+
+    /** @type {Required<RetentionPolicy>} */
+    _policy;
+
+    /**
+     * @param {import('./simple-database.js').SimpleStore | import('./encrypted-store.js').EncryptedStore} store - Structured store for revisions
+     * @param {RetentionPolicy} [policy] - Optional retention settings
+     */
+    constructor(store, policy = {}) {
+        this._store = store;
+        this._policy = { ...DEFAULT_POLICY, ...policy };
+    }
+
+    /**
+     * Build the store key of a revision
+     * 
+     * @param {string} key - Key the text belongs to
+     * @param {number} saved - Timestamp of the snapshot
+     * @returns {string} Store key eg. '2025-08-03/1754222400000'
+     */
+    _revisionKey(key, saved) {
+        return `${key}/${String(saved).padStart(13, '0')}`;
+    }
+
+    /**
+     * Record a snapshot of text, then apply the retention policy
+     * - Skips text identical to the latest revision
+     * - Replaces the latest revision if it is newer than `interval`, unless `coalesce` is false
+     * - Pass `coalesce: false` when restoring, so the text being replaced stays in the history
+     * - Safe: Expected errors passed to result object
+     * 
+     * @param {string} key - Key the text belongs to eg. '2025-08-03'
+     * @param {string} text - Text to snapshot
+     * @param {number} [saved] - Timestamp of the snapshot, defaults to now
+     * @param {Object} [options] - Optional record settings
+     * @param {boolean} [options.coalesce] - Whether a recent latest revision may be replaced, defaults to true
+     * @returns {Promise<{
+     *   success: boolean,
+     *   message?: string,
+     *   error?: Error
+     * }>} The result of the record attempt
+     */
+    async record(key, text, saved = Date.now(), { coalesce = true } = {}) {
+
+        // Find the latest revision for this key
+        let result = await this._store.loadPrefix(`${key}/`, { reverse: true, limit: 1 });
+        if (!result.success) {
+            return result;
+        }
+        const [latestKey, latest] = Object.entries(result.data)[0] ?? [];
+        if (latest?.text === text) {
+            return {
+                success: true
+            };
+        }
+
+        // Save the new revision, then drop the one it replaces
+        const revisionKey = this._revisionKey(key, saved);
+        result = await this._store.save(revisionKey, { key, text, saved });
+        if (!result.success) {
+            return result;
+        }
+        if (coalesce && latest && latestKey !== revisionKey && saved - latest.saved < this._policy.interval) {
+            result = await this._store.delete(latestKey);
+            if (!result.success) {
+                return result;
+            }
+        }
+
+        return this.prune(key, saved);
+
+    }
+
+    /**
+     * Delete revisions beyond the retention policy
+     * - Deletes revisions of `key` beyond `limit`, oldest first
+     * - Deletes revisions of every key older than `maxAge`
+     * - Safe: Expected errors passed to result object
+     * 
+     * @param {string} [key] - Key to apply `limit` to, omit to only prune by age
+     * @param {number} [now] - Current timestamp, defaults to now
+     * @returns {Promise<{
+     *   success: boolean,
+     *   message?: string,
+     *   error?: Error
+     * }>} The result of the prune attempt
+     */
+    async prune(key, now = Date.now()) {
+        const stale = [];
+
+        // Revisions of this key beyond the limit
+        if (key !== undefined) {
+            const kept = await this._store.loadPrefix(`${key}/`, { reverse: true, limit: this._policy.limit });
+            if (!kept.success) {
+                return kept;
+            }
+            if (kept.next) {
+                const result = await this._store.loadPrefix(`${key}/`, { reverse: true, after: kept.next });
+                if (!result.success) {
+                    return result;
+                }
+                stale.push(...Object.keys(result.data));
+            }
+        }
+
+        // Revisions of every key that are too old
+        const result = await this._store.query('saved', { to: now - this._policy.maxAge });
+        if (!result.success) {
+            return result;
+        }
+        stale.push(...Object.keys(result.data));
+
+        return this._store.deleteMany([...new Set(stale)]);
+    }
+
+    /**
+     * List the revisions of a key, newest first
+     * - Safe: Expected errors passed to result object
+     * 
+     * @param {string} key - Key the text belongs to eg. '2025-08-03'
+     * @returns {Promise<{
+     *   success: boolean,
+     *   data?: Revision[],
+     *   message?: string,
+     *   error?: Error
+     * }>} The result of the list attempt
+     */
+    async list(key) {
+        const result = await this._store.loadPrefix(`${key}/`, { reverse: true });
+        if (!result.success) {
+            return result;
+        }
+        return {
+            success: true,
+            data: Object.values(result.data)
+        };
+    }
+
+}
+
+// > ======================================================
+// > Exports
+// > ======================================================
+
+export { RevisionHistory, diffLines }
@@ -0,0 +1,339 @@
+/**
+ * Module that exports `SearchIndex`, `parseQuery` and `findMatches`
+ * - Word index of texts saved under a key, eg. a note per day
+ * - Kept in a `SimpleDatabase` store, updated one key at a time
+ * - Words match case-insensitively and ignore accents, eg. "cafe" finds "Café"
+ * - Words in a query match as prefixes, and quoted phrases match whole consecutive words
+ * - Safe: Expected errors in methods passed to result objects
+ * 
+ * @module search-index
+ * @author Ben Scarletti
+ * @see {@link https://github.com/scarletti-ben}
+ * @license MIT
+ */
+
+// < ======================================================
+// < Search Type Definitions
+// < ======================================================
+
+/**
+ * Word found in a text, with its position
+ * 
+ * @typedef {Object} Token
+ * @property {string} word - Normalised word eg. 'cafe'
+ * @property {number} start - Offset of the first character in the text
+ * @property {number} end - Offset after the last character in the text
+ */
+
+/**
+ * Part of a parsed query, every one of which must match
+ * 
+ * @typedef {Object} SearchTerm
+ * @property {string[]} words - Normalised words, in order
+ * @property {boolean} phrase - Whether the words must match whole and consecutively, rather than as a prefix
+ */
+
+/**
+ * Entry of the search store, holding each distinct word of a text
+ * 
+ * @typedef {Object} SearchEntry
+ * @property {string[]} terms - Normalised words, sorted
+ */
+
+/**
+ * Pattern for words, including combining marks so offsets match the original text
+ * @type {RegExp}
+ */
+const WORD = /[\p{L}\p{M}\p{N}]+/gu;
+
+// < ======================================================
+// < Search Functions
+// < ======================================================
+
+/**
+ * Normalise a word for matching, in lowercase without accents
+ * 
+ * @param {string} word - The word to normalise
+ * @returns {string} The normalised word
+ */
+function normalise(word) {
+    return word.normalize('NFD').replace(/\p{M}/gu, '').toLowerCase();
+}
+
+/**
+ * Split text into normalised words, with their positions
+ * 
+ * @param {string} text - The text to split
+ * @returns {Token[]} Words in order of appearance
+ */
+function tokenise(text) {
+    const tokens = [];
+    for (const match of text.matchAll(WORD)) {
+        const word = normalise(match[0]);
+        if (word) {
+            tokens.push({ word, start: match.index, end: match.index + match[0].length });
+        }
+    }
+    return tokens;
+}
+
+/**
+ * Parse a search query into terms
+ * - Quoted text is a phrase, and an unclosed quote runs to the end of the query
+ * - Other words are separate terms, matching as prefixes
+ * 
+ * @example
+ * parseQuery('walk "the dog"');
+ * // [{ words: ['walk'], phrase: false }, { words: ['the', 'dog'], phrase: true }]
+ * 
+ * @param {string} query - The search query
+ * @returns {SearchTerm[]} Terms of the query, empty if it has no words
+ */
+function parseQuery(query) {
+    const terms = [];
+    for (const [, quoted, bare] of query.matchAll(/"([^"]*)"?|([^\s"]+)/g)) {
+        const words = tokenise(quoted ?? bare).map(token => token.word);
+        if (quoted !== undefined) {
+            if (words.length) terms.push({ words, phrase: true });
+        } else {
+            terms.push(...words.map(word => ({ words: [word], phrase: false })));
+        }
+    }
+    return terms;
+}
+
+/**
+ * Find where every term of a query matches a text
+ * 
+ * @example
+ * findMatches('Walked the dog', parseQuery('walk'));
+ * // [[0, 6]]
+ * 
+ * @param {string} text - The text to search
+ * @param {SearchTerm[]} terms - Terms from `parseQuery`
+ * @returns {[number, number][] | null} Sorted, non-overlapping start and end offsets to highlight, or null unless every term matches
+ */
+function findMatches(text, terms) {
+    if (!terms.length) {
+        return null;
+    }
+    const tokens = tokenise(text);
+    const ranges = [];
+    for (const { words, phrase } of terms) {
+        let found = false;
+        for (let i = 0; i + words.length <= tokens.length; i++) {
+            const matched = phrase
+                ? words.every((word, j) => tokens[i + j].word === word)
+                : tokens[i].word.startsWith(words[0]);
+            if (matched) {
+                ranges.push([tokens[i].start, tokens[i + words.length - 1].end]);
+                found = true;
+            }
+        }
+        if (!found) {
+            return null;
+        }
+    }
+
+    // Merge overlapping ranges, eg. a prefix inside a phrase
+    ranges.sort((a, b) => a[0] - b[0] || a[1] - b[1]);
+    const merged = [ranges[0]];
+    for (const [start, end] of ranges.slice(1)) {
+        const last = merged[merged.length - 1];
+        if (start <= last[1]) {
+            last[1] = Math.max(last[1], end);
+        } else {
+            merged.push([start, end]);
+        }
+    }
+    return merged;
+}
+
+// < ======================================================
+// < SearchIndex Class
+// < ======================================================
+
+/**
+ * Word index kept in a store of `SearchEntry` objects
+ * - The store needs a multi-entry `terms` index on `SearchEntry.terms`
+ * - Lookups return candidate keys, check texts with `findMatches` for phrases and highlights
+ * - Words are stored in plain text, so do not index text that is meant to be encrypted
+ * - Safe: Expected errors in methods passed to result objects
+ * 
+ * @example
+ * const index = new SearchIndex(db, 'search');
+ * await index.update('2025-08-03', 'Walked the dog');
+ * const result = await index.lookup(parseQuery('walk'));
+ */
+class SearchIndex {
+
+    /** @type {import('./simple-database.js').SimpleDatabase} */
+    _database;
+
+    /** @type {string} */
+    _storeName;
+
+    /**
+     * @param {import('./simple-database.js').SimpleDatabase} database - Database that owns the store
+     * @param {string} storeName - Name of a declared, structured store for the index
+     * @throws {Error} If the store is not declared in the schema
+     */
+    constructor(database, storeName) {
+        this._database = database;
+        this._storeName = storeName;
+        database.store(storeName);
+    }
+
+    /**
+     * Underlying store, holding one `SearchEntry` per key
+     * @type {import('./simple-database.js').SimpleStore}
+     */
+    get _store() {
+        return this._database.store(this._storeName);
+    }
+
+    /**
+     * Build the entry for a text
+     * 
+     * @param {string} text - The text to index
+     * @returns {SearchEntry | null} The entry, or null if the text has no words
+     */
+    _entry(text) {
+        const terms = [...new Set(tokenise(text).map(token => token.word))].sort();
+        return terms.length ? { terms } : null;
+    }
+
+    /**
+     * Index the text saved under a key, replacing any earlier entry
+     * - Text without words removes the key from the index
+     * - Safe: Expected errors passed to result object
+     * 
+     * @param {string} key - Key the text belongs to eg. '2025-08-03'
+     * @param {string} text - The text to index
+     * @returns {Promise<{
+     *   success: boolean,
+     *   message?: string,
+     *   error?: Error
+     * }>} The result of the update attempt
+     */
+    async update(key, text) {
+        const entry = this._entry(text);
+        return entry ? this._store.save(key, entry) : this._store.delete(key);
+    }
+
+    /**
+     * Remove a key from the index
+     * - Safe: Expected errors passed to result object
+     * 
+     * @param {string} key - Key the text belonged to
+     * @returns {Promise<{
+     *   success: boolean,
+     *   message?: string,
+     *   error?: Error
+     * }>} The result of the remove attempt
+     */
+    async remove(key) {
+        return this._store.delete(key);
+    }
+
+    /**
+     * Queue an update in a transaction, so the index changes with the text
+     * 
+     * @param {import('./simple-database.js').SimpleBatch} tx - Batch passed to a `SimpleDatabase.transaction` callback
+     * @param {string} key - Key the text belongs to
+     * @param {string} text - The text to index
+     * @returns {void}
+     */
+    queue(tx, key, text) {
+        const entry = this._entry(text);
+        const batch = tx.store(this._storeName);
+        if (entry) {
+            batch.put(key, entry);
+        } else {
+            batch.delete(key);
+        }
+    }
+
+    /**
+     * Replace the whole index with entries for the given texts, in one transaction
+     * - Safe: Expected errors passed to result object
+     * 
+     * @param {Object.<string, string>} texts - Texts keyed by key
+     * @returns {Promise<{
+     *   success: boolean,
+     *   message?: string,
+     *   error?: Error
+     * }>} The result of the rebuild attempt
+     */
+    async rebuild(texts) {
+        const result = await this._database.transaction((tx) => {
+            tx.store(this._storeName).clear();
+            for (const [key, text] of Object.entries(texts)) {
+                this.queue(tx, key, text);
+            }
+        });
+        return result.success ? { success: true } : result;
+    }
+
+    /**
+     * Remove every key from the index
+     * - Safe: Expected errors passed to result object
+     * 
+     * @returns {Promise<{
+     *   success: boolean,
+     *   message?: string,
+     *   error?: Error
+     * }>} The result of the clear attempt
+     */
+    async clear() {
+        return this._store.clear();
+    }
+
+    /**
+     * Find keys whose text has every word of the query
+     * - Words outside phrases match as prefixes, words inside phrases match whole
+     * - Does not check phrase order, check each text with `findMatches` for that
+     * - Safe: Expected errors passed to result object
+     * 
+     * @param {SearchTerm[]} terms - Terms from `parseQuery`
+     * @returns {Promise<{
+     *   success: boolean,
+     *   data?: string[],
+     *   message?: string,
+     *   error?: Error
+     * }>} The result of the lookup attempt, with keys sorted newest first
+     */
+    async lookup(terms) {
+        /** @type {Set<string> | null} */
+        let keys = null;
+        for (const { words, phrase } of terms) {
+            for (const word of words) {
+                const result = await this._store.query('terms', phrase
+                    ? { only: word }
+                    : { from: word, to: `${word}\uffff` });
+                if (!result.success) {
+                    return result;
+                }
+                const found = Object.keys(result.data);
+                keys = new Set(keys ? found.filter(key => keys.has(key)) : found);
+                if (!keys.size) {
+                    return {
+                        success: true,
+                        data: []
+                    };
+                }
+            }
+        }
+        return {
+            success: true,
+            data: [...(keys ?? [])].sort().reverse()
+        };
+    }
+
+}
+
+// > ======================================================
+// > Exports
+// > ======================================================
+
+export { SearchIndex, parseQuery, findMatches }
@@ -1,7 +1,14 @@
 /**
- * Module that exports `SimpleDatabase`
+ * Module that exports `SimpleDatabase`, `SimpleStore` and `SimpleBatch`
  * - Simplified IndexedDB wrapper
- * - Only accepts string keys and values
+ * - Pluggable storage backends, see `storage-backends.js`
+ * - Multiple named object stores, each with a scoped handle
+ * - Atomic batches of writes across stores
+ * - Range, prefix and secondary index queries
+ * - Change subscriptions, shared across tabs via BroadcastChannel
+ * - Only accepts string keys
+ * - String values by default, structured values for stores that opt in
+ * - Declarative schema with numbered migrations
  * 
  * @module simple-database
  * @author Ben Scarletti
@@ -9,6 +16,12 @@
  * @license MIT
  */
 
+import { IndexedDBBackend } from './storage-backends.js';
+
+/** @typedef {import('./storage-backends.js').StorageBackend} StorageBackend */
+/** @typedef {import('./storage-backends.js').Connection} Connection */
+/** @typedef {import('./storage-backends.js').SchemaUpgrade} SchemaUpgrade */
+
 // < ======================================================
 // < Internal Functions
 // < ======================================================
@@ -28,651 +41,1432 @@ function validString(...args) {
     return true;
 }
 
+/**
+ * Evaluate argument to check it is a positive integer
+ * 
+ * @param {any} arg - The argument to evaluate
+ * @returns {boolean} True if argument is a positive integer
+ */
+function validVersion(arg) {
+    return Number.isInteger(arg) && arg > 0;
+}
+
+// < ======================================================
+// < Schema Type Definitions
+// < ======================================================
+
+/**
+ * Declaration of an index within an object store
+ * 
+ * @typedef {Object} IndexSchema
+ * @property {string | string[]} keyPath - Key path of the indexed value
+ * @property {boolean} [unique] - Whether indexed values must be unique
+ * @property {boolean} [multiEntry] - Whether array values index each entry
+ */
+
+/**
+ * Declaration of an object store within the database
+ * 
+ * @typedef {Object} StoreSchema
+ * @property {string | string[]} [keyPath] - In-line key path, omit for out-of-line keys
+ * @property {boolean} [autoIncrement] - Whether keys are generated automatically
+ * @property {Object.<string, IndexSchema>} [indexes] - Indexes keyed by index name
+ * @property {boolean} [structured] - Accept any structured-cloneable value, not just strings
+ * @property {(value: any) => true | string} [validate] - Structured value check, returns true or a failure message
+ */
+
+/**
+ * Declaration of the database layout and its upgrade path
+ * - Declared stores and indexes are created if missing during upgrade
+ * - Migrations are keyed by the version they upgrade to
+ * 
+ * @typedef {Object} DatabaseSchema
+ * @property {number} [version] - Database version, defaults to 1
+ * @property {Object.<string, StoreSchema>} [stores] - Stores keyed by store name
+ * @property {Object.<number, (upgrade: SchemaUpgrade) => void>} [migrations] - Migration functions
+ */
+
+/**
+ * Change announced to subscribers of a database
+ * 
+ * @typedef {Object} DatabaseChange
+ * @property {'put' | 'delete' | 'clear' | 'reopen'} type - Kind of change
+ * @property {string | null} storeName - Store that changed, null for `reopen`
+ * @property {string[]} keys - Keys that changed, empty for `clear` and `reopen`
+ * @property {boolean} remote - Whether the change was made in another tab
+ * @property {string} [message] - Failure message of a `reopen` that left the database closed
+ * @property {Error} [error] - Error of a `reopen` that left the database closed, if any
+ */
+
+/**
+ * Default schema, matching databases created before versioning
+ * @type {DatabaseSchema}
+ */
+const DEFAULT_SCHEMA = {
+    version: 1,
+    stores: {
+        default: {}
+    },
+    migrations: {}
+};
+
 // < ========================================================
-// < SimpleDatabase Class
+// < SimpleStore Class
 // < ========================================================
 
 /**
- * IndexedDB wrapper class for simple database operations
- * - Converts IndexedDB event-driven API into awaitable Promises
- * - Uses a fixed dbName and storeName for simplicity
- * - Only accepts strings for keys and values for simplicity
+ * Handle scoped to a single object store of a `SimpleDatabase`
+ * - Obtained via `SimpleDatabase.store(storeName)`
+ * - Shares the connection of its database, so stays valid across reopens
  * - Safe: Expected errors in methods passed to result objects
  * 
  * @example
- * const db = new SimpleDatabase(APP_NAME);
- * let result = await db.open();
- * if (result.success) {
- *     console.log('Database opened');
- * } else {
- *     console.error('Database failed to open:', result.message, result.error);
- * }
+ * const notes = db.store('notes');
+ * let result = await notes.save('2025-08-03', 'Hello');
  */
-class SimpleDatabase {
+class SimpleStore {
+
+    /** @type {SimpleDatabase} */
+    _database;
 
     /** @type {string} */
-    _dbName;
+    _storeName;
 
-    /** @type {string[]} */
-    _storeNames = ['default'];
+    /**
+     * @param {SimpleDatabase} database - Database that owns the store
+     * @param {string} storeName - Name of the object store
+     */
+    constructor(database, storeName) {
+        this._database = database;
+        this._storeName = storeName;
+    }
 
-    /** @type {string} */
-    _storeName = 'default';
+    /**
+     * Connection of the owning database
+     * @type {Connection | null}
+     */
+    get _db() {
+        return this._database._db;
+    }
 
-    /** @type {IDBDatabase | null} */
-    _db = null;
+    /**
+     * Declaration of this store from the database schema
+     * @type {StoreSchema}
+     */
+    get _schema() {
+        return this._database._stores[this._storeName];
+    }
 
     /**
-     * @param {string} dbName - Database name
+     * Validate a key and value against the rules of this store
+     * - String stores require non-empty string keys and values
+     * - Structured stores require a non-nullish value passing `validate`
+     * - Safe: Errors thrown by `validate` passed to the failure result
+     * 
+     * @param {string} key - The key to validate
+     * @param {any} value - The value to validate
+     * @returns {{ success: false, message: string, error?: Error } | null} Failure result, or null if valid
      */
-    constructor(dbName) {
-        if (!validString(dbName)) {
-            throw new Error(`Expected non-empty string for dbName`);
+    _validate(key, value) {
+        const { keyPath, structured = false, validate } = this._schema;
+        const failure = (message) => ({ success: false, message });
+        if (!structured) {
+            return validString(key, value) ? null : failure('Expected a non-empty string');
         }
-        this._dbName = dbName;
+        if (keyPath == null && !validString(key)) {
+            return failure('Expected a non-empty string key');
+        }
+        if (value == null) {
+            return failure('Expected a non-nullish value');
+        }
+        if (validate) {
+            let verdict;
+            try {
+                verdict = validate(value);
+            } catch (error) {
+                return {
+                    success: false,
+                    message: `Error in the validating process: ${error?.name}`,
+                    error
+                };
+            }
+            if (verdict !== true) {
+                return failure(typeof verdict === 'string' ? verdict : 'Value failed store validation');
+            }
+        }
+        return null;
     }
 
     /**
-     * Open and link IndexedDB database safely via Promise
-     * - Converts IndexedDB event-driven API into an awaitable Promise
-     * - If the database exists, it is returned and stored in the instance
-     * - If the database does not exist, creates it with given storeName
+     * Subscribe to changes made to this store, see `SimpleDatabase.subscribe`
+     * - Also receives `reopen` changes, which affect every store
+     * 
+     * @param {(change: DatabaseChange) => void} listener - Called for every change
+     * @returns {() => void} Function that removes the listener
+     */
+    subscribe(listener) {
+        return this._database.subscribe((change) => {
+            if (change.storeName === this._storeName || change.storeName === null) {
+                listener(change);
+            }
+        });
+    }
+
+    /**
+     * Save value to the linked object store safely via Promise
+     * - Key must be a string, ignored for stores with a `keyPath`
+     * - Value must be a string, unless the store is `structured`
      * - Safe: Expected errors passed to result object
      * 
+     * @param {string} key - The string key to store data at
+     * @param {any} value - The value to be saved
      * @returns {Promise<{
      *   success: boolean,
      *   message?: string,
      *   error?: Error
-     * }>} The result of the open attempt
+     * }>} The result of the save attempt
      */
-    open() {
+    async save(key, value) {
 
-        // Return all-resolve promise
-        return new Promise((resolve) => {
+        // Check that this._db is linked
+        if (!this._db) {
+            return {
+                success: false,
+                message: 'Database not currently linked'
+            };
+        }
 
-            // Check that this._db is already open
-            if (this._db) {
-                return resolve({
-                    success: true
-                });
-            }
+        // Validate required arguments
+        const invalid = this._validate(key, value);
+        if (invalid) {
+            return invalid;
+        }
 
-            // Generate event-driven request to open database
-            const request = indexedDB.open(this._dbName);
+        // Write via the backend, passing uncloneable value or invalid key error to result
+        let keys;
+        try {
+            keys = await this._db.batch([{ type: 'put', storeName: this._storeName, key, value }]);
+        } catch (error) {
+            return {
+                success: false,
+                message: `Error in the saving process: ${error?.name}`,
+                error
+            };
+        }
 
-            // Event that fires if the database does not exist
-            request.onupgradeneeded = (event) => {
+        // Notify subscribers once the write is committed
+        this._database._emit({
+            type: 'put',
+            storeName: this._storeName,
+            keys
+        });
 
-                /** @type {IDBDatabase} */
-                const db = event.target.result;
+        return {
+            success: true
+        };
 
-                // Create all object stores
-                this._storeNames.forEach(storeName => {
-                    if (!db.objectStoreNames.contains(storeName)) {
-                        db.createObjectStore(storeName);
-                    }
-                });
+    }
 
-                console.log(`Database created / upgraded: ${db.name} version ${db.version}`)
+    /**
+     * Load data from the linked object store safely via Promise
+     * - Key must be a string
+     * - Safe: Expected errors passed to result object
+     * 
+     * @param {string} key - The string key to retrieve data from
+     * @returns {Promise<{
+     *   success: boolean,
+     *   data?: any,
+     *   message?: string,
+     *   error?: Error
+     * }>} The result of the load attempt
+     */
+    async load(key) {
 
+        // Check that this._db is linked
+        if (!this._db) {
+            return {
+                success: false,
+                message: 'Database not currently linked'
             };
+        }
 
-            request.onsuccess = () => {
-
-                // Add valid IDBDatabase to this instance
-                this._db = request.result;
-
-                // Pass request success result to Promise resolve
-                resolve({
-                    success: true
-                });
-
+        // Validate required arguments
+        if (!validString(key)) {
+            return {
+                success: false,
+                message: 'Expected a non-empty string'
             };
+        }
 
-            request.onerror = () => {
-
-                // Pass request error result to Promise resolve
-                resolve({
-                    success: false,
-                    message: `Error in the opening process: ${request.error?.name}`,
-                    error: request.error
-                });
+        // Read via the backend, passing errors to result
+        let data;
+        try {
+            data = await this._db.get(this._storeName, key);
+        } catch (error) {
+            return {
+                success: false,
+                message: `Error in the loading process: ${error?.name}`,
+                error
+            };
+        }
 
+        if (data == null) {
+            return {
+                success: false,
+                message: `Data was nullish`
             };
+        }
 
-        });
+        return {
+            success: true,
+            data
+        };
 
     }
 
     /**
-     * Save string to the linked IndexedDB safely via Promise
-     * - Converts IndexedDB event-driven API into an awaitable Promise
-     * - Key and value must be strings
+     * Load all keys from the linked object store safely via Promise
+     * - Returns all keys from the store
      * - Safe: Expected errors passed to result object
      * 
-     * @param {string} key - The string key to store data at
-     * @param {string} value - The string to be saved
      * @returns {Promise<{
      *   success: boolean,
+     *   data?: string[],
      *   message?: string,
      *   error?: Error
-     * }>} The result of the save attempt
+     * }>} The result of the load attempt
      */
-    save(key, value) {
-
-        // Return all-resolve promise
-        return new Promise((resolve) => {
-
-            // Check that this._db is linked
-            if (!this._db) {
-                return resolve({
-                    success: false,
-                    message: 'Database not currently linked'
-                });
-            }
-
-            // Validate required arguments
-            if (!validString(key, value)) {
-                return resolve({
-                    success: false,
-                    message: 'Expected a non-empty string'
-                });
-            }
-
-            // Generate event-driven transaction and request
-            const transaction = this._db.transaction(this._storeNames, 'readwrite');
-            const store = transaction.objectStore(this._storeName);
-            const request = store.put(value, key);
-
-            request.onsuccess = () => {
-
-                // Pass request success result to Promise resolve
-                resolve({
-                    success: true
-                });
-
-            };
-
-            request.onerror = () => {
-
-                // Pass request error result to Promise resolve
-                resolve({
-                    success: false,
-                    message: `Error in the saving process: ${request.error?.name}`,
-                    error: request.error
-                });
+    async _loadAllKeys() {
 
+        // Check that this._db is linked
+        if (!this._db) {
+            return {
+                success: false,
+                message: 'Database not currently linked'
             };
+        }
 
-            transaction.onerror = () => {
-
-                // Pass transaction error result to Promise resolve
-                resolve({
-                    success: false,
-                    message: `Error in the saving process: ${transaction.error?.name}`,
-                    error: transaction.error
-                });
-
+        // Read via the backend, passing errors to result
+        try {
+            return {
+                success: true,
+                data: await this._db.getAllKeys(this._storeName)
             };
-
-            transaction.onabort = () => {
-
-                // Pass transaction abort result to Promise resolve
-                let error = new Error('Transaction aborted');
-                resolve({
-                    success: false,
-                    message: `Error in the saving process: ${error.name}`,
-                    error
-                });
-
+        } catch (error) {
+            return {
+                success: false,
+                message: `Error in the loading process: ${error?.name}`,
+                error
             };
+        }
 
-        });
     }
 
     /**
-     * Load data from the linked IndexedDB safely via Promise
-     * - Converts IndexedDB event-driven API into an awaitable Promise
-     * - Key and value must be a string
+     * Load all values from the linked object store safely via Promise
+     * - Returns all values from the store
      * - Safe: Expected errors passed to result object
      * 
-     * @param {string} key - The string key to retrieve data from
      * @returns {Promise<{
      *   success: boolean,
-     *   data?: string,
+     *   data?: string[],
      *   message?: string,
      *   error?: Error
      * }>} The result of the load attempt
      */
-    load(key) {
-
-        // Return all-resolve promise
-        return new Promise((resolve) => {
-
-            // Check that this._db is linked
-            if (!this._db) {
-                return resolve({
-                    success: false,
-                    message: 'Database not currently linked'
-                });
-            }
-
-            // Validate required arguments
-            if (!validString(key)) {
-                return resolve({
-                    success: false,
-                    message: 'Expected a non-empty string'
-                });
-            }
-
-            // Generate event-driven transaction and request
-            const transaction = this._db.transaction(this._storeNames, 'readonly');
-            const store = transaction.objectStore(this._storeName);
-            const request = store.get(key);
-
-            request.onsuccess = () => {
-
-                if (request.result != null) {
-
-                    // Pass request success result to Promise resolve
-                    resolve({
-                        success: true,
-                        data: request.result
-                    });
-
-                } else {
-
-                    // Pass request failure result to Promise resolve
-                    resolve({
-                        success: false,
-                        message: `Data was nullish`
-                    });
-
-                }
+    async _loadAllValues() {
 
+        // Check that this._db is linked
+        if (!this._db) {
+            return {
+                success: false,
+                message: 'Database not currently linked'
             };
+        }
 
-            request.onerror = () => {
-
-                // Pass request error result to Promise resolve
-                resolve({
-                    success: false,
-                    message: `Error in the loading process: ${request.error?.name}`,
-                    error: request.error
-                });
-
+        // Read via the backend, passing errors to result
+        try {
+            return {
+                success: true,
+                data: await this._db.getAll(this._storeName)
             };
+        } catch (error) {
+            return {
+                success: false,
+                message: `Error in the loading process: ${error?.name}`,
+                error
+            };
+        }
 
-            transaction.onerror = () => {
+    }
 
-                // Pass transaction error result to Promise resolve
-                resolve({
-                    success: false,
-                    message: `Error in the loading process: ${transaction.error?.name}`,
-                    error: transaction.error
-                });
+    /**
+     * Load all data from the linked object store safely via Promise
+     * - Returns an object with all key-value pairs from the store
+     * - Safe: Expected errors passed to result object
+     * 
+     * @returns {Promise<{
+     *   success: boolean,
+     *   data?: Record<string, any>,
+     *   message?: string,
+     *   error?: Error
+     * }>} The result of the load attempt
+     */
+    async loadAll() {
 
+        // Check that this._db is linked
+        if (!this._db) {
+            return {
+                success: false,
+                message: 'Database not currently linked'
             };
+        }
 
-            transaction.onabort = () => {
-
-                // Pass transaction abort result to Promise resolve
-                let error = new Error('Transaction aborted');
-                resolve({
-                    success: false,
-                    message: `Error in the loading process: ${error.name}`,
-                    error
-                });
-
+        // Read via the backend, passing errors to result
+        let entries;
+        try {
+            ({ entries } = await this._db.entries(this._storeName));
+        } catch (error) {
+            return {
+                success: false,
+                message: `Error in the loading process: ${error?.name}`,
+                error
             };
+        }
 
-        });
+        return {
+            success: true,
+            data: Object.fromEntries(entries)
+        };
 
     }
 
     /**
-     * Load all keys from the linked IndexedDB safely via Promise
-     * - Converts IndexedDB event-driven API into an awaitable Promise
-     * - Returns all keys from the database
+     * Load a range of data from the linked object store safely via Promise
+     * - Bounds are inclusive string keys, omit either for an open-ended range
+     * - Returns key-value pairs in key order, or reverse key order
+     * - If `limit` cuts the range short, `next` holds the key to pass as `after`
      * - Safe: Expected errors passed to result object
      * 
+     * @example
+     * let result = await notes.loadRange('2025-08-01', '2025-08-31', { limit: 10 });
+     * result = await notes.loadRange('2025-08-01', '2025-08-31', { limit: 10, after: result.next });
+     * 
+     * @param {string} [from] - Lowest key to include
+     * @param {string} [to] - Highest key to include
+     * @param {Object} [options] - Optional query settings
+     * @param {number} [options.limit] - Maximum number of entries to return
+     * @param {boolean} [options.reverse] - Iterate from highest key to lowest
+     * @param {string} [options.after] - Resume after this key, from a previous `next`
      * @returns {Promise<{
      *   success: boolean,
-     *   data?: string[],
+     *   data?: Record<string, any>,
+     *   next?: string,
      *   message?: string,
      *   error?: Error
      * }>} The result of the load attempt
      */
-    _loadAllKeys() {
+    async loadRange(from, to, { limit = Infinity, reverse = false, after } = {}) {
 
-        // Return all-resolve promise
-        return new Promise((resolve) => {
+        // Check that this._db is linked
+        if (!this._db) {
+            return {
+                success: false,
+                message: 'Database not currently linked'
+            };
+        }
 
-            // Check that this._db is linked
-            if (!this._db) {
-                return resolve({
+        // Validate optional arguments
+        for (const bound of [from, to, after]) {
+            if (bound != null && !validString(bound)) {
+                return {
                     success: false,
-                    message: 'Database not currently linked'
-                });
+                    message: 'Expected a non-empty string'
+                };
             }
-
-            // Generate event-driven transaction and request
-            const transaction = this._db.transaction(this._storeName, 'readonly');
-            const store = transaction.objectStore(this._storeName);
-            const request = store.getAllKeys();
-
-            request.onsuccess = () => {
-
-                if (request.result != null) {
-
-                    // Pass request success result to Promise resolve
-                    resolve({
-                        success: true,
-                        data: request.result
-                    });
-
-                } else {
-
-                    // Pass request failure result to Promise resolve
-                    resolve({
-                        success: false,
-                        message: `Data was nullish`
-                    });
-
-                }
-
+        }
+        if (!(limit > 0)) {
+            return {
+                success: false,
+                message: 'Expected a positive limit'
             };
+        }
 
-            request.onerror = () => {
-
-                // Pass request error result to Promise resolve
-                resolve({
-                    success: false,
-                    message: `Error in the loading process: ${request.error?.name}`,
-                    error: request.error
-                });
+        // Narrow the range to resume after a previous page
+        let lowerOpen = false;
+        let upperOpen = false;
+        if (after != null && !reverse) {
+            from = from != null && from > after ? from : after;
+            lowerOpen = from === after;
+        } else if (after != null && reverse) {
+            to = to != null && to < after ? to : after;
+            upperOpen = to === after;
+        }
 
+        // Read via the backend, passing invalid bounds error to result
+        let entries;
+        let more;
+        try {
+            const range = { lower: from ?? undefined, upper: to ?? undefined, lowerOpen, upperOpen };
+            ({ entries, more } = await this._db.entries(this._storeName, { range, reverse, limit }));
+        } catch (error) {
+            return {
+                success: false,
+                message: `Error in the loading process: ${error?.name}`,
+                error
             };
+        }
 
-            transaction.onerror = () => {
-
-                // Pass transaction error result to Promise resolve
-                resolve({
-                    success: false,
-                    message: `Error in the loading process: ${transaction.error?.name}`,
-                    error: transaction.error
-                });
-
+        // Pass data, and where to resume if cut short, to result
+        const data = Object.fromEntries(entries);
+        if (more) {
+            return {
+                success: true,
+                data,
+                next: entries[entries.length - 1][0]
             };
+        }
+        return {
+            success: true,
+            data
+        };
 
-            transaction.onabort = () => {
+    }
 
-                // Pass transaction abort result to Promise resolve
-                let error = new Error('Transaction aborted');
-                resolve({
-                    success: false,
-                    message: `Error in the loading process: ${error.name}`,
-                    error
-                });
+    /**
+     * Load all data with keys starting with a prefix, see `loadRange`
+     * - Useful for date keys, eg. '2025-08' for all of August 2025
+     * - Safe: Expected errors passed to result object
+     * 
+     * @param {string} prefix - Prefix shared by all keys to load
+     * @param {Parameters<SimpleStore['loadRange']>[2]} [options] - Optional query settings
+     * @returns {ReturnType<SimpleStore['loadRange']>} The result of the load attempt
+     */
+    async loadPrefix(prefix, options) {
 
+        // Validate required arguments
+        if (!validString(prefix)) {
+            return {
+                success: false,
+                message: 'Expected a non-empty string'
             };
+        }
 
-        });
+        // Highest code unit sorts after every key sharing the prefix
+        return this.loadRange(prefix, prefix + '\uffff', options);
 
     }
 
     /**
-     * Load all values from the linked IndexedDB safely via Promise
-     * - Converts IndexedDB event-driven API into an awaitable Promise
-     * - Returns all values from the database
+     * Load data by a secondary index of the linked object store safely via Promise
+     * - Index must be declared in the store schema
+     * - Pass `only` for an exact match, or inclusive `from` / `to` bounds
+     * - Returns key-value pairs keyed by primary key, in index order
      * - Safe: Expected errors passed to result object
      * 
+     * @example
+     * let result = await notes.query('pinned', { only: 1 });
+     * result = await notes.query('updated', { reverse: true, limit: 20 });
+     * 
+     * @param {string} indexName - Name of the index to query
+     * @param {Object} [range] - Optional range and query settings
+     * @param {IDBValidKey} [range.only] - Exact index value to match
+     * @param {IDBValidKey} [range.from] - Lowest index value to include
+     * @param {IDBValidKey} [range.to] - Highest index value to include
+     * @param {number} [range.limit] - Maximum number of entries to return
+     * @param {boolean} [range.reverse] - Iterate from highest index value to lowest
      * @returns {Promise<{
      *   success: boolean,
-     *   data?: string[],
+     *   data?: Record<string, any>,
      *   message?: string,
      *   error?: Error
-     * }>} The result of the load attempt
+     * }>} The result of the query attempt
      */
-    _loadAllValues() {
-
-        // Return all-resolve promise
-        return new Promise((resolve) => {
-
-            // Check that this._db is linked
-            if (!this._db) {
-                return resolve({
-                    success: false,
-                    message: 'Database not currently linked'
-                });
-            }
-
-            // Generate event-driven transaction and request
-            const transaction = this._db.transaction(this._storeName, 'readonly');
-            const store = transaction.objectStore(this._storeName);
-            const request = store.getAll();
-
-            request.onsuccess = () => {
-
-                if (request.result != null) {
-
-                    // Pass request success result to Promise resolve
-                    resolve({
-                        success: true,
-                        data: request.result
-                    });
-
-                } else {
-
-                    // Pass request failure result to Promise resolve
-                    resolve({
-                        success: false,
-                        message: `Data was nullish`
-                    });
-
-                }
+    async query(indexName, { only, from, to, limit = Infinity, reverse = false } = {}) {
 
+        // Check that this._db is linked
+        if (!this._db) {
+            return {
+                success: false,
+                message: 'Database not currently linked'
             };
+        }
 
-            request.onerror = () => {
-
-                // Pass request error result to Promise resolve
-                resolve({
-                    success: false,
-                    message: `Error in the loading process: ${request.error?.name}`,
-                    error: request.error
-                });
-
+        // Validate required arguments
+        if (!validString(indexName)) {
+            return {
+                success: false,
+                message: 'Expected a non-empty string'
             };
-
-            transaction.onerror = () => {
-
-                // Pass transaction error result to Promise resolve
-                resolve({
-                    success: false,
-                    message: `Error in the loading process: ${transaction.error?.name}`,
-                    error: transaction.error
-                });
-
+        }
+        if (!(limit > 0)) {
+            return {
+                success: false,
+                message: 'Expected a positive limit'
             };
+        }
 
-            transaction.onabort = () => {
-
-                // Pass transaction abort result to Promise resolve
-                let error = new Error('Transaction aborted');
-                resolve({
-                    success: false,
-                    message: `Error in the loading process: ${error.name}`,
-                    error
-                });
-
+        // Read via the backend, passing missing index or invalid range error to result
+        let entries;
+        try {
+            const range = only !== undefined ? { only } : { lower: from, upper: to };
+            ({ entries } = await this._db.entries(this._storeName, { index: indexName, range, reverse, limit }));
+        } catch (error) {
+            return {
+                success: false,
+                message: `Error in the querying process: ${error?.name}`,
+                error
             };
+        }
 
-        });
+        return {
+            success: true,
+            data: Object.fromEntries(entries)
+        };
 
     }
 
     /**
-     * Load all data from the linked IndexedDB safely via Promise
-     * - Converts IndexedDB event-driven API into an awaitable Promise
-     * - Returns an object with all key-value pairs from the database
+     * Delete a single key from the linked object store safely via Promise
+     * - Key must be a string
+     * - Deleting a key that does not exist still succeeds
      * - Safe: Expected errors passed to result object
      * 
+     * @param {string} key - The string key to delete
      * @returns {Promise<{
      *   success: boolean,
-     *   data?: Record<string, string>,
      *   message?: string,
      *   error?: Error
-     * }>} The result of the load attempt
+     * }>} The result of the delete attempt
      */
-    loadAll() {
+    async delete(key) {
 
-        // Return all-resolve promise
-        return new Promise((resolve) => {
-
-            // Check that this._db is linked
-            if (!this._db) {
-                return resolve({
-                    success: false,
-                    message: 'Database not currently linked'
-                });
-            }
+        // Check that this._db is linked
+        if (!this._db) {
+            return {
+                success: false,
+                message: 'Database not currently linked'
+            };
+        }
 
-            // Generate event-driven transaction and request
-            const transaction = this._db.transaction(this._storeName, 'readonly');
-            const store = transaction.objectStore(this._storeName);
-            const data = {};
-            const request = store.openCursor();
+        // Validate required arguments
+        if (!validString(key)) {
+            return {
+                success: false,
+                message: 'Expected a non-empty string'
+            };
+        }
 
-            request.onsuccess = (event) => {
+        // Write via the backend, passing errors to result
+        try {
+            await this._db.batch([{ type: 'delete', storeName: this._storeName, key }]);
+        } catch (error) {
+            return {
+                success: false,
+                message: `Error in the deleting process: ${error?.name}`,
+                error
+            };
+        }
 
-                const cursor = event.target.result;
+        // Notify subscribers once the delete is committed
+        this._database._emit({
+            type: 'delete',
+            storeName: this._storeName,
+            keys: [key]
+        });
 
-                if (cursor) {
+        return {
+            success: true
+        };
 
-                    // Add to the data and continue
-                    data[cursor.key] = cursor.value;
-                    cursor.continue();
+    }
 
-                } else {
+    /**
+     * Delete several keys from the linked object store safely via Promise
+     * - Keys must be strings
+     * - Uses a single transaction, so either all keys are deleted or none are
+     * - Safe: Expected errors passed to result object
+     * 
+     * @param {string[]} keys - The string keys to delete
+     * @returns {Promise<{
+     *   success: boolean,
+     *   message?: string,
+     *   error?: Error
+     * }>} The result of the delete attempt
+     */
+    async deleteMany(keys) {
 
-                    // Pass data to Promise resolve
-                    resolve({
-                        success: true,
-                        data
-                    });
+        // Check that this._db is linked
+        if (!this._db) {
+            return {
+                success: false,
+                message: 'Database not currently linked'
+            };
+        }
 
-                }
+        // Validate required arguments
+        if (!Array.isArray(keys) || !validString(...keys)) {
+            return {
+                success: false,
+                message: 'Expected an array of non-empty strings'
+            };
+        }
 
+        // Write via the backend, passing errors to result
+        try {
+            await this._db.batch(keys.map(key => ({ type: 'delete', storeName: this._storeName, key })));
+        } catch (error) {
+            return {
+                success: false,
+                message: `Error in the deleting process: ${error?.name}`,
+                error
             };
+        }
 
-            request.onerror = () => {
+        // Notify subscribers once the deletes are committed
+        this._database._emit({
+            type: 'delete',
+            storeName: this._storeName,
+            keys: [...keys]
+        });
 
-                // Pass request error result to Promise resolve
-                resolve({
-                    success: false,
-                    message: `Error in the loading process: ${request.error?.name}`,
-                    error: request.error
-                });
+        return {
+            success: true
+        };
 
-            };
+    }
 
-            transaction.onerror = () => {
+    /**
+     * Clear all data from the linked object store safely via Promise
+     * - Leaves the store itself, and other stores, in place
+     * - Safe: Expected errors passed to result object
+     * 
+     * @returns {Promise<{
+     *   success: boolean,
+     *   message?: string,
+     *   error?: Error
+     * }>} The result of the clear attempt
+     */
+    async clear() {
 
-                // Pass transaction error result to Promise resolve
-                resolve({
-                    success: false,
-                    message: `Error in the loading process: ${transaction.error?.name}`,
-                    error: transaction.error
-                });
+        // Check that this._db is linked
+        if (!this._db) {
+            return {
+                success: false,
+                message: 'Database not currently linked'
+            };
+        }
 
+        // Write via the backend, passing errors to result
+        try {
+            await this._db.batch([{ type: 'clear', storeName: this._storeName }]);
+        } catch (error) {
+            return {
+                success: false,
+                message: `Error in the clearing process: ${error?.name}`,
+                error
             };
+        }
 
-            transaction.onabort = () => {
+        // Notify subscribers once the clear is committed
+        this._database._emit({
+            type: 'clear',
+            storeName: this._storeName,
+            keys: []
+        });
 
-                // Pass transaction abort result to Promise resolve
-                let error = new Error('Transaction aborted');
-                resolve({
-                    success: false,
-                    message: `Error in the loading process: ${error.name}`,
-                    error
-                });
+        return {
+            success: true
+        };
+
+    }
 
+    /**
+     * Count entries in the linked object store safely via Promise
+     * - Safe: Expected errors passed to result object
+     * 
+     * @returns {Promise<{
+     *   success: boolean,
+     *   data?: number,
+     *   message?: string,
+     *   error?: Error
+     * }>} The result of the count attempt
+     */
+    async count() {
+
+        // Check that this._db is linked
+        if (!this._db) {
+            return {
+                success: false,
+                message: 'Database not currently linked'
             };
+        }
 
-        });
+        // Read via the backend, passing errors to result
+        try {
+            return {
+                success: true,
+                data: await this._db.count(this._storeName)
+            };
+        } catch (error) {
+            return {
+                success: false,
+                message: `Error in the counting process: ${error?.name}`,
+                error
+            };
+        }
 
     }
 
+}
+
+// < ========================================================
+// < SimpleBatch Class
+// < ========================================================
+
+/**
+ * Queue of write operations passed to `SimpleDatabase.transaction` callbacks
+ * - Operations are validated when queued, and written when the callback resolves
+ * - Methods target one store, use `store(storeName)` to target another
+ * - Throws on invalid arguments, which cancels the whole transaction
+ * 
+ * @example
+ * await db.transaction((tx) => {
+ *     tx.put('2025-08-03', note);
+ *     tx.store('settings').delete('theme');
+ * });
+ */
+class SimpleBatch {
+
+    /** @type {SimpleDatabase} */
+    _database;
+
+    /** @type {string} */
+    _storeName;
+
     /**
-     * Destroy the linked IndexedDB database
-     * - Sets `instance.db` to null
+     * Operations queued so far, shared by all batches of a transaction
+     * @type {{ type: 'put' | 'delete' | 'clear', storeName: string, key?: string, value?: any }[]}
+     */
+    _operations;
+
+    /**
+     * @param {SimpleDatabase} database - Database the transaction belongs to
+     * @param {string} storeName - Name of the store targeted by this batch
+     * @param {SimpleBatch['_operations']} [operations] - Queue shared with other batches
+     */
+    constructor(database, storeName, operations = []) {
+        this._database = database;
+        this._storeName = storeName;
+        this._operations = operations;
+    }
+
+    /**
+     * Get a batch targeting another declared store, sharing the same queue
+     * 
+     * @param {string} storeName - Name of a store declared in the schema
+     * @throws {Error} If the store is not declared in the schema
+     * @returns {SimpleBatch} Batch for the object store
+     */
+    store(storeName) {
+        this._database.store(storeName);
+        return new SimpleBatch(this._database, storeName, this._operations);
+    }
+
+    /**
+     * Queue a value to be saved, see `SimpleStore.save` for accepted values
+     * 
+     * @param {string} key - The string key to store data at
+     * @param {any} value - The value to be saved
+     * @throws {Error} If the key or value is invalid for the store
+     * @returns {SimpleBatch} This batch, for chaining
+     */
+    put(key, value) {
+        const invalid = this._database.store(this._storeName)._validate(key, value);
+        if (invalid) {
+            throw new Error(invalid.message, { cause: invalid.error });
+        }
+        this._operations.push({ type: 'put', storeName: this._storeName, key, value });
+        return this;
+    }
+
+    /**
+     * Queue a key to be deleted
+     * 
+     * @param {string} key - The string key to delete
+     * @throws {Error} If the key is invalid
+     * @returns {SimpleBatch} This batch, for chaining
+     */
+    delete(key) {
+        if (!validString(key)) {
+            throw new Error('Expected a non-empty string');
+        }
+        this._operations.push({ type: 'delete', storeName: this._storeName, key });
+        return this;
+    }
+
+    /**
+     * Queue all data in the store to be cleared
+     * 
+     * @returns {SimpleBatch} This batch, for chaining
+     */
+    clear() {
+        this._operations.push({ type: 'clear', storeName: this._storeName });
+        return this;
+    }
+
+}
+
+// < ========================================================
+// < SimpleDatabase Class
+// < ========================================================
+
+/**
+ * IndexedDB wrapper class for simple database operations
+ * - Converts IndexedDB event-driven API into awaitable Promises
+ * - Uses a fixed dbName, with stores declared by schema
+ * - Methods on the instance target the first declared store
+ * - Use `store(storeName)` for a handle scoped to another store
+ * - Only accepts strings for keys, and for values unless a store is `structured`
+ * - Safe: Expected errors in methods passed to result objects
+ * - Optional schema declares stores, indexes and numbered migrations
+ * - Data is kept in IndexedDB, unless another backend is passed in options
+ * 
+ * @example
+ * const db = new SimpleDatabase(APP_NAME, {
+ *     version: 2,
+ *     stores: { default: {}, settings: {} },
+ *     migrations: { 2: (upgrade) => upgrade.put('settings', 'theme', 'emerald') }
+ * });
+ * let result = await db.open();
+ * if (result.success) {
+ *     console.log('Database opened');
+ * } else {
+ *     console.error('Database failed to open:', result.message, result.error);
+ * }
+ * 
+ * @example
+ * const memoryDb = new SimpleDatabase(APP_NAME, SCHEMA, { backend: new MemoryBackend() });
+ */
+class SimpleDatabase {
+
+    /** @type {string} */
+    _dbName;
+
+    /** @type {number} */
+    _version;
+
+    /** @type {Object.<string, StoreSchema>} */
+    _stores;
+
+    /** @type {Object.<number, (upgrade: SchemaUpgrade) => void>} */
+    _migrations;
+
+    /** @type {string[]} */
+    _storeNames;
+
+    /** @type {string} Name of the default store, the first declared */
+    _storeName;
+
+    /** @type {Map<string, SimpleStore>} */
+    _handles = new Map();
+
+    /** @type {StorageBackend} */
+    _backend;
+
+    /** @type {Connection | null} */
+    _db = null;
+
+    /** @type {Set<(change: DatabaseChange) => void>} */
+    _listeners = new Set();
+
+    /** @type {BroadcastChannel | null} Channel shared with other tabs */
+    _channel = null;
+
+    /**
+     * @param {string} dbName - Database name
+     * @param {DatabaseSchema} [schema] - Database schema, defaults to a single `default` store
+     * @param {Object} [options] - Optional database settings
+     * @param {StorageBackend} [options.backend] - Where data is kept, defaults to IndexedDB
+     */
+    constructor(dbName, schema = DEFAULT_SCHEMA, { backend = new IndexedDBBackend() } = {}) {
+        if (!validString(dbName)) {
+            throw new Error(`Expected non-empty string for dbName`);
+        }
+        const {
+            version = 1,
+            stores = DEFAULT_SCHEMA.stores,
+            migrations = {}
+        } = schema;
+        if (!validVersion(version)) {
+            throw new Error(`Expected positive integer for schema version`);
+        }
+        const storeNames = Object.keys(stores);
+        if (storeNames.length === 0) {
+            throw new Error(`Expected at least one store in schema`);
+        }
+        for (const key of Object.keys(migrations)) {
+            const target = Number(key);
+            if (!validVersion(target) || target > version) {
+                throw new Error(`Invalid migration version ${key} for schema version ${version}`);
+            }
+        }
+        this._backend = backend;
+        this._dbName = dbName;
+        this._version = version;
+        this._stores = stores;
+        this._migrations = migrations;
+        this._storeNames = storeNames;
+        this._storeName = storeNames[0];
+    }
+
+    /**
+     * Open and link the database safely via Promise
+     * - If the database exists, it is returned and stored in the instance
+     * - If the database is new or outdated, declared stores and indexes are created
+     * - Migrations newer than the stored version then run in ascending order
      * - Safe: Expected errors passed to result object
      * 
      * @returns {Promise<{
      *   success: boolean,
      *   message?: string,
      *   error?: Error
-     * }>} The result of the destroy attempt
+     * }>} The result of the open attempt
      */
-    _destroy() {
+    async open() {
 
-        // Return all-resolve promise
-        return new Promise((resolve) => {
+        // Check that this._db is already open
+        if (this._db) {
+            return {
+                success: true
+            };
+        }
 
-            // Check that this._db is linked
-            if (!this._db) {
-                return resolve({
+        // Open via the backend, which calls back if the database is new or outdated
+        /** @type {SchemaUpgrade | null} */
+        let upgrade = null;
+        try {
+            this._db = await this._backend.open(this._dbName, this._version, (created) => {
+                upgrade = created;
+                this._upgrade(upgrade);
+            });
+        } catch (error) {
+
+            // Pass migration error to result
+            if (upgrade?.error) {
+                return {
                     success: false,
-                    message: 'Database not currently linked'
-                });
+                    message: `Error in the migration process: ${upgrade.error.name}`,
+                    error: upgrade.error
+                };
             }
 
-            // Close the database
-            this._close();
-
-            // Generate event-driven request
-            const request = indexedDB.deleteDatabase(this._dbName);
+            // Pass open error to result
+            return {
+                success: false,
+                message: `Error in the opening process: ${error?.name}`,
+                error
+            };
 
-            request.onsuccess = () => {
+        }
 
-                // Pass request success result to Promise resolve
-                resolve({
-                    success: true
-                });
+        // Close cleanly when another tab upgrades or deletes the database
+        this._db.onversionchange = (version) => this._reopen(version);
 
+        // Listen for changes made in other tabs
+        if (!this._channel && typeof BroadcastChannel !== 'undefined') {
+            this._channel = new BroadcastChannel(`simple-database:${this._dbName}`);
+            this._channel.onmessage = (event) => {
+                this._notify({ ...event.data, remote: true });
             };
+        }
 
-            request.onblocked = () => {
+        return {
+            success: true
+        };
 
-                // Pass request error result to Promise resolve
-                const error = new Error("Deletion blocked, other tabs may be accessing data");
-                resolve({
-                    success: false,
-                    message: `Error in the deletion process: ${error.name}`,
-                    error
-                });
+    }
+
+    /**
+     * Create declared stores and run pending migrations during an upgrade
+     * - Migrations queue their work synchronously, so each waits for the last via `whenIdle`
+     * 
+     * @param {SchemaUpgrade} upgrade - Upgrade helper from the backend
+     * @returns {void}
+     */
+    _upgrade(upgrade) {
+
+        // Create all declared object stores and indexes
+        for (const [storeName, storeSchema] of Object.entries(this._stores)) {
+            upgrade.createStore(storeName, storeSchema);
+        }
+
+        // Gather migrations newer than the stored version, in order
+        const versions = Object.keys(this._migrations)
+            .map(Number)
+            .filter(version => version > upgrade.oldVersion)
+            .sort((a, b) => a - b);
+
+        // Run each migration once work from the previous has finished
+        const runNext = () => {
+            const version = versions.shift();
+            if (version === undefined) return;
+            upgrade.version = version;
+            try {
+                this._migrations[version](upgrade);
+            } catch (error) {
+                upgrade.abort(error);
+                return;
+            }
+            upgrade.whenIdle(runNext);
+        };
+        runNext();
+
+        console.log(`Database created / upgraded: ${this._dbName} version ${upgrade.oldVersion} to ${this._version}`)
+
+    }
+
+    /**
+     * Get a handle scoped to a declared object store
+     * - Handles are cached, so repeated calls return the same handle
+     * 
+     * @param {string} storeName - Name of a store declared in the schema
+     * @throws {Error} If the store is not declared in the schema
+     * @returns {SimpleStore} Handle for the object store
+     */
+    store(storeName) {
+        if (!this._storeNames.includes(storeName)) {
+            throw new Error(`Store "${storeName}" is not declared in the schema`);
+        }
+        let handle = this._handles.get(storeName);
+        if (!handle) {
+            handle = new SimpleStore(this, storeName);
+            this._handles.set(storeName, handle);
+        }
+        return handle;
+    }
+
+    /**
+     * Save value to the default store, see `SimpleStore.save`
+     * 
+     * @param {string} key - The string key to store data at
+     * @param {any} value - The value to be saved
+     * @returns {ReturnType<SimpleStore['save']>} The result of the save attempt
+     */
+    save(key, value) {
+        return this.store(this._storeName).save(key, value);
+    }
+
+    /**
+     * Load data from the default store, see `SimpleStore.load`
+     * 
+     * @param {string} key - The string key to retrieve data from
+     * @returns {ReturnType<SimpleStore['load']>} The result of the load attempt
+     */
+    load(key) {
+        return this.store(this._storeName).load(key);
+    }
+
+    /**
+     * Load all keys from the default store, see `SimpleStore._loadAllKeys`
+     * 
+     * @returns {ReturnType<SimpleStore['_loadAllKeys']>} The result of the load attempt
+     */
+    _loadAllKeys() {
+        return this.store(this._storeName)._loadAllKeys();
+    }
+
+    /**
+     * Load all values from the default store, see `SimpleStore._loadAllValues`
+     * 
+     * @returns {ReturnType<SimpleStore['_loadAllValues']>} The result of the load attempt
+     */
+    _loadAllValues() {
+        return this.store(this._storeName)._loadAllValues();
+    }
+
+    /**
+     * Load all data from the default store, see `SimpleStore.loadAll`
+     * 
+     * @returns {ReturnType<SimpleStore['loadAll']>} The result of the load attempt
+     */
+    loadAll() {
+        return this.store(this._storeName).loadAll();
+    }
+
+    /**
+     * Load a range of data from the default store, see `SimpleStore.loadRange`
+     * 
+     * @param {string} [from] - Lowest key to include
+     * @param {string} [to] - Highest key to include
+     * @param {Parameters<SimpleStore['loadRange']>[2]} [options] - Optional query settings
+     * @returns {ReturnType<SimpleStore['loadRange']>} The result of the load attempt
+     */
+    loadRange(from, to, options) {
+        return this.store(this._storeName).loadRange(from, to, options);
+    }
+
+    /**
+     * Load data by key prefix from the default store, see `SimpleStore.loadPrefix`
+     * 
+     * @param {string} prefix - Prefix shared by all keys to load
+     * @param {Parameters<SimpleStore['loadRange']>[2]} [options] - Optional query settings
+     * @returns {ReturnType<SimpleStore['loadPrefix']>} The result of the load attempt
+     */
+    loadPrefix(prefix, options) {
+        return this.store(this._storeName).loadPrefix(prefix, options);
+    }
+
+    /**
+     * Load data by a secondary index of the default store, see `SimpleStore.query`
+     * 
+     * @param {string} indexName - Name of the index to query
+     * @param {Parameters<SimpleStore['query']>[1]} [range] - Optional range and query settings
+     * @returns {ReturnType<SimpleStore['query']>} The result of the query attempt
+     */
+    query(indexName, range) {
+        return this.store(this._storeName).query(indexName, range);
+    }
+
+    /**
+     * Delete a single key from the default store, see `SimpleStore.delete`
+     * 
+     * @param {string} key - The string key to delete
+     * @returns {ReturnType<SimpleStore['delete']>} The result of the delete attempt
+     */
+    delete(key) {
+        return this.store(this._storeName).delete(key);
+    }
+
+    /**
+     * Delete several keys from the default store, see `SimpleStore.deleteMany`
+     * 
+     * @param {string[]} keys - The string keys to delete
+     * @returns {ReturnType<SimpleStore['deleteMany']>} The result of the delete attempt
+     */
+    deleteMany(keys) {
+        return this.store(this._storeName).deleteMany(keys);
+    }
 
+    /**
+     * Clear all data from the default store, see `SimpleStore.clear`
+     * 
+     * @returns {ReturnType<SimpleStore['clear']>} The result of the clear attempt
+     */
+    clear() {
+        return this.store(this._storeName).clear();
+    }
+
+    /**
+     * Count entries in the default store, see `SimpleStore.count`
+     * 
+     * @returns {ReturnType<SimpleStore['count']>} The result of the count attempt
+     */
+    count() {
+        return this.store(this._storeName).count();
+    }
+
+    /**
+     * Run several writes as one atomic transaction safely via Promise
+     * - Callback queues writes on the given `SimpleBatch`, and may be async
+     * - Writes only start once the callback resolves, so reads in the callback see prior data
+     * - All queued writes are committed together, or none are
+     * - Nothing is written if the callback throws or rejects
+     * - Safe: Expected errors passed to result object
+     * 
+     * @template T
+     * @param {(tx: SimpleBatch) => T | Promise<T>} callback - Function that queues writes
+     * @returns {Promise<{
+     *   success: boolean,
+     *   data?: T,
+     *   message?: string,
+     *   error?: Error
+     * }>} The result of the transaction attempt, with the callback return value as data
+     */
+    async transaction(callback) {
+
+        // Check that this._db is linked
+        if (!this._db) {
+            return {
+                success: false,
+                message: 'Database not currently linked'
             };
+        }
 
-            request.onerror = () => {
+        // Gather queued operations from the callback
+        const batch = new SimpleBatch(this, this._storeName);
+        let data;
+        try {
+            data = await callback(batch);
+        } catch (error) {
+            return {
+                success: false,
+                message: `Error in the batch callback: ${error.message}`,
+                error
+            };
+        }
 
-                // Pass request error result to Promise resolve
-                resolve({
-                    success: false,
-                    message: `Error in the deletion process: ${request.error?.name}`,
-                    error: request.error
-                });
+        // Pass success result if there is nothing to write
+        const operations = batch._operations;
+        if (operations.length === 0) {
+            return {
+                success: true,
+                data
+            };
+        }
 
+        // Check that this._db is still linked after the callback
+        if (!this._db) {
+            return {
+                success: false,
+                message: 'Database not currently linked'
             };
+        }
 
+        // Write via the backend, passing uncloneable value or invalid key error to result
+        let keys;
+        try {
+            keys = await this._db.batch(operations);
+        } catch (error) {
+            return {
+                success: false,
+                message: `Error in the batch process: ${error?.name}`,
+                error
+            };
+        }
+
+        // Notify subscribers once all writes are committed
+        operations.forEach(({ type, storeName, key }, i) => {
+            const changed = type === 'put' ? [keys[i]] : type === 'delete' ? [key] : [];
+            this._emit({ type, storeName, keys: changed });
         });
 
+        return {
+            success: true,
+            data
+        };
+
     }
 
     /**
-     * Reset the linked IndexedDB 
-     * - Destroys and then creates a blank IndexedDB
+     * Subscribe to changes made to the database
+     * - Receives committed writes from this instance, and from other tabs
+     * - Receives a `reopen` change after reconnecting, when all data may have changed, with a `message` if reconnecting failed
+     * 
+     * @example
+     * const unsubscribe = db.subscribe((change) => {
+     *     if (change.remote) console.log(change.type, change.keys);
+     * });
+     * 
+     * @param {(change: DatabaseChange) => void} listener - Called for every change
+     * @returns {() => void} Function that removes the listener
+     */
+    subscribe(listener) {
+        this._listeners.add(listener);
+        return () => this._listeners.delete(listener);
+    }
+
+    /**
+     * Notify local subscribers of a change, and broadcast it to other tabs
+     * 
+     * @param {Omit<DatabaseChange, 'remote'>} change - The change to announce
+     * @param {boolean} [broadcast] - Whether to send the change to other tabs
+     * @returns {void}
+     */
+    _emit(change, broadcast = true) {
+        this._notify({ ...change, remote: false });
+        if (broadcast) {
+            this._channel?.postMessage(change);
+        }
+    }
+
+    /**
+     * Call every subscriber with a change, isolating listener errors
+     * 
+     * @param {DatabaseChange} change - The change to pass on
+     * @returns {void}
+     */
+    _notify(change) {
+        for (const listener of this._listeners) {
+            try {
+                listener(change);
+            } catch (error) {
+                console.error('Database change listener failed:', error);
+            }
+        }
+    }
+
+    /**
+     * Close the connection and reopen it, after another tab upgrades or deletes the database
+     * - Reopening waits for the other tab to finish, then notifies subscribers
+     * - Stays closed if the database was deleted, rather than creating it again
+     * - Notifies subscribers of a `reopen` with a `message` if the database stays closed, eg. after an upgrade to a newer version
+     * 
+     * @param {number | null} version - The new version, or null if the database was deleted
+     * @returns {Promise<void>}
+     */
+    async _reopen(version) {
+        this._close();
+        const result = version === null
+            ? { success: false, message: 'Database was deleted in another tab' }
+            : await this.open();
+        if (result.success) {
+            this._emit({ type: 'reopen', storeName: null, keys: [] }, false);
+            return;
+        }
+        console.warn('Database failed to reopen:', result.message, result.error);
+        const change = { type: 'reopen', storeName: null, keys: [], message: result.message };
+        if (result.error) {
+            change.error = result.error;
+        }
+        this._emit(change, false);
+    }
+
+    /**
+     * Destroy the linked database
+     * - Sets `instance.db` to null
+     * - Other tabs close their connections, and stay closed
+     * - Safe: Expected errors passed to result object
+     * 
+     * @returns {Promise<{
+     *   success: boolean,
+     *   message?: string,
+     *   error?: Error
+     * }>} The result of the destroy attempt
+     */
+    async _destroy() {
+
+        // Check that this._db is linked
+        if (!this._db) {
+            return {
+                success: false,
+                message: 'Database not currently linked'
+            };
+        }
+
+        // Close the database
+        this._close();
+
+        // Delete via the backend, passing blocked or request error to result
+        try {
+            await this._backend.destroy(this._dbName);
+        } catch (error) {
+            return {
+                success: false,
+                message: `Error in the deletion process: ${error?.name}`,
+                error
+            };
+        }
+
+        return {
+            success: true
+        };
+
+    }
+
+    /**
+     * Reset the linked database 
+     * - Destroys and then creates a blank database
      * 
      * @returns {Promise<{
      *   success: boolean,
@@ -701,7 +1495,7 @@ class SimpleDatabase {
     }
 
     /**
-     * Close the linked IndexedDB database connection
+     * Close the linked database connection
      * - Synchronous, and not prone to error
      * - Closes the database connection if it exists
      * - Sets `instance.db` to null
@@ -716,6 +1510,12 @@ class SimpleDatabase {
             this._db = null;
         }
 
+        // Stop listening for changes made in other tabs
+        if (this._channel) {
+            this._channel.close();
+            this._channel = null;
+        }
+
     }
 
 }
@@ -724,4 +1524,4 @@ class SimpleDatabase {
 // > Exports
 // > ======================================================
 
-export { SimpleDatabase }
\ No newline at end of file
+export { SimpleDatabase, SimpleStore, SimpleBatch }
\ No newline at end of file
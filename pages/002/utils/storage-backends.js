@@ -0,0 +1,1418 @@
+/**
+ * Module that exports storage backends for `SimpleDatabase`
+ * - `IndexedDBBackend` stores data in the browser via IndexedDB
+ * - `MemoryBackend` stores data in memory, for tests and Node
+ * - `LocalStorageBackend` stores data in localStorage, where IndexedDB is disabled
+ * - Backends reject with errors, `SimpleDatabase` converts them to result objects
+ * 
+ * @module storage-backends
+ * @author Ben Scarletti
+ * @see {@link https://github.com/scarletti-ben}
+ * @license MIT
+ */
+
+// < ======================================================
+// < Backend Type Definitions
+// < ======================================================
+
+/**
+ * Range of keys, inclusive unless marked open
+ * - Pass `only` for a single key, or either bound for an open-ended range
+ * 
+ * @typedef {Object} KeyRange
+ * @property {IDBValidKey} [only] - Single key to match
+ * @property {IDBValidKey} [lower] - Lowest key to include
+ * @property {IDBValidKey} [upper] - Highest key to include
+ * @property {boolean} [lowerOpen] - Whether to exclude the lower bound itself
+ * @property {boolean} [upperOpen] - Whether to exclude the upper bound itself
+ */
+
+/**
+ * Settings for iterating entries of a store
+ * 
+ * @typedef {Object} EntryOptions
+ * @property {KeyRange} [range] - Range of keys, or index values, to include
+ * @property {string} [index] - Name of an index to iterate instead of primary keys
+ * @property {boolean} [reverse] - Iterate from highest key to lowest
+ * @property {number} [limit] - Maximum number of distinct primary keys to return
+ */
+
+/**
+ * Write operation applied by `batch`
+ * 
+ * @typedef {Object} Operation
+ * @property {'put' | 'delete' | 'clear'} type - Kind of write
+ * @property {string} storeName - Store to write to
+ * @property {IDBValidKey} [key] - Key to write, omitted for in-line keys and `clear`
+ * @property {any} [value] - Value to write, only for `put`
+ */
+
+/**
+ * Open connection to a database, returned by a backend
+ * - Every method returns a Promise that rejects with an `Error` on failure
+ * 
+ * @typedef {Object} Connection
+ * @property {(storeName: string, key: IDBValidKey) => Promise<any>} get - Load one value, `undefined` if missing
+ * @property {(storeName: string) => Promise<IDBValidKey[]>} getAllKeys - Load all keys in order
+ * @property {(storeName: string) => Promise<any[]>} getAll - Load all values in key order
+ * @property {(storeName: string, options?: EntryOptions) => Promise<{ entries: [IDBValidKey, any][], more: boolean }>} entries - Load key-value pairs
+ * @property {(storeName: string) => Promise<number>} count - Count entries
+ * @property {(operations: Operation[]) => Promise<(IDBValidKey | undefined)[]>} batch - Apply writes atomically, returning keys of puts
+ * @property {() => void} close - Close the connection
+ * @property {((version: number | null) => void) | null} onversionchange - Called with the new version when another connection upgrades the database, or null when it deletes it
+ */
+
+/**
+ * Storage backend used by `SimpleDatabase`
+ * - `open` calls `onUpgrade` when the database is new or outdated
+ * 
+ * @typedef {Object} StorageBackend
+ * @property {(name: string, version: number, onUpgrade: (upgrade: SchemaUpgrade) => void) => Promise<Connection>} open - Open a connection
+ * @property {(name: string) => Promise<void>} destroy - Delete a database and all of its data
+ */
+
+/**
+ * Helper passed to migrations, implemented by each backend
+ * 
+ * @typedef {IndexedDBUpgrade | MemoryUpgrade} SchemaUpgrade
+ */
+
+/**
+ * Milliseconds to wait for other tabs to close before deletion fails
+ * @type {number}
+ */
+const BLOCKED_TIMEOUT = 3000;
+
+// < ======================================================
+// < Internal Functions
+// < ======================================================
+
+/**
+ * Create an error matching those thrown by IndexedDB
+ * 
+ * @param {string} name - Error name eg. 'DataError'
+ * @param {string} message - Description of the error
+ * @returns {Error} The error
+ */
+function createError(name, message) {
+    return new DOMException(message, name);
+}
+
+/**
+ * Get the type rank of a key, following IndexedDB key ordering
+ * - Numbers sort before Dates, Dates before strings, strings before arrays
+ * 
+ * @param {any} key - The key to rank
+ * @throws {Error} If the key is not a valid key
+ * @returns {number} The rank of the key type
+ */
+function keyRank(key) {
+    if (typeof key === 'number' && !Number.isNaN(key)) return 1;
+    if (key instanceof Date && !Number.isNaN(key.getTime())) return 2;
+    if (typeof key === 'string') return 3;
+    if (Array.isArray(key)) return 4;
+    throw createError('DataError', 'The parameter is not a valid key');
+}
+
+/**
+ * Compare two keys, following IndexedDB key ordering
+ * 
+ * @param {IDBValidKey} a - The first key
+ * @param {IDBValidKey} b - The second key
+ * @throws {Error} If either key is not a valid key
+ * @returns {number} Negative if a sorts first, positive if b sorts first, 0 if equal
+ */
+function compareKeys(a, b) {
+    const rankA = keyRank(a);
+    const rankB = keyRank(b);
+    if (rankA !== rankB) return rankA - rankB;
+    if (rankA === 4) {
+        for (let i = 0; i < Math.min(a.length, b.length); i++) {
+            const order = compareKeys(a[i], b[i]);
+            if (order !== 0) return order;
+        }
+        return a.length - b.length;
+    }
+    const valueA = rankA === 2 ? a.getTime() : a;
+    const valueB = rankB === 2 ? b.getTime() : b;
+    return valueA < valueB ? -1 : valueA > valueB ? 1 : 0;
+}
+
+/**
+ * Check whether a value is a valid key
+ * 
+ * @param {any} key - The value to check
+ * @returns {boolean} True if the value is a valid key
+ */
+function isValidKey(key) {
+    try {
+        keyRank(key);
+        return Array.isArray(key) ? key.every(isValidKey) : true;
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Check whether a key is within a range
+ * 
+ * @param {IDBValidKey} key - The key to check
+ * @param {KeyRange} [range] - The range to check against, all keys if omitted
+ * @returns {boolean} True if the key is within the range
+ */
+function inRange(key, range) {
+    if (!range) return true;
+    if (range.only !== undefined) return compareKeys(key, range.only) === 0;
+    if (range.lower !== undefined) {
+        const order = compareKeys(key, range.lower);
+        if (order < 0 || (order === 0 && range.lowerOpen)) return false;
+    }
+    if (range.upper !== undefined) {
+        const order = compareKeys(key, range.upper);
+        if (order > 0 || (order === 0 && range.upperOpen)) return false;
+    }
+    return true;
+}
+
+/**
+ * Validate a range, throwing like `IDBKeyRange` for invalid bounds
+ * 
+ * @param {KeyRange} [range] - The range to validate
+ * @throws {Error} If a bound is not a valid key, or lower is above upper
+ * @returns {void}
+ */
+function validateRange(range) {
+    if (!range) return;
+    for (const bound of [range.only, range.lower, range.upper]) {
+        if (bound !== undefined && !isValidKey(bound)) {
+            throw createError('DataError', 'The parameter is not a valid key');
+        }
+    }
+    if (range.lower !== undefined && range.upper !== undefined) {
+        const order = compareKeys(range.lower, range.upper);
+        if (order > 0 || (order === 0 && (range.lowerOpen || range.upperOpen))) {
+            throw createError('DataError', 'The lower key is greater than the upper key');
+        }
+    }
+}
+
+/**
+ * Evaluate a key path against a value
+ * - Supports dotted paths eg. 'meta.updated', and arrays of paths
+ * 
+ * @param {any} value - The value to read from
+ * @param {string | string[]} keyPath - The key path to evaluate
+ * @returns {any} The value at the key path, `undefined` if missing
+ */
+function evaluateKeyPath(value, keyPath) {
+    if (Array.isArray(keyPath)) {
+        return keyPath.map(path => evaluateKeyPath(value, path));
+    }
+    if (keyPath === '') return value;
+    let current = value;
+    for (const part of keyPath.split('.')) {
+        if (current == null || typeof current !== 'object') return undefined;
+        current = current[part];
+    }
+    return current;
+}
+
+/**
+ * Convert a backend-neutral range into an `IDBKeyRange`
+ * 
+ * @param {KeyRange} [range] - The range to convert
+ * @throws {Error} If the range bounds are invalid
+ * @returns {IDBKeyRange | undefined} The key range, or `undefined` for all keys
+ */
+function toKeyRange(range) {
+    if (!range) return undefined;
+    const { only, lower, upper, lowerOpen = false, upperOpen = false } = range;
+    if (only !== undefined) return IDBKeyRange.only(only);
+    if (lower !== undefined && upper !== undefined) return IDBKeyRange.bound(lower, upper, lowerOpen, upperOpen);
+    if (lower !== undefined) return IDBKeyRange.lowerBound(lower, lowerOpen);
+    if (upper !== undefined) return IDBKeyRange.upperBound(upper, upperOpen);
+    return undefined;
+}
+
+// < ======================================================
+// < IndexedDBUpgrade Class
+// < ======================================================
+
+/**
+ * Helper passed to migration functions during an IndexedDB upgrade
+ * - Wraps the `versionchange` transaction of an upgrade
+ * - Migrations must queue their work synchronously, without `await`
+ * - Each migration only runs after work queued by the previous one has finished
+ * 
+ * @example
+ * migrations: {
+ *     2: (upgrade) => {
+ *         upgrade.createStore('notes');
+ *         upgrade.each('default', (value, key) => {
+ *             upgrade.put('notes', key, value);
+ *         });
+ *     }
+ * }
+ */
+class IndexedDBUpgrade {
+
+    /** @type {IDBDatabase} */
+    db;
+
+    /** @type {IDBTransaction} */
+    transaction;
+
+    /** @type {number} Version the database is upgrading from, 0 if new */
+    oldVersion;
+
+    /** @type {number} Version the current migration upgrades to */
+    version;
+
+    /** @type {Error | null} Error that aborted the upgrade, if any */
+    error = null;
+
+    /** @type {number} Number of requests still in progress */
+    _pending = 0;
+
+    /** @type {(() => void)[]} Callbacks waiting for requests to finish */
+    _idleCallbacks = [];
+
+    /**
+     * @param {IDBDatabase} db - Database being upgraded
+     * @param {IDBTransaction} transaction - The `versionchange` transaction
+     * @param {number} oldVersion - Version the database is upgrading from
+     */
+    constructor(db, transaction, oldVersion) {
+        this.db = db;
+        this.transaction = transaction;
+        this.oldVersion = oldVersion;
+        this.version = oldVersion;
+    }
+
+    /**
+     * Check whether an object store exists in the database
+     * 
+     * @param {string} storeName - Name of the store to check
+     * @returns {boolean} True if the store exists
+     */
+    hasStore(storeName) {
+        return this.db.objectStoreNames.contains(storeName);
+    }
+
+    /**
+     * Create an object store, along with any declared indexes
+     * - Does nothing if the store already exists
+     * 
+     * @param {string} storeName - Name of the store to create
+     * @param {import('./simple-database.js').StoreSchema} [storeSchema] - Declaration of the store
+     * @returns {void}
+     */
+    createStore(storeName, storeSchema = {}) {
+        const { keyPath, autoIncrement, indexes = {} } = storeSchema;
+        if (!this.hasStore(storeName)) {
+            const options = {};
+            if (keyPath != null) options.keyPath = keyPath;
+            if (autoIncrement) options.autoIncrement = true;
+            this.db.createObjectStore(storeName, options);
+        }
+        for (const [indexName, indexSchema] of Object.entries(indexes)) {
+            this.createIndex(storeName, indexName, indexSchema);
+        }
+    }
+
+    /**
+     * Delete an object store, and all of its data
+     * - Does nothing if the store does not exist
+     * 
+     * @param {string} storeName - Name of the store to delete
+     * @returns {void}
+     */
+    deleteStore(storeName) {
+        if (this.hasStore(storeName)) {
+            this.db.deleteObjectStore(storeName);
+        }
+    }
+
+    /**
+     * Create an index on an existing object store
+     * - Does nothing if the index already exists
+     * 
+     * @param {string} storeName - Name of the store to index
+     * @param {string} indexName - Name of the index to create
+     * @param {import('./simple-database.js').IndexSchema} indexSchema - Declaration of the index
+     * @returns {void}
+     */
+    createIndex(storeName, indexName, indexSchema) {
+        const { keyPath, unique = false, multiEntry = false } = indexSchema;
+        const store = this.transaction.objectStore(storeName);
+        if (!store.indexNames.contains(indexName)) {
+            store.createIndex(indexName, keyPath, { unique, multiEntry });
+        }
+    }
+
+    /**
+     * Delete an index from an existing object store
+     * - Does nothing if the index does not exist
+     * 
+     * @param {string} storeName - Name of the indexed store
+     * @param {string} indexName - Name of the index to delete
+     * @returns {void}
+     */
+    deleteIndex(storeName, indexName) {
+        const store = this.transaction.objectStore(storeName);
+        if (store.indexNames.contains(indexName)) {
+            store.deleteIndex(indexName);
+        }
+    }
+
+    /**
+     * Put a value into an object store
+     * 
+     * @param {string} storeName - Name of the store to write to
+     * @param {IDBValidKey | undefined} key - Key for the value, `undefined` for in-line keys
+     * @param {any} value - The value to write
+     * @returns {void}
+     */
+    put(storeName, key, value) {
+        const store = this.transaction.objectStore(storeName);
+        const request = store.keyPath === null ? store.put(value, key) : store.put(value);
+        this._track(request);
+    }
+
+    /**
+     * Delete a value from an object store
+     * 
+     * @param {string} storeName - Name of the store to delete from
+     * @param {IDBValidKey} key - Key of the value to delete
+     * @returns {void}
+     */
+    delete(storeName, key) {
+        const store = this.transaction.objectStore(storeName);
+        this._track(store.delete(key));
+    }
+
+    /**
+     * Iterate every entry of an object store, optionally replacing values
+     * - Return a value from the callback to replace the stored value
+     * - Return `null` from the callback to delete the entry
+     * - Return `undefined` from the callback to leave the entry unchanged
+     * 
+     * @param {string} storeName - Name of the store to iterate
+     * @param {(value: any, key: IDBValidKey) => any} callback - Called for every entry
+     * @returns {void}
+     */
+    each(storeName, callback) {
+        const store = this.transaction.objectStore(storeName);
+        const request = store.openCursor();
+        this._pending++;
+        request.onsuccess = () => {
+            const cursor = request.result;
+            if (!cursor) {
+                this._settle();
+                return;
+            }
+            let replacement;
+            try {
+                replacement = callback(cursor.value, cursor.key);
+            } catch (error) {
+                this.abort(error);
+                return;
+            }
+            if (replacement === null) {
+                cursor.delete();
+            } else if (replacement !== undefined) {
+                cursor.update(replacement);
+            }
+            cursor.continue();
+        };
+    }
+
+    /**
+     * Abort the upgrade, leaving the database at its previous version
+     * 
+     * @param {Error} error - The reason for aborting
+     * @returns {void}
+     */
+    abort(error) {
+        this.error = error;
+        this.transaction.abort();
+    }
+
+    /**
+     * Run a callback once all queued requests have finished
+     * - Runs immediately if nothing is in progress
+     * - Use to sequence work that depends on earlier requests
+     * 
+     * @param {() => void} callback - Function to run when idle
+     * @returns {void}
+     */
+    whenIdle(callback) {
+        this._idleCallbacks.push(callback);
+        this._flush();
+    }
+
+    /**
+     * Track a request so that the next migration waits for it
+     * 
+     * @param {IDBRequest} request - The request to track
+     * @returns {void}
+     */
+    _track(request) {
+        this._pending++;
+        request.addEventListener('success', () => this._settle());
+    }
+
+    /**
+     * Mark a tracked request as finished, running idle callbacks if needed
+     * 
+     * @returns {void}
+     */
+    _settle() {
+        this._pending--;
+        this._flush();
+    }
+
+    /**
+     * Run idle callbacks in order, pausing if one queues more requests
+     * 
+     * @returns {void}
+     */
+    _flush() {
+        while (this._pending === 0 && this._idleCallbacks.length > 0) {
+            const callback = this._idleCallbacks.shift();
+            callback();
+        }
+    }
+
+}
+
+// < ======================================================
+// < IndexedDBConnection Class
+// < ======================================================
+
+/**
+ * Connection to an IndexedDB database, see `Connection`
+ * - Converts IndexedDB event-driven API into awaitable Promises
+ * - Every method uses its own transaction
+ */
+class IndexedDBConnection {
+
+    /** @type {IDBDatabase} */
+    _db;
+
+    /** @type {((version: number | null) => void) | null} */
+    onversionchange = null;
+
+    /**
+     * @param {IDBDatabase} db - The open IndexedDB database
+     */
+    constructor(db) {
+        this._db = db;
+        this._db.onversionchange = (event) => this.onversionchange?.(event.newVersion);
+    }
+
+    /**
+     * Run requests in a transaction via Promise
+     * - Callback queues requests synchronously, and returns a getter for the result
+     * - Resolves with the result once the transaction commits
+     * 
+     * @template T
+     * @param {string | string[]} storeNames - Stores used by the transaction
+     * @param {IDBTransactionMode} mode - Transaction mode
+     * @param {(transaction: IDBTransaction) => () => T} callback - Function that queues requests
+     * @returns {Promise<T>} The result of the transaction
+     */
+    _run(storeNames, mode, callback) {
+
+        return new Promise((resolve, reject) => {
+
+            // Generate event-driven transaction
+            const transaction = this._db.transaction(storeNames, mode);
+
+            // Queue requests, passing synchronous errors to Promise reject
+            let getResult;
+            try {
+                getResult = callback(transaction);
+            } catch (error) {
+                transaction.abort();
+                return reject(error);
+            }
+
+            transaction.oncomplete = () => {
+
+                // Pass transaction result to Promise resolve
+                resolve(getResult());
+
+            };
+
+            transaction.onerror = () => {
+
+                // Pass transaction error to Promise reject
+                reject(transaction.error);
+
+            };
+
+            transaction.onabort = () => {
+
+                // Pass transaction abort to Promise reject
+                reject(transaction.error ?? new Error('Transaction aborted'));
+
+            };
+
+        });
+
+    }
+
+    /** @type {Connection['get']} */
+    get(storeName, key) {
+        return this._run(storeName, 'readonly', (transaction) => {
+            const request = transaction.objectStore(storeName).get(key);
+            return () => request.result;
+        });
+    }
+
+    /** @type {Connection['getAllKeys']} */
+    getAllKeys(storeName) {
+        return this._run(storeName, 'readonly', (transaction) => {
+            const request = transaction.objectStore(storeName).getAllKeys();
+            return () => request.result;
+        });
+    }
+
+    /** @type {Connection['getAll']} */
+    getAll(storeName) {
+        return this._run(storeName, 'readonly', (transaction) => {
+            const request = transaction.objectStore(storeName).getAll();
+            return () => request.result;
+        });
+    }
+
+    /** @type {Connection['entries']} */
+    entries(storeName, { range, index, reverse = false, limit = Infinity } = {}) {
+        return this._run(storeName, 'readonly', (transaction) => {
+            const store = transaction.objectStore(storeName);
+            const source = index === undefined ? store : store.index(index);
+            const request = source.openCursor(toKeyRange(range), reverse ? 'prev' : 'next');
+            const entries = [];
+            const seen = new Set();
+            let more = false;
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (!cursor) return;
+                if (entries.length >= limit) {
+                    more = true;
+                    return;
+                }
+                // Index cursors may visit a primary key once per multiEntry value
+                const primaryKey = cursor.primaryKey;
+                const seenKey = JSON.stringify(primaryKey);
+                if (!seen.has(seenKey)) {
+                    seen.add(seenKey);
+                    entries.push([primaryKey, cursor.value]);
+                }
+                cursor.continue();
+            };
+            return () => ({ entries, more });
+        });
+    }
+
+    /** @type {Connection['count']} */
+    count(storeName) {
+        return this._run(storeName, 'readonly', (transaction) => {
+            const request = transaction.objectStore(storeName).count();
+            return () => request.result;
+        });
+    }
+
+    /** @type {Connection['batch']} */
+    batch(operations) {
+        if (operations.length === 0) {
+            // Transactions need at least one store, and there is nothing to write
+            return Promise.resolve([]);
+        }
+        const storeNames = [...new Set(operations.map(operation => operation.storeName))];
+        return this._run(storeNames, 'readwrite', (transaction) => {
+            const keys = operations.map(() => undefined);
+            operations.forEach(({ type, storeName, key, value }, i) => {
+                const store = transaction.objectStore(storeName);
+                if (type === 'put') {
+                    const request = store.keyPath === null ? store.put(value, key) : store.put(value);
+                    request.onsuccess = () => keys[i] = request.result;
+                } else if (type === 'delete') {
+                    store.delete(key);
+                } else {
+                    store.clear();
+                }
+            });
+            return () => keys;
+        });
+    }
+
+    /** @type {Connection['close']} */
+    close() {
+        this._db.close();
+    }
+
+}
+
+// < ======================================================
+// < IndexedDBBackend Class
+// < ======================================================
+
+/**
+ * Storage backend using the browser IndexedDB API, see `StorageBackend`
+ * - Default backend of `SimpleDatabase`
+ */
+class IndexedDBBackend {
+
+    /**
+     * Open an IndexedDB database via Promise
+     * - Calls `onUpgrade` if the database is new or outdated
+     * - Rejects with the upgrade error if the upgrade was aborted
+     * 
+     * @param {string} name - Database name
+     * @param {number} version - Database version
+     * @param {(upgrade: IndexedDBUpgrade) => void} onUpgrade - Called to create stores and run migrations
+     * @returns {Promise<IndexedDBConnection>} The open connection
+     */
+    open(name, version, onUpgrade) {
+
+        return new Promise((resolve, reject) => {
+
+            // Generate event-driven request to open database
+            const request = indexedDB.open(name, version);
+
+            /** @type {IndexedDBUpgrade | null} */
+            let upgrade = null;
+
+            // Event that fires if the database does not exist or is outdated
+            request.onupgradeneeded = (event) => {
+                upgrade = new IndexedDBUpgrade(request.result, request.transaction, event.oldVersion);
+                try {
+                    onUpgrade(upgrade);
+                } catch (error) {
+                    upgrade.abort(error);
+                }
+            };
+
+            request.onblocked = () => {
+
+                // Upgrade waits until other tabs close their connections
+                console.warn(`Database upgrade blocked, waiting for other tabs: ${name}`);
+
+            };
+
+            request.onsuccess = () => {
+
+                // Pass connection to Promise resolve
+                resolve(new IndexedDBConnection(request.result));
+
+            };
+
+            request.onerror = () => {
+
+                // Pass upgrade or request error to Promise reject
+                reject(upgrade?.error ?? request.error);
+
+            };
+
+        });
+
+    }
+
+    /**
+     * Delete an IndexedDB database via Promise
+     * - Other tabs close on `versionchange`, so only fail if they do not in time
+     * 
+     * @param {string} name - Database name
+     * @returns {Promise<void>}
+     */
+    destroy(name) {
+
+        return new Promise((resolve, reject) => {
+
+            // Generate event-driven request
+            const request = indexedDB.deleteDatabase(name);
+
+            request.onsuccess = () => {
+
+                // Pass request success to Promise resolve
+                resolve();
+
+            };
+
+            request.onblocked = () => {
+
+                // Pass blocked error to Promise reject, if still blocked after timeout
+                setTimeout(() => {
+                    reject(new Error("Deletion blocked, other tabs may be accessing data"));
+                }, BLOCKED_TIMEOUT);
+
+            };
+
+            request.onerror = () => {
+
+                // Pass request error to Promise reject
+                reject(request.error);
+
+            };
+
+        });
+
+    }
+
+}
+
+// < ======================================================
+// < MemoryUpgrade Class
+// < ======================================================
+
+/**
+ * Helper passed to migration functions during an in-memory upgrade
+ * - Same methods as `IndexedDBUpgrade`, applied synchronously
+ */
+class MemoryUpgrade {
+
+    /** @type {MemoryDatabase} Draft copy, only kept if the upgrade succeeds */
+    _database;
+
+    /** @type {number} Version the database is upgrading from, 0 if new */
+    oldVersion;
+
+    /** @type {number} Version the current migration upgrades to */
+    version;
+
+    /** @type {Error | null} Error that aborted the upgrade, if any */
+    error = null;
+
+    /**
+     * @param {MemoryDatabase} database - Draft copy of the database being upgraded
+     * @param {number} oldVersion - Version the database is upgrading from
+     */
+    constructor(database, oldVersion) {
+        this._database = database;
+        this.oldVersion = oldVersion;
+        this.version = oldVersion;
+    }
+
+    /** @type {IndexedDBUpgrade['hasStore']} */
+    hasStore(storeName) {
+        return this._database.stores.has(storeName);
+    }
+
+    /** @type {IndexedDBUpgrade['createStore']} */
+    createStore(storeName, storeSchema = {}) {
+        const { keyPath = null, autoIncrement = false, indexes = {} } = storeSchema;
+        if (!this.hasStore(storeName)) {
+            this._database.stores.set(storeName, {
+                keyPath,
+                autoIncrement,
+                nextKey: 1,
+                indexes: new Map(),
+                records: []
+            });
+        }
+        for (const [indexName, indexSchema] of Object.entries(indexes)) {
+            this.createIndex(storeName, indexName, indexSchema);
+        }
+    }
+
+    /** @type {IndexedDBUpgrade['deleteStore']} */
+    deleteStore(storeName) {
+        this._database.stores.delete(storeName);
+    }
+
+    /** @type {IndexedDBUpgrade['createIndex']} */
+    createIndex(storeName, indexName, indexSchema) {
+        const { keyPath, unique = false, multiEntry = false } = indexSchema;
+        const store = getStore(this._database, storeName);
+        if (!store.indexes.has(indexName)) {
+            store.indexes.set(indexName, { keyPath, unique, multiEntry });
+            checkUnique(store);
+        }
+    }
+
+    /** @type {IndexedDBUpgrade['deleteIndex']} */
+    deleteIndex(storeName, indexName) {
+        getStore(this._database, storeName).indexes.delete(indexName);
+    }
+
+    /** @type {IndexedDBUpgrade['put']} */
+    put(storeName, key, value) {
+        putRecord(getStore(this._database, storeName), key, value);
+    }
+
+    /** @type {IndexedDBUpgrade['delete']} */
+    delete(storeName, key) {
+        deleteRecords(getStore(this._database, storeName), { only: key });
+    }
+
+    /** @type {IndexedDBUpgrade['each']} */
+    each(storeName, callback) {
+        const store = getStore(this._database, storeName);
+        for (const [key, value] of [...store.records]) {
+            const replacement = callback(structuredClone(value), key);
+            if (replacement === null) {
+                deleteRecords(store, { only: key });
+            } else if (replacement !== undefined) {
+                putRecord(store, store.keyPath === null ? key : undefined, replacement);
+            }
+        }
+    }
+
+    /** @type {IndexedDBUpgrade['abort']} */
+    abort(error) {
+        this.error = error;
+        throw error;
+    }
+
+    /** @type {IndexedDBUpgrade['whenIdle']} */
+    whenIdle(callback) {
+        callback();
+    }
+
+}
+
+// < ======================================================
+// < In-Memory Store Functions
+// < ======================================================
+
+/**
+ * In-memory object store, records kept sorted by key
+ * 
+ * @typedef {Object} MemoryStore
+ * @property {string | string[] | null} keyPath - In-line key path, null for out-of-line keys
+ * @property {boolean} autoIncrement - Whether keys are generated automatically
+ * @property {number} nextKey - Next generated key
+ * @property {Map<string, import('./simple-database.js').IndexSchema>} indexes - Indexes keyed by index name
+ * @property {[IDBValidKey, any][]} records - Key-value pairs sorted by key
+ */
+
+/**
+ * In-memory database
+ * 
+ * @typedef {Object} MemoryDatabase
+ * @property {number} version - Database version, 0 if new
+ * @property {Map<string, MemoryStore>} stores - Stores keyed by store name
+ */
+
+/**
+ * Get a store from an in-memory database
+ * 
+ * @param {MemoryDatabase} database - The database to read from
+ * @param {string} storeName - Name of the store
+ * @throws {Error} If the store does not exist
+ * @returns {MemoryStore} The store
+ */
+function getStore(database, storeName) {
+    const store = database.stores.get(storeName);
+    if (!store) {
+        throw createError('NotFoundError', `No object store named "${storeName}"`);
+    }
+    return store;
+}
+
+/**
+ * Copy an in-memory store, sharing values which are never mutated in place
+ * 
+ * @param {MemoryStore} store - The store to copy
+ * @returns {MemoryStore} The copy
+ */
+function copyStore(store) {
+    return {
+        ...store,
+        indexes: new Map(store.indexes),
+        records: [...store.records]
+    };
+}
+
+/**
+ * Find the position of a key in sorted records via binary search
+ * 
+ * @param {[IDBValidKey, any][]} records - Records sorted by key
+ * @param {IDBValidKey} key - The key to find
+ * @returns {{ index: number, found: boolean }} Position of the key, or where to insert it
+ */
+function findRecord(records, key) {
+    let low = 0;
+    let high = records.length;
+    while (low < high) {
+        const middle = (low + high) >> 1;
+        const order = compareKeys(records[middle][0], key);
+        if (order === 0) return { index: middle, found: true };
+        if (order < 0) low = middle + 1;
+        else high = middle;
+    }
+    return { index: low, found: false };
+}
+
+/**
+ * Get the index values of a stored value, following IndexedDB rules
+ * - Invalid or missing index values are skipped, not errors
+ * 
+ * @param {any} value - The stored value
+ * @param {import('./simple-database.js').IndexSchema} indexSchema - Declaration of the index
+ * @returns {IDBValidKey[]} Index values for the value
+ */
+function indexValues(value, { keyPath, multiEntry }) {
+    const indexed = evaluateKeyPath(value, keyPath);
+    if (multiEntry && Array.isArray(indexed)) {
+        const values = [];
+        for (const item of indexed.filter(isValidKey)) {
+            if (!values.some(other => compareKeys(other, item) === 0)) {
+                values.push(item);
+            }
+        }
+        return values;
+    }
+    return isValidKey(indexed) ? [indexed] : [];
+}
+
+/**
+ * Check unique indexes of a store, throwing like IndexedDB on duplicates
+ * 
+ * @param {MemoryStore} store - The store to check
+ * @throws {Error} If a unique index has duplicate values
+ * @returns {void}
+ */
+function checkUnique(store) {
+    for (const indexSchema of store.indexes.values()) {
+        if (!indexSchema.unique) continue;
+        const seen = [];
+        for (const [, value] of store.records) {
+            for (const indexed of indexValues(value, indexSchema)) {
+                if (seen.some(other => compareKeys(other, indexed) === 0)) {
+                    throw createError('ConstraintError', 'Unique index constraint failed');
+                }
+                seen.push(indexed);
+            }
+        }
+    }
+}
+
+/**
+ * Put a value into an in-memory store, cloning it like IndexedDB
+ * 
+ * @param {MemoryStore} store - The store to write to
+ * @param {IDBValidKey | undefined} key - Key for out-of-line stores, ignored for in-line keys
+ * @param {any} value - The value to write
+ * @throws {Error} If the value cannot be cloned, the key is invalid, or a constraint fails
+ * @returns {IDBValidKey} The key the value was stored at
+ */
+function putRecord(store, key, value) {
+    const clone = structuredClone(value);
+    if (store.keyPath !== null) {
+        key = evaluateKeyPath(clone, store.keyPath);
+        if (key === undefined && store.autoIncrement && typeof store.keyPath === 'string') {
+            key = store.nextKey;
+            clone[store.keyPath] = key;
+        }
+    } else if (key === undefined && store.autoIncrement) {
+        key = store.nextKey;
+    }
+    if (!isValidKey(key)) {
+        throw createError('DataError', 'The parameter is not a valid key');
+    }
+    if (typeof key === 'number' && key >= store.nextKey) {
+        store.nextKey = Math.floor(key) + 1;
+    }
+    const { index, found } = findRecord(store.records, key);
+    store.records.splice(index, found ? 1 : 0, [key, clone]);
+    checkUnique(store);
+    return key;
+}
+
+/**
+ * Delete records within a range from an in-memory store
+ * 
+ * @param {MemoryStore} store - The store to delete from
+ * @param {KeyRange} [range] - Range of keys to delete, all keys if omitted
+ * @returns {void}
+ */
+function deleteRecords(store, range) {
+    validateRange(range);
+    store.records = store.records.filter(([key]) => !inRange(key, range));
+}
+
+// < ======================================================
+// < MemoryConnection Class
+// < ======================================================
+
+/**
+ * Connection to an in-memory database, see `Connection`
+ * - Values are cloned on the way in and out, like IndexedDB
+ * - Methods settle asynchronously, like IndexedDB
+ */
+class MemoryConnection {
+
+    /** @type {MemoryBackend} */
+    _backend;
+
+    /** @type {string} */
+    _name;
+
+    /** @type {boolean} */
+    _closed = false;
+
+    /** @type {((version: number | null) => void) | null} */
+    onversionchange = null;
+
+    /**
+     * @param {MemoryBackend} backend - Backend that owns the database
+     * @param {string} name - Database name
+     */
+    constructor(backend, name) {
+        this._backend = backend;
+        this._name = name;
+    }
+
+    /**
+     * Get the database of this connection, after settling asynchronously
+     * 
+     * @throws {Error} If the connection is closed
+     * @returns {Promise<MemoryDatabase>} The database
+     */
+    async _database() {
+        await null;
+        const database = this._backend._databases.get(this._name);
+        if (this._closed || !database) {
+            throw createError('InvalidStateError', 'The database connection is closing');
+        }
+        return database;
+    }
+
+    /** @type {Connection['get']} */
+    async get(storeName, key) {
+        const store = getStore(await this._database(), storeName);
+        const { index, found } = findRecord(store.records, key);
+        return found ? structuredClone(store.records[index][1]) : undefined;
+    }
+
+    /** @type {Connection['getAllKeys']} */
+    async getAllKeys(storeName) {
+        const store = getStore(await this._database(), storeName);
+        return store.records.map(([key]) => key);
+    }
+
+    /** @type {Connection['getAll']} */
+    async getAll(storeName) {
+        const store = getStore(await this._database(), storeName);
+        return store.records.map(([, value]) => structuredClone(value));
+    }
+
+    /** @type {Connection['entries']} */
+    async entries(storeName, { range, index, reverse = false, limit = Infinity } = {}) {
+        const store = getStore(await this._database(), storeName);
+        validateRange(range);
+
+        // Gather [sort key, primary key, value] rows, by primary key or index value
+        let rows;
+        if (index === undefined) {
+            rows = store.records.map(([key, value]) => [key, key, value]);
+        } else {
+            const indexSchema = store.indexes.get(index);
+            if (!indexSchema) {
+                throw createError('NotFoundError', `No index named "${index}"`);
+            }
+            rows = [];
+            for (const [key, value] of store.records) {
+                for (const indexed of indexValues(value, indexSchema)) {
+                    rows.push([indexed, key, value]);
+                }
+            }
+            rows.sort((a, b) => compareKeys(a[0], b[0]) || compareKeys(a[1], b[1]));
+        }
+        rows = rows.filter(([sortKey]) => inRange(sortKey, range));
+        if (reverse) rows.reverse();
+
+        // Collect distinct primary keys up to the limit
+        const entries = [];
+        const seen = new Set();
+        let more = false;
+        for (const [, key, value] of rows) {
+            if (entries.length >= limit) {
+                more = true;
+                break;
+            }
+            const seenKey = JSON.stringify(key);
+            if (!seen.has(seenKey)) {
+                seen.add(seenKey);
+                entries.push([key, structuredClone(value)]);
+            }
+        }
+        return { entries, more };
+    }
+
+    /** @type {Connection['count']} */
+    async count(storeName) {
+        return getStore(await this._database(), storeName).records.length;
+    }
+
+    /** @type {Connection['batch']} */
+    async batch(operations) {
+        const database = await this._database();
+
+        // Copy affected stores, so a failure leaves the originals untouched
+        const original = new Map();
+        const drafts = new Map();
+        for (const { storeName } of operations) {
+            if (!drafts.has(storeName)) {
+                original.set(storeName, getStore(database, storeName));
+                drafts.set(storeName, copyStore(getStore(database, storeName)));
+            }
+        }
+
+        // Apply every operation to the drafts, then swap them in
+        const keys = operations.map(({ type, storeName, key, value }) => {
+            const draft = drafts.get(storeName);
+            if (type === 'put') {
+                return putRecord(draft, key, value);
+            } else if (type === 'delete') {
+                deleteRecords(draft, { only: key });
+            } else {
+                draft.records = [];
+            }
+            return undefined;
+        });
+        for (const [storeName, draft] of drafts) {
+            database.stores.set(storeName, draft);
+        }
+
+        // Restore the originals if the write cannot be persisted
+        try {
+            this._backend._persist(this._name);
+        } catch (error) {
+            for (const storeName of drafts.keys()) {
+                database.stores.set(storeName, original.get(storeName));
+            }
+            throw error;
+        }
+        return keys;
+    }
+
+    /** @type {Connection['close']} */
+    close() {
+        this._closed = true;
+        this._backend._connections.get(this._name)?.delete(this);
+    }
+
+}
+
+// < ======================================================
+// < MemoryBackend Class
+// < ======================================================
+
+/**
+ * Storage backend keeping data in memory, see `StorageBackend`
+ * - Data lasts as long as the backend instance
+ * - Share one instance between databases to simulate several tabs
+ * - Runs anywhere with `structuredClone`, including Node
+ * 
+ * @example
+ * const db = new SimpleDatabase(APP_NAME, SCHEMA, { backend: new MemoryBackend() });
+ */
+class MemoryBackend {
+
+    /** @type {Map<string, MemoryDatabase>} */
+    _databases = new Map();
+
+    /** @type {Map<string, Set<MemoryConnection>>} */
+    _connections = new Map();
+
+    /**
+     * Open an in-memory database via Promise
+     * - Calls `onUpgrade` with a draft copy if the database is new or outdated
+     * - Asks other connections to close first, via `onversionchange`
+     * 
+     * @param {string} name - Database name
+     * @param {number} version - Database version
+     * @param {(upgrade: MemoryUpgrade) => void} onUpgrade - Called to create stores and run migrations
+     * @returns {Promise<MemoryConnection>} The open connection
+     */
+    async open(name, version, onUpgrade) {
+        await null;
+        let database = this._databases.get(name) ?? this._load(name);
+        if (version < database.version) {
+            throw createError('VersionError', `Requested version ${version} is less than existing version ${database.version}`);
+        }
+
+        // Upgrade a draft copy, only keeping it if every migration succeeds
+        if (version > database.version) {
+            this._notifyVersionChange(name, version);
+            const draft = {
+                version,
+                stores: new Map([...database.stores].map(([storeName, store]) => [storeName, copyStore(store)]))
+            };
+            const upgrade = new MemoryUpgrade(draft, database.version);
+            try {
+                onUpgrade(upgrade);
+            } catch (error) {
+                throw upgrade.error ?? error;
+            }
+            const previous = this._databases.get(name);
+            this._databases.set(name, draft);
+            try {
+                this._persist(name);
+            } catch (error) {
+                if (previous) this._databases.set(name, previous);
+                else this._databases.delete(name);
+                throw error;
+            }
+            database = draft;
+        }
+        this._databases.set(name, database);
+
+        const connection = new MemoryConnection(this, name);
+        if (!this._connections.has(name)) {
+            this._connections.set(name, new Set());
+        }
+        this._connections.get(name).add(connection);
+        return connection;
+    }
+
+    /**
+     * Delete an in-memory database
+     * - Asks open connections to close first, via `onversionchange`
+     * 
+     * @param {string} name - Database name
+     * @returns {Promise<void>}
+     */
+    async destroy(name) {
+        await null;
+        this._notifyVersionChange(name, null);
+        this._databases.delete(name);
+        this._persist(name);
+    }
+
+    /**
+     * Call `onversionchange` on every open connection to a database
+     * 
+     * @param {string} name - Database name
+     * @param {number | null} version - The new version, or null if the database is deleted
+     * @returns {void}
+     */
+    _notifyVersionChange(name, version) {
+        for (const connection of [...(this._connections.get(name) ?? [])]) {
+            connection.onversionchange?.(version);
+        }
+    }
+
+    /**
+     * Load a database that is not yet in memory
+     * - Hook for subclasses that persist data, returns a new database here
+     * 
+     * @param {string} name - Database name
+     * @returns {MemoryDatabase} The loaded database
+     */
+    _load(name) {
+        return { version: 0, stores: new Map() };
+    }
+
+    /**
+     * Persist a database after it changes
+     * - Hook for subclasses that persist data, does nothing here
+     * 
+     * @param {string} name - Database name
+     * @returns {void}
+     */
+    _persist(name) { }
+
+}
+
+// < ======================================================
+// < LocalStorageBackend Class
+// < ======================================================
+
+/**
+ * Storage backend keeping data in localStorage, see `StorageBackend`
+ * - Fallback for browsers where IndexedDB is disabled, like some private modes
+ * - Whole database is saved as JSON after every write, so suits small data only
+ * - Values must be JSON-safe, eg. Dates are loaded back as strings
+ * 
+ * @example
+ * const db = new SimpleDatabase(APP_NAME, SCHEMA, { backend: new LocalStorageBackend() });
+ */
+class LocalStorageBackend extends MemoryBackend {
+
+    /** @type {Storage} */
+    _storage;
+
+    /**
+     * @param {Storage} [storage] - Storage area to use, defaults to `localStorage`
+     */
+    constructor(storage = globalThis.localStorage) {
+        super();
+        this._storage = storage;
+        globalThis.addEventListener?.('storage', (event) => this._onStorage(event));
+    }
+
+    /**
+     * Replace the cached copy of a database written by another tab
+     * - Connections are asked to reopen if the database was upgraded or deleted
+     * 
+     * @param {StorageEvent} event - The storage event from another tab
+     * @returns {void}
+     */
+    _onStorage(event) {
+        if (event.storageArea !== this._storage) return;
+        const name = [...this._databases.keys()].find(name => this._storageKey(name) === event.key);
+        if (name === undefined) return;
+        const previous = this._databases.get(name);
+        const database = this._load(name);
+        this._databases.set(name, database);
+        if (database.version !== previous.version) {
+            this._notifyVersionChange(name);
+        }
+    }
+
+    /**
+     * Get the storage key used for a database
+     * 
+     * @param {string} name - Database name
+     * @returns {string} The storage key
+     */
+    _storageKey(name) {
+        return `simple-database:${name}`;
+    }
+
+    /** @type {MemoryBackend['_load']} */
+    _load(name) {
+        const text = this._storage.getItem(this._storageKey(name));
+        if (text === null) {
+            return super._load(name);
+        }
+        const saved = JSON.parse(text);
+        return {
+            version: saved.version,
+            stores: new Map(Object.entries(saved.stores).map(([storeName, store]) => [storeName, {
+                ...store,
+                indexes: new Map(Object.entries(store.indexes))
+            }]))
+        };
+    }
+
+    /** @type {MemoryBackend['_persist']} */
+    _persist(name) {
+        const database = this._databases.get(name);
+        if (!database) {
+            this._storage.removeItem(this._storageKey(name));
+            return;
+        }
+        const stores = {};
+        for (const [storeName, store] of database.stores) {
+            stores[storeName] = { ...store, indexes: Object.fromEntries(store.indexes) };
+        }
+        this._storage.setItem(this._storageKey(name), JSON.stringify({ version: database.version, stores }));
+    }
+
+}
+
+// > ======================================================
+// > Exports
+// > ======================================================
+
+export {
+    IndexedDBBackend,
+    MemoryBackend,
+    LocalStorageBackend
+}
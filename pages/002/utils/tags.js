@@ -0,0 +1,121 @@
+/**
+ * Module that exports `parseTags`, `normaliseTag` and `renameTag`
+ * - Inline `#tag` parsing for note text
+ * - Tags are letters, numbers, underscores and hyphens, with at least one letter
+ * - Tags are matched case-insensitively, and stored in lowercase
+ * - Ignores Markdown headings, URL fragments, HTML entities and code
+ * 
+ * @module tags
+ * @author Ben Scarletti
+ * @see {@link https://github.com/scarletti-ben}
+ * @license MIT
+ */
+
+// < ======================================================
+// < Tag Declarations
+// < ======================================================
+
+/**
+ * Pattern for inline tags, not preceded by a word character, '#', '&' or '/'
+ * @type {RegExp}
+ */
+const TAG = /(?<![\p{L}\p{N}_#&/])#([\p{L}\p{N}_][\p{L}\p{N}_-]*)/gu;
+
+/**
+ * Pattern for fenced code blocks and inline code, which are never tagged
+ * @type {RegExp}
+ */
+const CODE = /^ {0,3}(`{3,}|~{3,})[^\n]*\n[\s\S]*?(?:\n {0,3}\1[^\n]*(?=\n|$)|$)|`[^`\n]+`/gm;
+
+// < ======================================================
+// < Internal Functions
+// < ======================================================
+
+/**
+ * Replace the tags in text outside of code
+ * 
+ * @param {string} text - The text to search
+ * @param {(tag: string, match: string) => string} replacer - Called with the normalised tag and matched text, returns the replacement
+ * @returns {string} The text with replacements made
+ */
+function replaceTags(text, replacer) {
+    let output = '';
+    let last = 0;
+    const replace = (part) => part.replace(TAG, (match, name) => {
+        const tag = normaliseTag(name);
+        return tag ? replacer(tag, match) : match;
+    });
+    for (const match of text.matchAll(CODE)) {
+        output += replace(text.slice(last, match.index)) + match[0];
+        last = match.index + match[0].length;
+    }
+    return output + replace(text.slice(last));
+}
+
+// < ======================================================
+// < Tag Functions
+// < ======================================================
+
+/**
+ * Normalise a tag name, as typed with or without its '#'
+ * 
+ * @example
+ * normaliseTag(' #Work-Trip- '); // 'work-trip'
+ * 
+ * @param {string} name - The tag name
+ * @returns {string} The tag in lowercase without trailing hyphens, or '' if not a valid tag
+ */
+function normaliseTag(name) {
+    const tag = name.trim().replace(/^#/, '').replace(/-+$/, '').normalize('NFC').toLowerCase();
+    return /^[\p{L}\p{N}_][\p{L}\p{N}_-]*$/u.test(tag) && /\p{L}/u.test(tag) ? tag : '';
+}
+
+/**
+ * Find the tags in text
+ * 
+ * @example
+ * parseTags('Met #Sam about #work, see #work'); // ['sam', 'work']
+ * 
+ * @param {string} text - The text to search
+ * @returns {string[]} Distinct tags, sorted
+ */
+function parseTags(text) {
+    const tags = new Set();
+    replaceTags(text, (tag, match) => {
+        tags.add(tag);
+        return match;
+    });
+    return [...tags].sort();
+}
+
+/**
+ * Rename every use of a tag in text, which merges it into `to` if that tag is also used
+ * 
+ * @example
+ * renameTag('#Work and #workplace', 'work', 'job'); // '#job and #workplace'
+ * 
+ * @param {string} text - The text to change
+ * @param {string} from - The tag to rename
+ * @param {string} to - The new tag name
+ * @throws {Error} If either tag name is invalid
+ * @returns {string} The text with the tag renamed
+ */
+function renameTag(text, from, to) {
+    const source = normaliseTag(from);
+    const target = normaliseTag(to);
+    if (!source || !target) {
+        throw new Error('Expected valid tag names');
+    }
+    return replaceTags(text, (tag, match) => {
+        if (tag !== source) return match;
+
+        // Keep hyphens trimmed by normalising, eg. '#work-' ending a sentence
+        return `#${target}${match.slice(1).replace(/^.*?(-*)$/, '$1')}`;
+    });
+}
+
+// > ======================================================
+// > Exports
+// > ======================================================
+
+export { parseTags, normaliseTag, renameTag }
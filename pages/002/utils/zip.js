@@ -0,0 +1,293 @@
+/**
+ * Module that exports `createZip` and `readZip`
+ * - Minimal zip archive writer and reader, with no dependencies
+ * - Writes uncompressed entries, with UTF-8 names
+ * - Reads uncompressed and deflated entries, via `DecompressionStream`
+ * - Does not support Zip64, encryption or multi-disk archives
+ * - Functions throw on invalid archives, callers convert errors to result objects
+ * 
+ * @module zip
+ * @author Ben Scarletti
+ * @see {@link https://github.com/scarletti-ben}
+ * @license MIT
+ */
+
+// < ======================================================
+// < Zip Type Definitions
+// < ======================================================
+
+/**
+ * File to write into, or read from, a zip archive
+ * 
+ * @typedef {Object} ZipEntry
+ * @property {string} name - Path within the archive eg. 'notes/2025-08-03.md'
+ * @property {Uint8Array} data - Uncompressed file content
+ * @property {Date} [modified] - Last modified time, defaults to now when writing
+ */
+
+// Record signatures, read and written little-endian
+const LOCAL_SIGNATURE = 0x04034b50;
+const CENTRAL_SIGNATURE = 0x02014b50;
+const END_SIGNATURE = 0x06054b50;
+
+/**
+ * General purpose flag marking names as UTF-8
+ * @type {number}
+ */
+const UTF8_FLAG = 0x0800;
+
+/**
+ * Lookup table for CRC-32, built on first use
+ * @type {Uint32Array | null}
+ */
+let crcTable = null;
+
+// < ======================================================
+// < Internal Functions
+// < ======================================================
+
+/**
+ * Calculate the CRC-32 checksum of some bytes
+ * 
+ * @param {Uint8Array} bytes - The bytes to check
+ * @returns {number} Unsigned 32-bit checksum
+ */
+function crc32(bytes) {
+    if (!crcTable) {
+        crcTable = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) {
+                c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+            }
+            crcTable[n] = c >>> 0;
+        }
+    }
+    let crc = 0xffffffff;
+    for (const byte of bytes) {
+        crc = crcTable[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Convert a date to MS-DOS time and date fields, in local time
+ * - Dates before 1980 are clamped, as the format cannot represent them
+ * 
+ * @param {Date} date - The date to convert
+ * @returns {[number, number]} DOS time and DOS date
+ */
+function toDosTime(date) {
+    const year = Math.max(1980, date.getFullYear());
+    const time = (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1);
+    const day = ((year - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate();
+    return [time, day];
+}
+
+/**
+ * Convert MS-DOS time and date fields to a date, in local time
+ * 
+ * @param {number} time - DOS time
+ * @param {number} day - DOS date
+ * @returns {Date} The converted date
+ */
+function fromDosTime(time, day) {
+    return new Date(
+        (day >> 9) + 1980,
+        ((day >> 5) & 0xf) - 1,
+        day & 0x1f,
+        time >> 11,
+        (time >> 5) & 0x3f,
+        (time & 0x1f) * 2
+    );
+}
+
+/**
+ * Inflate raw deflate data
+ * 
+ * @param {Uint8Array} data - Compressed bytes
+ * @throws {Error} If `DecompressionStream` is unavailable, or the data is invalid
+ * @returns {Promise<Uint8Array>} The inflated bytes
+ */
+async function inflate(data) {
+    if (typeof DecompressionStream === 'undefined') {
+        throw new Error('Deflated zip entries are not supported in this browser');
+    }
+    const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+// < ======================================================
+// < Zip Functions
+// < ======================================================
+
+/**
+ * Create an uncompressed zip archive
+ * 
+ * @example
+ * const bytes = createZip([{ name: 'hello.txt', data: new TextEncoder().encode('Hello') }]);
+ * const blob = new Blob([bytes], { type: 'application/zip' });
+ * 
+ * @param {ZipEntry[]} entries - Files to include, in order
+ * @throws {Error} If an entry name is empty or repeated
+ * @returns {Uint8Array} The archive bytes
+ */
+function createZip(entries) {
+    const encoder = new TextEncoder();
+    const names = new Set();
+    const locals = [];
+    const centrals = [];
+    let offset = 0;
+
+    for (const { name, data, modified = new Date() } of entries) {
+        if (!name || names.has(name)) {
+            throw new Error(`Invalid or repeated zip entry name "${name}"`);
+        }
+        names.add(name);
+        const nameBytes = encoder.encode(name);
+        const [time, day] = toDosTime(modified);
+        const crc = crc32(data);
+
+        // Local file header, followed by the name and data
+        const local = new Uint8Array(30 + nameBytes.length + data.length);
+        const lv = new DataView(local.buffer);
+        lv.setUint32(0, LOCAL_SIGNATURE, true);
+        lv.setUint16(4, 20, true);
+        lv.setUint16(6, UTF8_FLAG, true);
+        lv.setUint16(8, 0, true);
+        lv.setUint16(10, time, true);
+        lv.setUint16(12, day, true);
+        lv.setUint32(14, crc, true);
+        lv.setUint32(18, data.length, true);
+        lv.setUint32(22, data.length, true);
+        lv.setUint16(26, nameBytes.length, true);
+        local.set(nameBytes, 30);
+        local.set(data, 30 + nameBytes.length);
+
+        // Central directory header, pointing back to the local header
+        const central = new Uint8Array(46 + nameBytes.length);
+        const cv = new DataView(central.buffer);
+        cv.setUint32(0, CENTRAL_SIGNATURE, true);
+        cv.setUint16(4, 20, true);
+        cv.setUint16(6, 20, true);
+        cv.setUint16(8, UTF8_FLAG, true);
+        cv.setUint16(10, 0, true);
+        cv.setUint16(12, time, true);
+        cv.setUint16(14, day, true);
+        cv.setUint32(16, crc, true);
+        cv.setUint32(20, data.length, true);
+        cv.setUint32(24, data.length, true);
+        cv.setUint16(28, nameBytes.length, true);
+        cv.setUint32(42, offset, true);
+        central.set(nameBytes, 46);
+
+        locals.push(local);
+        centrals.push(central);
+        offset += local.length;
+    }
+
+    // End of central directory record
+    const centralSize = centrals.reduce((total, central) => total + central.length, 0);
+    const end = new Uint8Array(22);
+    const ev = new DataView(end.buffer);
+    ev.setUint32(0, END_SIGNATURE, true);
+    ev.setUint16(8, entries.length, true);
+    ev.setUint16(10, entries.length, true);
+    ev.setUint32(12, centralSize, true);
+    ev.setUint32(16, offset, true);
+
+    const output = new Uint8Array(offset + centralSize + end.length);
+    let position = 0;
+    for (const part of [...locals, ...centrals, end]) {
+        output.set(part, position);
+        position += part.length;
+    }
+    return output;
+}
+
+/**
+ * Read the files from a zip archive
+ * - Skips directory entries
+ * - Checks the CRC-32 of every file
+ * 
+ * @example
+ * const entries = await readZip(new Uint8Array(await file.arrayBuffer()));
+ * const text = new TextDecoder().decode(entries[0].data);
+ * 
+ * @param {Uint8Array} bytes - The archive bytes
+ * @throws {Error} If the archive is invalid or uses unsupported features
+ * @returns {Promise<ZipEntry[]>} The files, in central directory order
+ */
+async function readZip(bytes) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+
+    // Find the end of central directory record, searching back past any comment
+    let end = -1;
+    for (let i = bytes.length - 22; i >= Math.max(0, bytes.length - 22 - 0xffff); i--) {
+        if (view.getUint32(i, true) === END_SIGNATURE) {
+            end = i;
+            break;
+        }
+    }
+    if (end === -1) {
+        throw new Error('Not a zip archive');
+    }
+    const count = view.getUint16(end + 10, true);
+    let position = view.getUint32(end + 16, true);
+    if (count === 0xffff || position === 0xffffffff) {
+        throw new Error('Zip64 archives are not supported');
+    }
+
+    const entries = [];
+    for (let i = 0; i < count; i++) {
+        if (position + 46 > bytes.length || view.getUint32(position, true) !== CENTRAL_SIGNATURE) {
+            throw new Error('Invalid zip central directory');
+        }
+        const flags = view.getUint16(position + 8, true);
+        const method = view.getUint16(position + 10, true);
+        const time = view.getUint16(position + 12, true);
+        const day = view.getUint16(position + 14, true);
+        const crc = view.getUint32(position + 16, true);
+        const size = view.getUint32(position + 20, true);
+        const nameLength = view.getUint16(position + 28, true);
+        const extraLength = view.getUint16(position + 30, true);
+        const commentLength = view.getUint16(position + 32, true);
+        const offset = view.getUint32(position + 42, true);
+        const nameBytes = bytes.subarray(position + 46, position + 46 + nameLength);
+        const name = new TextDecoder(flags & UTF8_FLAG ? 'utf-8' : 'latin1').decode(nameBytes);
+        position += 46 + nameLength + extraLength + commentLength;
+
+        if (name.endsWith('/')) {
+            continue;
+        }
+        if (flags & 0x1) {
+            throw new Error(`Encrypted zip entry "${name}" is not supported`);
+        }
+
+        // Sizes in the local header may be zero, so use the central directory sizes
+        if (view.getUint32(offset, true) !== LOCAL_SIGNATURE) {
+            throw new Error(`Invalid zip local header for "${name}"`);
+        }
+        const start = offset + 30 + view.getUint16(offset + 26, true) + view.getUint16(offset + 28, true);
+        const raw = bytes.subarray(start, start + size);
+        let data;
+        if (method === 0) {
+            data = raw.slice();
+        } else if (method === 8) {
+            data = await inflate(raw);
+        } else {
+            throw new Error(`Unsupported compression method ${method} for "${name}"`);
+        }
+        if (crc32(data) !== crc) {
+            throw new Error(`Checksum mismatch for "${name}"`);
+        }
+        entries.push({ name, data, modified: fromDosTime(time, day) });
+    }
+    return entries;
+}
+
+// > ======================================================
+// > Exports
+// > ======================================================
+
+export { createZip, readZip }